@@ -5,21 +5,54 @@
  * File: server.mjs (주석 정리/가독성 개선판)
  * --------------------------------------------
  * 역할
- *  - 로컬 JSON(./outputs/db.json)을 간단한 DB로 사용
+ *  - 로컬 JSON(./outputs/db.json) 또는 SQLite를 간단한 DB로 사용
  *  - 요구사항/다이어그램/코드 CRUD + 변환 API 제공
- *  - OpenAI Responses API를 호출해 Mermaid↔Code 생성
+ *  - LLM(기본 OpenAI Responses API)을 호출해 Mermaid↔Code 생성 (server/llm.mjs)
  *
  * 환경변수
- *  - OPENAI_API_KEY : OpenAI API Key (필수)
+ *  - LLM_PROVIDER   : LLM 공급자 'openai' | 'local' | 'mock' (기본값 'openai')
+ *  - OPENAI_API_KEY : OpenAI API Key (openai 공급자일 때 필수)
  *  - MODEL_ID       : 모델 ID (기본값 'gpt-4o-mini')
+ *  - LLM_BASE_URL / LLM_MODEL / LLM_API_KEY : local 공급자(OpenAI 호환 엔드포인트) 설정
+ *  - LLM_FIXTURES_DIR: mock 공급자의 고정 출력 디렉터리 (기본값 fixtures/llm)
  *  - API_PORT       : 서버 포트 (기본값 3000)
+ *  - STORAGE_BACKEND: 저장소 백엔드 'json' | 'sqlite' (기본값 'json')
+ *  - SQLITE_PATH    : SQLite 파일 경로 (기본값 outputs/db.sqlite)
+ *  - MERMAID_VALIDATE: 'off'면 서버 측 Mermaid 문법 검증 생략
+ *  - MERMAID_REPAIR_MAX: 생성된 Mermaid가 문법 오류일 때 LLM 자동 수정 최대 횟수 (기본값 2, 0이면 끔)
+ *  - JSON_BODY_LIMIT: JSON 요청 본문 최대 크기 (기본값 '20mb', 다중 파일 소스 업로드 고려)
+ *  - CODE_SOURCE_ROOTS / CODE_SOURCE_MAX_FILES / CODE_SOURCE_MAX_BYTES: 소스 입력(로컬 경로/ZIP) 제한 (server/code-source.mjs)
+ *  - CODE2MM_CHUNK_CHARS: code2mm 프롬프트에 소스를 그대로 넣는 최대 글자 수 (기본값 40000, 넘으면 묶음별 요약)
+ *  - RENDER_THEME   : 서버 이미지 렌더링 mermaid 테마 (server/mermaid-render.mjs)
+ *  - REPORT_TEMPLATE_DIR: 설계 문서 템플릿 디렉터리 (sdd.md / sdd.html, 기본값 templates/report)
+ *  - AUTH_ADMIN_USER / AUTH_ADMIN_PASSWORD: 사용자가 없을 때 시작 시 만들 첫 관리자 (생략 시 화면에서 만들기)
+ *  - AUTH_SESSION_HOURS: 로그인 유지 시간 (기본값 12)
+ *  - CORS_ORIGINS   : 허용할 Origin 목록 (',' 구분, 생략 시 전체 허용)
+ *  - MM2CODE_REQUIRE_APPROVED: '1'이면 mm2code가 항상 승인된 다이어그램만 허용 (생략 시 요청의 requireApproved로 선택)
  *
  * 저장소
- *  - outputs/db.json (atomic rename으로 기록)
+ *  - server/storage.mjs 인터페이스 (쓰기 큐 + 레코드 버전 + 이력)
+ *  - json  : outputs/db.json (atomic rename으로 기록)
+ *  - sqlite: outputs/db.sqlite (better-sqlite3)
+ *  - 프로젝트: 요청의 X-Project-Id 헤더(또는 ?project=)로 저장소 선택, 없으면 기본 프로젝트 (server/projects.mjs)
+ *    기본 프로젝트는 위 경로, 그 외는 outputs/projects/<id>/db.json | db.sqlite
+ *  - 마이그레이션: node server/migrate.mjs import|export (기본 프로젝트 경로 기준)
+ *  - 다른 PC/서버로 옮기기: GET /api/export/bundle → POST /api/import/bundle (server/bundle.mjs)
+ *
+ * 인증/권한 (server/auth.mjs)
+ *  - /api/auth/status·login·setup 을 뺀 모든 /api/* 는 로그인 필요 (Authorization: Bearer <token>)
+ *  - 역할: viewer(조회/내보내기/검증) < editor(저장/삭제/복원/변환/가져오기) < approver < admin(사용자/프로젝트 관리)
+ *  - 이력 작성자(author)와 레코드 updatedBy 는 요청 본문이 아니라 로그인 사용자
+ *  - 사용자 목록/세션: outputs/users.json (비밀번호는 scrypt 해시, 토큰은 SHA-256 해시만)
+ *
+ * 검토/승인 (server/review.mjs)
+ *  - 요구사항/다이어그램 status: draft → in_review → approved → obsolete, review: { history, approval }
+ *  - POST /api/review/:type/:id 로 상태 전이 (승인/반려/폐기/다시 열기는 approver 이상)
+ *  - 승인된 항목의 내용을 바꾸면 draft로 되돌아감
  *
  * 보안/운영 주의
- *  - CORS는 데모 편의상 전체 허용. 운영 환경에선 도메인 제한 권장.
- *  - express.json({ limit: '5mb' }) 용량은 필요 시 조정.
+ *  - CORS는 CORS_ORIGINS가 없으면 전체 허용 (토큰은 헤더로만 전달하므로 쿠키 기반 CSRF는 없음). 운영 환경에선 도메인 제한 권장.
+ *  - express.json 용량(JSON_BODY_LIMIT)은 필요 시 조정. ZIP 업로드는 별도 raw 본문(소스 50mb, 번들 500mb).
  *  - 프롬프트 인젝션/LLM 출력 신뢰성은 클라이언트/사후검증으로 보강 권장.
  * ============================================
  */
@@ -30,7 +63,27 @@ import cors from 'cors';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
+import { NotFoundError } from './server/storage.mjs';
+import { DEFAULT_PROJECT_ID, createProjects } from './server/projects.mjs';
+import { ROLES, assertRole, createAuth, hasRole } from './server/auth.mjs';
+import { REVIEW_COLLECTIONS, applyReviewAction, assertApprovedDiagram, carryReview, parseStatusFilter, statusOf } from './server/review.mjs';
+import { createLlm } from './server/llm.mjs';
+import { extractClassDiagram } from './server/code-extract.mjs';
+import { parseClassDiagram } from './server/class-model.mjs';
+import { generateProject } from './server/code-gen.mjs';
+import { defaultSourcePath, isSourcePath, joinFiles, normalizeFiles, splitFiles } from './server/code-files.mjs';
+import { createZip } from './server/zip.mjs';
+import { compareClassModels } from './server/consistency.mjs';
+import { chunkFiles, collectSourceFiles, readLocalSource, readZipSource } from './server/code-source.mjs';
+import { PLANTUML_KINDS, mermaidToPlantUml, plantUmlToMermaid, splitPlantUml } from './server/plantuml.mjs';
+import { XMI_KINDS, mermaidToXmi, xmiToMermaid } from './server/xmi.mjs';
+import { REQ_LEVELS, assertValidParent, buildTraceMatrix, buildTraceGraph } from './server/trace.mjs';
+import { planRequirementImport, readRequirementTable } from './server/req-import.mjs';
+import { applyBundleImport, createBundle, planBundleImport, readBundle } from './server/bundle.mjs';
+import { validateMermaid, assertValidMermaid } from './server/mermaid-validate.mjs';
+import { repairMermaid } from './server/mermaid-repair.mjs';
+import { RENDER_FORMATS, renderDiagram } from './server/mermaid-render.mjs';
+import { REPORT_TEMPLATE_FORMATS, generateSdd, loadReportTemplate } from './server/report.mjs';
 
 /** Node ESM에서 __dirname 대체 */
 const __filename = fileURLToPath(import.meta.url);
@@ -39,58 +92,152 @@ const __dirname = path.dirname(__filename);
 /** 데이터 파일 경로 */
 const DATA_DIR = path.join(__dirname, 'outputs');
 const DB_PATH = path.join(DATA_DIR, 'db.json');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'db.sqlite');
 
 /** Express 앱 설정 */
 const app = express();
-app.use(cors()); // TODO: 운영환경에선 origin 화이트리스트 설정 권장
-app.use(express.json({ limit: '5mb' })); // 요청 본문 최대 크기 제한
+// CORS_ORIGINS 가 있으면 그 Origin 만 허용 (없으면 데모 편의상 전체 허용)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+app.use(cors(CORS_ORIGINS.length ? { origin: CORS_ORIGINS } : undefined));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '20mb' })); // 요청 본문 최대 크기 제한
 
 // -------------------- DB 유틸 --------------------
 /**
  * @typedef {'SYS'|'SW'|'SW_DES'|'SW_TEST'} ReqType
- * @typedef {{ id: string, reqType: ReqType, title?: string, desc?: string }} Requirement
- * @typedef {{ codeId: string, language: string, code: string, swReqId?: string }} CodeItem
- * @typedef {{ diagramId: string, kind: 'usecase'|'sequence'|'class'|'activity', mermaid: string, links?: Record<string, any> }} Diagram
- * @typedef {{ requirements: Record<string, Requirement>, codes: Record<string, CodeItem>, diagrams: Record<string, Diagram> }} DB
+ * @typedef {{ id: string, reqType: ReqType, title?: string, desc?: string, parentId?: string, status?: ReviewStatus, review?: object }} Requirement
+ * @typedef {{ path: string, content: string }} CodeFile
+ * @typedef {{ codeId: string, language: string, code: string, files?: CodeFile[], swReqId?: string }} CodeItem
+ *  - files: 다중 파일 코드(파일 트리). 있으면 code는 '=== FILE: 경로 ===' 마커로 이어 붙인 전체 텍스트
+ * @typedef {'usecase'|'sequence'|'class'|'activity'|'state'|'er'|'component'|'deployment'} DiagramKind
+ * @typedef {{ diagramId: string, kind: DiagramKind, mermaid: string, links?: Record<string, any>, status?: ReviewStatus, review?: object }} Diagram
+ * @typedef {'draft'|'in_review'|'approved'|'obsolete'} ReviewStatus  - 검토 상태 + review(이력/승인 기록)는 server/review.mjs
+ * @typedef {'manual'|'req2mm'|'code2mm'|'mm2code'|'import'|'restore'|'delete'|'cascade'|'review'} RevisionSource
+ * @typedef {{ rev: number, at: string, author: string, source: RevisionSource, deleted?: boolean, item: object }} Revision
+ * @typedef {{ requirements: Record<string, Revision[]>, codes: Record<string, Revision[]>, diagrams: Record<string, Revision[]> }} RevisionStore
+ * @typedef {{ requirements: Record<string, Requirement>, codes: Record<string, CodeItem>, diagrams: Record<string, Diagram>, revisions: RevisionStore }} DB
+ *
+ * 모든 레코드는 저장소가 관리하는 { version: number, updatedAt: string, updatedBy: string } 필드를 추가로 가진다.
+ */
+
+/**
+ * 프로젝트별 저장소 (쓰기 직렬화 + 레코드 버전 + 이력), 백엔드는 STORAGE_BACKEND로 선택
+ * - 기본 프로젝트는 DB_PATH / SQLITE_PATH 그대로, 그 외는 outputs/projects/<id>/
  */
+const projects = createProjects({
+  dataDir: DATA_DIR,
+  backend: process.env.STORAGE_BACKEND || 'json',
+  jsonPath: DB_PATH,
+  sqlitePath: SQLITE_PATH,
+});
+// 시작 시 기본 프로젝트 저장소를 열어 백엔드 설정 오류를 바로 알림
+const STORAGE_BACKEND = (await projects.open(DEFAULT_PROJECT_ID)).store.backend;
+
+/** 사용자 계정/로그인 토큰 (outputs/users.json) */
+const auth = createAuth({ dataDir: DATA_DIR, sessionTtlHours: process.env.AUTH_SESSION_HOURS });
+// 사용자가 없으면 환경변수의 첫 관리자를 만듦 (서버만 띄워 쓰는 구성용)
+if (process.env.AUTH_ADMIN_USER && (await auth.status()).setupRequired) {
+  await auth.setup({ username: process.env.AUTH_ADMIN_USER, password: process.env.AUTH_ADMIN_PASSWORD });
+  console.log(`[auth] 첫 관리자 생성: ${process.env.AUTH_ADMIN_USER}`);
+}
+
+/** 로그인 없이 부르는 인증 API */
+const PUBLIC_PATHS = new Set(['/auth/status', '/auth/login', '/auth/setup']);
+
+/** 저장소를 바꾸지 않는 POST (조회/검증/내보내기 → viewer 허용) */
+const VIEWER_POSTS = new Set(['/validate/mermaid', '/verify/consistency', '/render', '/export/zip', '/export/diagrams', '/report/sdd']);
+
+const isProjectsPath = (p) => p === '/projects' || p.startsWith('/projects/');
 
-/** outputs 디렉토리 생성 보장 */
-async function ensureDir() {
-  await fs.mkdir(DATA_DIR, { recursive: true });
+/**
+ * 요청에 필요한 역할
+ * - 조회(GET)와 VIEWER_POSTS 는 viewer, 사용자 관리와 프로젝트 변경은 admin
+ * - 그 밖의 쓰기(저장/삭제/복원/변환/가져오기)는 editor — 새 라우트도 기본으로 editor
+ */
+function requiredRole(req) {
+  if (req.path.startsWith('/auth/users')) return 'admin';
+  if (isProjectsPath(req.path)) return req.method === 'GET' ? 'viewer' : 'admin';
+  if (req.method === 'GET' || req.method === 'HEAD' || VIEWER_POSTS.has(req.path) || req.path.startsWith('/auth/')) return 'viewer';
+  return 'editor';
 }
 
-/** DB 로딩 (없으면 빈 구조 반환) */
-async function loadDb() {
-  await ensureDir();
+const bearerToken = (req) => (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1] || '';
+
+/**
+ * 로그인 사용자 → req.user, 역할 검사
+ * - 토큰 없음/만료 401 (AUTH_REQUIRED | INVALID_TOKEN), 역할 부족 403 FORBIDDEN
+ */
+app.use('/api', async (req, res, next) => {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+  try {
+    req.user = await auth.authenticate(bearerToken(req));
+    assertRole(req.user, requiredRole(req));
+    next();
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/** 이력/레코드에 남길 작성자 (로그인 사용자) */
+const authorOf = (req) => req.user?.username;
+
+/**
+ * 요청 프로젝트 → req.project / req.store
+ * - X-Project-Id 헤더, 없으면 ?project= 쿼리, 둘 다 없으면 기본 프로젝트
+ * - 없는 프로젝트는 404 PROJECT_NOT_FOUND, 보관된 프로젝트는 읽기 전용(쓰기 시 409 PROJECT_ARCHIVED)
+ * - /api/projects (프로젝트 관리 API), /api/auth 는 제외
+ */
+app.use('/api', async (req, res, next) => {
+  if (isProjectsPath(req.path) || req.path.startsWith('/auth/')) return next();
   try {
-    const buf = await fs.readFile(DB_PATH, 'utf8');
-    const j = JSON.parse(buf);
-    return {
-      requirements: j.requirements || {},
-      codes:        j.codes || {},
-      diagrams:     j.diagrams || {},
-    };
-  } catch {
-    return { requirements: {}, codes: {}, diagrams: {} };
+    const { project, store } = await projects.open(req.get('X-Project-Id') || req.query.project || DEFAULT_PROJECT_ID);
+    req.project = project;
+    req.store = store;
+    next();
+  } catch (e) {
+    sendError(res, e);
   }
+});
+
+/** URL 타입 → 컬렉션 이름 */
+const COLLECTION_BY_TYPE = { req: 'requirements', code: 'codes', diagram: 'diagrams' };
+
+/**
+ * 낙관적 동시성: 요청이 기대하는 레코드 버전
+ * - If-Match 헤더("3" 또는 W/"3") 우선, 없으면 body.expectedVersion
+ * - 둘 다 없으면 undefined (버전 검사 없이 덮어쓰기)
+ */
+function expectedVersionOf(req) {
+  const h = req.get('If-Match');
+  if (h) return h.replace(/^W\//, '').replace(/"/g, '');
+  return req.body?.expectedVersion;
 }
 
-/** DB 저장 (임시파일→rename으로 반쯤 원자적 저장) */
-async function saveDb(db) {
-  await ensureDir();
-  const tmp = DB_PATH + '.tmp';
-  await fs.writeFile(tmp, JSON.stringify(db, null, 2), 'utf8');
-  await fs.rename(tmp, DB_PATH);
+/** 단건 응답에 ETag(레코드 버전) 부여 */
+function sendRecord(res, item) {
+  res.set('ETag', `"${item.version ?? 0}"`);
+  res.json(item);
 }
 
-// -------------------- OpenAI --------------------
-/** OpenAI Responses API 클라이언트 */
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+/**
+ * 저장소/검증 예외 → HTTP 응답
+ * - status가 있는 예외(409 VERSION_CONFLICT, 404 NOT_FOUND, 422 INVALID_MERMAID)는 그대로
+ * - 그 외는 fallback 상태코드 + 메시지
+ */
+function sendError(res, e, fallback = 400) {
+  if (e?.status) {
+    return res.status(e.status).json({
+      error: e.code || String(e),
+      message: e.message,
+      ...(e.current !== undefined ? { current: e.current } : {}),
+      ...(e.errors !== undefined ? { errors: e.errors } : {}),
+    });
+  }
+  res.status(fallback).json({ error: String(e) });
+}
 
-/** 사용할 모델 ID (기본값 gpt-4o-mini) */
-const MODEL = process.env.MODEL_ID || 'gpt-4o-mini';
+// -------------------- LLM --------------------
+/** LLM 공급자 (LLM_PROVIDER: openai | local | mock) */
+const llm = createLlm();
 
 /** 필수값 공통 검사 */
 function assertNonEmpty(name, v) {
@@ -111,23 +258,31 @@ function stripMermaidFences(s) {
   return t.trim();
 }
 
+/** 코드 출력 전체를 감싼 ```lang ... ``` 제거 */
+function stripCodeFences(s) {
+  return String(s || '').trim().replace(/^```[\w+#-]*[ \t]*\n/, '').replace(/\n?```$/, '');
+}
+
 /**
- * OpenAI 호출 공통 래퍼
- * - developer 메시지: "결과만 출력" 강제
+ * LLM 호출 공통 래퍼
+ * - task/kind: mock 공급자의 fixture 선택 키 (task: req2mm | code2mm | mm2code | repair | fill | summarize)
  * - 반환: 출력 텍스트(트림)
  */
-async function runOpenAI(prompt) {
-  const res = await client.responses.create({
-    model: MODEL,
-    input: [
-      { role: 'developer', content: [{ type: 'input_text', text: '너는 변환 엔진이다. 결과만 출력하고 설명은 금지.' }] },
-      { role: 'user', content: [{ type: 'input_text', text: prompt }] }
-    ]
-  });
-  return (res.output_text?.trim() || '');
+async function runLLM(prompt, { task, kind } = {}) {
+  return llm.complete(prompt, { task, kind });
 }
 
 // -------------------- Mermaid kind 매핑 --------------------
+/** 지원 다이어그램 종류 (변환/저장/목록 필터 공통) */
+const DIAGRAM_KINDS = ['usecase', 'sequence', 'class', 'activity', 'state', 'er', 'component', 'deployment'];
+
+function assertDiagramKind(name, kind) {
+  assertNonEmpty(name, kind);
+  if (!DIAGRAM_KINDS.includes(String(kind).toLowerCase())) {
+    throw new Error(`${name}는 ${DIAGRAM_KINDS.join(' | ')} 중 하나여야 합니다: ${kind}`);
+  }
+}
+
 /**
  * usecase/activity → flowchart 강제 + 스타일 가드
  * 반환: { token, direction, guard }
@@ -185,6 +340,92 @@ classDef decision fill:#ffd,stroke:#cc4,color:#221;
   }
 
   if (k === 'sequence') return { token: 'sequenceDiagram', direction: '', guard: '' };
+
+  // ── State machine (stateDiagram-v2)
+  if (k === 'state') {
+    const guard = `
+[중요] Mermaid stateDiagram-v2 생성 규칙
+[헤더] 첫 줄은 'stateDiagram-v2'. 코드블록(\u0060\u0060\u0060) 금지. flowchart 사용 금지.
+[구성]
+- 상태 id는 ASCII(PascalCase). 한글 이름은 'state "대기" as Idle' 로 선언 후 id로 참조.
+- 시작/종료: [*] --> Idle / Done --> [*]
+- 전이: A --> B : 이벤트 [가드] / 동작   (라벨 안에 ':' 추가 사용 금지)
+- 복합 상태: state Active { ... } (내부에도 [*] 시작 전이)
+- 분기/병렬: state check <<choice>> / state fork1 <<fork>> / state join1 <<join>>, 동시 영역은 '--' 줄로 구분
+- 금지: '->' 단일 화살표, 예약어 id(end, state, note, class)
+[형식 예]
+stateDiagram-v2
+[*] --> Idle
+Idle --> Measuring : start
+Measuring --> Alarm : temp > limit
+Alarm --> Idle : ack
+Measuring --> [*] : stop
+`;
+    return { token: 'stateDiagram-v2', direction: '', guard };
+  }
+
+  // ── ER 모델 (erDiagram)
+  if (k === 'er') {
+    const guard = `
+[중요] Mermaid erDiagram 생성 규칙 (영속 데이터 모델)
+[헤더] 첫 줄은 'erDiagram'. 코드블록(\u0060\u0060\u0060) 금지.
+[구성]
+- 엔티티 이름은 ASCII 대문자/밑줄(예: SENSOR_READING). 한글 이름 금지.
+- 속성: ENTITY { type name PK|FK|UK "설명" } — type/name은 공백 없는 ASCII
+- 관계: A ||--o{ B : "records"   (카디널리티 |o || }o }| / 식별 '--', 비식별 '..')
+- 모든 관계 줄에 ': "라벨"' 필수.
+[형식 예]
+erDiagram
+SENSOR ||--o{ READING : "records"
+SENSOR {
+  int id PK
+  string name
+}
+READING {
+  int id PK
+  int sensor_id FK
+  float value
+  datetime measured_at
+}
+`;
+    return { token: 'erDiagram', direction: '', guard };
+  }
+
+  // ── Component 스타일 flowchart (Mermaid에 component 토큰 없음)
+  if (k === 'component') {
+    const guard = `
+[중요] Mermaid에는 'component' 다이어그램 토큰이 없다. 반드시 flowchart로 작성.
+[형식] 첫 줄은 'flowchart LR'. 코드블록(\u0060\u0060\u0060) 금지.
+[매핑 규칙]
+- 서브시스템/패키지: subgraph Core [Core] ... end
+- 컴포넌트: 네모 노드 + 라벨에 «component». 예) ctrl[«component» Controller]:::component
+- 제공 인터페이스: 원 노드. 예) iAlert((IAlert)):::iface,  ctrl --- iAlert
+- 요구 인터페이스 사용: 점선. 예) ui -.->|uses| iAlert
+- 외부 시스템: 예) smtp[«external» SMTP]:::external
+- 금지: 'component', 'componentDiagram' 토큰, <<...>> 표기(«...» 사용), 예약어 id(end, class, style)
+[스타일 classDef]
+classDef component fill:#eef,stroke:#99f,color:#001;
+classDef iface fill:#fff,stroke:#666,color:#111;
+classDef external fill:#f4f4f4,stroke:#999,stroke-dasharray:3 3,color:#333;
+`;
+    return { token: 'flowchart', direction: 'LR', guard };
+  }
+
+  // ── Deployment 스타일 flowchart (노드 = subgraph)
+  if (k === 'deployment') {
+    const guard = `
+[중요] Mermaid에는 'deployment' 다이어그램 토큰이 없다. 반드시 flowchart로 작성.
+[형식] 첫 줄은 'flowchart TB'. 코드블록(\u0060\u0060\u0060) 금지.
+[매핑 규칙]
+- 장치/실행 환경(노드): subgraph gw ["«device» Gateway"] ... end  (중첩 가능: «executionEnvironment»)
+- 배포 산출물: 네모 노드 + «artifact». 예) fw[«artifact» firmware.bin]:::artifact
+- 통신 경로: 노드(subgraph) 사이 또는 산출물 사이 연결 + 프로토콜 라벨. 예) gw -->|MQTT| srv
+- 금지: 'deployment', 'deploymentDiagram' 토큰, <<...>> 표기(«...» 사용), 예약어 id(end, class, style)
+[스타일 classDef]
+classDef artifact fill:#efe,stroke:#6c6,color:#030;
+`;
+    return { token: 'flowchart', direction: 'TB', guard };
+  }
   if (k === 'class') {
     const guard = `
 [중요] Mermaid classDiagram 생성 규칙 (코드를 이미 개발했다고 가정하여 도메인 모델을 추출)
@@ -225,6 +466,24 @@ function normalizeMermaidOutput(kind, text) {
   // 헤더 강제 교정
   if (/^usecaseDiagram\b/i.test(first)) s = `flowchart LR\n${rest}`;
   if (/^activityDiagram\b/i.test(first)) s = `flowchart TD\n${rest}`;
+  if (/^componentDiagram\b/i.test(first)) s = `flowchart LR\n${rest}`;
+  if (/^deploymentDiagram\b/i.test(first)) s = `flowchart TB\n${rest}`;
+  if (/^(stateDiagram(?!-v2\b)\w*|stateMachine\w*)\b/i.test(first)) s = `stateDiagram-v2\n${rest}`;
+  if (/^(erDiagram\w+|entityRelationship\w*)\b/i.test(first)) s = `erDiagram\n${rest}`;
+
+  const k = String(kind || '').toLowerCase();
+  if (k === 'state') {
+    // 단일 화살표(->)를 전이(-->)로
+    s = s.replace(/^(\s*(?:\[\*\]|[\w.]+))\s*->\s*(?=\S)/gm, '$1 --> ');
+  }
+  if (k === 'er') {
+    // 라벨 없는 관계 줄에 빈 라벨 추가 (erDiagram은 ': 라벨' 필수)
+    s = s.replace(/^(\s*[\w-]+\s*[|}o][|o](?:--|\.\.)[|o{][|{]\s*[\w-]+)\s*$/gm, '$1 : ""');
+  }
+  if (k === 'component' || k === 'deployment') {
+    // flowchart 라벨 안의 <<stereotype>> → «stereotype»
+    s = s.replace(/<<\s*([\w -]+?)\s*>>/g, '«$1»');
+  }
   // 스테레오타입 표기 교정: <<...>> → «...»
   s = s.replace(/<<\s*actor\s*>>/gi, '«actor»')
        .replace(/<<\s*include\s*>>/gi, '«include»')
@@ -328,6 +587,263 @@ classDef decision fill:#ffd,stroke:#cc4,color:#221;`;
   return t;
 }
 
+// -------------------- Mermaid 생성 + 자동 수정 --------------------
+/** 문법 오류 시 자동 수정 최대 횟수 */
+const MERMAID_REPAIR_MAX = Math.max(0, Number.parseInt(process.env.MERMAID_REPAIR_MAX ?? '2', 10) || 0);
+
+/** LLM 출력 → 종류별 정규화 (헤더/표기 교정, activity는 id 보정까지) */
+function postprocessMermaid(kind, text) {
+  const mermaid = normalizeMermaidOutput(kind, text);
+  return String(kind).toLowerCase() === 'activity' ? sanitizeActivityFlowchart(mermaid) : mermaid;
+}
+
+/** 자동 수정 프롬프트: 오류 위치 + 깨진 원문 + 종류별 가드 */
+function buildRepairPrompt(kind, mermaid, errors) {
+  const cfg = mermaidKindConfig(kind);
+  const header = cfg.token === 'flowchart' ? `flowchart ${cfg.direction}` : cfg.token;
+  const errText = errors.map(e => `- ${e.line}행${e.column ? ` ${e.column}열` : ''}: ${e.message}`).join('\n');
+  const numbered = mermaid.split('\n').map((l, i) => `${String(i + 1).padStart(3)}| ${l}`).join('\n');
+  return `[목표] 아래 ${kind} Mermaid는 파서 오류로 렌더링되지 않는다. 오류를 고친 Mermaid 1개를 출력.
+[형식] 첫 줄에 '${header}' 를 사용.
+${cfg.guard}
+[규칙] 다이어그램의 의미(노드/관계/라벨)는 유지하고 문법만 고칠 것.
+[출력] 수정된 Mermaid 코드 전체만. 행 번호와 코드블록(\u0060\u0060\u0060) 금지.
+[파서 오류]
+${errText}
+[원문(행 번호 포함)]
+${numbered}`;
+}
+
+/**
+ * Mermaid 생성 (+ 문법 오류 시 제한 횟수 자동 수정)
+ * - 생성 → 정규화 → 검증. 오류면 오류/원문/가드를 모델에 되돌려 최대 MERMAID_REPAIR_MAX회 재시도 (server/mermaid-repair.mjs)
+ * - 검증 생략(valid: null)이면 수정하지 않음
+ * 반환: { mermaid, validation, repair: { attempts, max, valid, tries: [{ attempt, result: 'empty'|'invalid'|'valid', errors? }] } }
+ */
+async function generateMermaid(task, kind, prompt) {
+  const mermaid = postprocessMermaid(kind, await runLLM(prompt, { task, kind }));
+  return repairMermaid(mermaid, await validateMermaid(mermaid), {
+    max: MERMAID_REPAIR_MAX,
+    repair: async (broken, errors) => postprocessMermaid(kind, await runLLM(buildRepairPrompt(kind, broken, errors), { task: 'repair', kind })),
+    validate: validateMermaid,
+  });
+}
+
+// ===================================================================
+// 인증/사용자 APIs (Auth)
+//  - 토큰은 Authorization: Bearer <token> 으로 전달 (server/auth.mjs)
+//  - status/login/setup 외에는 로그인 필요, /api/auth/users* 는 admin
+// ===================================================================
+
+/**
+ * 인증 상태
+ * GET /api/auth/status
+ * resp: { setupRequired, roles }  (setupRequired: 사용자가 없어 첫 관리자를 만들어야 함)
+ */
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    res.json({ ...(await auth.status()), roles: ROLES });
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
+/**
+ * 첫 관리자 만들기 + 로그인 (사용자가 없을 때만, 있으면 409 SETUP_DONE)
+ * POST /api/auth/setup
+ * body: { username, password, displayName? }
+ * resp: { ok, token, expiresAt, user }
+ */
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    const { username, password, displayName } = req.body || {};
+    res.json({ ok: true, ...(await auth.setup({ username, password, displayName })) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 로그인
+ * POST /api/auth/login
+ * body: { username, password }
+ *  - 실패 401 INVALID_CREDENTIALS, 연속 실패로 잠기면 429 LOGIN_LOCKED
+ * resp: { ok, token, expiresAt, user }
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json({ ok: true, ...(await auth.login(username, password)) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 로그아웃 (현재 토큰 폐기)
+ * POST /api/auth/logout
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(bearerToken(req));
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 로그인 사용자
+ * GET /api/auth/me
+ * resp: { user }
+ */
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * 본인 비밀번호 변경 (다른 기기의 로그인은 해제)
+ * POST /api/auth/password
+ * body: { currentPassword, newPassword }
+ * resp: { ok, user }
+ */
+app.post('/api/auth/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    res.json({ ok: true, user: await auth.changePassword(req.user.username, currentPassword, newPassword, bearerToken(req)) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 사용자 목록 (admin)
+ * GET /api/auth/users
+ * resp: { items: [{ username, displayName, role, disabled, createdAt, updatedAt, lastLoginAt? }], roles }
+ */
+app.get('/api/auth/users', async (req, res) => {
+  try {
+    res.json({ items: await auth.listUsers(), roles: ROLES });
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
+/**
+ * 사용자 추가 (admin)
+ * POST /api/auth/users
+ * body: { username, password, role?: 'viewer'|'editor'|'approver'|'admin' (기본 viewer), displayName? }
+ *  - 이미 있는 사용자 이름은 409 USER_EXISTS
+ * resp: { ok, user }
+ */
+app.post('/api/auth/users', async (req, res) => {
+  try {
+    const { username, password, role, displayName } = req.body || {};
+    res.json({ ok: true, user: await auth.createUser({ username, password, role, displayName }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 사용자 수정 (admin)
+ * POST /api/auth/users/:username
+ * body: { displayName?, role?, password?, disabled? }
+ *  - 비밀번호 재설정/비활성화 시 그 사용자의 로그인은 모두 해제
+ *  - 마지막 관리자의 역할 변경/비활성화는 400 LAST_ADMIN
+ * resp: { ok, user }
+ */
+app.post('/api/auth/users/:username', async (req, res) => {
+  try {
+    const { displayName, role, password, disabled } = req.body || {};
+    res.json({ ok: true, user: await auth.updateUser(req.params.username, { displayName, role, password, disabled }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ===================================================================
+// 프로젝트 APIs (Projects)
+//  - 프로젝트마다 요구사항/코드/다이어그램/이력이 따로 저장됨 (server/projects.mjs)
+//  - 나머지 /api/* 는 X-Project-Id 헤더(또는 ?project=)의 프로젝트 기준
+// ===================================================================
+
+/**
+ * 프로젝트 목록
+ * GET /api/projects?archived=1
+ *  - archived=1 이면 보관된 프로젝트 포함
+ * resp: { items: [{ id, name, createdAt, updatedAt, archived, archivedAt?, clonedFrom? }], defaultId }
+ */
+app.get('/api/projects', async (req, res) => {
+  try {
+    const archived = ['1', 'true', 'yes'].includes(String(req.query.archived || '').toLowerCase());
+    res.json({ items: await projects.list({ archived }), defaultId: DEFAULT_PROJECT_ID });
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
+/**
+ * 프로젝트 생성 (빈 저장소)
+ * POST /api/projects
+ * body: { name, id? }
+ *  - id 생략 시 이름에서 만듦 (영문/숫자가 없으면 'project', 겹치면 '-2' …)
+ *  - 이미 있는 id는 409 PROJECT_EXISTS
+ * resp: { ok, project }
+ */
+app.post('/api/projects', async (req, res) => {
+  try {
+    const { id, name } = req.body || {};
+    res.json({ ok: true, project: await projects.create({ id, name }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 프로젝트 이름 변경
+ * POST /api/projects/:id/rename
+ * body: { name }
+ * resp: { ok, project }
+ */
+app.post('/api/projects/:id/rename', async (req, res) => {
+  try {
+    res.json({ ok: true, project: await projects.rename(req.params.id, req.body?.name) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 프로젝트 복제 (요구사항/코드/다이어그램 + 이력 전체)
+ * POST /api/projects/:id/clone
+ * body: { name?, id? }  (name 생략 시 '<원본 이름> (사본)')
+ * resp: { ok, project }
+ */
+app.post('/api/projects/:id/clone', async (req, res) => {
+  try {
+    const { id, name } = req.body || {};
+    res.json({ ok: true, project: await projects.clone(req.params.id, { id, name }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 프로젝트 보관 / 보관 해제
+ * POST /api/projects/:id/archive
+ * body: { archived?: boolean } (기본 true, false면 보관 해제)
+ *  - 보관된 프로젝트는 목록에서 숨겨지고 읽기 전용, 기본 프로젝트는 보관 불가(400 PROJECT_DEFAULT)
+ * resp: { ok, project }
+ */
+app.post('/api/projects/:id/archive', async (req, res) => {
+  try {
+    const archived = req.body?.archived === undefined ? true : req.body.archived === true || req.body.archived === 'true';
+    res.json({ ok: true, project: await projects.archive(req.params.id, archived) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
 // ===================================================================
 // 목록 API (List)
@@ -335,17 +851,25 @@ classDef decision fill:#ffd,stroke:#cc4,color:#221;`;
 
 /**
  * 요구사항 목록
- * GET /api/list/req?type=SYS|SW|SW_DES|SW_TEST (옵션)
- * 응답: { items: Array<{ id, reqType, title, desc }> }
+ * GET /api/list/req?type=SYS|SW|SW_DES|SW_TEST (옵션)&status=draft|in_review|approved|obsolete (옵션, ','로 여러 개)
+ * 응답: { items: Array<{ id, reqType, title, desc, parentId, status }> }
+ *  - 모르는 status면 400
  */
 app.get('/api/list/req', async (req, res) => {
+  let statuses;
+  try {
+    statuses = parseStatusFilter(req.query.status);
+  } catch (e) {
+    return res.status(400).json({ error: String(e) });
+  }
   try {
     const { type = '' } = req.query;
-    const db = await loadDb();
-    const items = Object.values(db.requirements);
-    const filtered = type ? items.filter(r => (r.reqType || '') === type) : items;
+    const items = await req.store.list('requirements');
+    const filtered = items
+      .filter(r => !type || (r.reqType || '') === type)
+      .filter(r => !statuses.length || statuses.includes(statusOf(r)));
     res.json({
-      items: filtered.map(r => ({ id: r.id, reqType: r.reqType, title: r.title || '', desc: r.desc || '' }))
+      items: filtered.map(r => ({ id: r.id, reqType: r.reqType, title: r.title || '', desc: r.desc || '', parentId: r.parentId || '', status: statusOf(r) }))
     });
   } catch (e) {
     res.status(500).json({ error: String(e) });
@@ -355,15 +879,15 @@ app.get('/api/list/req', async (req, res) => {
 /**
  * 소스코드 목록
  * GET /api/list/code
- * 응답: { items: Array<{ codeId, language, code, swReqId }> }
+ * 응답: { items: Array<{ codeId, language, code, files?: string[] (경로만), swReqId }> }
  */
 app.get('/api/list/code', async (req, res) => {
   try {
-    const db = await loadDb();
-    const items = Object.values(db.codes).map(c => ({
+    const items = (await req.store.list('codes')).map(c => ({
       codeId: c.codeId,
       language: c.language,
       code: c.code,
+      ...(c.files ? { files: c.files.map(f => f.path) } : {}),
       swReqId: c.swReqId || ''
     }));
     res.json({ items });
@@ -374,23 +898,32 @@ app.get('/api/list/code', async (req, res) => {
 
 /**
  * 다이어그램 목록
- * GET /api/list/diagram?kind=usecase|sequence|class|activity (옵션)
- * 응답: { items: Array<{ diagramId, kind, mermaid, links }> }
+ * GET /api/list/diagram?kind=usecase|sequence|class|activity|state|er|component|deployment (옵션, ','로 여러 개)
+ *                       &status=draft|in_review|approved|obsolete (옵션, ','로 여러 개)
+ * 응답: { items: Array<{ diagramId, kind, mermaid, links, status }> }
+ *  - 모르는 kind/status면 400
  */
 app.get('/api/list/diagram', async (req, res) => {
+  let kinds, statuses;
   try {
-    const { kind = '' } = req.query;
-    const db = await loadDb();
-    const items = Object.values(db.diagrams);
-    const filtered = kind
-      ? items.filter(d => (d.kind || '').toLowerCase() === String(kind).toLowerCase())
-      : items;
+    kinds = String(req.query.kind || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+    kinds.forEach(k => assertDiagramKind('kind', k));
+    statuses = parseStatusFilter(req.query.status);
+  } catch (e) {
+    return res.status(400).json({ error: String(e) });
+  }
+  try {
+    const items = await req.store.list('diagrams');
+    const filtered = items
+      .filter(d => !kinds.length || kinds.includes((d.kind || '').toLowerCase()))
+      .filter(d => !statuses.length || statuses.includes(statusOf(d)));
     res.json({
       items: filtered.map(d => ({
         diagramId: d.diagramId,
         kind: d.kind,
         mermaid: d.mermaid,
-        links: d.links || {}
+        links: d.links || {},
+        status: statusOf(d)
       }))
     });
   } catch (e) {
@@ -402,40 +935,37 @@ app.get('/api/list/diagram', async (req, res) => {
 // 단건 조회 (Get One)
 // ===================================================================
 
-/** GET /api/get/req/:id */
+/** GET /api/get/req/:id  (ETag: 레코드 버전) */
 app.get('/api/get/req/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const db = await loadDb();
-    const r = db.requirements[id];
+    const r = await req.store.get('requirements', id);
     if (!r) return res.status(404).json({ error: 'NOT_FOUND' });
-    res.json(r);
+    sendRecord(res, r);
   } catch (e) {
     res.status(500).json({ error: String(e) });
   }
 });
 
-/** GET /api/get/code/:codeId */
+/** GET /api/get/code/:codeId  (ETag: 레코드 버전) */
 app.get('/api/get/code/:codeId', async (req, res) => {
   try {
     const { codeId } = req.params;
-    const db = await loadDb();
-    const c = db.codes[codeId];
+    const c = await req.store.get('codes', codeId);
     if (!c) return res.status(404).json({ error: 'NOT_FOUND' });
-    res.json(c);
+    sendRecord(res, c);
   } catch (e) {
     res.status(500).json({ error: String(e) });
   }
 });
 
-/** GET /api/get/diagram/:diagramId */
+/** GET /api/get/diagram/:diagramId  (ETag: 레코드 버전) */
 app.get('/api/get/diagram/:diagramId', async (req, res) => {
   try {
     const { diagramId } = req.params;
-    const db = await loadDb();
-    const d = db.diagrams[diagramId];
+    const d = await req.store.get('diagrams', diagramId);
     if (!d) return res.status(404).json({ error: 'NOT_FOUND' });
-    res.json(d);
+    sendRecord(res, d);
   } catch (e) {
     res.status(500).json({ error: String(e) });
   }
@@ -448,198 +978,1240 @@ app.get('/api/get/diagram/:diagramId', async (req, res) => {
 /**
  * 요구사항 저장/업서트
  * POST /api/save/req
- * body: { id, reqType, title?, desc? }
+ * body: { id, reqType, title?, desc?, parentId?, source? }
+ *  - parentId: 상위 요구사항 (SYS → SW → SW_DES → SW_TEST 순으로 앞 단계만 허용)
+ *  - 검토 상태(status/review)는 이어 받음 (승인된 요구사항의 내용이 바뀌면 draft로)
+ *  - expectedVersion(또는 If-Match 헤더)가 현재 버전과 다르면 409 VERSION_CONFLICT
+ * resp: { ok, item, rev }
  */
 app.post('/api/save/req', async (req, res) => {
   try {
-    const { id, reqType, title, desc } = req.body || {};
+    const { id, reqType, title, desc, parentId, source } = req.body || {};
     assertNonEmpty('id', id);
     assertNonEmpty('reqType', reqType);
-    const db = await loadDb();
-    db.requirements[id] = { id, reqType, title: title || '', desc: desc || '' };
-    await saveDb(db);
-    res.json({ ok: true, item: db.requirements[id] });
+    if (!REQ_LEVELS.includes(reqType)) throw new Error(`reqType은 ${REQ_LEVELS.join('|')} 중 하나여야 합니다.`);
+    const data = { id, reqType, title: title || '', desc: desc || '', parentId: parentId || '' };
+    // 상위 검사~저장을 한 트랜잭션으로 (검사 직후 상위가 삭제되는 경우 방지)
+    const { item, rev } = await req.store.transact(tx => {
+      assertValidParent(data, data.parentId ? tx.get('requirements', data.parentId) : null);
+      return tx.put('requirements', id, carryReview(tx.get('requirements', id), data, { by: authorOf(req) }),
+        { author: authorOf(req), source, expectedVersion: expectedVersionOf(req) });
+    });
+    res.json({ ok: true, item, rev });
   } catch (e) {
-    res.status(400).json({ error: String(e) });
+    sendError(res, e);
   }
 });
 
 /**
  * 코드 저장/업서트
  * POST /api/save/code
- * body: { codeId, language, code, swReqId? }
+ * body: { codeId, language, code?, files?, swReqId?, source? }
+ *  - files([{ path, content }])를 주면 다중 파일 항목으로 저장 (code는 files로부터 생성)
+ *  - expectedVersion(또는 If-Match 헤더)가 현재 버전과 다르면 409 VERSION_CONFLICT
+ * resp: { ok, item, rev }
  */
 app.post('/api/save/code', async (req, res) => {
   try {
-    const { codeId, language, code, swReqId } = req.body || {};
+    const { codeId, language, code, files, swReqId, source } = req.body || {};
     assertNonEmpty('codeId', codeId);
     assertNonEmpty('language', language);
-    assertNonEmpty('code', code);
-    const db = await loadDb();
-    db.codes[codeId] = { codeId, language, code, swReqId: swReqId || '' };
-    await saveDb(db);
-    res.json({ ok: true, item: db.codes[codeId] });
+    let tree = files !== undefined && files !== null ? normalizeFiles(files) : null;
+    if (!tree) {
+      assertNonEmpty('code', code);
+      // '=== FILE: 경로 ===' 마커가 있는 텍스트(업로드한 소스 등)도 파일 목록으로 보관
+      const split = splitFiles(code, defaultSourcePath(language));
+      if (split.length > 1) tree = split;
+    }
+    const { item, rev } = await req.store.put('codes', codeId,
+      { codeId, language, code: tree ? joinFiles(tree) : code, ...(tree ? { files: tree } : {}), swReqId: swReqId || '' },
+      { author: authorOf(req), source, expectedVersion: expectedVersionOf(req) });
+    res.json({ ok: true, item, rev });
   } catch (e) {
-    res.status(400).json({ error: String(e) });
+    sendError(res, e);
   }
 });
 
 /**
  * 다이어그램 저장/업서트
  * POST /api/save/diagram
- * body: { diagramId, kind, mermaid, links? }
+ * body: { diagramId, kind, mermaid, links?, source?, force? }
+ *  - source: 'manual' | 'req2mm' | 'code2mm' | 'mm2code' | 'import' (이력에 기록)
+ *  - Mermaid 문법 오류면 422 INVALID_MERMAID { errors } (force: true면 그대로 저장)
+ *  - 검토 상태(status/review)는 이어 받음 (승인된 다이어그램의 내용이 바뀌면 draft로)
+ *  - expectedVersion(또는 If-Match 헤더)가 현재 버전과 다르면 409 VERSION_CONFLICT
+ * resp: { ok, item, rev, validation }
  */
 app.post('/api/save/diagram', async (req, res) => {
   try {
-    const { diagramId, kind, mermaid, links } = req.body || {};
+    const { diagramId, kind, mermaid, links, source, force } = req.body || {};
     assertNonEmpty('diagramId', diagramId);
-    assertNonEmpty('kind', kind);
+    assertDiagramKind('kind', kind);
     assertNonEmpty('mermaid', mermaid);
-    const db = await loadDb();
-    db.diagrams[diagramId] = {
-      diagramId,
-      kind,
-      mermaid: stripMermaidFences(mermaid),
-      links: links || {}
-    };
-    await saveDb(db);
-    res.json({ ok: true, item: db.diagrams[diagramId] });
+    const code = stripMermaidFences(mermaid);
+    const validation = await assertValidMermaid(code, { force: force === true || force === 'true' });
+    const data = { diagramId, kind, mermaid: code, links: links || {} };
+    const { item, rev } = await req.store.transact(tx => tx.put('diagrams', diagramId,
+      carryReview(tx.get('diagrams', diagramId), data, { by: authorOf(req) }),
+      { author: authorOf(req), source, expectedVersion: expectedVersionOf(req) }));
+    res.json({ ok: true, item, rev, validation });
   } catch (e) {
-    res.status(400).json({ error: String(e) });
+    sendError(res, e);
   }
 });
 
 // ===================================================================
-// 변환 APIs (요구사항→MM, 코드→MM, MM→코드)
+// 삭제 APIs (Delete)
 // ===================================================================
 
 /**
- * 요구사항 → Mermaid
- * POST /api/convert/req2mm
- * body: { reqType, reqId, title?, desc?, diagramKind, diagramId }
- * resp: { ok, mermaid, diagramId, kind, linked: { reqId } }
+ * 삭제 대상을 가리키는 참조 수집
+ * - req     : requirements[].parentId, diagrams[].links.reqId / links.swReqId, codes[].swReqId
+ * - code    : diagrams[].links.codeId
+ * - diagram : (현재 다이어그램을 가리키는 필드 없음)
+ * 반환: Array<{ collection: 'requirements'|'diagrams'|'codes', id: string, field: string }>
  */
-app.post('/api/convert/req2mm', async (req, res) => {
-  try {
-    const { reqType, reqId, title, desc, diagramKind, diagramId } = req.body || {};
-    assertNonEmpty('reqType', reqType);
-    assertNonEmpty('reqId', reqId);
-    assertNonEmpty('diagramKind', diagramKind);
-    assertNonEmpty('diagramId', diagramId);
+function findReferences(tx, type, id) {
+  const refs = [];
+  if (type === 'req') {
+    for (const r of tx.list('requirements')) {
+      if (r.parentId === id) refs.push({ collection: 'requirements', id: r.id, field: 'parentId' });
+    }
+    for (const d of tx.list('diagrams')) {
+      if (d.links?.reqId === id)   refs.push({ collection: 'diagrams', id: d.diagramId, field: 'links.reqId' });
+      if (d.links?.swReqId === id) refs.push({ collection: 'diagrams', id: d.diagramId, field: 'links.swReqId' });
+    }
+    for (const c of tx.list('codes')) {
+      if (c.swReqId === id) refs.push({ collection: 'codes', id: c.codeId, field: 'swReqId' });
+    }
+  }
+  if (type === 'code') {
+    for (const d of tx.list('diagrams')) {
+      if (d.links?.codeId === id) refs.push({ collection: 'diagrams', id: d.diagramId, field: 'links.codeId' });
+    }
+  }
+  return refs;
+}
 
-    const cfg = mermaidKindConfig(diagramKind);
-    const header = cfg.token === 'flowchart' ? `flowchart ${cfg.direction}` : cfg.token;
-    const reqClassExtra =
-      String(diagramKind).toLowerCase() === 'class'
-        ? `
-[요구사항→classDiagram 추가 지침]
-- 단일 클래스 금지. 요구사항에서 추론되는 역할/엔티티/정책/서비스를 2~8개 클래스로 분해.
-- 가능하면 Controller/Service/Model(엔티티)/Policy 등 서로 다른 책임을 분리하고 관계를 명시.
-- 불분명한 세부 정보는 과도하게 가정하지 말고 타입/연관만 간결히 표기.`
-        : '';
-const prompt = `[목표] 아래 요구사항을 ${diagramKind} 관점의 Mermaid 다이어그램 1개 생성.
-[형식] 첫 줄에 '${header}' 를 사용.
-${cfg.guard}
-[출력] Mermaid 코드만. 코드블록(\u0060\u0060\u0060) 금지.
-[입력]
-- 요구사항 유형: ${reqType}
-- 요구사항 ID: ${reqId}
-- 제목: ${title || ''}
-- 내용: ${desc || ''}`;
+/** cascade 삭제: 참조 필드를 빈 문자열로 비움 (레코드 자체는 유지, 변경분은 이력에 기록) */
+function clearReferences(tx, refs, author) {
+  for (const ref of refs) {
+    const item = tx.get(ref.collection, ref.id);
+    if (!item) continue;
+    const next = ref.field.startsWith('links.')
+      ? { ...item, links: { ...(item.links || {}), [ref.field.slice(6)]: '' } }
+      : { ...item, [ref.field]: '' };
+    tx.put(ref.collection, ref.id, next, { author, source: 'cascade' });
+  }
+}
 
-    const mermaidRaw = await runOpenAI(prompt);
-    let mermaid = normalizeMermaidOutput(diagramKind, mermaidRaw);
-    if (String(diagramKind).toLowerCase() === 'activity') {
-      mermaid = sanitizeActivityFlowchart(mermaid);
-    }
-    // 변환 결과만 반환 (저장은 /api/save/diagram 에서)
-    res.json({ ok: true, mermaid, diagramId, kind: diagramKind, linked: { reqId } });
+/**
+ * 공통 삭제 처리 (참조 검사~삭제를 한 트랜잭션으로)
+ * - 없으면 404, 참조가 남아 있고 cascade가 아니면 409 { error: 'REFERENCED', refs }
+ * - cascade면 참조를 비운 뒤 삭제
+ * - 이력은 남겨 두므로 삭제 후에도 /api/history 로 복원 가능
+ */
+async function deleteWithRefs(store, res, { collection, type, id, cascade, author, expectedVersion }) {
+  const result = await store.transact(tx => {
+    if (!tx.get(collection, id)) return { status: 404, body: { error: 'NOT_FOUND' } };
+    const refs = findReferences(tx, type, id);
+    if (refs.length && !cascade) return { status: 409, body: { error: 'REFERENCED', refs } };
+    tx.remove(collection, id, { author, expectedVersion });
+    clearReferences(tx, refs, author);
+    return { status: 200, body: { ok: true, deleted: id, cleared: refs } };
+  });
+  res.status(result.status).json(result.body);
+}
+
+const isCascade = (q) => ['1', 'true', 'yes'].includes(String(q?.cascade || '').toLowerCase());
+
+/**
+ * 요구사항 삭제
+ * DELETE /api/req/:id?cascade=1
+ * resp: { ok, deleted, cleared } | 409 { error: 'REFERENCED', refs }
+ */
+app.delete('/api/req/:id', async (req, res) => {
+  try {
+    await deleteWithRefs(req.store, res, { collection: 'requirements', type: 'req', id: req.params.id, cascade: isCascade(req.query), author: authorOf(req), expectedVersion: expectedVersionOf(req) });
   } catch (e) {
-    res.status(400).json({ error: String(e) });
+    sendError(res, e, 500);
   }
 });
 
 /**
- * 코드 → Mermaid
- * POST /api/convert/code2mm
- * body: { codeId, language, code, diagramKind, diagramId, swReqId, reqJoin? }
- * resp: { ok, mermaid, diagramId, kind, linked: { codeId, swReqId, reqId? } }
+ * 코드 삭제
+ * DELETE /api/code/:codeId?cascade=1
+ * resp: { ok, deleted, cleared } | 409 { error: 'REFERENCED', refs }
  */
-app.post('/api/convert/code2mm', async (req, res) => {
+app.delete('/api/code/:codeId', async (req, res) => {
   try {
-    const { codeId, language, code, diagramKind, diagramId, swReqId, reqJoin } = req.body || {};
-    assertNonEmpty('codeId', codeId);
-    assertNonEmpty('language', language);
-    assertNonEmpty('code', code);
-    assertNonEmpty('diagramKind', diagramKind);
+    await deleteWithRefs(req.store, res, { collection: 'codes', type: 'code', id: req.params.codeId, cascade: isCascade(req.query), author: authorOf(req), expectedVersion: expectedVersionOf(req) });
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
+/**
+ * 다이어그램 삭제
+ * DELETE /api/diagram/:diagramId
+ * resp: { ok, deleted, cleared }
+ */
+app.delete('/api/diagram/:diagramId', async (req, res) => {
+  try {
+    await deleteWithRefs(req.store, res, { collection: 'diagrams', type: 'diagram', id: req.params.diagramId, cascade: isCascade(req.query), author: authorOf(req), expectedVersion: expectedVersionOf(req) });
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
+// ===================================================================
+// 이력 APIs (History / Rollback)
+//  - :type 은 req | code | diagram
+// ===================================================================
+
+/** :type 파라미터 → 컬렉션 이름 (모르는 타입이면 예외) */
+function collectionOf(type) {
+  const c = COLLECTION_BY_TYPE[type];
+  if (!c) throw new Error(`알 수 없는 타입입니다: ${type}`);
+  return c;
+}
+
+/**
+ * 리비전 목록 (본문 제외 메타만)
+ * GET /api/history/:type/:id
+ * resp: { items: Array<{ rev, at, author, source, deleted? }> }
+ */
+app.get('/api/history/:type/:id', async (req, res) => {
+  try {
+    const collection = collectionOf(req.params.type);
+    const list = await req.store.listRevisions(collection, req.params.id);
+    res.json({ items: list.map(({ item, ...meta }) => meta) });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+/**
+ * 리비전 단건 조회
+ * GET /api/history/:type/:id/:rev
+ * resp: { rev, at, author, source, deleted?, item }
+ */
+app.get('/api/history/:type/:id/:rev', async (req, res) => {
+  try {
+    const collection = collectionOf(req.params.type);
+    const r = await req.store.getRevision(collection, req.params.id, req.params.rev);
+    if (!r) return res.status(404).json({ error: 'NOT_FOUND' });
+    res.json(r);
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+/**
+ * 리비전 복원 (해당 스냅샷을 현재 값으로 되돌리고 'restore' 리비전 추가)
+ * POST /api/history/:type/:id/:rev/restore
+ * resp: { ok, item, rev }
+ */
+app.post('/api/history/:type/:id/:rev/restore', async (req, res) => {
+  try {
+    const collection = collectionOf(req.params.type);
+    // 검토 대상은 현재 검토 상태 유지 (승인된 항목을 다른 내용으로 되돌리면 draft, 삭제된 항목을 되살리면 draft)
+    const prepare = REVIEW_COLLECTIONS.includes(collection)
+      ? (current, snapshot) => carryReview(current, snapshot, { by: authorOf(req) })
+      : undefined;
+    const { item, rev } = await req.store.restore(collection, req.params.id, req.params.rev, { author: authorOf(req), prepare });
+    res.json({ ok: true, item, rev });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ===================================================================
+// 검토/승인 APIs (Review)
+//  - :type 은 req | diagram (server/review.mjs)
+//  - 상태: draft → in_review → approved → obsolete, 동작마다 리비전(source: 'review')
+// ===================================================================
+
+/**
+ * 검토 동작
+ * POST /api/review/:type/:id
+ * body: { action: 'submit'|'approve'|'reject'|'comment'|'obsolete'|'reopen', comment?, expectedVersion? }
+ *  - submit(draft → in_review), comment(상태 유지): editor 이상
+ *  - approve(in_review → approved), reject(in_review → draft, 의견 필수), obsolete(→ obsolete), reopen(approved|obsolete → draft): approver 이상
+ *  - 허용되지 않는 전이는 409 INVALID_TRANSITION, 역할 부족은 403 FORBIDDEN
+ *  - expectedVersion(또는 If-Match 헤더)가 현재 버전과 다르면 409 VERSION_CONFLICT (검토한 내용이 바뀐 경우)
+ * resp: { ok, item, rev }
+ */
+app.post('/api/review/:type/:id', async (req, res) => {
+  try {
+    const collection = collectionOf(req.params.type);
+    if (!REVIEW_COLLECTIONS.includes(collection)) throw new Error(`검토 대상이 아닙니다: ${req.params.type} (req | diagram)`);
+    const { action, comment } = req.body || {};
+    const { item, rev } = await req.store.transact(tx => {
+      const current = tx.get(collection, req.params.id);
+      if (!current) throw new NotFoundError(collection, req.params.id);
+      const data = applyReviewAction(current, { action, comment, user: req.user });
+      return tx.put(collection, req.params.id, data, { author: authorOf(req), source: 'review', expectedVersion: expectedVersionOf(req) });
+    });
+    res.json({ ok: true, item, rev });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ===================================================================
+// 추적성 APIs (Traceability)
+//  - SYS → SW → SW_DES → SW_TEST (parentId) → diagram (links) → code
+// ===================================================================
+
+/** 추적성 계산용 전체 목록 (요청 프로젝트의 저장소) */
+async function loadTraceData(store) {
+  const [requirements, diagrams, codes] = await Promise.all(
+    ['requirements', 'diagrams', 'codes'].map(c => store.list(c))
+  );
+  return { requirements, diagrams, codes };
+}
+
+/**
+ * 추적성 매트릭스
+ * GET /api/trace/matrix?type=SYS|SW|SW_DES|SW_TEST&gapsOnly=1 (옵션)
+ *  - type/gapsOnly 는 requirements 행에만 적용 (summary는 항상 전체 기준)
+ * resp: { requirements: [{ id, reqType, title, parentId, children, diagrams, codes, gaps }],
+ *         diagrams: [{ diagramId, kind, reqId, swReqId, codeId, gaps }],
+ *         codes: [{ codeId, language, swReqId, diagrams, gaps }],
+ *         summary: { [SYS|SW|SW_DES|SW_TEST|diagram|code]: { total, covered, gaps: { [code]: n } } } }
+ */
+app.get('/api/trace/matrix', async (req, res) => {
+  try {
+    const { type = '', gapsOnly = '' } = req.query;
+    const m = buildTraceMatrix(await loadTraceData(req.store));
+    const onlyGaps = ['1', 'true', 'yes'].includes(String(gapsOnly).toLowerCase());
+    m.requirements = m.requirements.filter(r => (!type || r.reqType === type) && (!onlyGaps || r.gaps.length));
+    res.json(m);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * 추적성 그래프 (Mermaid flowchart)
+ * GET /api/trace/graph?focus=req:ID|diagram:ID|code:ID&onClick=fnName (옵션)
+ *  - focus: 해당 노드와 연결된 부분만 그림 (없는 노드면 400)
+ *  - onClick: 노드마다 `click <nodeId> call fnName("<nodeId>")` 추가 (securityLevel 'loose' 필요)
+ * resp: { mermaid, nodes: { [nodeId]: { type: 'req'|'diagram'|'code', id, kind?, gaps } } }
+ */
+app.get('/api/trace/graph', async (req, res) => {
+  try {
+    const { focus = '', onClick = '' } = req.query;
+    if (onClick && !/^[A-Za-z_$][\w$]*$/.test(onClick)) throw new Error('onClick은 함수 이름이어야 합니다.');
+    res.json(buildTraceGraph(await loadTraceData(req.store), { focus, onClick }));
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ===================================================================
+// 검증 APIs (Validate / Verify)
+// ===================================================================
+
+/**
+ * Mermaid 문법 검증 (mermaid 파서, 헤드리스)
+ * POST /api/validate/mermaid
+ * body: { mermaid }
+ * resp: { valid: true|false|null, diagramType?, errors: [{ line, column, message, expected? }], skipped? }
+ *  - valid: null 은 검증을 생략한 경우 (MERMAID_VALIDATE=off 또는 파서 미설치)
+ */
+app.post('/api/validate/mermaid', async (req, res) => {
+  try {
+    res.json(await validateMermaid(stripMermaidFences(req.body?.mermaid)));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * 다이어그램 ↔ 코드 정합성 검사 (classDiagram)
+ * POST /api/verify/consistency
+ * body: { diagramId?, codeId?, mermaid?, language?, code?, files? }
+ *  - 다이어그램: diagramId로 DB 조회 (mermaid를 주면 저장 전 텍스트로 비교)
+ *  - 코드: codeId(없으면 다이어그램 links.codeId)로 DB 조회 (language + code/files를 주면 저장 전 코드로 비교)
+ *  - 코드는 정적 추출(server/code-extract.mjs) → 클래스 모델로 비교 (server/consistency.mjs)
+ * resp: { ok, diagramId, codeId, language, linked, report: { consistent, classes, methods, relations } }
+ *  - linked: 다이어그램 links.codeId가 비교한 codeId와 같은지
+ */
+app.post('/api/verify/consistency', async (req, res) => {
+  try {
+    const { diagramId, mermaid, files } = req.body || {};
+    let { codeId, language, code } = req.body || {};
+
+    const diagram = diagramId ? await req.store.get('diagrams', diagramId) : null;
+    if (diagramId && !diagram && !mermaid) throw new NotFoundError('diagrams', diagramId);
+    const mm = stripMermaidFences(mermaid || diagram?.mermaid);
+    assertNonEmpty('mermaid(diagramId)', mm);
+    if (diagram && diagram.kind !== 'class') throw new Error(`정합성 검사는 class 다이어그램만 지원합니다: ${diagramId} (${diagram.kind})`);
+
+    let tree = Array.isArray(files) && files.length ? normalizeFiles(files) : null;
+    if (!tree && !code) {
+      codeId = codeId || diagram?.links?.codeId;
+      assertNonEmpty('codeId', codeId);
+      const item = await req.store.get('codes', codeId);
+      if (!item) throw new NotFoundError('codes', codeId);
+      language = item.language;
+      tree = item.files || null;
+      code = item.code;
+    }
+    assertNonEmpty('language', language);
+    const sources = (tree || splitFiles(code, defaultSourcePath(language))).filter(f => isSourcePath(language, f.path));
+
+    const designed = parseClassDiagram(mm);
+    const implemented = parseClassDiagram(extractClassDiagram(language, sources.map(f => f.content).join('\n')).mermaid);
+    const report = compareClassModels(designed, implemented);
+    res.json({
+      ok: true, diagramId: diagramId || '', codeId: codeId || '', language,
+      linked: !!codeId && diagram?.links?.codeId === codeId, report,
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ===================================================================
+// 변환 APIs (요구사항→MM, 코드→MM, MM→코드)
+// ===================================================================
+
+/**
+ * 요구사항 → Mermaid
+ * POST /api/convert/req2mm
+ * body: { reqType, reqId, title?, desc?, diagramKind, diagramId }
+ * resp: { ok, mermaid, diagramId, kind, linked: { reqId }, validation: { valid, errors: [{ line, column, message }] },
+ *         repair: { attempts, max, valid, tries } }
+ *  - 생성 결과가 문법 오류면 자동 수정 (generateMermaid)
+ */
+app.post('/api/convert/req2mm', async (req, res) => {
+  try {
+    const { reqType, reqId, title, desc, diagramKind, diagramId } = req.body || {};
+    assertNonEmpty('reqType', reqType);
+    assertNonEmpty('reqId', reqId);
+    assertDiagramKind('diagramKind', diagramKind);
+    assertNonEmpty('diagramId', diagramId);
+
+    const cfg = mermaidKindConfig(diagramKind);
+    const header = cfg.token === 'flowchart' ? `flowchart ${cfg.direction}` : cfg.token;
+    const reqClassExtra =
+      String(diagramKind).toLowerCase() === 'class'
+        ? `
+[요구사항→classDiagram 추가 지침]
+- 단일 클래스 금지. 요구사항에서 추론되는 역할/엔티티/정책/서비스를 2~8개 클래스로 분해.
+- 가능하면 Controller/Service/Model(엔티티)/Policy 등 서로 다른 책임을 분리하고 관계를 명시.
+- 불분명한 세부 정보는 과도하게 가정하지 말고 타입/연관만 간결히 표기.`
+        : '';
+const prompt = `[목표] 아래 요구사항을 ${diagramKind} 관점의 Mermaid 다이어그램 1개 생성.
+[형식] 첫 줄에 '${header}' 를 사용.
+${cfg.guard}
+[출력] Mermaid 코드만. 코드블록(\u0060\u0060\u0060) 금지.
+[입력]
+- 요구사항 유형: ${reqType}
+- 요구사항 ID: ${reqId}
+- 제목: ${title || ''}
+- 내용: ${desc || ''}`;
+
+    const { mermaid, validation, repair } = await generateMermaid('req2mm', diagramKind, prompt);
+    // 변환 결과만 반환 (저장은 /api/save/diagram 에서)
+    res.json({ ok: true, mermaid, diagramId, kind: diagramKind, linked: { reqId }, validation, repair });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// -------------------- 소스 입력 (다중 파일 / ZIP / 로컬 경로) --------------------
+/** code2mm 프롬프트에 소스를 그대로 넣는 최대 글자 수 (넘으면 묶음별 요약) */
+const CODE2MM_CHUNK_CHARS = Math.max(1000, Number.parseInt(process.env.CODE2MM_CHUNK_CHARS ?? '40000', 10) || 40000);
+/** 요약을 다시 요약하는 최대 단계 */
+const SUMMARY_MAX_ROUNDS = 3;
+
+/**
+ * 요청 본문의 소스 입력 → 소스 파일 목록
+ * - 우선순위: files → zipBase64 → localPath → code ('=== FILE:' 마커면 나눔)
+ * 반환: { files, skipped }
+ */
+async function resolveCodeSource(language, { files, zipBase64, localPath, code }) {
+  if (Array.isArray(files) && files.length) return collectSourceFiles(language, normalizeFiles(files));
+  if (zipBase64) return readZipSource(language, Buffer.from(String(zipBase64), 'base64'));
+  if (localPath) return readLocalSource(language, localPath);
+  assertNonEmpty('code', code);
+  const split = splitFiles(code, defaultSourcePath(language));
+  const sources = split.filter(f => isSourcePath(language, f.path));
+  return { files: sources.length ? sources : split, skipped: split.length - sources.length };
+}
+
+const totalChars = (files) => files.reduce((n, f) => n + f.content.length, 0);
+
+/**
+ * 큰 소스 입력 요약 (code2mm)
+ * - CODE2MM_CHUNK_CHARS 이하 묶음으로 나눠 묶음마다 구조 요약(task 'summarize'), 순차 호출
+ * - 요약 합계가 여전히 크면 요약문을 다시 묶어 요약 (최대 SUMMARY_MAX_ROUNDS단계)
+ * 반환: { text, rounds, chunks } (chunks: 첫 단계 묶음 수)
+ */
+async function summarizeSources(language, diagramKind, files) {
+  let inputs = files, rounds = 0, chunks = 0;
+  while (totalChars(inputs) > CODE2MM_CHUNK_CHARS && rounds < SUMMARY_MAX_ROUNDS) {
+    const groups = chunkFiles(inputs, CODE2MM_CHUNK_CHARS);
+    if (!rounds) chunks = groups.length;
+    const summaries = [];
+    for (const [i, group] of groups.entries()) {
+      const prompt = `[목표] 아래 ${rounds ? '요약문' : `${language} 소스 파일`}을 ${diagramKind} 다이어그램 작성에 필요한 구조 정보로 압축.
+[포함] 클래스/인터페이스/열거형(필드, 메서드 시그니처), 상속/구현/참조/소유 관계,
+       주요 메서드의 호출 흐름(A.f → B.g), 분기/반복 조건, 외부 진입점.
+[제외] 메서드 본문 구현 세부, 주석, import 목록.
+[출력] 파일/모듈별 짧은 목록 텍스트만. 코드블록(\u0060\u0060\u0060) 금지.
+[입력 ${i + 1}/${groups.length}]
+${joinFiles(group, { markers: true })}`;
+      summaries.push({ path: `summary-${rounds + 1}-${i + 1}`, content: stripCodeFences(await runLLM(prompt, { task: 'summarize', kind: diagramKind })) });
+    }
+    inputs = summaries;
+    rounds++;
+  }
+  return { text: inputs.map(f => f.content).join('\n\n'), rounds, chunks };
+}
+
+/**
+ * 소스 가져오기 (ZIP 업로드 / 폴더 업로드 / 서버 로컬 경로)
+ * POST /api/source/import?language=java
+ *  - Content-Type: application/zip → 본문이 ZIP (최대 50mb)
+ *  - JSON: { language, files?: [{ path, content }], zipBase64?, localPath? }
+ *  - localPath는 CODE_SOURCE_ROOTS 안만 허용
+ * resp: { ok, language, files: [{ path, content }], code, skipped }
+ *  - code: '=== FILE: 경로 ===' 마커 텍스트 (그대로 /api/save/code, /api/convert/code2mm 에 사용 가능)
+ */
+app.post('/api/source/import',
+  express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '50mb' }),
+  async (req, res) => {
+    try {
+      const body = Buffer.isBuffer(req.body) ? {} : (req.body || {});
+      const language = req.query.language || body.language;
+      assertNonEmpty('language', language);
+      if (!Buffer.isBuffer(req.body) && !body.files && !body.zipBase64 && !body.localPath) {
+        throw new Error('ZIP 본문 또는 files | zipBase64 | localPath 중 하나가 필요합니다.');
+      }
+      const { files, skipped } = Buffer.isBuffer(req.body)
+        ? readZipSource(language, req.body)
+        : await resolveCodeSource(language, { files: body.files, zipBase64: body.zipBase64, localPath: body.localPath, code: '' });
+      res.json({ ok: true, language, files, code: joinFiles(files), skipped });
+    } catch (e) {
+      res.status(400).json({ error: String(e) });
+    }
+  });
+
+/**
+ * 코드 → Mermaid
+ * POST /api/convert/code2mm
+ * body: { codeId, language, code?, files?, zipBase64?, localPath?, diagramKind, diagramId, swReqId, reqJoin?, mode? }
+ *  - 소스 입력: code(마커 텍스트 가능) | files | zipBase64 | localPath (resolveCodeSource)
+ *  - mode: 'llm'(기본) | 'static' (classDiagram 정적 추출, LLM 호출 없음 — server/code-extract.mjs)
+ *  - llm: 소스가 CODE2MM_CHUNK_CHARS를 넘으면 묶음별 요약 후 요약으로 생성 (summarizeSources)
+ * resp: { ok, mermaid, diagramId, kind, mode, linked: { codeId, swReqId, reqId? }, files: string[], skipped,
+ *         validation, repair?, stats?, summary?: { rounds, chunks } }
+ */
+app.post('/api/convert/code2mm', async (req, res) => {
+  try {
+    const { codeId, language, code, files: inputFiles, zipBase64, localPath, diagramKind, diagramId, swReqId, reqJoin, mode = 'llm' } = req.body || {};
+    assertNonEmpty('codeId', codeId);
+    assertNonEmpty('language', language);
+    assertDiagramKind('diagramKind', diagramKind);
     assertNonEmpty('diagramId', diagramId);
     assertNonEmpty('swReqId', swReqId);
+    if (!['llm', 'static'].includes(mode)) throw new Error(`mode는 'llm' 또는 'static' 이어야 합니다: ${mode}`);
+    const linked = { codeId, swReqId, ...(reqJoin?.reqId ? { reqId: reqJoin.reqId } : {}) };
+    const { files, skipped } = await resolveCodeSource(language, { files: inputFiles, zipBase64, localPath, code });
+    const source = { files: files.map(f => f.path), skipped };
 
+    if (mode === 'static') {
+      if (String(diagramKind).toLowerCase() !== 'class') throw new Error("정적 추출(mode: 'static')은 class 다이어그램만 지원합니다.");
+      const { mermaid, stats } = extractClassDiagram(language, files.map(f => f.content).join('\n'));
+      const validation = await validateMermaid(mermaid);
+      return res.json({ ok: true, mermaid, diagramId, kind: diagramKind, mode, linked, ...source, validation, stats });
+    }
+
+    const summary = totalChars(files) > CODE2MM_CHUNK_CHARS ? await summarizeSources(language, diagramKind, files) : null;
     const cfg = mermaidKindConfig(diagramKind);
 const header = cfg.token === 'flowchart' ? `flowchart ${cfg.direction}` : cfg.token;
-const prompt = `[목표] 아래 ${language} 소스코드를 ${diagramKind} 관점으로 Mermaid 1개 생성.
+const prompt = `[목표] 아래 ${language} 소스코드${files.length > 1 ? `(파일 ${files.length}개)` : ''}를 ${diagramKind} 관점으로 Mermaid 1개 생성.
 [형식] 첫 줄에 '${header}' 를 사용.
 ${cfg.guard}
 [출력] Mermaid 코드만. 코드블록(\u0060\u0060\u0060) 금지.
 [참고] 연결된 SW Test 요구사항 ID: ${swReqId}
 [선택 정보] 요구사항 매칭(있으면 반영): ${reqJoin ? JSON.stringify(reqJoin) : '없음'}
-[소스코드]
-${code}`;
+${summary ? `[소스코드 구조 요약] (원본이 커서 묶음 ${summary.chunks}개를 요약함)
+${summary.text}` : `[소스코드]
+${joinFiles(files)}`}`;
 
-    const gen = await runOpenAI(prompt);
-    let mermaid = normalizeMermaidOutput(diagramKind, gen);
-    if (String(diagramKind).toLowerCase() === 'activity') {
-      mermaid = sanitizeActivityFlowchart(mermaid);
-    }
+    const { mermaid, validation, repair } = await generateMermaid('code2mm', diagramKind, prompt);
     res.json({
-      ok: true, mermaid, diagramId, kind: diagramKind,
-      linked: { codeId, swReqId, ...(reqJoin?.reqId ? { reqId: reqJoin.reqId } : {}) }
+      ok: true, mermaid, diagramId, kind: diagramKind, mode, linked, ...source, validation, repair,
+      ...(summary ? { summary: { rounds: summary.rounds, chunks: summary.chunks } } : {}),
     });
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
 });
 
+/**
+ * 템플릿 골격에 LLM으로 메서드 본문만 채우기 (mm2code hybrid)
+ * - 소스 파일만 마커 텍스트로 보내고 같은 마커 형식으로 받음 (빌드 파일은 그대로)
+ * - 출력 파일은 경로 → 파일명 순으로 골격 파일에 대응
+ * - 골격 파일이 빠지거나 그 파일의 타입 이름이 사라지면 골격을 그대로 반환
+ * 반환: { files, fill: { applied, reason? } }
+ */
+async function fillSkeleton(language, files, model) {
+  const sources = files.filter(f => isSourcePath(language, f.path));
+  const prompt = `[목표] 아래 ${language} 프로젝트 골격의 메서드 본문(TODO/미구현 예외)만 구현.
+[규칙]
+- 클래스/인터페이스/필드/메서드 시그니처/상속 구조를 추가·삭제·변경하지 말 것.
+- 필요한 import/include 추가는 허용.
+- 정보가 부족하면 가장 단순한 합리적 구현.
+[출력] 입력과 같은 '=== FILE: 경로 ===' 형식으로 모든 파일을 출력. 코드블록(\u0060\u0060\u0060) 금지.
+[코드 골격]
+${joinFiles(sources, { markers: true })}`;
+
+  const raw = stripCodeFences(await runLLM(prompt, { task: 'fill', kind: language }));
+  if (!raw.trim()) return { files, fill: { applied: false, reason: 'LLM 출력이 비어 있습니다.' } };
+
+  const filled = splitFiles(raw, sources[0].path);
+  const base = (p) => p.split('/').pop();
+  const pick = (p) => filled.find(f => f.path === p) || filled.find(f => base(f.path) === base(p));
+  const problems = [];
+  const merged = files.map(f => {
+    if (!isSourcePath(language, f.path)) return f;
+    const out = pick(f.path);
+    if (!out) { problems.push(`${f.path} 없음`); return f; }
+    const names = model.classes.map(c => c.name).filter(n => new RegExp(`\\b${n}\\b`).test(f.content));
+    const missing = names.filter(n => !new RegExp(`\\b${n}\\b`).test(out.content));
+    if (missing.length) problems.push(`${f.path}: ${missing.join(', ')} 빠짐`);
+    return { path: f.path, content: out.content };
+  });
+  if (problems.length) return { files, fill: { applied: false, reason: `LLM 출력이 골격과 다릅니다 (${problems.join('; ')})` } };
+  return { files: merged, fill: { applied: true } };
+}
+
+/** mm2code LLM 프롬프트의 빌드 파일 안내 */
+const BUILD_FILE_HINT = { c: 'CMakeLists.txt', 'c++': 'CMakeLists.txt', 'c#': '.csproj', java: 'pom.xml', python: 'pyproject.toml' };
+
+/** '1'이면 mm2code는 요청과 상관없이 승인된 다이어그램만 허용 */
+const MM2CODE_REQUIRE_APPROVED = ['1', 'true', 'yes'].includes(String(process.env.MM2CODE_REQUIRE_APPROVED || '').toLowerCase());
+
 /**
  * Mermaid → 코드
  * POST /api/convert/mm2code
- * body: { diagramId?, diagramKind, mermaid?, language, codeId?, swReqId }
+ * body: { diagramId?, diagramKind, mermaid?, language, codeId?, swReqId, mode?, requireApproved? }
  *  - mermaid가 없으면 diagramId로 DB에서 조회하여 사용
- * resp: { ok, codeId, language, code, diagramId, diagramKind }
+ *  - requireApproved(또는 MM2CODE_REQUIRE_APPROVED=1): diagramId의 다이어그램이 approved가 아니면 409 DIAGRAM_NOT_APPROVED
+ *    mermaid를 함께 보내면 승인된 내용과 같아야 함 (직접 입력한 Mermaid만으로는 생성 불가)
+ *  - mode: 'llm'(기본) | 'template' (classDiagram → 프로젝트 골격, LLM 호출 없음 — server/code-gen.mjs)
+ *          | 'hybrid' (template 골격 + LLM이 메서드 본문만 채움)
+ * resp: { ok, codeId, language, code, files, diagramId, diagramKind, mode, stats?, fill? }
+ *  - files: [{ path, content }] (클래스당 1파일 + 빌드 파일). LLM이 파일 마커 없이 답하면 파일 1개
+ *  - code : files를 '=== FILE: 경로 ===' 마커로 이어 붙인 텍스트 (파일 1개면 내용 그대로)
  */
 app.post('/api/convert/mm2code', async (req, res) => {
   try {
-    const { diagramId, diagramKind, mermaid, language, codeId, swReqId } = req.body || {};
-    assertNonEmpty('diagramKind', diagramKind);
+    const { diagramId, diagramKind, mermaid, language, codeId, swReqId, mode = 'llm', requireApproved } = req.body || {};
+    assertDiagramKind('diagramKind', diagramKind);
     assertNonEmpty('language', language);
     assertNonEmpty('swReqId', swReqId);
+    if (!['llm', 'template', 'hybrid'].includes(mode)) throw new Error(`mode는 'llm' | 'template' | 'hybrid' 중 하나여야 합니다: ${mode}`);
 
-    const db = await loadDb();
     let mm = mermaid;
-    if (!mm && diagramId && db.diagrams[diagramId]) {
-      mm = db.diagrams[diagramId].mermaid;
+    if (MM2CODE_REQUIRE_APPROVED || requireApproved === true || requireApproved === 'true') {
+      const d = diagramId ? await req.store.get('diagrams', diagramId) : null;
+      if (diagramId && !d) throw new NotFoundError('diagrams', diagramId);
+      mm = assertApprovedDiagram(d, { diagramId, mermaid: mm, normalize: stripMermaidFences });
+    }
+    if (!mm && diagramId) {
+      mm = (await req.store.get('diagrams', diagramId))?.mermaid;
     }
     mm = stripMermaidFences(mm);
     assertNonEmpty('mermaid', mm);
+    const newCodeId = codeId && codeId.trim() !== '' ? codeId : `CODE-${Date.now()}`;
+    // 변환 결과만 반환 (저장은 /api/save/code 에서)
+    const send = (files, extra) => res.json({ ok: true, codeId: newCodeId, language, code: joinFiles(files), files, diagramId, diagramKind, mode, ...extra });
+
+    if (mode !== 'llm') {
+      if (String(diagramKind).toLowerCase() !== 'class') throw new Error(`템플릿 생성(mode: '${mode}')은 class 다이어그램만 지원합니다.`);
+      const model = parseClassDiagram(mm);
+      const { files, stats } = generateProject(model, language, { name: diagramId || 'app' });
+      if (mode === 'template') return send(files, { stats });
+      const out = await fillSkeleton(language, files, model);
+      return send(out.files, { stats, fill: out.fill });
+    }
 
     const prompt = `
 [목표] 아래 ${diagramKind} Mermaid를 ${language} 소스코드로 구현(필요 최소 골격).
+[파일] 클래스/모듈당 파일 1개 + 빌드 파일(${BUILD_FILE_HINT[String(language).toLowerCase()] || '언어에 맞는 빌드 파일'}).
+       각 파일 앞에 '=== FILE: 상대경로 ===' 한 줄을 붙일 것.
 [출력] 코드만.
 [Mermaid]
 ${mm}
 `;
 
-    const genCode = await runOpenAI(prompt);
-    const newCodeId = codeId && codeId.trim() !== '' ? codeId : `CODE-${Date.now()}`;
-    // 변환 결과만 반환 (저장은 /api/save/code 에서)
-    res.json({ ok: true, codeId: newCodeId, language, code: genCode, diagramId, diagramKind });
+    const genCode = await runLLM(prompt, { task: 'mm2code', kind: language });
+    send(splitFiles(stripCodeFences(genCode), defaultSourcePath(language)));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// -------------------- PlantUML ↔ Mermaid (규칙 기반, LLM 미사용) --------------------
+/** PlantUML 변환 지원 종류 검사 */
+function assertPlantUmlKind(name, kind) {
+  assertNonEmpty(name, kind);
+  if (!PLANTUML_KINDS.includes(String(kind).toLowerCase())) {
+    throw new Error(`${name}는 ${PLANTUML_KINDS.join(' | ')} 중 하나여야 합니다 (PlantUML 변환): ${kind}`);
+  }
+}
+
+/**
+ * PlantUML → Mermaid (미리보기, 저장하지 않음)
+ * POST /api/convert/puml2mm
+ * body: { plantuml, kind? }  - kind 생략 시 내용으로 추정, @startuml 블록이 여러 개면 첫 블록만
+ * resp: { ok, kind, mermaid, warnings, validation }
+ */
+app.post('/api/convert/puml2mm', async (req, res) => {
+  try {
+    const { plantuml, kind } = req.body || {};
+    assertNonEmpty('plantuml', plantuml);
+    if (kind) assertPlantUmlKind('kind', kind);
+    const [block] = splitPlantUml(plantuml);
+    const r = plantUmlToMermaid(block.text, kind);
+    res.json({ ok: true, ...r, validation: await validateMermaid(r.mermaid) });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+/**
+ * Mermaid → PlantUML
+ * POST /api/convert/mm2puml
+ * body: { mermaid, kind, name? }
+ * resp: { ok, plantuml, warnings }
+ */
+app.post('/api/convert/mm2puml', async (req, res) => {
+  try {
+    const { mermaid, kind, name } = req.body || {};
+    assertNonEmpty('mermaid', mermaid);
+    assertPlantUmlKind('kind', kind);
+    res.json({ ok: true, ...mermaidToPlantUml(kind, stripMermaidFences(mermaid), { name }) });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// -------------------- XMI ↔ Mermaid (규칙 기반, LLM 미사용) --------------------
+/** XMI 변환 지원 종류 검사 */
+function assertXmiKind(name, kind) {
+  assertNonEmpty(name, kind);
+  if (!XMI_KINDS.includes(String(kind).toLowerCase())) {
+    throw new Error(`${name}는 ${XMI_KINDS.join(' | ')} 중 하나여야 합니다 (XMI 변환): ${kind}`);
+  }
+}
+
+/**
+ * XMI → Mermaid (미리보기, 저장하지 않음)
+ * POST /api/convert/xmi2mm
+ * body: { xmi, kind? }  - kind 생략 시 내용으로 추정 (Actor/UseCase 가 있으면 usecase, 아니면 class)
+ * resp: { ok, kind, mermaid, warnings, validation }
+ */
+app.post('/api/convert/xmi2mm', async (req, res) => {
+  try {
+    const { xmi, kind } = req.body || {};
+    assertNonEmpty('xmi', xmi);
+    if (kind) assertXmiKind('kind', kind);
+    const r = xmiToMermaid(xmi, kind);
+    res.json({ ok: true, ...r, validation: await validateMermaid(r.mermaid) });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+/**
+ * Mermaid → XMI
+ * POST /api/convert/mm2xmi
+ * body: { mermaid, kind, name? }
+ * resp: { ok, xmi, warnings }
+ */
+app.post('/api/convert/mm2xmi', async (req, res) => {
+  try {
+    const { mermaid, kind, name } = req.body || {};
+    assertNonEmpty('mermaid', mermaid);
+    assertXmiKind('kind', kind);
+    res.json({ ok: true, ...mermaidToXmi(kind, stripMermaidFences(mermaid), { name }) });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ===================================================================
+// 가져오기 APIs (Import)
+// ===================================================================
+
+/**
+ * 가져온 다이어그램 1개 저장 → 결과 항목 (예외는 결과의 error로)
+ * - 이미 있는 diagramId는 건너뜀 (overwrite: true면 새 버전으로 저장)
+ * - 변환 결과가 Mermaid 문법 오류면 건너뜀 (force: true면 그대로 저장)
+ * @param {import('./server/storage.mjs').Store} store
+ * @param {string} filePath
+ * @param {string} diagramId
+ * @param {() => { kind: string, mermaid: string, warnings: string[] }} convert
+ * @param {{ links?: object, author?: string, overwrite?: boolean, force?: boolean|string }} opts
+ */
+async function importDiagram(store, filePath, diagramId, convert, { links, author, overwrite, force } = {}) {
+  try {
+    if (!overwrite && await store.get('diagrams', diagramId)) return { path: filePath, diagramId, ok: false, error: 'EXISTS' };
+    const r = convert();
+    await assertValidMermaid(r.mermaid, { force: force === true || force === 'true' });
+    const data = { diagramId, kind: r.kind, mermaid: r.mermaid, links: links || {} };
+    const { rev } = await store.transact(tx => tx.put('diagrams', diagramId,
+      carryReview(tx.get('diagrams', diagramId), data, { by: author }), { author, source: 'import' }));
+    return { path: filePath, diagramId, kind: r.kind, ok: true, rev, warnings: r.warnings };
+  } catch (e) {
+    return { path: filePath, diagramId, ok: false, error: e.code || e.message || String(e), ...(e.errors ? { errors: e.errors } : {}) };
+  }
+}
+
+/** 가져오기 파일 경로 → 기본 diagramId (파일명, 확장자 제외) */
+const importBaseName = (filePath) => filePath.split(/[\\/]/).pop().replace(/\.[^.]+$/, '') || 'diagram';
+
+/**
+ * .puml 파일 → 다이어그램 저장
+ * POST /api/import/puml
+ * body: { files: [{ path, content }], kind?, links?, overwrite?, force? }
+ *  - @startuml ~ @enduml 블록마다 다이어그램 1개 (블록이 없으면 파일 전체가 1개)
+ *  - diagramId: '@startuml 이름' → 없으면 파일명(확장자 제외), 같은 파일에서 겹치면 '-2', '-3' …
+ *  - kind 생략 시 블록별로 추정 (내보낸 파일의 "' kind:" 표시 → 내용)
+ *  - 이미 있는 diagramId는 건너뜀 (overwrite: true면 새 버전으로 저장)
+ *  - 변환 결과가 Mermaid 문법 오류면 건너뜀 (force: true면 그대로 저장)
+ *  - 블록별로 따로 처리 (일부 실패해도 나머지는 저장)
+ * resp: { ok, imported, results: [{ path, diagramId, kind?, ok, rev?, warnings?, error?, errors? }] }
+ */
+app.post('/api/import/puml', async (req, res) => {
+  try {
+    const { files, kind } = req.body || {};
+    if (!Array.isArray(files) || !files.length) throw new Error('files는 { path, content } 배열이어야 합니다.');
+    if (kind) assertPlantUmlKind('kind', kind);
+    const results = [];
+    const used = new Set();
+    for (const f of files) {
+      const filePath = String(f?.path || 'diagram.puml');
+      const base = importBaseName(filePath);
+      for (const block of splitPlantUml(f?.content)) {
+        let diagramId = block.name || base;
+        for (let n = 2; used.has(diagramId); n++) diagramId = `${block.name || base}-${n}`;
+        used.add(diagramId);
+        results.push(await importDiagram(req.store, filePath, diagramId, () => plantUmlToMermaid(block.text, kind), { ...req.body, author: authorOf(req) }));
+      }
+    }
+    const imported = results.filter(r => r.ok).length;
+    res.json({ ok: imported === results.length, imported, results });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * .xmi 파일 → 다이어그램 저장
+ * POST /api/import/xmi
+ * body: { files: [{ path, content }], kind?, links?, overwrite?, force? }
+ *  - 파일마다 다이어그램 1개, diagramId는 파일명(확장자 제외), 겹치면 '-2', '-3' …
+ *  - kind 생략 시 파일별로 추정 (Actor/UseCase 가 있으면 usecase, 아니면 class)
+ *  - 저장 규칙(overwrite/force)과 응답은 /api/import/puml 과 같음
+ * resp: { ok, imported, results: [{ path, diagramId, kind?, ok, rev?, warnings?, error?, errors? }] }
+ */
+app.post('/api/import/xmi', async (req, res) => {
+  try {
+    const { files, kind } = req.body || {};
+    if (!Array.isArray(files) || !files.length) throw new Error('files는 { path, content } 배열이어야 합니다.');
+    if (kind) assertXmiKind('kind', kind);
+    const results = [];
+    const used = new Set();
+    for (const f of files) {
+      const filePath = String(f?.path || 'model.xmi');
+      const base = importBaseName(filePath);
+      let diagramId = base;
+      for (let n = 2; used.has(diagramId); n++) diagramId = `${base}-${n}`;
+      used.add(diagramId);
+      results.push(await importDiagram(req.store, filePath, diagramId, () => xmiToMermaid(f?.content, kind), { ...req.body, author: authorOf(req) }));
+    }
+    const imported = results.filter(r => r.ok).length;
+    res.json({ ok: imported === results.length, imported, results });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 요구사항 일괄 가져오기 (CSV / XLSX / ReqIF)
+ * POST /api/import/requirements
+ * body: { fileName, format?: 'csv'|'xlsx'|'reqif', content? | contentBase64?, sheet?, headerRow?,
+ *         mapping?: { id, reqType?, title?, desc?, parent? }, defaultReqType?, mode?: 'upsert'|'skip',
+ *         dryRun?: boolean }
+ *  - csv/reqif 는 content(텍스트), xlsx 는 contentBase64. format 생략 시 fileName 확장자로 판단
+ *  - mapping 생략 시 머리글 이름으로 추정 (parent: '@hierarchy' 는 ReqIF 계층상 부모)
+ *  - dryRun: 저장하지 않고 행별 처리 계획만 반환 (미리보기)
+ *  - 오류 행은 건너뛰고 나머지를 한 트랜잭션으로 저장 (source: 'import')
+ * resp: { ok, dryRun, format, sheets?, sheet?, columns, mapping, total, counts: { create, update, unchanged, skip, error }, imported,
+ *         rows: [{ line, id, reqType, title, desc, parentId, action, errors, changes?, rev? }] }
+ */
+app.post('/api/import/requirements', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const table = readRequirementTable(body);
+    if (!table.rows.length) throw new Error('가져올 데이터 행이 없습니다.');
+    const opts = { mapping: body.mapping, defaultReqType: body.defaultReqType, mode: body.mode || 'upsert' };
+    const dryRun = !!body.dryRun;
+    let plan;
+    if (dryRun) {
+      const existing = new Map((await req.store.list('requirements')).map(r => [r.id, r]));
+      plan = planRequirementImport(table, opts, id => existing.get(id) || null);
+    } else {
+      // 계획~저장을 한 트랜잭션으로 (검사 직후 다른 저장이 끼어드는 경우 방지)
+      plan = await req.store.transact(tx => {
+        const p = planRequirementImport(table, opts, id => tx.get('requirements', id));
+        for (const row of p.rows) {
+          if (row.action !== 'create' && row.action !== 'update') continue;
+          const data = { id: row.id, reqType: row.reqType, title: row.title, desc: row.desc, parentId: row.parentId };
+          const { rev } = tx.put('requirements', row.id,
+            carryReview(tx.get('requirements', row.id), data, { by: authorOf(req) }),
+            { author: authorOf(req), source: 'import' });
+          row.rev = rev;
+        }
+        return p;
+      });
+    }
+    res.json({
+      ok: plan.counts.error === 0,
+      dryRun,
+      format: table.format,
+      ...(table.sheets ? { sheets: table.sheets, sheet: table.sheet } : {}),
+      columns: table.columns,
+      hierarchy: table.hierarchy,
+      mapping: plan.mapping,
+      total: plan.rows.length,
+      counts: plan.counts,
+      imported: dryRun ? 0 : plan.counts.create + plan.counts.update,
+      rows: plan.rows,
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * DB 번들 가져오기 (다른 PC/서버에서 내보낸 번들을 현재 DB에 합치기)
+ * POST /api/import/bundle?policy=keep|overwrite|rename&dryRun=1
+ *  - Content-Type: application/zip → 본문이 번들 ZIP (최대 500mb)
+ *  - JSON: { zipBase64, policy?, dryRun? }
+ *  - policy(같은 ID, 내용이 다를 때): keep(기본, DB 값 유지) | overwrite(번들 값으로 새 리비전) | rename(새 ID로 추가)
+ *  - dryRun: 저장하지 않고 항목별 처리 계획만 반환
+ *  - 요구사항/다이어그램의 검토 상태(status/review)는 approver 이상만 번들 값 그대로, 그 외에는 저장 API와 같이 이어 받음 (새 레코드는 draft)
+ * resp: { ok, dryRun, policy, manifest, counts: { create, update, unchanged, skip, rename }, histories, imported,
+ *         results: [{ collection, id, action, newId?, history?, rev? }], warnings }
+ *  - histories: 함께 들여온(들여올) 삭제된 레코드의 이력 수, warnings: 가져온 뒤에도 대상이 없는 참조
+ *  - 번들 형식 오류는 400 INVALID_BUNDLE, 이 서버보다 새 번들은 400 UNSUPPORTED_BUNDLE_VERSION
+ */
+app.post('/api/import/bundle',
+  express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '500mb' }),
+  async (req, res) => {
+    try {
+      const body = Buffer.isBuffer(req.body) ? {} : (req.body || {});
+      const opt = (k) => req.query[k] ?? body[k];
+      const buf = Buffer.isBuffer(req.body) ? req.body : (body.zipBase64 ? Buffer.from(String(body.zipBase64), 'base64') : null);
+      if (!buf?.length) throw new Error('번들 ZIP 본문 또는 zipBase64가 필요합니다.');
+      const bundle = readBundle(buf);
+      const policy = String(opt('policy') || 'keep');
+      const dryRun = ['1', 'true', 'yes'].includes(String(opt('dryRun') ?? '').toLowerCase());
+
+      let plan;
+      let imported = 0;
+      if (dryRun) {
+        const snap = await req.store.read();
+        plan = planBundleImport(bundle, { policy }, {
+          get: (c, id) => snap[c][id] || null,
+          hasRevisions: (c, id) => !!snap.revisions[c][id]?.length,
+        });
+      } else {
+        plan = await req.store.transact(tx => {
+          const p = planBundleImport(bundle, { policy }, {
+            get: (c, id) => tx.get(c, id),
+            hasRevisions: (c, id) => tx.revisions(c, id).length > 0,
+          });
+          imported = applyBundleImport(tx, p, { author: authorOf(req), keepReview: hasRole(req.user, 'approver') });
+          return p;
+        });
+      }
+      res.json({
+        ok: true,
+        dryRun,
+        policy: plan.policy,
+        manifest: bundle.manifest,
+        counts: plan.counts,
+        histories: plan.histories,
+        imported,
+        results: plan.results,
+        warnings: plan.warnings,
+      });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+// ===================================================================
+// 내보내기 APIs (Export)
+// ===================================================================
+
+/** ZIP 응답 (파일명은 헤더에 안전한 문자만) */
+function sendZip(res, name, files) {
+  const fileName = `${String(name || 'code').replace(/[^\w.-]+/g, '_')}.zip`;
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(createZip(files));
+}
+
+/**
+ * 파일 목록 → ZIP 다운로드 (저장 전 변환 결과용)
+ * POST /api/export/zip
+ * body: { name?, files: [{ path, content }] }
+ * resp: application/zip
+ */
+app.post('/api/export/zip', async (req, res) => {
+  try {
+    const { name, files } = req.body || {};
+    sendZip(res, name, normalizeFiles(files));
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
 });
 
+/**
+ * 저장된 코드 → ZIP 다운로드
+ * GET /api/export/code/:codeId/zip
+ *  - files가 없는 단일 코드 항목은 언어별 기본 파일명 1개로 (마커가 있으면 나눔)
+ */
+app.get('/api/export/code/:codeId/zip', async (req, res) => {
+  try {
+    const c = await req.store.get('codes', req.params.codeId);
+    if (!c) return res.status(404).json({ error: 'NOT_FOUND' });
+    sendZip(res, c.codeId, c.files || splitFiles(c.code, defaultSourcePath(c.language)));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * 저장된 다이어그램 → PlantUML 다운로드
+ * GET /api/export/diagram/:diagramId/puml
+ *  - usecase / sequence / class / activity 만 (그 외 종류는 400)
+ *  - 옮기지 못한 표기는 파일 앞부분에 "' 경고:" 주석으로 남김
+ */
+app.get('/api/export/diagram/:diagramId/puml', async (req, res) => {
+  try {
+    const d = await req.store.get('diagrams', req.params.diagramId);
+    if (!d) return res.status(404).json({ error: 'NOT_FOUND' });
+    assertPlantUmlKind('kind', d.kind);
+    const { plantuml } = mermaidToPlantUml(d.kind, d.mermaid, { name: d.diagramId });
+    const fileName = `${String(d.diagramId).replace(/[^\w.-]+/g, '_')}.puml`;
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(plantuml);
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+/**
+ * 저장된 다이어그램 → XMI 다운로드 (UML 도구 가져오기용)
+ * GET /api/export/diagram/:diagramId/xmi
+ *  - class / usecase 만 (그 외 종류는 400)
+ *  - 옮기지 못한 표기는 X-Export-Warnings 헤더(URL 인코딩, 줄바꿈 구분)로 알림
+ */
+app.get('/api/export/diagram/:diagramId/xmi', async (req, res) => {
+  try {
+    const d = await req.store.get('diagrams', req.params.diagramId);
+    if (!d) return res.status(404).json({ error: 'NOT_FOUND' });
+    assertXmiKind('kind', d.kind);
+    const { xmi, warnings } = mermaidToXmi(d.kind, d.mermaid, { name: d.diagramId });
+    const fileName = `${String(d.diagramId).replace(/[^\w.-]+/g, '_')}.xmi`;
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (warnings.length) res.set('X-Export-Warnings', encodeURIComponent(warnings.join('\n')));
+    res.send(xmi);
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// -------------------- 이미지 (SVG / PNG, 서버 헤드리스 렌더링) --------------------
+/** 렌더링 옵션 (body 또는 query) → renderDiagram 옵션 */
+const renderOptions = (src) => ({
+  theme: src?.theme || undefined,
+  scale: src?.scale !== undefined ? Number(src.scale) : undefined,
+  background: src?.background || undefined,
+});
+
+/**
+ * Mermaid → 이미지 (저장하지 않음, 브라우저 없이 일괄 변환용)
+ * POST /api/render
+ * body: { mermaid, format?: 'svg'|'png' (기본 svg), theme?, scale?, background? }
+ * resp: image/svg+xml | image/png
+ *  - 문법 오류는 400, PNG 변환 패키지(@resvg/resvg-js)가 없으면 501 PNG_UNAVAILABLE
+ */
+app.post('/api/render', async (req, res) => {
+  try {
+    const { mermaid, format = 'svg' } = req.body || {};
+    assertNonEmpty('mermaid', mermaid);
+    const { body, contentType } = await renderDiagram(stripMermaidFences(mermaid), String(format).toLowerCase(), renderOptions(req.body));
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 저장된 다이어그램 → 이미지 다운로드
+ * GET /api/export/diagram/:diagramId/svg | /png   (?theme=&scale=&background=)
+ */
+app.get('/api/export/diagram/:diagramId/:format', async (req, res) => {
+  try {
+    const format = String(req.params.format).toLowerCase();
+    if (!RENDER_FORMATS.includes(format)) return res.status(404).json({ error: 'NOT_FOUND' });
+    const d = await req.store.get('diagrams', req.params.diagramId);
+    if (!d) return res.status(404).json({ error: 'NOT_FOUND' });
+    const { body, contentType } = await renderDiagram(d.mermaid, format, renderOptions(req.query));
+    const fileName = `${String(d.diagramId).replace(/[^\w.-]+/g, '_')}.${format}`;
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(body);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 저장된 다이어그램 여러 개 → 이미지 ZIP (일괄 내보내기)
+ * POST /api/export/diagrams
+ * body: { diagramIds?: string[], kind?, format?: 'svg'|'png' (기본 svg), theme?, scale?, background? }
+ *  - diagramIds 생략 시 전체 (kind가 있으면 그 종류만)
+ *  - 그리지 못한 다이어그램은 건너뛰고 ZIP 안의 render-errors.txt 에 기록 (X-Render-Errors: 건수)
+ * resp: application/zip (<diagramId>.<format> …)
+ */
+app.post('/api/export/diagrams', async (req, res) => {
+  try {
+    const { diagramIds, kind, format = 'svg' } = req.body || {};
+    const fmt = String(format).toLowerCase();
+    if (!RENDER_FORMATS.includes(fmt)) throw new Error(`format은 ${RENDER_FORMATS.join(' | ')} 중 하나여야 합니다: ${format}`);
+    if (diagramIds !== undefined && !Array.isArray(diagramIds)) throw new Error('diagramIds는 배열이어야 합니다.');
+    let items;
+    if (diagramIds) {
+      items = [];
+      for (const id of diagramIds) {
+        const d = await req.store.get('diagrams', String(id));
+        if (!d) throw new NotFoundError('diagrams', id);
+        items.push(d);
+      }
+    } else {
+      items = (await req.store.list('diagrams')).filter(d => !kind || d.kind === kind);
+    }
+    if (!items.length) throw new Error('내보낼 다이어그램이 없습니다.');
+
+    const files = [];
+    const errors = [];
+    for (const d of items) {
+      try {
+        const { body } = await renderDiagram(d.mermaid, fmt, renderOptions(req.body));
+        files.push({ path: `${String(d.diagramId).replace(/[^\w.-]+/g, '_')}.${fmt}`, content: body });
+      } catch (e) {
+        if (e.code === 'PNG_UNAVAILABLE' || e.code === 'RENDER_UNAVAILABLE') throw e;
+        // mermaid 파서 오류는 '위치 … 원문 … 기대 토큰' 여러 줄 → 첫 줄과 마지막 줄만
+        const lines = String(e.message || e).split('\n').filter(Boolean);
+        errors.push(`${d.diagramId}: ${lines[0]}${lines.length > 1 ? ` ${lines[lines.length - 1]}` : ''}`);
+      }
+    }
+    if (errors.length) files.push({ path: 'render-errors.txt', content: `${errors.join('\n')}\n` });
+    res.set('X-Render-Errors', String(errors.length));
+    sendZip(res, `diagrams-${fmt}`, files);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * DB 전체 → 이식용 번들 ZIP (요구사항/코드/다이어그램 + 연결 + 이력, schemaVersion 포함)
+ * GET /api/export/bundle?history=0
+ *  - history=0 이면 이력(revisions.json) 제외
+ * resp: application/zip (uml-studio-bundle-YYYYMMDD.zip)
+ */
+app.get('/api/export/bundle', async (req, res) => {
+  try {
+    const history = !['0', 'false', 'no'].includes(String(req.query.history ?? '').toLowerCase());
+    const { files } = createBundle(await req.store.read(), { history });
+    sendZip(res, `uml-studio-bundle-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`, files);
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
+// -------------------- 설계 문서 (SDD) --------------------
+const REPORT_CONTENT_TYPES = { md: 'text/markdown; charset=utf-8', html: 'text/html; charset=utf-8' };
+
+/**
+ * DB → 소프트웨어 설계 문서 다운로드
+ * POST /api/report/sdd
+ * body: { format?: 'md'|'html'|'zip' (기본 html), title?, version?, author?, types?: ReqType[],
+ *         images?: boolean, theme?, excerptLines?, excerptFiles?, templates?: { md?, html? } }
+ *  - zip: sdd.md + sdd.html + images/*.svg (Markdown 은 이미지 파일을 링크)
+ *  - templates 를 주면 기본 템플릿 대신 사용 (문법 오류는 400 TEMPLATE_ERROR)
+ *  - 그리지 못한 다이어그램은 X-Report-Warnings 헤더(URL 인코딩, 줄바꿈 구분)로 알림
+ * resp: sdd.md | sdd.html | sdd.zip (attachment)
+ */
+app.post('/api/report/sdd', async (req, res) => {
+  try {
+    const { format = 'html', types, templates } = req.body || {};
+    if (types !== undefined && !Array.isArray(types)) throw new Error('types는 배열이어야 합니다.');
+    if (templates !== undefined && (typeof templates !== 'object' || Array.isArray(templates))) throw new Error('templates는 { md?, html? } 객체여야 합니다.');
+    const { files, warnings } = await generateSdd(await loadTraceData(req.store), {
+      ...req.body,
+      format: String(format).toLowerCase(),
+      images: req.body?.images !== false,
+    });
+    if (warnings.length) res.set('X-Report-Warnings', encodeURIComponent(warnings.join('\n')));
+    if (files.length > 1) return sendZip(res, 'sdd', files);
+    const [doc] = files;
+    res.set('Content-Type', REPORT_CONTENT_TYPES[doc.path.split('.').pop()]);
+    res.set('Content-Disposition', `attachment; filename="${doc.path}"`);
+    res.send(doc.content);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * 설계 문서 템플릿 (회사 양식으로 고칠 때 시작점)
+ * GET /api/report/template/:format   (md | html)
+ *  - REPORT_TEMPLATE_DIR 에 있으면 그 파일, 없으면 기본 템플릿
+ */
+app.get('/api/report/template/:format', async (req, res) => {
+  try {
+    const format = String(req.params.format).toLowerCase();
+    if (!REPORT_TEMPLATE_FORMATS.includes(format)) return res.status(404).json({ error: 'NOT_FOUND' });
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="sdd.${format}"`);
+    res.send(await loadReportTemplate(format));
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
 // -------------------- 서버 시작 --------------------
 const API_PORT = process.env.API_PORT || 3000; // 프론트 PORT와 분리
 app.listen(API_PORT, () => {
-  console.log(`[server] listening on http://localhost:${API_PORT}`);
+  console.log(`[server] listening on http://localhost:${API_PORT} (storage: ${STORAGE_BACKEND}, llm: ${llm.name}/${llm.model})`);
 });
@@ -0,0 +1,338 @@
+// server/auth.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/auth.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 로컬 사용자 계정 (비밀번호는 scrypt 해시만 저장)
+ *  - 로그인 토큰(세션) 발급/검증/폐기 (Authorization: Bearer <token>)
+ *  - 역할(role) 단계: viewer < editor < approver < admin
+ *    · viewer  : 조회 / 내보내기 / 검증
+ *    · editor  : + 저장 / 삭제 / 복원 / 변환 / 가져오기
+ *    · approver: + 검토 승인
+ *    · admin   : + 사용자 / 프로젝트 관리
+ *
+ * 저장 위치
+ *  - outputs/users.json  { users: [...], sessions: [...] }
+ *    · 사용자: { username, displayName, role, disabled, password: 'scrypt$N$r$p$salt$hash', createdAt, updatedAt, lastLoginAt? }
+ *    · 세션: { tokenHash(SHA-256), username, createdAt, expiresAt } — 토큰 원문은 저장하지 않음
+ *
+ * 비고
+ *  - 사용자가 한 명도 없으면 첫 관리자 만들기(setup)만 허용
+ *  - 마지막 관리자는 역할 변경/비활성화 불가 (관리자 없는 상태 방지)
+ *  - 로그인 연속 실패 시 잠시 잠금 (프로세스 메모리 기준)
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { createQueue } from './storage.mjs';
+
+/** 역할 (뒤로 갈수록 권한이 넓음) */
+export const ROLES = ['viewer', 'editor', 'approver', 'admin'];
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,39}$/;
+const PASSWORD_MIN = 8;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 32 };
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;   // 마지막 실패 후 이 시간이 지나면 실패 횟수를 잊음
+const LOGIN_FAILURES_MAX = 10000;                 // 실패 기록 최대 개수 (없는 사용자 이름도 기록하므로)
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * @typedef {'viewer'|'editor'|'approver'|'admin'} Role
+ * @typedef {{ username: string, displayName: string, role: Role, disabled: boolean, createdAt: string, updatedAt: string, lastLoginAt?: string }} User
+ * @typedef {{ token: string, expiresAt: string, user: User }} Session
+ */
+
+/** 인증/권한 오류 (status/code 는 sendError 가 그대로 응답) */
+export class AuthError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** user.role 이 role 이상인지 */
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/** 권한 검사 (부족하면 403 FORBIDDEN) */
+export function assertRole(user, role) {
+  if (!hasRole(user, role)) throw new AuthError(`권한이 없습니다 (필요한 역할: ${role}, 현재: ${user?.role || '-'}).`, 403, 'FORBIDDEN');
+}
+
+// -------------------- 비밀번호 --------------------
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scrypt(String(password), salt, keylen, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [alg, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (alg !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/** 없는 사용자로 로그인해도 같은 시간이 걸리도록 쓰는 해시 */
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+/** 비밀번호 해시를 뺀 공개 정보 */
+function publicUser(u) {
+  const { password, ...rest } = u;
+  return rest;
+}
+
+function assertPassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN) {
+    throw new Error(`비밀번호는 ${PASSWORD_MIN}자 이상이어야 합니다.`);
+  }
+}
+
+function assertRoleName(role) {
+  if (!ROLES.includes(role)) throw new Error(`알 수 없는 역할입니다: ${role} (${ROLES.join(' | ')})`);
+}
+
+const normalizeUsername = (v) => String(v ?? '').trim().toLowerCase();
+
+/**
+ * 사용자/세션 관리자 생성
+ * @param {{ dataDir: string, sessionTtlHours?: number }} opts
+ */
+export function createAuth({ dataDir, sessionTtlHours = 12 }) {
+  const filePath = path.join(dataDir, 'users.json');
+  const enqueue = createQueue();
+  const ttlMs = Math.max(1, Number(sessionTtlHours) || 12) * 60 * 60 * 1000;
+  // username → { count, until, at } (오래된 실패 순. 없는 사용자 이름도 기록 — 잠금 여부로 사용자 존재를 알 수 없게)
+  const failures = new Map();
+
+  /** 잠금도 끝났고 실패 기억 시간도 지난 기록 */
+  const expired = (f, now) => f.until <= now && f.at + LOGIN_FAILURE_WINDOW_MS <= now;
+
+  /** 만료된 기록 정리, 그래도 가득 차 있으면 오래된 것부터 (잠금 중인 기록은 마지막에) */
+  function pruneFailures(now) {
+    for (const [name, f] of failures) if (expired(f, now)) failures.delete(name);
+    for (const locked of [false, true]) {
+      for (const [name, f] of failures) {
+        if (failures.size < LOGIN_FAILURES_MAX) return;
+        if ((f.until > now) === locked) failures.delete(name);
+      }
+    }
+  }
+
+  function recordFailure(name, now) {
+    const prev = failures.get(name);
+    const count = (prev && !expired(prev, now) ? prev.count : 0) + 1;
+    failures.delete(name);   // 다시 넣어 최근 순서 유지
+    if (failures.size >= LOGIN_FAILURES_MAX) pruneFailures(now);
+    failures.set(name, count >= LOGIN_MAX_FAILURES ? { count: 0, until: now + LOGIN_LOCK_MS, at: now } : { count, until: 0, at: now });
+  }
+
+  async function readData() {
+    try {
+      const j = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return { users: j.users || [], sessions: j.sessions || [] };
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      return { users: [], sessions: [] };
+    }
+  }
+
+  async function writeData(data) {
+    await fs.mkdir(dataDir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      // 비밀번호 해시/세션이 들어 있으므로 소유자만 읽기
+      await fs.writeFile(tmp, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+      await fs.rename(tmp, filePath);
+    } catch (e) {
+      await fs.rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  /** 읽기 → fn(data) → 기록 (직렬화, 만료 세션 정리) */
+  const update = (fn) => enqueue(async () => {
+    const data = await readData();
+    const result = await fn(data);
+    const now = Date.now();
+    data.sessions = data.sessions.filter(s => Date.parse(s.expiresAt) > now);
+    await writeData(data);
+    return result;
+  });
+
+  const find = (data, username) => {
+    const u = data.users.find(x => x.username === normalizeUsername(username));
+    if (!u) throw new AuthError(`사용자가 없습니다: ${username}`, 404, 'USER_NOT_FOUND');
+    return u;
+  };
+
+  /** 활성 관리자가 u 하나뿐인지 */
+  const isLastAdmin = (data, u) => u.role === 'admin' && !u.disabled
+    && !data.users.some(x => x !== u && x.role === 'admin' && !x.disabled);
+
+  async function newUser(data, { username, password, role = 'viewer', displayName }) {
+    const name = normalizeUsername(username);
+    if (!USERNAME_RE.test(name)) throw new Error(`사용자 이름은 영문 소문자/숫자/./-/_ 2~40자여야 합니다: ${username}`);
+    if (data.users.some(u => u.username === name)) throw new AuthError(`이미 있는 사용자입니다: ${name}`, 409, 'USER_EXISTS');
+    assertPassword(password);
+    assertRoleName(role);
+    const now = new Date().toISOString();
+    const user = {
+      username: name,
+      displayName: String(displayName ?? '').trim() || name,
+      role,
+      disabled: false,
+      password: await hashPassword(password),
+      createdAt: now,
+      updatedAt: now,
+    };
+    data.users.push(user);
+    return user;
+  }
+
+  function issueSession(data, user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+    data.sessions.push({ tokenHash: sha256(token), username: user.username, createdAt: now.toISOString(), expiresAt });
+    user.lastLoginAt = now.toISOString();
+    return { token, expiresAt, user: publicUser(user) };
+  }
+
+  return {
+    roles: ROLES,
+
+    /** @returns {Promise<{ setupRequired: boolean }>} 사용자가 없으면 setupRequired */
+    async status() {
+      return { setupRequired: !(await readData()).users.length };
+    },
+
+    /**
+     * 첫 관리자 만들기 + 로그인 (사용자가 한 명도 없을 때만)
+     * @returns {Promise<Session>}
+     */
+    setup({ username, password, displayName } = {}) {
+      return update(async (data) => {
+        if (data.users.length) throw new AuthError('이미 사용자가 있습니다. 로그인하세요.', 409, 'SETUP_DONE');
+        return issueSession(data, await newUser(data, { username, password, displayName, role: 'admin' }));
+      });
+    },
+
+    /**
+     * 로그인
+     * - 실패 시 401 INVALID_CREDENTIALS (사용자 없음/비밀번호 틀림 구분 없음)
+     * - LOGIN_FAILURE_WINDOW_MS 안에 LOGIN_MAX_FAILURES 회 연속 실패하면 LOGIN_LOCK_MS 동안 429 LOGIN_LOCKED
+     * @returns {Promise<Session>}
+     */
+    async login(username, password) {
+      const name = normalizeUsername(username);
+      let f = failures.get(name);
+      if (f && expired(f, Date.now())) {
+        failures.delete(name);
+        f = undefined;
+      }
+      if (f?.until > Date.now()) {
+        throw new AuthError(`로그인 실패가 많아 잠시 잠겼습니다. ${Math.ceil((f.until - Date.now()) / 1000)}초 뒤 다시 시도하세요.`, 429, 'LOGIN_LOCKED');
+      }
+      const user = (await readData()).users.find(u => u.username === name);
+      const ok = user ? await verifyPassword(password, user.password) : (await verifyPassword(password, await DUMMY_HASH), false);
+      if (!ok || user.disabled) {
+        recordFailure(name, Date.now());
+        throw new AuthError(user?.disabled && ok ? '비활성화된 사용자입니다.' : '사용자 이름 또는 비밀번호가 올바르지 않습니다.', 401, 'INVALID_CREDENTIALS');
+      }
+      failures.delete(name);
+      return update((data) => issueSession(data, find(data, name)));
+    },
+
+    /** 토큰 폐기 (없는 토큰이어도 성공) */
+    logout(token) {
+      return update((data) => {
+        const h = sha256(token);
+        data.sessions = data.sessions.filter(s => s.tokenHash !== h);
+      });
+    },
+
+    /**
+     * 토큰 → 사용자
+     * - 토큰 없음 401 AUTH_REQUIRED, 만료/폐기/비활성 사용자 401 INVALID_TOKEN
+     * @returns {Promise<User>}
+     */
+    async authenticate(token) {
+      if (!token) throw new AuthError('로그인이 필요합니다.', 401, 'AUTH_REQUIRED');
+      const data = await readData();
+      const h = sha256(token);
+      const session = data.sessions.find(s => s.tokenHash === h && Date.parse(s.expiresAt) > Date.now());
+      const user = session && data.users.find(u => u.username === session.username && !u.disabled);
+      if (!user) throw new AuthError('로그인이 만료되었습니다. 다시 로그인하세요.', 401, 'INVALID_TOKEN');
+      return publicUser(user);
+    },
+
+    /** @returns {Promise<User[]>} */
+    async listUsers() {
+      return (await readData()).users.map(publicUser);
+    },
+
+    /** @returns {Promise<User>} */
+    createUser(input = {}) {
+      return update(async (data) => publicUser(await newUser(data, input)));
+    },
+
+    /**
+     * 사용자 수정 (관리자용)
+     * - password를 바꾸거나 비활성화하면 그 사용자의 세션을 모두 폐기
+     * @param {string} username
+     * @param {{ displayName?: string, role?: Role, password?: string, disabled?: boolean }} patch
+     * @returns {Promise<User>}
+     */
+    updateUser(username, { displayName, role, password, disabled } = {}) {
+      return update(async (data) => {
+        const u = find(data, username);
+        if ((role !== undefined && role !== 'admin') || disabled === true) {
+          if (isLastAdmin(data, u)) throw new AuthError('마지막 관리자는 역할을 바꾸거나 비활성화할 수 없습니다.', 400, 'LAST_ADMIN');
+        }
+        if (displayName !== undefined) u.displayName = String(displayName).trim() || u.username;
+        if (role !== undefined) { assertRoleName(role); u.role = role; }
+        if (password !== undefined) { assertPassword(password); u.password = await hashPassword(password); }
+        if (disabled !== undefined) u.disabled = !!disabled;
+        if (password !== undefined || u.disabled) data.sessions = data.sessions.filter(s => s.username !== u.username);
+        u.updatedAt = new Date().toISOString();
+        return publicUser(u);
+      });
+    },
+
+    /**
+     * 본인 비밀번호 변경 (현재 비밀번호 확인, 지금 쓰는 토큰 말고 다른 세션은 폐기)
+     * @returns {Promise<User>}
+     */
+    changePassword(username, currentPassword, newPassword, keepToken) {
+      return update(async (data) => {
+        const u = find(data, username);
+        if (!(await verifyPassword(currentPassword, u.password))) {
+          throw new AuthError('현재 비밀번호가 올바르지 않습니다.', 400, 'INVALID_CREDENTIALS');
+        }
+        assertPassword(newPassword);
+        u.password = await hashPassword(newPassword);
+        u.updatedAt = new Date().toISOString();
+        const keep = keepToken ? sha256(keepToken) : null;
+        data.sessions = data.sessions.filter(s => s.username !== u.username || s.tokenHash === keep);
+        return publicUser(u);
+      });
+    },
+  };
+}
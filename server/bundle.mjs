@@ -0,0 +1,316 @@
+// server/bundle.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/bundle.mjs
+ * --------------------------------------------
+ * 역할
+ *  - DB 전체 ↔ 이식용 번들(ZIP) (다른 PC/서버로 프로젝트 옮기기)
+ *  - 번들 가져오기: 기존 DB에 합치기 (같은 ID 충돌 정책: keep | overwrite | rename)
+ *
+ * 번들 구성 (schemaVersion 1)
+ *  - manifest.json     : { format: 'uml-studio-bundle', schemaVersion, app, exportedAt, history, counts }
+ *  - requirements.json : 요구사항 레코드 배열 (ID 순)
+ *  - codes.json        : 소스코드 레코드 배열
+ *  - diagrams.json     : 다이어그램 레코드 배열
+ *  - revisions.json    : 이력 { [컬렉션]: { [ID]: 리비전[] } } (이력 포함일 때만, 삭제된 레코드의 이력 포함)
+ *  - 레코드 간 연결(parentId, links.reqId/swReqId/codeId, swReqId)은 레코드 필드 그대로 담김
+ *
+ * 가져오기 규칙
+ *  - DB에 없는 ID          : 추가 (번들 이력이 있고 DB에 그 ID 이력이 없으면 이력째로)
+ *  - 내용이 같은 ID         : 변경 없음
+ *  - 내용이 다른 ID         : keep 은 DB 값 유지, overwrite 는 번들 값으로 새 리비전,
+ *                            rename 은 새 ID('<ID>-2' …)로 추가하고 번들 안의 참조도 새 ID로 바꿈
+ *  - 저장은 모두 출처 'import' 리비전으로 기록 (들여온 이력 뒤에 이어짐)
+ *  - 요구사항/다이어그램의 검토 정보(status/review)는 keepReview(approver 이상)일 때만 번들 값 그대로,
+ *    그 외에는 저장 API와 같이 carryReview (새 레코드는 draft, 승인된 레코드의 내용이 바뀌면 draft)
+ *
+ * 비고
+ *  - schemaVersion 이 이 서버보다 새 번들은 거부 (옛 번들은 스키마가 바뀔 때 readBundle 에서 변환)
+ * ============================================
+ */
+
+import { createZip, readZip } from './zip.mjs';
+import { COLLECTIONS } from './storage.mjs';
+import { REVIEW_COLLECTIONS, carryReview } from './review.mjs';
+
+export const BUNDLE_FORMAT = 'uml-studio-bundle';
+export const BUNDLE_SCHEMA_VERSION = 1;
+export const BUNDLE_POLICIES = ['keep', 'overwrite', 'rename'];
+
+/** 컬렉션별 ID 필드 */
+export const ID_FIELDS = { requirements: 'id', codes: 'codeId', diagrams: 'diagramId' };
+
+/** 레코드 간 참조 필드 (server.mjs findReferences 와 같은 목록) */
+export const REFERENCE_FIELDS = [
+  { collection: 'requirements', field: 'parentId', target: 'requirements' },
+  { collection: 'diagrams', field: 'links.reqId', target: 'requirements' },
+  { collection: 'diagrams', field: 'links.swReqId', target: 'requirements' },
+  { collection: 'diagrams', field: 'links.codeId', target: 'codes' },
+  { collection: 'codes', field: 'swReqId', target: 'requirements' },
+];
+
+/** 번들 압축 해제 크기 제한 (zip bomb 방지) */
+const BUNDLE_MAX_BYTES = 500 * 1024 * 1024;
+
+/**
+ * @typedef {{ format: string, schemaVersion: number, app?: string, exportedAt?: string, history: boolean,
+ *             counts: Record<string, number> }} BundleManifest
+ * @typedef {{ manifest: BundleManifest, records: Record<string, object[]>,
+ *             revisions: Record<string, Record<string, object[]>> }} Bundle
+ * @typedef {'create'|'update'|'unchanged'|'skip'|'rename'} BundleAction
+ * @typedef {{ collection: string, id: string, action: BundleAction, newId?: string, history?: number, rev?: number }} BundleResult
+ */
+
+/** 번들 형식 오류 (400) */
+export class BundleError extends Error {
+  constructor(message, code = 'INVALID_BUNDLE') {
+    super(message);
+    this.name = 'BundleError';
+    this.status = 400;
+    this.code = code;
+  }
+}
+
+// -------------------- 공통 --------------------
+
+/** 'links.reqId' 같은 점 경로 값 */
+function getField(item, field) {
+  const [head, key] = field.split('.');
+  return String((key ? item[head]?.[key] : item[head]) || '');
+}
+
+/** 점 경로 값을 바꾼 사본 */
+function withField(item, field, value) {
+  const [head, key] = field.split('.');
+  return key ? { ...item, [head]: { ...(item[head] || {}), [key]: value } } : { ...item, [head]: value };
+}
+
+/** 저장소 관리 필드(version, updatedAt, updatedBy)를 뺀 키 정렬 JSON (내용 비교용) */
+function contentKey(item) {
+  const sort = (v) => {
+    if (Array.isArray(v)) return v.map(sort);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.keys(v).sort().map(k => [k, sort(v[k])]));
+    return v;
+  };
+  const { version, updatedAt, updatedBy, ...rest } = item || {};
+  return JSON.stringify(sort(rest));
+}
+
+// -------------------- 내보내기 --------------------
+
+/**
+ * DB 스냅샷 → 번들 파일 목록
+ * @param {object} snapshot - store.read() 결과
+ * @param {{ history?: boolean, date?: Date }} [opts]
+ * @returns {{ manifest: BundleManifest, files: Array<{ path: string, content: string }> }}
+ */
+export function createBundle(snapshot, { history = true, date = new Date() } = {}) {
+  const counts = {};
+  const files = [];
+  for (const c of COLLECTIONS) {
+    const items = Object.values(snapshot[c] || {})
+      .sort((a, b) => String(a[ID_FIELDS[c]]).localeCompare(String(b[ID_FIELDS[c]])));
+    counts[c] = items.length;
+    files.push({ path: `${c}.json`, content: JSON.stringify(items, null, 2) });
+  }
+  if (history) {
+    const revisions = Object.fromEntries(COLLECTIONS.map(c => [c, snapshot.revisions?.[c] || {}]));
+    counts.revisions = COLLECTIONS.reduce((n, c) => n + Object.values(revisions[c]).reduce((m, list) => m + list.length, 0), 0);
+    files.push({ path: 'revisions.json', content: JSON.stringify(revisions, null, 2) });
+  }
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    schemaVersion: BUNDLE_SCHEMA_VERSION,
+    app: 'UML ↔ Code Studio',
+    exportedAt: date.toISOString(),
+    history: !!history,
+    counts,
+  };
+  return { manifest, files: [{ path: 'manifest.json', content: JSON.stringify(manifest, null, 2) }, ...files] };
+}
+
+// -------------------- 읽기/검증 --------------------
+
+/**
+ * 번들 ZIP → 검증된 번들
+ * @param {Buffer} buf
+ * @returns {Bundle}
+ */
+export function readBundle(buf) {
+  let entries;
+  try {
+    entries = readZip(buf, { maxBytes: BUNDLE_MAX_BYTES });
+  } catch (e) {
+    throw new BundleError(`번들 ZIP을 읽지 못했습니다: ${e.message}`);
+  }
+  const files = new Map(entries.map(e => [e.path.replace(/^\/+/, ''), e.content]));
+  const json = (p) => {
+    if (!files.has(p)) return undefined;
+    try {
+      return JSON.parse(files.get(p).toString('utf8'));
+    } catch (e) {
+      throw new BundleError(`${p}: JSON 형식 오류 (${e.message})`);
+    }
+  };
+
+  const manifest = json('manifest.json');
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) throw new BundleError('UML ↔ Code Studio 번들이 아닙니다 (manifest.json 없음 또는 format 불일치).');
+  const version = manifest.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) throw new BundleError(`schemaVersion이 올바르지 않습니다: ${version}`);
+  if (version > BUNDLE_SCHEMA_VERSION) {
+    throw new BundleError(`이 서버보다 새 번들입니다 (schemaVersion ${version}, 지원: ${BUNDLE_SCHEMA_VERSION}까지). 서버를 업데이트해 주세요.`, 'UNSUPPORTED_BUNDLE_VERSION');
+  }
+
+  const records = {};
+  for (const c of COLLECTIONS) {
+    const list = json(`${c}.json`) ?? [];
+    if (!Array.isArray(list)) throw new BundleError(`${c}.json 은 배열이어야 합니다.`);
+    const seen = new Set();
+    list.forEach((item, i) => {
+      const id = item?.[ID_FIELDS[c]];
+      if (!item || typeof item !== 'object' || typeof id !== 'string' || !id.trim()) {
+        throw new BundleError(`${c}.json ${i + 1}번째 항목에 ${ID_FIELDS[c]}가 없습니다.`);
+      }
+      if (seen.has(id)) throw new BundleError(`${c}.json 에 같은 ID가 두 번 있습니다: ${id}`);
+      seen.add(id);
+    });
+    records[c] = list;
+  }
+
+  const rawRevisions = json('revisions.json') ?? {};
+  const revisions = {};
+  for (const c of COLLECTIONS) {
+    revisions[c] = {};
+    for (const [id, list] of Object.entries(rawRevisions[c] || {})) {
+      const ok = Array.isArray(list) && list.every((r, i) => Number.isInteger(r?.rev) && r.rev > (list[i - 1]?.rev ?? 0)
+        && r.item && typeof r.item === 'object');
+      if (!ok) throw new BundleError(`revisions.json ${c}/${id}: 리비전 형식이 올바르지 않습니다 (rev 오름차순 정수 + item 필요).`);
+      if (list.length) revisions[c][id] = list;
+    }
+  }
+  return { manifest, records, revisions };
+}
+
+// -------------------- 가져오기 --------------------
+
+/**
+ * 기존 ID와 겹치지 않는 새 ID ('<ID>-2', '<ID>-3', …)
+ * @param {string} id
+ * @param {(id: string) => boolean} taken
+ */
+function freeId(id, taken) {
+  for (let n = 2; ; n++) {
+    const next = `${id}-${n}`;
+    if (!taken(next)) return next;
+  }
+}
+
+/**
+ * 가져오기 계획 (저장하지 않음)
+ * @param {Bundle} bundle
+ * @param {{ policy?: 'keep'|'overwrite'|'rename' }} opts
+ * @param {{ get: (collection: string, id: string) => object|null, hasRevisions: (collection: string, id: string) => boolean }} db
+ * @returns {{ policy: string, results: BundleResult[], counts: Record<BundleAction, number>, histories: number,
+ *             warnings: string[], writes: object[] }}
+ *  - writes: applyBundleImport 가 쓰는 내부 목록 (응답에 넣지 않음)
+ */
+export function planBundleImport(bundle, { policy = 'keep' } = {}, db) {
+  if (!BUNDLE_POLICIES.includes(policy)) throw new Error(`policy는 ${BUNDLE_POLICIES.join(' | ')} 중 하나여야 합니다: ${policy}`);
+  const inBundle = Object.fromEntries(COLLECTIONS.map(c => [c, new Set(bundle.records[c].map(it => it[ID_FIELDS[c]]))]));
+
+  // 1) 충돌 판단 + rename 대상 새 ID
+  const renames = Object.fromEntries(COLLECTIONS.map(c => [c, new Map()]));
+  const decided = [];
+  for (const c of COLLECTIONS) {
+    const assigned = new Set();
+    const taken = (id) => !!db.get(c, id) || db.hasRevisions(c, id) || inBundle[c].has(id) || assigned.has(id);
+    for (const item of bundle.records[c]) {
+      const id = item[ID_FIELDS[c]];
+      const local = db.get(c, id);
+      let action = 'create';
+      if (local) {
+        if (contentKey(local) === contentKey(item)) action = 'unchanged';
+        else action = { keep: 'skip', overwrite: 'update', rename: 'rename' }[policy];
+      }
+      if (action === 'rename') {
+        const newId = freeId(id, taken);
+        assigned.add(newId);
+        renames[c].set(id, newId);
+      }
+      decided.push({ c, id, item, action });
+    }
+  }
+
+  // 2) 번들 안의 참조를 새 ID로 + 저장 목록
+  const results = [];
+  const writes = [];
+  const counts = { create: 0, update: 0, unchanged: 0, skip: 0, rename: 0 };
+  for (const { c, id, item, action } of decided) {
+    counts[action]++;
+    const result = { collection: c, id, action };
+    results.push(result);
+    if (action === 'unchanged' || action === 'skip') continue;
+    let next = item;
+    for (const ref of REFERENCE_FIELDS.filter(r => r.collection === c)) {
+      const renamed = renames[ref.target].get(getField(next, ref.field));
+      if (renamed) next = withField(next, ref.field, renamed);
+    }
+    const targetId = renames[c].get(id) || id;
+    if (targetId !== id) {
+      result.newId = targetId;
+      next = { ...next, [ID_FIELDS[c]]: targetId };
+    }
+    // 새 레코드는 이력째로 (DB에 그 ID 이력이 없을 때만)
+    const revisions = action === 'create' && !db.hasRevisions(c, id) ? (bundle.revisions[c][id] || []) : [];
+    if (revisions.length) result.history = revisions.length;
+    writes.push({ result, collection: c, id: targetId, item: next, revisions });
+  }
+
+  // 삭제된 레코드의 이력: DB에 같은 ID가 전혀 없을 때만 들여옴 (가져온 뒤 이력 보기/복원 가능)
+  let histories = 0;
+  for (const c of COLLECTIONS) {
+    for (const [id, list] of Object.entries(bundle.revisions[c])) {
+      if (inBundle[c].has(id) || db.get(c, id) || db.hasRevisions(c, id)) continue;
+      writes.push({ collection: c, id, revisions: list });
+      histories++;
+    }
+  }
+
+  // 가져온 뒤에도 대상이 없는 참조 (번들에도 DB에도 없음)
+  const warnings = [];
+  const exists = (c, id) => inBundle[c].has(id) || [...renames[c].values()].includes(id) || !!db.get(c, id);
+  for (const w of writes.filter(x => x.item)) {
+    for (const ref of REFERENCE_FIELDS.filter(r => r.collection === w.collection)) {
+      const target = getField(w.item, ref.field);
+      if (target && !exists(ref.target, target)) warnings.push(`${w.collection}/${w.id}: ${ref.field} → ${target} (대상 없음)`);
+    }
+  }
+  return { policy, results, counts, histories, warnings, writes };
+}
+
+/**
+ * 가져오기 계획 실행 (트랜잭션 안에서)
+ * - 결과 항목에 저장된 리비전 번호(rev)를 채움
+ * @param {import('./storage.mjs').Tx} tx
+ * @param {ReturnType<typeof planBundleImport>} plan
+ * @param {{ author?: string, keepReview?: boolean }} [opts]
+ *  - keepReview: 번들의 검토 상태/기록을 그대로 저장 (approver 이상만 — 아니면 검토 절차를 건너뛸 수 있음)
+ * @returns {number} 저장한 레코드 수
+ */
+export function applyBundleImport(tx, plan, { author, keepReview = false } = {}) {
+  let saved = 0;
+  for (const w of plan.writes) {
+    if (w.revisions.length) tx.adoptRevisions(w.collection, w.id, w.revisions);
+    if (!w.item) continue;
+    let data = w.item;
+    if (!keepReview && REVIEW_COLLECTIONS.includes(w.collection)) {
+      const { status, review, ...content } = w.item;
+      data = carryReview(tx.get(w.collection, w.id), content, { by: author });
+    }
+    const { rev } = tx.put(w.collection, w.id, data, { author, source: 'import' });
+    w.result.rev = rev;
+    saved++;
+  }
+  return saved;
+}
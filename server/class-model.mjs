@@ -0,0 +1,274 @@
+// server/class-model.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/class-model.mjs
+ * --------------------------------------------
+ * 역할
+ *  - Mermaid classDiagram 텍스트 → 클래스 모델 (클래스/멤버/관계)
+ *  - 템플릿 코드 생성(server/code-gen.mjs)의 입력
+ *  - 클래스 모델 → classDiagram 텍스트 (PlantUML/XMI 가져오기)
+ *
+ * 지원 문법
+ *  - class A / class A~T~ / class A { ... } / A : +member / <<interface>> A / namespace X { ... }
+ *  - 관계: <|-- --|> <|.. ..|> *-- --* o-- --o --> <-- ..> <.. -- .. (+ 양끝 "카디널리티", ": 라벨")
+ *  - 멤버: [+-#~]name(params)[$*] [반환형] / [+-#~]type name[$] / [+-#~]name: type[$]
+ *
+ * 관계 정규화 (from → to)
+ *  - inheritance/realization : 자식/구현 → 부모/인터페이스
+ *  - composition/aggregation : 전체 → 부분
+ *  - association/dependency  : 참조하는 쪽 → 참조되는 쪽
+ *  - link                    : 방향 없음 (A → B 순서 유지)
+ * ============================================
+ */
+
+/**
+ * @typedef {import('./code-extract.mjs').ClassInfo} ClassInfo
+ * @typedef {'inheritance'|'realization'|'composition'|'aggregation'|'association'|'dependency'|'link'} RelationKind
+ * @typedef {{ from: string, to: string, kind: RelationKind, label: string, fromCard: string, toCard: string }} Relation
+ * @typedef {{ classes: ClassInfo[], relations: Relation[] }} ClassModel
+ */
+
+const VISIBILITY = '+-#~';
+
+/** Mermaid 제네릭 표기 ~T~ → <T> (중첩 List~List~int~~ 포함) */
+export function fromMermaidGenerics(s) {
+  return String(s || '').replace(/~(?=[\w(])/g, '<').replace(/~/g, '>');
+}
+
+/** 매개변수 1개: 'name: type' | 'type name' | 'name' */
+function parseParam(text) {
+  const t = fromMermaidGenerics(text.trim());
+  if (!t) return null;
+  const colon = t.match(/^([A-Za-z_]\w*)\s*:\s*(.+)$/);
+  if (colon) return { name: colon[1], type: colon[2].trim() };
+  const pair = t.match(/^(.+?)\s+([A-Za-z_]\w*)$/);
+  if (pair) return { name: pair[2], type: pair[1].trim() };
+  return { name: t.replace(/\W/g, '') || 'arg', type: '' };
+}
+
+/** 괄호/꺾쇠 깊이 0의 ',' 로 나누기 */
+function splitParams(text) {
+  const parts = [];
+  let depth = 0, buf = '';
+  for (const ch of text) {
+    if ('(<['.includes(ch)) depth++;
+    else if (')>]'.includes(ch)) depth = Math.max(0, depth - 1);
+    if (ch === ',' && depth === 0) { parts.push(buf); buf = ''; continue; }
+    buf += ch;
+  }
+  if (buf.trim()) parts.push(buf);
+  // ~ 제네릭 안의 ','(Map~K, V~)는 다시 붙임
+  const merged = [];
+  for (const p of parts) {
+    const prev = merged[merged.length - 1];
+    if (prev !== undefined && ((prev.match(/~/g) || []).length % 2 === 1)) merged[merged.length - 1] = `${prev},${p}`;
+    else merged.push(p);
+  }
+  return merged;
+}
+
+/**
+ * 멤버 1줄 → { field } | { method } | { annotation } | null
+ */
+export function parseMember(line) {
+  let t = line.trim();
+  if (!t) return null;
+  const anno = t.match(/^<<\s*(.+?)\s*>>$/);
+  if (anno) return { annotation: anno[1].toLowerCase() };
+
+  let visibility = '';
+  if (VISIBILITY.includes(t[0])) { visibility = t[0]; t = t.slice(1).trim(); }
+
+  const open = t.indexOf('(');
+  if (open > 0) {
+    const close = t.lastIndexOf(')');
+    let name = t.slice(0, open).trim().split(/\s+/).pop();
+    let after = t.slice(close + 1).trim();
+    let isStatic = false, isAbstract = false;
+    const mark = (s) => {
+      if (s === '$') isStatic = true;
+      if (s === '*') isAbstract = true;
+    };
+    if ('$*'.includes(name.slice(-1))) { mark(name.slice(-1)); name = name.slice(0, -1); }  // name$() 표기도 허용
+    if ('$*'.includes(after[0] || ' ')) { mark(after[0]); after = after.slice(1).trim(); }
+    if ('$*'.includes(after.slice(-1) || ' ')) { mark(after.slice(-1)); after = after.slice(0, -1).trim(); }
+    after = after.replace(/^:\s*/, '');
+    return {
+      method: {
+        name,
+        params: splitParams(t.slice(open + 1, close)).map(parseParam).filter(Boolean),
+        returns: fromMermaidGenerics(after),
+        visibility,
+        ...(isStatic ? { isStatic } : {}),
+        ...(isAbstract ? { isAbstract } : {}),
+      },
+    };
+  }
+
+  let isStatic = false;
+  if (t.endsWith('$')) { isStatic = true; t = t.slice(0, -1).trim(); }
+  const g = fromMermaidGenerics(t);
+  const colon = g.match(/^([A-Za-z_]\w*)\s*:\s*(.+)$/);
+  const pair = g.match(/^(.+?)\s+([A-Za-z_]\w*)$/);
+  const field = colon ? { name: colon[1], type: colon[2].trim() }
+    : pair ? { name: pair[2], type: pair[1].trim() }
+    : /^[A-Za-z_]\w*$/.test(g) ? { name: g, type: '' }
+    : null;
+  if (!field) return null;
+  return { field: { ...field, visibility, ...(isStatic ? { isStatic } : {}) } };
+}
+
+/** 관계 화살표: 왼쪽 끝 + 선(-- 실선 / .. 점선) + 오른쪽 끝 */
+const RELATION_RE = /^([A-Za-z_][\w]*)(?:~[^~\s]*~)?\s*(?:"([^"]*)"\s*)?(<\||\*|o|<)?(--|\.\.)(\|>|\*|o|>)?\s*(?:"([^"]*)"\s*)?([A-Za-z_][\w]*)(?:~[^~\s]*~)?\s*(?::\s*(.*))?$/;
+
+/**
+ * 관계 1줄 → Relation | null (server/plantuml.mjs에서도 사용: PlantUML 관계 화살표는 같은 표기)
+ * @param {string} line
+ * @returns {Relation|null}
+ */
+export function parseRelation(line) {
+  const m = line.match(RELATION_RE);
+  if (!m) return null;
+  const [, a, cardA = '', left = '', lineType, right = '', cardB = '', b, label = ''] = m;
+  const dashed = lineType === '..';
+  const rel = (from, to, kind, fromCard, toCard) => ({ from, to, kind, label: label.trim(), fromCard, toCard });
+  if (left === '<|') return rel(b, a, dashed ? 'realization' : 'inheritance', cardB, cardA);
+  if (right === '|>') return rel(a, b, dashed ? 'realization' : 'inheritance', cardA, cardB);
+  if (left === '*') return rel(a, b, 'composition', cardA, cardB);
+  if (right === '*') return rel(b, a, 'composition', cardB, cardA);
+  if (left === 'o') return rel(a, b, 'aggregation', cardA, cardB);
+  if (right === 'o') return rel(b, a, 'aggregation', cardB, cardA);
+  if (left === '<') return rel(b, a, dashed ? 'dependency' : 'association', cardB, cardA);
+  if (right === '>') return rel(a, b, dashed ? 'dependency' : 'association', cardA, cardB);
+  return rel(a, b, 'link', cardA, cardB);
+}
+
+/** 다중성이 여러 개인지 ("*", "0..*", "1..n", "many") */
+export function isMany(card) {
+  return /\*|\bn\b|many/i.test(String(card || ''));
+}
+
+/**
+ * classDiagram 파싱
+ * @param {string} mermaid
+ * @returns {ClassModel}
+ */
+export function parseClassDiagram(mermaid) {
+  const lines = String(mermaid || '').replace(/\r\n?/g, '\n').split('\n');
+  const first = lines.findIndex(l => l.trim() && !/^\s*%%/.test(l));
+  if (first < 0 || !/^\s*classDiagram(?:-v2)?\b/.test(lines[first])) {
+    throw new Error('classDiagram 이 아닙니다. (첫 줄이 classDiagram 이어야 템플릿 생성을 할 수 있습니다)');
+  }
+
+  /** @type {Map<string, ClassInfo>} */
+  const classes = new Map();
+  const get = (name) => {
+    if (!classes.has(name)) classes.set(name, { name, generics: '', stereotype: '', fields: [], methods: [], values: [], bases: [] });
+    return classes.get(name);
+  };
+  const addMember = (cls, parsed) => {
+    if (!parsed) return;
+    if (parsed.annotation) {
+      const a = parsed.annotation;
+      cls.stereotype = a === 'enum' ? 'enumeration' : a;
+    } else if (parsed.method) {
+      cls.methods.push(parsed.method);
+    } else if (cls.stereotype === 'enumeration' && !parsed.field.type && !parsed.field.visibility) {
+      cls.values.push(parsed.field.name);
+    } else {
+      cls.fields.push(parsed.field);
+    }
+  };
+  /** @type {Relation[]} */
+  const relations = [];
+  let current = null;                                                     // 본문 { } 안의 클래스
+
+  for (let i = first + 1; i < lines.length; i++) {
+    const line = lines[i].replace(/\s%%.*$/, '').trim();
+    if (!line || line.startsWith('%%')) continue;
+
+    if (current) {
+      if (line === '}') { current = null; continue; }
+      addMember(current, parseMember(line));
+      continue;
+    }
+    if (/^(?:direction|note|click|link|callback|style|classDef|cssClass)\b/.test(line)) continue;
+    if (/^namespace\s+[\w.]+\s*\{$/.test(line) || line === '}') continue;
+
+    const decl = line.match(/^class\s+([A-Za-z_]\w*)(?:~([^~]+(?:~[^~]*~)?[^~]*)~)?(?:\s*\["[^"]*"\])?(?::::\w+)?\s*(\{)?\s*(\})?$/);
+    if (decl) {
+      const cls = get(decl[1]);
+      if (decl[2]) cls.generics = fromMermaidGenerics(decl[2]);
+      if (decl[3] && !decl[4]) current = cls;
+      continue;
+    }
+    const anno = line.match(/^<<\s*(.+?)\s*>>\s*([A-Za-z_]\w*)$/);
+    if (anno) { addMember(get(anno[2]), { annotation: anno[1].toLowerCase() }); continue; }
+
+    const rel = parseRelation(line);
+    if (rel) {
+      get(rel.from); get(rel.to);
+      relations.push(rel);
+      continue;
+    }
+    const member = line.match(/^([A-Za-z_]\w*)\s*:\s*(.+)$/);
+    if (member) { addMember(get(member[1]), parseMember(member[2])); continue; }
+  }
+
+  for (const r of relations) {
+    if (r.kind === 'inheritance' || r.kind === 'realization') {
+      const cls = classes.get(r.from);
+      if (!cls.bases.some(b => b.name === r.to)) cls.bases.push({ name: r.to, realize: r.kind === 'realization' });
+    }
+  }
+  return { classes: [...classes.values()], relations };
+}
+
+// -------------------- 클래스 모델 → classDiagram --------------------
+
+/** 제네릭 <T> → Mermaid ~T~ */
+const toMermaidGenerics = (s) => String(s || '').replace(/[<>]/g, '~');
+
+/**
+ * 관계 1줄 (Mermaid/PlantUML 공통 표기, parseRelation의 역)
+ * @param {Relation} r
+ * @returns {string}
+ */
+export function formatRelation(r) {
+  const ends = {
+    inheritance: [r.to, r.toCard, '<|--', r.fromCard, r.from],
+    realization: [r.to, r.toCard, '<|..', r.fromCard, r.from],
+    composition: [r.from, r.fromCard, '*--', r.toCard, r.to],
+    aggregation: [r.from, r.fromCard, 'o--', r.toCard, r.to],
+    association: [r.from, r.fromCard, '-->', r.toCard, r.to],
+    dependency: [r.from, r.fromCard, '..>', r.toCard, r.to],
+    link: [r.from, r.fromCard, '--', r.toCard, r.to],
+  }[r.kind];
+  const [a, ca, arrow, cb, b] = ends;
+  return `${a}${ca ? ` "${ca}"` : ''} ${arrow}${cb ? ` "${cb}"` : ''} ${b}${r.label ? ` : ${r.label}` : ''}`;
+}
+
+/**
+ * 클래스 모델 → classDiagram 줄 (PlantUML/XMI 가져오기에서 사용)
+ * @param {ClassModel} model
+ * @returns {string[]}
+ */
+export function renderClassModel({ classes, relations }) {
+  const out = ['classDiagram'];
+  for (const c of classes) {
+    const body = [
+      ...(c.stereotype ? [`<<${c.stereotype}>>`] : []),
+      ...c.values,
+      ...c.fields.map(f => `${f.visibility}${f.name}${f.type ? `: ${toMermaidGenerics(f.type)}` : ''}${f.isStatic ? '$' : ''}`),
+      ...c.methods.map(m => `${m.visibility}${m.name}(${
+        m.params.map(p => (p.type ? `${p.name}: ${toMermaidGenerics(p.type)}` : p.name)).join(', ')})${m.returns ? ` ${toMermaidGenerics(m.returns)}` : ''}${
+        m.isStatic ? '$' : m.isAbstract ? '*' : ''}`),
+    ];
+    const head = `class ${c.name}${c.generics ? `~${toMermaidGenerics(c.generics)}~` : ''}`;
+    if (!body.length) { out.push(head); continue; }
+    out.push(`${head} {`, ...body.map(b => `  ${b}`), '}');
+  }
+  out.push(...relations.map(formatRelation));
+  return out;
+}
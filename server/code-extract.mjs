@@ -0,0 +1,893 @@
+// server/code-extract.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/code-extract.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 소스코드 → Mermaid classDiagram 정적 추출 (LLM 호출 없음, 같은 입력이면 같은 출력)
+ *  - 지원 언어: C, C++, C#, Java, Python (#code-lang 목록과 동일)
+ *
+ * 추출 항목
+ *  - 클래스/구조체/인터페이스/열거형 (+ 제네릭, <<interface>>/<<abstract>>/<<enumeration>>)
+ *  - 필드/메서드 (가시성 + # - ~, 정적 $, 추상 *)
+ *  - 상속(<|--), 구현(<|..), 연관(-->, 컬렉션은 "*"), C/C++ 값 멤버는 합성(*--), 시그니처 의존(..>)
+ *
+ * 동작 개요
+ *  - 주석/문자열 제거 → 중괄호 언어는 블록 단위로 훑고, Python은 들여쓰기로 클래스 범위를 나눔
+ *  - C: 첫 매개변수가 구조체 포인터인 함수를 그 구조체의 메서드로 붙임 (Foo_init(Foo *self, ...))
+ *  - C++: 클래스 밖 정의(void Foo::bar() { ... })도 해당 클래스의 메서드로 붙임
+ *
+ * 비고
+ *  - 완전한 파서가 아니라 선언부 위주의 근사 분석 (매크로/템플릿 메타프로그래밍 등은 무시)
+ * ============================================
+ */
+
+/**
+ * @typedef {{ name: string, type: string }} ParamInfo
+ * @typedef {{ name: string, type: string, visibility: string, isStatic?: boolean, byValue?: boolean }} FieldInfo
+ * @typedef {{ name: string, params: ParamInfo[], returns: string, visibility: string, isStatic?: boolean, isAbstract?: boolean }} MethodInfo
+ * @typedef {Object} ClassInfo
+ * @property {string} name
+ * @property {string} [generics]
+ * @property {''|'interface'|'abstract'|'enumeration'} stereotype
+ * @property {FieldInfo[]} fields
+ * @property {MethodInfo[]} methods
+ * @property {string[]} values          - 열거형 상수
+ * @property {{ name: string, realize: boolean }[]} bases
+ */
+
+/** #code-lang 표기 → 내부 키 */
+const LANG_KEYS = {
+  c: 'c', h: 'c',
+  'c++': 'cpp', cpp: 'cpp', cxx: 'cpp', hpp: 'cpp',
+  'c#': 'csharp', cs: 'csharp', csharp: 'csharp',
+  java: 'java',
+  python: 'python', py: 'python',
+};
+
+export const STATIC_EXTRACT_LANGUAGES = ['C', 'C++', 'C#', 'Java', 'Python'];
+
+/** 선언 앞 수식어 (타입이 아닌 것) */
+const MODIFIERS = new Set([
+  'public', 'private', 'protected', 'internal', 'static', 'final', 'abstract', 'virtual', 'override',
+  'sealed', 'readonly', 'const', 'constexpr', 'consteval', 'volatile', 'transient', 'synchronized', 'native',
+  'extern', 'inline', 'explicit', 'friend', 'mutable', 'async', 'new', 'partial', 'unsafe', 'default',
+  'strictfp', 'register', 'thread_local', 'required',
+]);
+
+/** 컬렉션으로 보는 타입 (연관 다중성 "*") */
+const COLLECTION_RE = /\[\]|\b(?:List|IList|ArrayList|LinkedList|Collection|ICollection|IEnumerable|IReadOnlyList|Set|HashSet|ISet|SortedSet|TreeSet|Map|HashMap|TreeMap|Dictionary|IDictionary|Queue|Stack|Deque|vector|list|deque|set|map|multimap|unordered_map|unordered_set|array|Sequence|Iterable|tuple|dict|Dict|Tuple|Optional\s*\[\s*List)\b/;
+
+/** 값이 아닌 참조로 보는 C/C++ 타입 표기 */
+const REFERENCE_RE = /[*&]|\b(?:shared_ptr|unique_ptr|weak_ptr|reference_wrapper|optional)\b/;
+
+const PY_IGNORED_BASES = new Set(['object', 'Generic', 'ABC', 'Protocol', 'Enum', 'IntEnum', 'StrEnum', 'Flag', 'IntFlag', 'NamedTuple', 'TypedDict']);
+
+// -------------------- 전처리 --------------------
+
+/**
+ * 중괄호 언어: 주석/문자열/전처리 지시문 제거 (문자열은 "" 로 축약, 줄바꿈 유지)
+ */
+function maskBraceSource(src, lang) {
+  let out = '';
+  let i = 0;
+  let lineStart = true;
+  while (i < src.length) {
+    const ch = src[i], next = src[i + 1];
+    // 전처리 지시문 (#include, #define, C# #region 등) — 줄 끝 '\' 연장 포함
+    if (lineStart && ch === '#') {
+      while (i < src.length && !(src[i] === '\n' && src[i - 1] !== '\\')) i++;
+      continue;
+    }
+    if (ch === '/' && next === '/') {
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end < 0 ? src.length : end + 2;
+      out += src.slice(i, stop).replace(/[^\n]/g, '');
+      i = stop;
+      continue;
+    }
+    // C++ raw string R"delim( ... )delim"
+    if (lang === 'cpp' && ch === 'R' && next === '"' && !/\w/.test(src[i - 1] || '')) {
+      const open = src.indexOf('(', i + 2);
+      const delim = src.slice(i + 2, open);
+      const end = src.indexOf(`)${delim}"`, open);
+      i = end < 0 ? src.length : end + delim.length + 2;
+      out += '""';
+      continue;
+    }
+    // Java 텍스트 블록 / C# raw string """ ... """
+    if (ch === '"' && next === '"' && src[i + 2] === '"') {
+      const end = src.indexOf('"""', i + 3);
+      i = end < 0 ? src.length : end + 3;
+      out += '""';
+      continue;
+    }
+    // C# verbatim @"..." ("" 로 따옴표 이스케이프)
+    if (lang === 'csharp' && (ch === '@' || ch === '$') && (next === '"' || ((next === '@' || next === '$') && src[i + 2] === '"'))) {
+      const verbatim = ch === '@' || next === '@';
+      i = src.indexOf('"', i) + 1;
+      while (i < src.length) {
+        if (src[i] === '"' && verbatim && src[i + 1] === '"') { i += 2; continue; }
+        if (src[i] === '\\' && !verbatim) { i += 2; continue; }
+        if (src[i] === '"') { i++; break; }
+        i++;
+      }
+      out += '""';
+      continue;
+    }
+    // 일반 문자열 / 문자 리터럴 (C++14 숫자 구분자 1'000 제외)
+    if (ch === '"' || (ch === '\'' && !(lang === 'cpp' && /[0-9a-fA-F]/.test(src[i - 1] || '') && /[0-9a-fA-F]/.test(next || '')))) {
+      i++;
+      while (i < src.length && src[i] !== ch && src[i] !== '\n') i += src[i] === '\\' ? 2 : 1;
+      i++;
+      out += ch === '"' ? '""' : "''";
+      continue;
+    }
+    out += ch;
+    if (ch === '\n') lineStart = true;
+    else if (!/\s/.test(ch)) lineStart = false;
+    i++;
+  }
+  return out;
+}
+
+/** Python: 주석/문자열 제거 (삼중 따옴표 포함, 문자열은 "" 로 축약) */
+function maskPythonSource(src) {
+  let out = '';
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '#') {
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '"' || ch === '\'') {
+      // 접두사(r/b/f/u)는 식별자 문자라 이미 출력됨 → 그대로 두고 리터럴만 축약
+      const triple = src.slice(i, i + 3) === ch.repeat(3);
+      const quote = triple ? ch.repeat(3) : ch;
+      i += quote.length;
+      const start = i;
+      while (i < src.length && src.slice(i, i + quote.length) !== quote && (triple || src[i] !== '\n')) {
+        i += src[i] === '\\' ? 2 : 1;
+      }
+      const inner = src.slice(start, i);
+      i += quote.length;
+      // 전방 참조 타입 표기("Person", 'list[Node]')는 내용을 살림
+      out += !triple && /^[A-Za-z_][\w.]*(?:\[[\w., \[\]]*\])?$/.test(inner) ? inner : '""';
+      continue;
+    }
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+// -------------------- 공통 유틸 --------------------
+
+/** text[open]의 여는 괄호에 대응하는 닫는 괄호 위치 (없으면 끝) */
+function matchClose(text, open, pair = '{}') {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === pair[0]) depth++;
+    else if (text[i] === pair[1] && --depth === 0) return i;
+  }
+  return text.length;
+}
+
+/** 괄호/꺾쇠 깊이 0인 구분자로 나누기 */
+function splitTopLevel(text, sep = ',') {
+  const parts = [];
+  let depth = 0, buf = '';
+  for (const ch of text) {
+    if ('(<[{'.includes(ch)) depth++;
+    else if (')>]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    if (ch === sep && depth === 0) { parts.push(buf); buf = ''; continue; }
+    buf += ch;
+  }
+  if (buf.trim()) parts.push(buf);
+  return parts.map(s => s.trim()).filter(Boolean);
+}
+
+/** 깊이 0의 대입 '=' 위치 (==, <=, >=, != 제외, => 포함) */
+function topLevelAssign(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ('(<['.includes(ch)) depth++;
+    else if (')>]'.includes(ch) && !(ch === '>' && text[i - 1] === '=')) depth = Math.max(0, depth - 1);
+    if (ch === '=' && depth === 0 && !'=!<>'.includes(text[i - 1] || '') && text[i + 1] !== '=') return i;
+  }
+  return -1;
+}
+
+/** 타입 표기 정리: 공백 축약, struct/enum 접두어 제거, 포인터 붙이기 */
+function cleanType(t) {
+  return String(t || '')
+    .replace(/\b(?:struct|union|enum|class|typename)\s+/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([*&])\s*/g, '$1')
+    .replace(/\s+\[/g, '[')
+    .replace(/\s*([<>,])\s*/g, (_, c) => (c === ',' ? ', ' : c))
+    .trim();
+}
+
+/** 가시성 키워드 → Mermaid 기호 */
+function visibilityOf(words, fallback) {
+  if (words.includes('public')) return '+';
+  if (words.includes('private')) return '-';
+  if (words.includes('protected')) return '#';
+  if (words.includes('internal')) return '~';
+  return fallback;
+}
+
+/** 선두 수식어 분리 → { mods, rest } */
+function splitModifiers(text) {
+  const mods = [];
+  let rest = text.trim();
+  for (let m; (m = rest.match(/^([A-Za-z_]\w*)\s+/)) && MODIFIERS.has(m[1]);) {
+    mods.push(m[1]);
+    rest = rest.slice(m[0].length);
+  }
+  return { mods, rest };
+}
+
+/** "타입 이름" 선언자 분리 (배열 접미사는 타입으로) */
+function splitDeclarator(text) {
+  let t = text.trim();
+  let arr = '';
+  t = t.replace(/(\s*\[[^\]]*\])+\s*$/, (m) => { arr = '[]'.repeat((m.match(/\[/g) || []).length); return ''; });
+  const m = t.match(/^(.*?)([A-Za-z_]\w*)\s*$/s);
+  if (!m) return null;
+  return { type: cleanType(m[1] + arr), name: m[2] };
+}
+
+// -------------------- 중괄호 언어 (C / C++ / C# / Java) --------------------
+
+/**
+ * 블록 단위 분할: 깊이 0에서 ';'는 문장, '{'는 블록
+ * - 대입 뒤 중괄호(배열 초기화, 람다)와 괄호 안 중괄호는 문장의 일부로 취급
+ * @returns {{ head: string, body: string|null }[]}
+ */
+function splitItems(text) {
+  const items = [];
+  let buf = '', paren = 0, i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '(') paren++;
+    else if (ch === ')') paren = Math.max(0, paren - 1);
+    if (ch === '{') {
+      const end = matchClose(text, i);
+      if (paren === 0 && (topLevelAssign(buf) < 0 || /\boperator\b/.test(buf))) {
+        items.push({ head: buf.trim(), body: text.slice(i + 1, end) });
+        buf = '';
+      } else {
+        buf += '{}';
+      }
+      i = end + 1;
+      continue;
+    }
+    if (ch === ';' && paren === 0) {
+      items.push({ head: buf.trim(), body: null });
+      buf = '';
+      i++;
+      continue;
+    }
+    buf += ch;
+    i++;
+  }
+  if (buf.trim()) items.push({ head: buf.trim(), body: null });
+  return items;
+}
+
+/** 선두 어노테이션/특성 제거 + C++ 접근 지정자 분리 */
+function cleanHead(head, ctx) {
+  let h = head.trim();
+  for (;;) {
+    const before = h;
+    h = h.replace(/^@(?!interface\b)[\w.]+\s*(\((?:[^()]|\([^()]*\))*\))?\s*/, '');   // Java @Annotation(...)
+    h = h.replace(/^\[[^\]]*\]\s*/, '');                                           // C# [Attribute]
+    h = h.replace(/^\[\[[^\]]*\]\]\s*/, '');                                       // C++ [[nodiscard]]
+    const access = h.match(/^(public|private|protected)(?:\s+(?:slots|Q_SLOTS))?\s*:(?!:)\s*/);
+    if (access) {
+      if (ctx) ctx.visibility = visibilityOf([access[1]], ctx.visibility);
+      h = h.slice(access[0].length);
+    }
+    if (h === before) return h;
+  }
+}
+
+/** 블록 머리 → 타입 선언 정보 (아니면 null) */
+const TYPE_DECL_RE = /(?:^|\s)(enum\s+(?:class|struct)|record\s+(?:class|struct)|class|struct|union|interface|enum|record)\b\s*([A-Za-z_]\w*)?/;
+
+function matchTypeDecl(head, lang) {
+  const m = head.match(TYPE_DECL_RE);
+  if (!m) return null;
+  const prefix = head.slice(0, m.index + (m[0].startsWith(' ') ? 1 : 0));
+  // 앞부분은 수식어/typedef만 허용 (함수 반환형 'struct Foo *make()' 등 제외)
+  if (prefix.trim() && !prefix.trim().split(/\s+/).every(w => MODIFIERS.has(w) || w === 'typedef')) return null;
+  const keyword = m[1].replace(/\s+/g, ' ');
+  const name = m[2] || '';
+  const rest = head.slice(m.index + m[0].length);
+  const isRecord = keyword.startsWith('record');
+  if (rest.includes('(') && !(isRecord && rest.trim().startsWith('('))) return null;
+  return {
+    keyword,
+    name,
+    rest,
+    typedef: /\btypedef\b/.test(prefix),
+    isAbstract: /\babstract\b/.test(prefix),
+    isStatic: /\bstatic\b/.test(prefix),
+    lang,
+  };
+}
+
+/** 클래스 머리 나머지 → 제네릭/상위 타입 */
+function parseTypeHeader(decl, ctx) {
+  let rest = decl.rest.trim();
+  let generics = '';
+  let recordParams = '';
+  if (rest.startsWith('<')) {
+    const end = matchClose(rest, 0, '<>');
+    generics = rest.slice(1, end).trim();
+    rest = rest.slice(end + 1).trim();
+  }
+  if (rest.startsWith('(')) {
+    const end = matchClose(rest, 0, '()');
+    recordParams = rest.slice(1, end);
+    rest = rest.slice(end + 1).trim();
+  }
+  rest = rest.replace(/\bwhere\b[\s\S]*$/, '').replace(/\bpermits\b[\s\S]*$/, '').replace(/^final\b/, '').trim();
+
+  const bases = [];
+  const baseName = (s) => cleanType(s.replace(/\b(?:public|private|protected|virtual)\s+/g, ''))
+    .replace(/<.*$/, '').replace(/\(.*$/, '').split(/::|\./).pop().trim();
+  const isInterfaceDecl = decl.keyword === 'interface';
+  if (ctx.lang === 'java') {
+    const ext = rest.match(/\bextends\s+([\s\S]*?)(?=\bimplements\b|$)/);
+    const imp = rest.match(/\bimplements\s+([\s\S]*)$/);
+    for (const b of ext ? splitTopLevel(ext[1]) : []) bases.push({ name: baseName(b), realize: false });
+    for (const b of imp ? splitTopLevel(imp[1]) : []) bases.push({ name: baseName(b), realize: true });
+  } else if (rest.startsWith(':') && !decl.keyword.startsWith('enum')) {
+    splitTopLevel(rest.slice(1)).forEach((b, i) => {
+      const name = baseName(b);
+      // C#: 첫 번째만 클래스일 수 있음. I로 시작하는 이름/구조체/인터페이스의 상위는 구현으로 봄
+      const realize = ctx.lang === 'csharp' && !isInterfaceDecl &&
+        (i > 0 || /^I[A-Z]/.test(name) || decl.keyword.includes('struct'));
+      bases.push({ name, realize });
+    });
+  }
+  return { generics, recordParams, bases: bases.filter(b => b.name) };
+}
+
+/** 문장/블록 머리 → 메서드 (아니면 null) */
+function parseMethod(head, ctx) {
+  const open = head.indexOf('(');
+  if (open < 0) return null;
+  const close = matchClose(head, open, '()');
+  const inside = head.slice(open + 1, close);
+  const after = head.slice(close + 1);
+  const before = head.slice(0, open).trim();
+  if (/^\s*\*\s*[A-Za-z_]\w*\s*$/.test(inside)) return null;        // 함수 포인터 필드
+  if (/\boperator\b/.test(before) || /~\s*\w+$/.test(before)) return null; // 연산자/소멸자
+  if (/^(?:if|for|while|switch|return|sizeof|using|typedef|static_assert|throw|new|delete)\b/.test(before)) return null;
+
+  const { mods, rest } = splitModifiers(before);
+  // Java 제네릭 메서드: public <T> List<T> f()
+  const m = rest.replace(/^<[^<>]*>\s*/, '').match(/^(.*?)([A-Za-z_][\w]*(?:::[A-Za-z_]\w*)*)\s*$/s);
+  if (!m) return null;
+  const qualified = m[2];
+  const parts = qualified.split('::');
+  const name = parts.pop();
+  const owner = parts.pop() || '';
+  const returns = cleanType(m[1]);
+  if (!returns && !ctx.className && !owner) return null;               // 최상위 매크로 호출 등
+
+  const params = (/^\s*void\s*$/.test(inside) ? [] : splitTopLevel(inside)).map((p) => parseParam(p, ctx.lang)).filter(Boolean);
+  return {
+    owner,
+    method: {
+      name,
+      params,
+      returns: returns === 'void' && ctx.lang !== 'c' && ctx.lang !== 'cpp' ? 'void' : returns,
+      visibility: visibilityOf(mods, ctx.visibility),
+      ...(mods.includes('static') ? { isStatic: true } : {}),
+      ...(mods.includes('abstract') || /=\s*0\s*$/.test(after.trim()) ? { isAbstract: true } : {}),
+    },
+  };
+}
+
+/** 매개변수 1개 → { name, type } */
+function parseParam(p, lang) {
+  let t = lang === 'java' ? p.replace(/@[\w.]+(\([^)]*\))?\s*/g, '')
+    : lang === 'csharp' ? p.replace(/^\[[^\]]*\]\s*/, '').replace(/@(?=\w)/g, '') : p;
+  const eq = topLevelAssign(t);
+  if (eq >= 0) t = t.slice(0, eq);
+  const dropped = lang === 'c' || lang === 'cpp' ? /\b(?:register|volatile)\s+/g : /\b(?:final|ref|out|in|params|this|readonly|scoped)\s+/g;
+  t = t.replace(dropped, '').trim();
+  if (!t || t === '...') return null;
+  const d = splitDeclarator(t);
+  // 이름 없는 매개변수 (C/C++ 선언: int f(int, char*))
+  if (!d || !d.type) return { name: '', type: cleanType(t) };
+  return d;
+}
+
+/** 문장 → 필드 목록 (여러 선언자 지원: int a, *b;) */
+function parseFields(head, ctx) {
+  let h = head.trim();
+  if (!h || /^(?:using|typedef|friend|return|import|package|namespace|static_assert|template|goto|case|default\s*:)\b/.test(h)) return [];
+  if (/^[A-Z_][A-Z0-9_]*(?:\s*\(.*\))?$/.test(h)) return [];            // Q_OBJECT 같은 매크로
+  const lambda = h.indexOf('=>');
+  if (lambda >= 0) h = h.slice(0, lambda);                                  // C# 식 본문 속성
+  const eq = topLevelAssign(h);
+  if (eq >= 0) h = h.slice(0, eq);
+  h = h.replace(/:\s*\d+\s*$/, '');                                         // 비트필드
+  const { mods, rest } = splitModifiers(h);
+  const decls = splitTopLevel(rest);
+  if (!decls.length) return [];
+  const first = splitDeclarator(decls[0]);
+  if (!first || !first.type) return [];
+  const baseType = first.type.replace(/[*&]+$/, '').replace(/(\[\])+$/, '');
+  const fields = [first, ...decls.slice(1).map((d) => {
+    const ptr = (d.match(/^[*&\s]+/) || [''])[0].replace(/\s/g, '');
+    const x = splitDeclarator(d.replace(/^[*&\s]+/, ''));
+    return x && !x.type ? { name: x.name, type: cleanType(baseType + ptr) } : null;
+  })].filter(Boolean);
+  return fields.map((f) => ({
+    name: f.name,
+    type: f.type,
+    visibility: visibilityOf(mods, ctx.visibility),
+    ...(mods.includes('static') || (ctx.lang === 'java' && ctx.isInterface) ? { isStatic: true } : {}),
+  }));
+}
+
+/** 열거형 본문 → 상수 이름 (+ Java 열거형의 ';' 뒤 멤버) */
+function parseEnumBody(body) {
+  const semi = (() => {
+    let depth = 0;
+    for (let i = 0; i < body.length; i++) {
+      if ('({'.includes(body[i])) depth++;
+      else if (')}'.includes(body[i])) depth--;
+      else if (body[i] === ';' && depth === 0) return i;
+    }
+    return -1;
+  })();
+  const constants = semi < 0 ? body : body.slice(0, semi);
+  const values = splitTopLevel(constants)
+    .map(c => (c.replace(/^@[\w.]+(\([^)]*\))?\s*/g, '').match(/^([A-Za-z_]\w*)/) || [])[1])
+    .filter(Boolean);
+  return { values, rest: semi < 0 ? '' : body.slice(semi + 1) };
+}
+
+/**
+ * 블록 목록 훑기
+ * - ctx.className 이 있으면 클래스 본문(멤버 수집), 없으면 최상위(타입/네임스페이스/함수)
+ */
+function walkItems(items, ctx, model) {
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const head = cleanHead(item.head, ctx);
+    const decl = matchTypeDecl(head, ctx.lang);
+
+    if (item.body !== null) {
+      if (decl) {
+        // C/C++: 타입 본문 뒤 ';' 까지가 선언자 (typedef 이름 등)
+        let tail = '';
+        if ((ctx.lang === 'c' || ctx.lang === 'cpp') && items[i + 1] && items[i + 1].body === null) {
+          tail = items[++i].head;
+        }
+        parseTypeBlock(decl, item.body, tail, ctx, model);
+        continue;
+      }
+      if (!ctx.className) {
+        if (/^(?:namespace\b|extern\s*""|export\b)/.test(head) || head === '') {
+          walkItems(splitItems(item.body), { ...ctx }, model);
+          continue;
+        }
+        const fn = parseMethod(head, ctx);
+        if (fn) model.functions.push(fn);
+        continue;
+      }
+      const fn = parseMethod(head, ctx);
+      if (fn) { addMethod(model.get(ctx.className), fn.method); continue; }
+      // C# 속성 { get; set; } / C++ 중괄호 초기화 멤버 int x{0};
+      if (ctx.lang === 'csharp' || ctx.lang === 'cpp') {
+        for (const f of parseFields(head, ctx)) addField(model.get(ctx.className), f, ctx);
+      }
+      continue;
+    }
+
+    // typedef struct Foo_s Foo;
+    const alias = head.match(/^typedef\s+(?:struct|union|enum)\s+(\w+)\s+\*?\s*(\w+)\s*$/);
+    if (alias) {
+      if (alias[1] !== alias[2]) model.aliases.set(alias[1], alias[2]);
+      continue;
+    }
+    // 전방 선언 (struct Foo; / friend class Bar;) — 'struct Node *next;' 같은 멤버는 통과
+    if (decl && !/[A-Za-z_]/.test(decl.rest)) continue;
+    if (!ctx.className) {
+      if (head.includes('(') && !/^typedef\b/.test(head)) {
+        const fn = parseMethod(head, ctx);
+        if (fn) model.functions.push(fn);
+      }
+      continue;
+    }
+    const cls = model.get(ctx.className);
+    if (!head || head.startsWith('=') || /\boperator\b/.test(head)) continue;       // 속성 초기값 '= new()', 연산자
+    // 함수 포인터 멤버: void (*onCrash)(int); → onCrash: function
+    const fnPtr = head.match(/^(.*?)\(\s*\*\s*([A-Za-z_]\w*)\s*\)\s*\(.*\)\s*$/s);
+    if (fnPtr) {
+      const { mods } = splitModifiers(fnPtr[1]);
+      addField(cls, { name: fnPtr[2], type: 'function', visibility: visibilityOf(mods, ctx.visibility) }, { lang: '' });
+      continue;
+    }
+    if (head.includes('(') && topLevelAssign(head.slice(0, head.indexOf('('))) < 0) {
+      const fn = parseMethod(head, ctx);
+      if (fn) addMethod(cls, fn.method);
+      continue;
+    }
+    for (const f of parseFields(head, ctx)) addField(cls, f, ctx);
+  }
+}
+
+/** 타입 블록 1개 → ClassInfo (+ 중첩 타입) */
+function parseTypeBlock(decl, body, tail, ctx, model) {
+  let name = decl.name;
+  const tailName = (tail.match(/^\s*([A-Za-z_]\w*)/) || [])[1];
+  if (decl.typedef && tailName) {
+    if (name && name !== tailName) model.aliases.set(name, tailName);
+    name = tailName;
+  }
+  if (!name) return;                                                        // 익명 구조체 변수
+
+  const header = parseTypeHeader(decl, ctx);
+  const cls = model.get(name);
+  if (header.generics) cls.generics = header.generics;
+  for (const b of header.bases) if (!cls.bases.some(x => x.name === b.name)) cls.bases.push(b);
+
+  const keyword = decl.keyword;
+  if (keyword === 'interface') cls.stereotype = 'interface';
+  else if (keyword.startsWith('enum')) cls.stereotype = 'enumeration';
+  else if (decl.isAbstract) cls.stereotype = 'abstract';
+
+  const inner = {
+    lang: ctx.lang,
+    className: name,
+    isInterface: keyword === 'interface',
+    visibility: defaultVisibility(ctx.lang, keyword),
+  };
+  for (const p of splitTopLevel(header.recordParams)) {
+    const d = parseParam(p, ctx.lang);
+    if (d?.name) addField(cls, { name: d.name, type: d.type, visibility: '+' }, inner);
+  }
+  if (keyword.startsWith('enum')) {
+    const { values, rest } = parseEnumBody(body);
+    cls.values.push(...values.filter(v => !cls.values.includes(v)));
+    if (rest.trim()) walkItems(splitItems(rest), inner, model);
+    return;
+  }
+  walkItems(splitItems(body), inner, model);
+  if (cls.methods.some(m => m.isAbstract) && !cls.stereotype) cls.stereotype = 'abstract';
+}
+
+/** 언어/키워드별 기본 가시성 */
+function defaultVisibility(lang, keyword) {
+  if (lang === 'c') return '+';
+  if (lang === 'cpp') return keyword.includes('class') ? '-' : '+';
+  if (keyword === 'interface') return '+';
+  if (lang === 'java') return '~';
+  return '-';
+}
+
+/** C/C++ 최상위 함수 → 클래스 메서드로 붙이기 */
+function attachFunctions(model, lang) {
+  for (const { owner, method } of model.functions) {
+    if (lang === 'cpp' && owner) {
+      if (method.name === owner) method.returns = '';
+      addMethod(model.get(owner), method);
+      continue;
+    }
+    if (lang !== 'c' || !method.params.length) continue;
+    const first = method.params[0];
+    const target = resolveName(model, first.type.replace(/^const\s+/, '').replace(/\*+$/, ''));
+    if (!first.type.includes('*') || !model.classes.has(target)) continue;
+    // C의 static은 파일 내부 함수 → private
+    const { isStatic, ...rest } = method;
+    addMethod(model.classes.get(target), { ...rest, params: method.params.slice(1), visibility: isStatic ? '-' : '+' });
+  }
+}
+
+function addField(cls, field, ctx) {
+  if (cls.fields.some(f => f.name === field.name)) return;
+  const byValue = (ctx.lang === 'cpp' || ctx.lang === 'c') && !REFERENCE_RE.test(field.type);
+  cls.fields.push(byValue ? { ...field, byValue } : field);
+}
+
+function addMethod(cls, method) {
+  const sig = (m) => `${m.name}/${m.params.length}`;
+  if (cls.methods.some(m => sig(m) === sig(method))) return;
+  cls.methods.push(method);
+}
+
+// -------------------- Python --------------------
+
+/** 물리 행 → 논리 행 (괄호 안 줄바꿈/'\' 연장 합치기) */
+function pythonLogicalLines(src) {
+  const out = [];
+  let buf = '', depth = 0, indent = 0;
+  for (const raw of src.split('\n')) {
+    if (!buf) {
+      if (!raw.trim()) continue;
+      indent = raw.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+    }
+    buf += (buf ? ' ' : '') + raw.trim();
+    for (const ch of raw) {
+      if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    }
+    if (buf.endsWith('\\')) { buf = buf.slice(0, -1); continue; }
+    if (depth > 0) continue;
+    out.push({ indent, text: buf });
+    buf = '';
+  }
+  if (buf) out.push({ indent, text: buf });
+  return out;
+}
+
+/** 이름 → 가시성 (_x: #, __x: -) */
+const pyVisibility = (name) => (/^__\w+__$/.test(name) ? '+' : /^__/.test(name) ? '-' : /^_/.test(name) ? '#' : '+');
+
+/** Python 매개변수 목록 */
+function parsePythonParams(text) {
+  return splitTopLevel(text)
+    .filter(p => p !== '*' && p !== '/')
+    .map((p) => {
+      const noDefault = p.slice(0, topLevelAssign(p) < 0 ? p.length : topLevelAssign(p));
+      const [n, ...t] = noDefault.split(':');
+      return { name: n.trim().replace(/^\*+/, ''), type: t.join(':').trim() };
+    });
+}
+
+function extractPython(src, model) {
+  const lines = pythonLogicalLines(maskPythonSource(src));
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].text.match(/^class\s+([A-Za-z_]\w*)\s*(?:\[([^\]]*)\])?\s*(?:\((.*)\))?\s*:/);
+    if (!m) continue;
+    const classIndent = lines[i].indent;
+    const cls = model.get(m[1]);
+    if (m[2]) cls.generics = m[2];
+    const decorators = [];
+    for (let k = i - 1; k >= 0 && lines[k].indent === classIndent && lines[k].text.startsWith('@'); k--) decorators.push(lines[k].text);
+    const isDataclass = decorators.some(d => /^@(?:dataclasses\.)?dataclass\b/.test(d));
+
+    for (const b of splitTopLevel(m[3] || '')) {
+      if (b.includes('=')) {
+        if (/metaclass\s*=\s*(?:abc\.)?ABCMeta/.test(b)) cls.stereotype = 'abstract';
+        continue;
+      }
+      const name = b.replace(/\[.*$/, '').split('.').pop().trim();
+      if (/^(?:ABC)$/.test(name)) cls.stereotype ||= 'abstract';
+      if (name === 'Protocol') cls.stereotype = 'interface';
+      if (/Enum$|^(?:Flag|IntFlag)$/.test(name)) cls.stereotype = 'enumeration';
+      if (name && !PY_IGNORED_BASES.has(name)) cls.bases.push({ name, realize: false });
+    }
+
+    // 클래스 본문: 들여쓰기가 더 깊은 연속 행
+    let end = i + 1;
+    while (end < lines.length && lines[end].indent > classIndent) end++;
+    const body = lines.slice(i + 1, end);
+    const memberIndent = body[0]?.indent;
+    let pending = [];
+    for (let k = 0; k < body.length; k++) {
+      const { indent, text } = body[k];
+      if (indent !== memberIndent) continue;
+      if (text.startsWith('@')) { pending.push(text); continue; }
+      const decos = pending;
+      pending = [];
+      const def = text.match(/^(?:async\s+)?def\s+([A-Za-z_]\w*)\s*\((.*)\)\s*(?:->\s*(.+?))?\s*:/);
+      if (def) {
+        const [, name, paramText, returns = ''] = def;
+        const isStatic = decos.some(d => /^@staticmethod\b/.test(d));
+        const isClassMethod = decos.some(d => /^@classmethod\b/.test(d));
+        const params = parsePythonParams(paramText);
+        if (!isStatic && params.length) params.shift();                     // self / cls
+        // 메서드 본문의 self.x = ... → 인스턴스 필드
+        const paramTypes = new Map(params.map(p => [p.name, p.type]));
+        for (let j = k + 1; j < body.length && body[j].indent > memberIndent; j++) {
+          const a = body[j].text.match(/^self\.([A-Za-z_]\w*)\s*(?::\s*([^=]+?))?\s*=(?!=)\s*(.*)$/);
+          if (!a || cls.fields.some(f => f.name === a[1])) continue;
+          const rhs = a[3].trim();
+          const inferred = a[2]?.trim()
+            || (rhs.match(/^([A-Z]\w*)\s*\(/) || [])[1]
+            || paramTypes.get(rhs)
+            || (rhs.startsWith('[') ? 'list' : rhs.startsWith('{') ? 'dict' : '');
+          cls.fields.push({ name: a[1], type: inferred || '', visibility: pyVisibility(a[1]) });
+        }
+        if (decos.some(d => /^@property\b/.test(d))) {
+          if (!cls.fields.some(f => f.name === name)) cls.fields.push({ name, type: returns.trim(), visibility: pyVisibility(name) });
+          continue;
+        }
+        if (/^__\w+__$/.test(name) && name !== '__init__') continue;
+        addMethod(cls, {
+          name,
+          params,
+          returns: returns.trim(),
+          visibility: pyVisibility(name),
+          ...(isStatic || isClassMethod ? { isStatic: true } : {}),
+          ...(decos.some(d => /abstractmethod\b/.test(d)) ? { isAbstract: true } : {}),
+        });
+        continue;
+      }
+      const attr = text.match(/^([A-Za-z_]\w*)\s*(?::\s*([^=]+?))?\s*(?:=(?!=)\s*(.*))?$/);
+      if (!attr || (attr[2] === undefined && attr[3] === undefined)) continue;
+      if (cls.stereotype === 'enumeration') {
+        if (!cls.values.includes(attr[1])) cls.values.push(attr[1]);
+        continue;
+      }
+      if (cls.fields.some(f => f.name === attr[1])) continue;
+      cls.fields.push({
+        name: attr[1],
+        type: (attr[2] || '').replace(/^ClassVar\[(.*)\]$/, '$1').trim(),
+        visibility: pyVisibility(attr[1]),
+        ...((attr[2] === undefined && !isDataclass) || /^ClassVar\b/.test(attr[2] || '') ? { isStatic: true } : {}),
+      });
+    }
+    if (cls.methods.some(x => x.isAbstract) && !cls.stereotype) cls.stereotype = 'abstract';
+  }
+}
+
+// -------------------- 모델 / 관계 --------------------
+
+function createModel() {
+  /** @type {Map<string, ClassInfo>} */
+  const classes = new Map();
+  return {
+    classes,
+    aliases: new Map(),
+    functions: [],
+    get(name) {
+      if (!classes.has(name)) {
+        classes.set(name, { name, generics: '', stereotype: '', fields: [], methods: [], values: [], bases: [] });
+      }
+      return classes.get(name);
+    },
+  };
+}
+
+function resolveName(model, name) {
+  const n = cleanType(name).replace(/[*&]+$/, '');
+  return model.aliases.get(n) || n;
+}
+
+/** typedef 별칭으로 들어온 이름 정리 (struct Foo_s → Foo) */
+function applyAliases(model) {
+  for (const [from, to] of model.aliases) {
+    const cls = model.classes.get(from);
+    if (!cls) continue;
+    model.classes.delete(from);
+    const target = model.get(to);
+    for (const f of cls.fields) if (!target.fields.some(x => x.name === f.name)) target.fields.push(f);
+    for (const m of cls.methods) addMethod(target, m);
+    target.bases.push(...cls.bases);
+    target.values.push(...cls.values);
+    target.stereotype ||= cls.stereotype;
+  }
+}
+
+/** 타입 표기 안에서 추출된 클래스 이름 찾기 */
+function referencedClasses(model, type, self) {
+  const found = [];
+  for (const id of String(type || '').match(/[A-Za-z_]\w*/g) || []) {
+    const name = model.aliases.get(id) || id;
+    if (name !== self && model.classes.has(name) && !found.includes(name)) found.push(name);
+  }
+  return found;
+}
+
+/**
+ * 관계 계산
+ * @returns {{ from: string, to: string, arrow: string, label?: string, many?: boolean }[]}
+ */
+function buildRelations(model) {
+  const rels = [];
+  const seen = new Set();
+  const add = (r) => {
+    const key = `${r.from}|${r.arrow}|${r.to}|${r.label || ''}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    rels.push(r);
+  };
+  for (const cls of model.classes.values()) {
+    for (const b of cls.bases) {
+      const base = model.aliases.get(b.name) || b.name;
+      const realize = b.realize || model.classes.get(base)?.stereotype === 'interface';
+      add({ from: base, to: cls.name, arrow: realize ? '<|..' : '<|--' });
+    }
+  }
+  for (const cls of model.classes.values()) {
+    const linked = new Set();
+    for (const f of cls.fields) {
+      for (const target of referencedClasses(model, f.type, '')) {            // 자기 참조(Node *next)도 연관
+        linked.add(target);
+        add({ from: cls.name, to: target, arrow: f.byValue ? '*--' : '-->', label: f.name, many: COLLECTION_RE.test(f.type) });
+      }
+    }
+    for (const m of cls.methods) {
+      const types = [m.returns, ...m.params.map(p => p.type)].join(' ');
+      for (const target of referencedClasses(model, types, cls.name)) {
+        if (linked.has(target)) continue;
+        linked.add(target);
+        add({ from: cls.name, to: target, arrow: '..>' });
+      }
+    }
+  }
+  return rels;
+}
+
+// -------------------- Mermaid 출력 --------------------
+
+/** 멤버 텍스트 정리 (제네릭 <> → ~, 중괄호/따옴표 제거) */
+const mmText = (s) => String(s || '').replace(/[<>]/g, '~').replace(/[{}"`;]/g, '').replace(/\s+/g, ' ').trim();
+
+function renderMember(f) {
+  return `${f.visibility}${f.name}${f.type ? `: ${mmText(f.type)}` : ''}${f.isStatic ? '$' : ''}`;
+}
+
+function renderMethod(m) {
+  const params = m.params.map(p => (p.name ? `${p.name}${p.type ? `: ${mmText(p.type)}` : ''}` : mmText(p.type))).join(', ');
+  const classifier = m.isAbstract ? '*' : m.isStatic ? '$' : '';
+  return `${m.visibility}${m.name}(${params})${classifier}${m.returns ? ` ${mmText(m.returns)}` : ''}`;
+}
+
+function renderClassDiagram(model, relations) {
+  const lines = ['classDiagram'];
+  for (const cls of model.classes.values()) {
+    const generics = cls.generics ? `~${mmText(cls.generics).replace(/~/g, '')}~` : '';
+    const members = [
+      ...(cls.stereotype ? [`<<${cls.stereotype}>>`] : []),
+      ...cls.values,
+      ...cls.fields.map(renderMember),
+      ...cls.methods.map(renderMethod),
+    ];
+    if (!members.length) { lines.push(`class ${cls.name}${generics}`); continue; }
+    lines.push(`class ${cls.name}${generics} {`, ...members.map(m => `  ${m}`), '}');
+  }
+  for (const r of relations) {
+    const many = r.many ? ' "*"' : '';
+    lines.push(`${r.from} ${r.arrow}${many} ${r.to}${r.label ? ` : ${r.label}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+// -------------------- 공개 API --------------------
+
+/**
+ * 소스코드 → classDiagram (정적 분석)
+ * @param {string} language - 'C' | 'C++' | 'C#' | 'Java' | 'Python'
+ * @param {string} code
+ * @returns {{ mermaid: string, stats: { classes: number, relations: number } }}
+ */
+export function extractClassDiagram(language, code) {
+  const lang = LANG_KEYS[String(language || '').trim().toLowerCase()];
+  if (!lang) throw new Error(`정적 추출을 지원하지 않는 언어입니다: ${language} (${STATIC_EXTRACT_LANGUAGES.join(', ')})`);
+  const model = createModel();
+  if (lang === 'python') {
+    extractPython(String(code || ''), model);
+  } else {
+    const masked = maskBraceSource(String(code || ''), lang)
+      .replace(/\btemplate\s*<(?:[^<>]|<(?:[^<>]|<[^<>]*>)*>)*>/g, '');   // C++ template<...> 머리 제거
+    walkItems(splitItems(masked), { lang, className: '', visibility: '+' }, model);
+    attachFunctions(model, lang);
+    applyAliases(model);
+  }
+  if (!model.classes.size) throw new Error('코드에서 클래스/구조체 선언을 찾지 못했습니다.');
+  const relations = buildRelations(model);
+  return {
+    mermaid: renderClassDiagram(model, relations),
+    stats: { classes: model.classes.size, relations: relations.length },
+  };
+}
@@ -0,0 +1,124 @@
+// server/code-files.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/code-files.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 다중 파일 코드(파일 트리) ↔ 단일 텍스트 변환
+ *  - 파일 경로 검증/정규화, 언어별 기본 파일명/소스 확장자
+ *
+ * 텍스트 형식 (LLM 입출력, CodeItem.code)
+ *    === FILE: src/main/java/Sensor.java ===
+ *    class Sensor { ... }
+ *    === FILE: pom.xml ===
+ *    ...
+ *  - 마커가 없으면 파일 1개(언어별 기본 파일명)로 취급
+ * ============================================
+ */
+
+/**
+ * @typedef {{ path: string, content: string }} CodeFile
+ */
+
+const FILE_MARKER_RE = /^\s*={3,}\s*FILE:\s*(.+?)\s*={3,}\s*$/;
+
+/** 언어별 확장자 / 단일 파일 기본 이름 */
+const LANGUAGE_FILES = {
+  c:      { exts: ['.c', '.h'], main: 'main.c' },
+  cpp:    { exts: ['.cpp', '.cc', '.cxx', '.hpp', '.hh', '.h'], main: 'main.cpp' },
+  csharp: { exts: ['.cs'], main: 'Program.cs' },
+  java:   { exts: ['.java'], main: 'Main.java' },
+  python: { exts: ['.py', '.pyi'], main: 'main.py' },
+};
+const LANG_ALIASES = { 'c++': 'cpp', 'c#': 'csharp', cs: 'csharp', py: 'python' };
+
+function languageFiles(language) {
+  const k = String(language || '').trim().toLowerCase();
+  return LANGUAGE_FILES[LANG_ALIASES[k] || k] || null;
+}
+
+/** 단일 파일 출력일 때의 파일명 (모르는 언어면 'main.txt') */
+export function defaultSourcePath(language) {
+  return languageFiles(language)?.main || 'main.txt';
+}
+
+/** 해당 언어의 소스 파일인지 (빌드 파일/문서 제외) */
+export function isSourcePath(language, filePath) {
+  const exts = languageFiles(language)?.exts;
+  if (!exts) return true;
+  const p = String(filePath).toLowerCase();
+  return exts.some(ext => p.endsWith(ext));
+}
+
+/**
+ * 상대 경로 정규화 ('\' → '/', './' 제거)
+ * - 절대 경로, '..', 빈 경로, 제어 문자는 예외
+ */
+export function normalizeFilePath(filePath) {
+  const raw = String(filePath ?? '').trim().replace(/\\/g, '/');
+  if (!raw) throw new Error('파일 경로가 비어 있습니다.');
+  if (/[\u0000-\u001f]/.test(raw)) throw new Error(`파일 경로에 제어 문자가 있습니다: ${JSON.stringify(raw)}`);
+  if (raw.startsWith('/') || /^[A-Za-z]:/.test(raw)) throw new Error(`절대 경로는 사용할 수 없습니다: ${raw}`);
+  const parts = raw.split('/').filter(p => p && p !== '.');
+  if (!parts.length) throw new Error(`파일 경로가 올바르지 않습니다: ${raw}`);
+  if (parts.includes('..')) throw new Error(`'..'이 포함된 경로는 사용할 수 없습니다: ${raw}`);
+  return parts.join('/');
+}
+
+/**
+ * 파일 목록 검증 (경로 정규화 + 중복 검사, 순서 유지)
+ * @param {unknown} files
+ * @returns {CodeFile[]}
+ */
+export function normalizeFiles(files) {
+  if (!Array.isArray(files) || !files.length) throw new Error('files는 { path, content } 배열이어야 합니다.');
+  const seen = new Set();
+  return files.map((f, i) => {
+    if (!f || typeof f !== 'object') throw new Error(`files[${i}]가 객체가 아닙니다.`);
+    const filePath = normalizeFilePath(f.path);
+    if (seen.has(filePath)) throw new Error(`중복된 파일 경로입니다: ${filePath}`);
+    seen.add(filePath);
+    return { path: filePath, content: String(f.content ?? '') };
+  });
+}
+
+/**
+ * 파일 목록 → 마커 텍스트
+ * @param {CodeFile[]} files
+ * @param {{ markers?: boolean }} [options] - 기본: 파일이 2개 이상일 때만 마커 (1개면 내용만)
+ */
+export function joinFiles(files, { markers = files.length > 1 } = {}) {
+  if (!markers) return files.map(f => f.content).join('\n');
+  return files.map(f => `=== FILE: ${f.path} ===\n${f.content.replace(/\n+$/, '')}\n`).join('\n');
+}
+
+/**
+ * 마커 텍스트 → 파일 목록
+ * - 첫 마커 앞의 내용은 무시 (공백이 아니면 fallbackPath 파일로 보존)
+ * - 같은 경로가 여러 번 나오면 뒤의 내용으로 덮어씀
+ * @param {string} text
+ * @param {string} fallbackPath - 마커가 없을 때 사용할 파일명
+ * @returns {CodeFile[]}
+ */
+export function splitFiles(text, fallbackPath) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  /** @type {Map<string, string[]>} */
+  const files = new Map();
+  let current = null;
+  const preamble = [];
+  for (const line of lines) {
+    const m = line.match(FILE_MARKER_RE);
+    if (m) {
+      current = normalizeFilePath(m[1].replace(/^`|`$/g, ''));
+      files.set(current, []);
+      continue;
+    }
+    (current ? files.get(current) : preamble).push(line);
+  }
+  const trim = (ls) => `${ls.join('\n').replace(/^\n+/, '').replace(/\s+$/, '')}\n`;
+  if (!files.size) return [{ path: normalizeFilePath(fallbackPath), content: trim(preamble) }];
+  const out = [...files].map(([p, ls]) => ({ path: p, content: trim(ls) }));
+  if (preamble.join('').trim() && !files.has(fallbackPath)) out.unshift({ path: normalizeFilePath(fallbackPath), content: trim(preamble) });
+  return out;
+}
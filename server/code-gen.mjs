@@ -0,0 +1,842 @@
+// server/code-gen.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/code-gen.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 클래스 모델(server/class-model.mjs) → 언어별 코드 골격 (템플릿, LLM 호출 없음)
+ *  - 지원 언어: C, C++, C#, Java, Python (#mm-lang 목록과 동일)
+ *
+ * 생성 규칙
+ *  - 클래스/인터페이스/추상 클래스/열거형 선언 + 필드 + 메서드 스텁(TODO)
+ *  - 상속(<|--) → extends / : public, 구현(..|>) → implements / 인터페이스 상속
+ *  - 합성(*--) → 부분을 값(또는 소유 포인터)으로 갖는 멤버, 집합(o--)/연관(-->) → 참조 멤버
+ *    (다중성 "*" 이면 컬렉션, 멤버 이름은 관계 라벨 → 없으면 대상 클래스명)
+ *  - 인터페이스/추상 부모의 미구현 메서드는 하위 구체 클래스에 override 스텁으로 추가
+ *  - 부모/값 멤버 타입이 먼저 오도록 클래스 순서 정렬
+ *
+ * 출력
+ *  - generateSkeleton: 한 파일에 모든 타입 (Java는 파일당 public 1개 제약 때문에 package-private)
+ *  - generateProject : 클래스당 1파일 + 빌드 파일(pom.xml / .csproj / CMakeLists.txt / pyproject.toml)
+ *
+ * 비고
+ *  - C는 구조체 + 'Type_method(Type *self, ...)' 함수, 인터페이스는 함수 포인터 테이블
+ * ============================================
+ */
+
+import { isMany } from './class-model.mjs';
+
+/**
+ * @typedef {import('./class-model.mjs').ClassModel} ClassModel
+ * @typedef {import('./code-extract.mjs').ClassInfo} ClassInfo
+ * @typedef {import('./code-extract.mjs').MethodInfo} MethodInfo
+ * @typedef {{ name: string, type: string, visibility: string, isStatic?: boolean,
+ *             target?: string, kind?: string, many?: boolean }} GenField
+ */
+
+const LANG_KEYS = {
+  c: 'c', 'c++': 'cpp', cpp: 'cpp', 'c#': 'csharp', cs: 'csharp', csharp: 'csharp',
+  java: 'java', python: 'python', py: 'python',
+};
+
+export const TEMPLATE_LANGUAGES = ['C', 'C++', 'C#', 'Java', 'Python'];
+
+/** 언어 표기 → 내부 키 (미지원이면 예외) */
+export function templateLangKey(language) {
+  const lang = LANG_KEYS[String(language || '').trim().toLowerCase()];
+  if (!lang) throw new Error(`템플릿 생성을 지원하지 않는 언어입니다: ${language} (${TEMPLATE_LANGUAGES.join(', ')})`);
+  return lang;
+}
+
+// -------------------- 타입 매핑 --------------------
+
+/** 다이어그램의 기본 타입 → 언어별 타입 */
+const PRIMITIVES = {
+  string:  { java: 'String', csharp: 'string', cpp: 'std::string', c: 'const char*', python: 'str' },
+  int:     { java: 'int', csharp: 'int', cpp: 'int', c: 'int', python: 'int' },
+  long:    { java: 'long', csharp: 'long', cpp: 'long', c: 'long', python: 'int' },
+  float:   { java: 'float', csharp: 'float', cpp: 'float', c: 'float', python: 'float' },
+  double:  { java: 'double', csharp: 'double', cpp: 'double', c: 'double', python: 'float' },
+  bool:    { java: 'boolean', csharp: 'bool', cpp: 'bool', c: 'bool', python: 'bool' },
+  char:    { java: 'char', csharp: 'char', cpp: 'char', c: 'char', python: 'str' },
+  void:    { java: 'void', csharp: 'void', cpp: 'void', c: 'void', python: 'None' },
+  date:    { java: 'LocalDateTime', csharp: 'DateTime', cpp: 'std::chrono::system_clock::time_point', c: 'time_t', python: 'datetime' },
+  object:  { java: 'Object', csharp: 'object', cpp: 'std::any', c: 'void*', python: 'Any' },
+};
+const PRIMITIVE_ALIASES = {
+  string: 'string', str: 'string', String: 'string', 'std::string': 'string',
+  int: 'int', integer: 'int', Integer: 'int', long: 'long', Long: 'long',
+  float: 'float', Float: 'float', double: 'double', Double: 'double', decimal: 'double',
+  bool: 'bool', boolean: 'bool', Boolean: 'bool', char: 'char',
+  void: 'void', None: 'void',
+  Date: 'date', DateTime: 'date', datetime: 'date', LocalDateTime: 'date',
+  object: 'object', Object: 'object', any: 'object', Any: 'object',
+};
+const LIST_TYPES = /^(?:List|list|IList|ArrayList|LinkedList|vector|std::vector|Collection|Sequence|Iterable|IEnumerable|Array)$/;
+const MAP_TYPES = /^(?:Map|HashMap|TreeMap|Dictionary|IDictionary|dict|Dict|map|std::map|unordered_map|std::unordered_map)$/;
+const SET_TYPES = /^(?:Set|HashSet|TreeSet|ISet|set|std::set|unordered_set|std::unordered_set)$/;
+const SMART_POINTERS = /^(?:std::)?(?:unique_ptr|shared_ptr|weak_ptr)$/;
+
+function splitArgs(text) {
+  const parts = [];
+  let depth = 0, buf = '';
+  for (const ch of text) {
+    if ('<[('.includes(ch)) depth++;
+    else if ('>])'.includes(ch)) depth--;
+    if (ch === ',' && depth === 0) { parts.push(buf.trim()); buf = ''; continue; }
+    buf += ch;
+  }
+  if (buf.trim()) parts.push(buf.trim());
+  return parts;
+}
+
+/** 컬렉션 타입 문자열 */
+function listOf(inner, lang) {
+  return { java: `List<${inner}>`, csharp: `List<${inner}>`, cpp: `std::vector<${inner}>`, c: `${inner}*`, python: `list[${inner}]` }[lang];
+}
+
+/**
+ * 다이어그램 타입 표기 → 언어별 타입
+ * - 빈 문자열이면 '' (호출 측에서 기본값 처리)
+ */
+export function mapType(type, lang) {
+  let t = String(type || '').trim().replace(/^(?:const\s+)/, '');
+  if (!t) return '';
+  const arr = t.match(/^(.*)\[\]$/);
+  if (arr) return listOf(mapType(arr[1], lang) || 'int', lang);
+  const ptr = t.match(/^(.*?)\s*([*&]+)$/);
+  if (ptr) {
+    if (lang === 'cpp') return `${mapType(ptr[1], lang)}${ptr[2]}`;
+    return lang === 'c' ? `${mapType(ptr[1], lang)}${ptr[2].replace(/&/g, '*')}` : mapType(ptr[1], lang);
+  }
+  const g = t.match(/^([\w.:]+)\s*[<[](.*)[>\]]$/);
+  if (g) {
+    const args = splitArgs(g[2]).map(a => mapType(a, lang) || a);
+    if (SMART_POINTERS.test(g[1])) return lang === 'cpp' ? `${g[1]}<${args[0]}>` : lang === 'c' ? `${args[0]}*` : args[0];
+    if (LIST_TYPES.test(g[1])) return listOf(args[0], lang);
+    if (MAP_TYPES.test(g[1])) {
+      return { java: `Map<${args.join(', ')}>`, csharp: `Dictionary<${args.join(', ')}>`, cpp: `std::map<${args.join(', ')}>`, c: 'void*', python: `dict[${args.join(', ')}]` }[lang];
+    }
+    if (SET_TYPES.test(g[1])) {
+      return { java: `Set<${args[0]}>`, csharp: `HashSet<${args[0]}>`, cpp: `std::set<${args[0]}>`, c: `${args[0]}*`, python: `set[${args[0]}]` }[lang];
+    }
+    if (/^(?:Optional|optional)$/.test(g[1])) {
+      return { java: `Optional<${args[0]}>`, csharp: `${args[0]}?`, cpp: `std::optional<${args[0]}>`, c: `${args[0]}*`, python: `${args[0]} | None` }[lang];
+    }
+    if (lang === 'c') return g[1];
+    return lang === 'python' ? `${g[1]}[${args.join(', ')}]` : `${g[1]}<${args.join(', ')}>`;
+  }
+  if (LIST_TYPES.test(t)) return listOf(PRIMITIVES.object[lang], lang);
+  const prim = PRIMITIVE_ALIASES[t];
+  if (prim) return PRIMITIVES[prim][lang];
+  return lang === 'cpp' ? t : t.split('::').pop();                         // 다른 언어는 C++ 네임스페이스 제거
+}
+
+// -------------------- 모델 보강 --------------------
+
+/** 관계 라벨이 역할 이름이 아니라 동사인 경우 (uses, has, provides ...) */
+const VERB_LABEL = /^(?:uses?|has|have|owns?|contains?|includes?|holds?|provides?|creates?|calls?|manages?|depends\w*|sends?|notif\w*|reads?|writes?|references?|belongs\w*)$/i;
+
+/** 관계 → 멤버 이름 (라벨이 식별자(동사 제외)면 라벨, 아니면 대상 이름 lowerCamel (+s)) */
+function relationMemberName(rel, many) {
+  const label = rel.label.trim();
+  if (/^[A-Za-z_]\w*$/.test(label) && !VERB_LABEL.test(label)) return label;
+  const base = rel.to.charAt(0).toLowerCase() + rel.to.slice(1);
+  return many ? `${base}s` : base;
+}
+
+/**
+ * 클래스별 생성 정보: 부모/인터페이스, 관계 멤버, 상속받을 추상 메서드
+ */
+function prepare(model) {
+  const byName = new Map(model.classes.map(c => [c.name, c]));
+  const isInterface = (name) => byName.get(name)?.stereotype === 'interface';
+  const info = new Map();
+
+  for (const cls of model.classes) {
+    const bases = cls.bases.map(b => ({ ...b, realize: b.realize || isInterface(b.name) }));
+    const parent = cls.stereotype === 'interface' ? null : bases.find(b => !b.realize)?.name || null;
+    const interfaces = bases.filter(b => b.realize || cls.stereotype === 'interface').map(b => b.name);
+
+    /** @type {GenField[]} */
+    const fields = cls.fields.map(f => ({ ...f }));
+    for (const rel of model.relations) {
+      if (rel.from !== cls.name || !['composition', 'aggregation', 'association'].includes(rel.kind)) continue;
+      const many = isMany(rel.toCard);
+      const name = relationMemberName(rel, many);
+      // 이미 같은 이름 또는 대상 타입을 가진 필드가 있으면 생략
+      if (fields.some(f => f.name === name || new RegExp(`\\b${rel.to}\\b`).test(f.type))) continue;
+      const type = many ? `List<${rel.to}>` : rel.to;
+      // 열거형은 값 타입 → 일반 필드로 취급
+      if (byName.get(rel.to)?.stereotype === 'enumeration') fields.push({ name, type, visibility: '-' });
+      else fields.push({ name, type, visibility: '-', target: rel.to, kind: rel.kind, many });
+    }
+    info.set(cls.name, { cls, parent, interfaces, fields, overrides: [] });
+  }
+
+  // 구체 클래스: 인터페이스/추상 부모의 미구현 메서드 → override 스텁
+  for (const item of info.values()) {
+    const { cls } = item;
+    if (cls.stereotype === 'interface' || cls.stereotype === 'enumeration') continue;
+    const own = new Set(cls.methods.map(m => m.name));
+    const visit = (name, seen = new Set()) => {
+      if (!name || seen.has(name) || !info.has(name)) return;
+      seen.add(name);
+      const sup = info.get(name);
+      const fromInterface = sup.cls.stereotype === 'interface';
+      for (const m of sup.cls.methods) {
+        if ((fromInterface || m.isAbstract) && !m.isStatic && !own.has(m.name)) {
+          own.add(m.name);
+          item.overrides.push({ ...m, isAbstract: cls.stereotype === 'abstract' && !!m.isAbstract, fromInterface });
+        }
+      }
+      visit(sup.parent, seen);
+      for (const i of sup.interfaces) visit(i, seen);
+    };
+    visit(item.parent);
+    for (const i of item.interfaces) visit(i);
+  }
+  return info;
+}
+
+/** 먼저 정의돼야 하는 클래스: 부모/인터페이스 (+ byValue면 값 멤버 타입) */
+function definitionDeps(it, info, byValue) {
+  const d = [it.parent, ...it.interfaces, ...(byValue ? it.fields.filter(f => !f.many && !f.isStatic).map(f => (f.target ? f.kind === 'composition' && f.target : f.type.trim())) : [])];
+  return [...new Set(d.filter(x => x && x !== it.cls.name && info.has(x)))];
+}
+
+/** 열거형 → 부모 → 값 멤버 타입 → 자식 순서 (순환이면 원래 순서) */
+function orderClasses(model, info, byValue) {
+  const names = [
+    ...model.classes.filter(c => c.stereotype === 'enumeration'),
+    ...model.classes.filter(c => c.stereotype !== 'enumeration'),
+  ].map(c => c.name);
+  const deps = new Map(names.map(n => [n, definitionDeps(info.get(n), info, byValue)]));
+  const out = [], state = new Map();
+  const visit = (n) => {
+    if (state.has(n)) return;                                               // 완료 또는 순환
+    state.set(n, 1);
+    for (const d of deps.get(n)) visit(d);
+    out.push(n);
+  };
+  names.forEach(visit);
+  return out.map(n => info.get(n));
+}
+
+// -------------------- 공통 --------------------
+
+const indent = (text, pad) => text.split('\n').map(l => (l ? pad + l : l)).join('\n');
+
+/** 필드 줄 + 빈 줄 + 메서드(빈 줄로 구분) → 들여쓴 본문 (비어 있으면 '') */
+function body(fieldLines, methodLines, pad = '    ') {
+  const text = [fieldLines.join('\n'), methodLines.join('\n\n')].filter(Boolean).join('\n\n');
+  return text ? `${indent(text, pad)}\n` : '';
+}
+
+/**
+ * 클래스별 렌더링 → [{ name, code, uses }]
+ * - reset(): 클래스마다 새 uses(import/include 집합)를 만들어 렌더러의 타입 매퍼가 채우게 함
+ */
+function renderUnits(ordered, reset, render) {
+  return ordered.map(item => {
+    const uses = reset();
+    const code = render(item);
+    return { name: item.cls.name, code, uses: [...uses] };
+  });
+}
+
+const isConstructor = (cls, m) => m.name === cls.name || m.name === '__init__' || m.name === 'constructor';
+
+function isConcrete(name, ordered) {
+  const it = ordered.find(x => x.cls.name === name);
+  return !!it && !['interface', 'abstract', 'enumeration'].includes(it.cls.stereotype);
+}
+
+/** 값 멤버로 둘 수 있는지: 앞에서 이미 정의된 구체 클래스 (순환/자기 참조면 포인터로) */
+function definedBefore(name, owner, ordered) {
+  const pos = ordered.findIndex(x => x.cls.name === name);
+  return pos >= 0 && pos < ordered.findIndex(x => x.cls.name === owner) && isConcrete(name, ordered);
+}
+
+/** 참조로 넘겨야 하는 모델 클래스(열거형 제외) 이름 */
+const refClassNames = (ordered) => new Set(ordered.filter(x => x.cls.stereotype !== 'enumeration').map(x => x.cls.name));
+
+// -------------------- Java --------------------
+
+function javaVisibility(v, fallback) {
+  return { '+': 'public ', '-': 'private ', '#': 'protected ', '~': '' }[v] ?? fallback;
+}
+
+function javaDefault(type) {
+  if (/^(?:int|long|short|byte|float|double)$/.test(type)) return '0';
+  if (type === 'boolean') return 'false';
+  if (type === 'char') return "'\\0'";
+  return 'null';
+}
+
+function renderJava(ordered) {
+  let uses;
+  const T = (t) => {
+    const m = mapType(t, 'java');
+    if (/\b(?:List|Map|Set|Optional)</.test(m)) uses.add('java.util.*');
+    if (/\bLocalDateTime\b/.test(m)) uses.add('java.time.LocalDateTime');
+    return m;
+  };
+  const params = (m) => m.params.map(p => `${T(p.type) || 'Object'} ${p.name}`).join(', ');
+  const stub = '{\n    throw new UnsupportedOperationException("TODO");\n}';
+
+  return renderUnits(ordered, () => (uses = new Set()), ({ cls, parent, interfaces, fields, overrides }) => {
+    const generics = cls.generics ? `<${cls.generics}>` : '';
+    if (cls.stereotype === 'enumeration') return `enum ${cls.name} {\n    ${cls.values.join(', ')}\n}`;
+    const isIface = cls.stereotype === 'interface';
+    const head = isIface
+      ? `interface ${cls.name}${generics}${interfaces.length ? ` extends ${interfaces.join(', ')}` : ''}`
+      : `${cls.stereotype === 'abstract' ? 'abstract ' : ''}class ${cls.name}${generics}${parent ? ` extends ${parent}` : ''}${interfaces.length ? ` implements ${interfaces.join(', ')}` : ''}`;
+
+    const fieldLines = fields.map(f => {
+      const type = T(f.type) || 'Object';
+      if (isIface) return `${type} ${f.name} = ${javaDefault(type)};`;
+      const init = f.many ? ' = new ArrayList<>()' : f.kind === 'composition' && isConcrete(f.target, ordered) ? ` = new ${f.target}()` : '';
+      return `${javaVisibility(f.visibility, 'private ')}${f.isStatic ? 'static ' : ''}${f.kind === 'composition' ? 'final ' : ''}${type} ${f.name}${init};`;
+    });
+    const methodLines = cls.methods.map(m => {
+      if (isIface) {
+        return m.isStatic
+          ? `static ${T(m.returns) || 'void'} ${m.name}(${params(m)}) ${stub}`
+          : `${T(m.returns) || 'void'} ${m.name}(${params(m)});`;
+      }
+      const vis = javaVisibility(m.visibility, 'public ');
+      if (isConstructor(cls, m)) return `${vis}${cls.name}(${params(m)}) {\n    // TODO\n}`;
+      const sig = `${vis}${m.isStatic ? 'static ' : ''}${m.isAbstract ? 'abstract ' : ''}${T(m.returns) || 'void'} ${m.name}(${params(m)})`;
+      return m.isAbstract ? `${sig};` : `${sig} ${stub}`;
+    });
+    for (const m of overrides) {
+      const sig = `public ${m.isAbstract ? 'abstract ' : ''}${T(m.returns) || 'void'} ${m.name}(${params(m)})`;
+      methodLines.push(m.isAbstract ? `${sig};` : `@Override\n${sig} ${stub}`);
+    }
+    return `${head} {\n${body(fieldLines, methodLines)}}`;
+  });
+}
+
+// -------------------- C# --------------------
+
+function csVisibility(v, fallback) {
+  return { '+': 'public ', '-': 'private ', '#': 'protected ', '~': 'internal ' }[v] ?? fallback;
+}
+
+function renderCSharp(ordered) {
+  let uses;
+  const T = (t) => {
+    const m = mapType(t, 'csharp');
+    if (/\b(?:List|Dictionary|HashSet)</.test(m)) uses.add('System.Collections.Generic');
+    return m;
+  };
+  const params = (m) => m.params.map(p => `${T(p.type) || 'object'} ${p.name}`).join(', ');
+  const stub = '\n{\n    throw new NotImplementedException();\n}';
+
+  return renderUnits(ordered, () => (uses = new Set(['System'])), ({ cls, parent, interfaces, fields, overrides }) => {
+    const generics = cls.generics ? `<${cls.generics}>` : '';
+    if (cls.stereotype === 'enumeration') return `public enum ${cls.name}\n{\n    ${cls.values.join(',\n    ')}\n}`;
+    const isIface = cls.stereotype === 'interface';
+    const supers = [...(parent ? [parent] : []), ...interfaces];
+    const head = `public ${isIface ? 'interface' : `${cls.stereotype === 'abstract' ? 'abstract ' : ''}class`} ${cls.name}${generics}${supers.length ? ` : ${supers.join(', ')}` : ''}`;
+
+    const fieldLines = fields.map(f => {
+      const type = T(f.type) || 'object';
+      if (isIface) return `${type} ${f.name} { get; set; }`;
+      const init = f.many ? ` = new ${type}()` : f.kind === 'composition' && isConcrete(f.target, ordered) ? ` = new ${f.target}()` : '';
+      return `${csVisibility(f.visibility, 'private ')}${f.isStatic ? 'static ' : ''}${f.kind === 'composition' ? 'readonly ' : ''}${type} ${f.name}${init};`;
+    });
+    const methodLines = cls.methods.map(m => {
+      if (isIface) return `${T(m.returns) || 'void'} ${m.name}(${params(m)});`;
+      const vis = csVisibility(m.visibility, 'public ');
+      if (isConstructor(cls, m)) return `${vis}${cls.name}(${params(m)})\n{\n    // TODO\n}`;
+      const sig = `${vis}${m.isStatic ? 'static ' : ''}${m.isAbstract ? 'abstract ' : ''}${T(m.returns) || 'void'} ${m.name}(${params(m)})`;
+      return m.isAbstract ? `${sig};` : `${sig}${stub}`;
+    });
+    for (const m of overrides) {
+      // 추상 클래스의 abstract 메서드는 override, 인터페이스 메서드는 일반 public 구현
+      const kw = m.fromInterface ? '' : m.isAbstract ? 'abstract override ' : 'override ';
+      const sig = `public ${kw}${T(m.returns) || 'void'} ${m.name}(${params(m)})`;
+      methodLines.push(m.isAbstract ? `${sig};` : `${sig}${stub}`);
+    }
+    return `${head}\n{\n${body(fieldLines, methodLines)}}`;
+  });
+}
+
+// -------------------- C++ --------------------
+
+function renderCpp(ordered) {
+  let uses;
+  const T = (t) => {
+    const m = mapType(t, 'cpp');
+    if (/std::string/.test(m)) uses.add('string');
+    if (/std::vector/.test(m)) uses.add('vector');
+    if (/std::map/.test(m)) uses.add('map');
+    if (/std::set/.test(m)) uses.add('set');
+    if (/std::optional/.test(m)) uses.add('optional');
+    if (/std::(?:unique|shared|weak)_ptr/.test(m)) uses.add('memory');
+    if (/std::any/.test(m)) uses.add('any');
+    if (/std::chrono/.test(m)) uses.add('chrono');
+    return m;
+  };
+  const refs = refClassNames(ordered);
+  const polymorphicNames = ordered.filter(x => !isConcrete(x.cls.name, ordered) && x.cls.stereotype !== 'enumeration').map(x => x.cls.name);
+  // 클래스 타입 매개변수는 const 참조로
+  const P = (t) => {
+    const m = T(t) || 'int';
+    return refs.has(m) ? `const ${m}&` : m;
+  };
+  // 추상/인터페이스 타입은 값으로 둘 수 없으므로 포인터로
+  const F = (t) => polymorphicNames.reduce((s, n) => s.replace(new RegExp(`\\b${n}\\b(?!\\s*\\*)`, 'g'), `${n}*`), T(t) || 'int');
+  const params = (m) => m.params.map(p => `${P(p.type)} ${p.name}`).join(', ');
+  const stub = (ret) => (ret === 'void' ? '{\n    // TODO\n}' : (uses.add('stdexcept'), '{\n    throw std::logic_error("not implemented");\n}'));
+
+  return renderUnits(ordered, () => (uses = new Set()), ({ cls, parent, interfaces, fields, overrides }) => {
+    if (cls.stereotype === 'enumeration') return `enum class ${cls.name} {\n    ${cls.values.join(',\n    ')}\n};`;
+    const tmpl = cls.generics ? `template <${cls.generics.split(',').map(g => `typename ${g.trim()}`).join(', ')}>\n` : '';
+    const supers = [...(parent ? [parent] : []), ...interfaces].map(s => `public ${s}`);
+    const sections = { public: { fields: [], methods: [] }, protected: { fields: [], methods: [] }, private: { fields: [], methods: [] } };
+    const section = (v, fallback) => sections[{ '+': 'public', '-': 'private', '#': 'protected', '~': 'public' }[v] || fallback];
+    const isIface = cls.stereotype === 'interface';
+
+    for (const f of fields) {
+      let type = F(f.type);
+      if (!f.target && refs.has(type) && !definedBefore(type, cls.name, ordered)) type = `${type}*`;
+      if (f.target) {
+        const elem = f.kind !== 'composition' ? `${f.target}*`
+          : definedBefore(f.target, cls.name, ordered) || (f.many && isConcrete(f.target, ordered)) ? f.target
+          : (uses.add('memory'), `std::unique_ptr<${f.target}>`);
+        type = f.many ? (uses.add('vector'), `std::vector<${elem}>`) : elem;
+      }
+      const init = f.target && !f.many && f.kind !== 'composition' ? ' = nullptr' : f.isStatic ? '{}' : '';
+      section(f.visibility, 'private').fields.push(`${f.isStatic ? 'inline static ' : ''}${type} ${f.name}${init};`);
+    }
+    if (isIface || !isConcrete(cls.name, ordered) || cls.methods.some(m => m.isAbstract)) {
+      sections.public.methods.push(`virtual ~${cls.name}() = default;`);
+    }
+    for (const m of cls.methods) {
+      const where = section(m.visibility, 'public').methods;
+      if (isConstructor(cls, m)) {
+        where.push(`${m.params.length === 1 ? 'explicit ' : ''}${cls.name}(${params(m)}) {\n    // TODO\n}`);
+        continue;
+      }
+      const ret = m.returns ? F(m.returns) : 'void';
+      if (m.isAbstract || isIface) where.push(`virtual ${ret} ${m.name}(${params(m)}) = 0;`);
+      else where.push(`${m.isStatic ? 'static ' : ''}${ret} ${m.name}(${params(m)}) ${stub(ret)}`);
+    }
+    for (const m of overrides) {
+      const ret = m.returns ? F(m.returns) : 'void';
+      sections.public.methods.push(m.isAbstract
+        ? `${ret} ${m.name}(${params(m)}) override = 0;`
+        : `${ret} ${m.name}(${params(m)}) override ${stub(ret)}`);
+    }
+    const parts = ['public', 'protected', 'private']
+      .filter(s => sections[s].fields.length || sections[s].methods.length)
+      .map(s => `${s}:\n${body(sections[s].fields, sections[s].methods)}`);
+    return `${tmpl}class ${cls.name}${supers.length ? ` : ${supers.join(', ')}` : ''} {\n${parts.join('\n')}};`;
+  });
+}
+
+// -------------------- C --------------------
+
+const C_SCALARS = /^(?:int|long|short|char|float|double|bool|size_t|unsigned(?:\s+\w+)?|u?int\d+_t|time_t)$/;
+
+function cReturnStub(ret) {
+  if (ret === 'void') return '    /* TODO */';
+  if (ret.endsWith('*')) return '    /* TODO */\n    return NULL;';
+  if (C_SCALARS.test(ret)) return `    /* TODO */\n    return ${ret === 'bool' ? 'false' : '0'};`;
+  return `    /* TODO */\n    ${ret} result = {0};\n    return result;`;
+}
+
+function renderC(ordered) {
+  let uses;
+  const refs = refClassNames(ordered);
+  const upper = (s) => s.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+  // C 단위: code = 구조체/열거형 정의, typedef, functions = [{ code, proto }] (proto 없으면 파일 내부 전용)
+  return ordered.map(({ cls, parent, interfaces, fields, overrides }) => {
+    uses = new Set(['stddef.h']);
+    const unit = { name: cls.name, code: '', typedef: '', functions: [], uses: [] };
+    // 제네릭 타입 매개변수는 void* 로
+    const generic = new Set(cls.generics ? cls.generics.split(',').map(g => g.trim()) : []);
+    const T = (t) => {
+      const m = mapType(t, 'c') || 'int';
+      if (/\bbool\b/.test(m)) uses.add('stdbool.h');
+      if (/\btime_t\b/.test(m)) uses.add('time.h');
+      return generic.has(m) ? 'void*' : m;
+    };
+    // 구조체 매개변수는 포인터로
+    const P = (t) => (refs.has(T(t)) ? `${T(t)} *` : `${T(t)} `);
+    const params = (m) => m.params.map(p => `${P(p.type)}${p.name}`);
+    const members = [];
+
+    if (cls.stereotype === 'enumeration') {
+      unit.code = `typedef enum {\n    ${cls.values.map(v => `${upper(cls.name)}_${v}`).join(',\n    ')}\n} ${cls.name};`;
+    } else if (cls.stereotype === 'interface') {
+      // 인터페이스: 함수 포인터 테이블
+      unit.typedef = `typedef struct ${cls.name} ${cls.name};`;
+      for (const m of cls.methods) members.push(`${T(m.returns || 'void')} (*${m.name})(${['void *self', ...params(m)].join(', ')});`);
+      unit.code = `/* 인터페이스: 구현체가 함수 포인터를 채움 */\nstruct ${cls.name} {\n${members.map(l => `    ${l}`).join('\n') || '    int unused;'}\n};`;
+    } else {
+      unit.typedef = `typedef struct ${cls.name} ${cls.name};`;
+      if (parent) members.push(`${parent} base;  /* 상속: 부모를 첫 멤버로 포함 */`);
+      for (const i of interfaces) members.push(`const ${i} *${i.charAt(0).toLowerCase() + i.slice(1)}_vtbl;  /* 구현 */`);
+      for (const f of fields) {
+        if (f.isStatic) continue;
+        if (!f.target) {
+          const type = T(f.type);
+          members.push(refs.has(type) && !definedBefore(type, cls.name, ordered) ? `${type} *${f.name};` : `${type} ${f.name};`);
+          continue;
+        }
+        if (f.many) members.push(`${f.target} ${f.kind === 'composition' ? '*' : '**'}${f.name};`, `size_t ${f.name}_count;`);
+        else members.push(`${f.target} ${f.kind === 'composition' && definedBefore(f.target, cls.name, ordered) ? '' : '*'}${f.name};`);
+      }
+      unit.code = `struct ${cls.name} {\n${members.map(l => `    ${l}`).join('\n') || '    int unused;'}\n};`;
+
+      for (const f of fields.filter(x => x.isStatic)) unit.functions.push({ code: `static ${T(f.type)} ${cls.name}_${f.name};`, proto: '' });
+      for (const m of [...cls.methods, ...overrides]) {
+        if (m.isAbstract) continue;
+        const ctor = isConstructor(cls, m);
+        const ret = ctor ? `${cls.name}*` : T(m.returns || 'void');
+        const args = ctor || m.isStatic ? params(m) : [`${cls.name} *self`, ...params(m)];
+        const sig = `${ret} ${ctor ? `${cls.name}_new` : `${cls.name}_${m.name}`}(${args.join(', ') || 'void'})`;
+        const isPrivate = m.visibility === '-';
+        unit.functions.push({ code: `${isPrivate ? 'static ' : ''}${sig}\n{\n${cReturnStub(ret)}\n}`, proto: isPrivate ? '' : `${sig};` });
+      }
+    }
+    unit.uses = [...uses];
+    return unit;
+  });
+}
+
+// -------------------- Python --------------------
+
+function pyDefault(type) {
+  if (type === 'int') return '0';
+  if (type === 'float') return '0.0';
+  if (type === 'bool') return 'False';
+  if (type === 'str') return "''";
+  if (/^list\[/.test(type)) return '[]';
+  if (/^dict\[/.test(type)) return '{}';
+  if (/^set\[/.test(type)) return 'set()';
+  return 'None';
+}
+
+function renderPython(ordered) {
+  let uses;
+  const T = (t) => {
+    const m = mapType(t, 'python');
+    if (/\bdatetime\b/.test(m)) uses.add('from datetime import datetime');
+    if (/\bAny\b/.test(m)) uses.add('from typing import Any');
+    return m;
+  };
+  const params = (m) => ['self', ...m.params.map(p => (T(p.type) ? `${p.name}: ${T(p.type)}` : p.name))];
+  /** 타입 힌트 + 기본값 (None이면 '| None' 추가) */
+  const annotate = (type, value) => (type ? `: ${value === 'None' && !/\bNone\b/.test(type) ? `${type} | None` : type}` : '');
+
+  return renderUnits(ordered, () => (uses = new Set(['from __future__ import annotations'])), ({ cls, parent, interfaces, fields, overrides }) => {
+    if (cls.stereotype === 'enumeration') {
+      uses.add('from enum import Enum, auto');
+      return `class ${cls.name}(Enum):\n${cls.values.map(v => `    ${v} = auto()`).join('\n') || '    pass'}`;
+    }
+    const bases = [...(parent ? [parent] : []), ...interfaces];
+    if (cls.stereotype === 'interface' || cls.stereotype === 'abstract') {
+      uses.add('from abc import ABC, abstractmethod');
+      if (!bases.length) bases.push('ABC');
+    }
+    if (cls.generics) {
+      uses.add('from typing import Generic, TypeVar');
+      const vars = cls.generics.split(',').map(g => g.trim());
+      vars.forEach(v => uses.add(`${v} = TypeVar('${v}')`));
+      bases.push(`Generic[${vars.join(', ')}]`);
+    }
+    const fieldLines = fields.filter(x => x.isStatic).map(f => {
+      const type = T(f.type);
+      const value = pyDefault(type);
+      return `${f.name}${annotate(type, value)} = ${value}`;
+    });
+
+    const methodLines = [];
+    const ctor = cls.methods.find(m => isConstructor(cls, m));
+    const instance = fields.filter(x => !x.isStatic);
+    if (ctor || instance.length) {
+      const init = [`def __init__(${params(ctor || { params: [] }).join(', ')}) -> None:`];
+      if (parent) init.push('    super().__init__()');
+      for (const f of instance) {
+        const type = f.target ? (f.many ? `list[${f.target}]` : f.target) : T(f.type);
+        const value = f.many ? '[]' : f.kind === 'composition' && isConcrete(f.target, ordered) ? `${f.target}()` : pyDefault(type);
+        init.push(`    self.${f.name}${annotate(type, value)} = ${value}`);
+      }
+      if (init.length === 1) init.push('    pass');
+      methodLines.push(init.join('\n'));
+    }
+    const abstractAll = cls.stereotype === 'interface';
+    for (const m of [...cls.methods.filter(x => x !== ctor), ...overrides]) {
+      const ret = T(m.returns);
+      const deco = m.isStatic ? '@staticmethod\n' : (m.isAbstract || (abstractAll && !m.fromInterface)) ? '@abstractmethod\n' : '';
+      const args = m.isStatic ? params(m).slice(1) : params(m);
+      methodLines.push(`${deco}def ${m.name}(${args.join(', ')})${ret ? ` -> ${ret}` : ''}:\n    raise NotImplementedError`);
+    }
+    return `class ${cls.name}${bases.length ? `(${bases.join(', ')})` : ''}:\n${body(fieldLines, methodLines) || '    pass\n'}`.trimEnd();
+  });
+}
+
+// -------------------- 단일 파일 조립 --------------------
+
+const pythonHeader = (uses) => {
+  const imports = uses.filter(u => /^(?:from|import)\s/.test(u))
+    .sort((a, b) => (a.startsWith('from __future__') ? -1 : b.startsWith('from __future__') ? 1 : a.localeCompare(b)));
+  const vars = uses.filter(u => !/^(?:from|import)\s/.test(u));
+  return `${imports.join('\n')}\n\n${vars.length ? `${vars.join('\n')}\n\n` : ''}`;
+};
+
+/** 언어별: 클래스 단위들 → 한 파일 */
+const SINGLE_FILE = {
+  java: (units) => {
+    const imports = unionUses(units).sort().map(u => `import ${u};`).join('\n');
+    return `${imports ? `${imports}\n\n` : ''}${units.map(u => u.code).join('\n\n')}\n`;
+  },
+  csharp: (units) => `${unionUses(units).map(u => `using ${u};`).join('\n')}\n\n${units.map(u => u.code).join('\n\n')}\n`,
+  cpp: (units, ordered) => {
+    const forward = ordered.filter(x => x.cls.stereotype !== 'enumeration' && !x.cls.generics).map(x => `class ${x.cls.name};`);
+    const includes = unionUses(units).sort().map(u => `#include <${u}>`).join('\n');
+    return `${includes ? `${includes}\n\n` : ''}${forward.length > 1 ? `${forward.join('\n')}\n\n` : ''}${units.map(u => u.code).join('\n\n')}\n`;
+  },
+  c: (units) => {
+    const includes = unionUses(units).sort().map(u => `#include <${u}>`).join('\n');
+    const typedefs = units.map(u => u.typedef).filter(Boolean).join('\n');
+    return [includes, typedefs, ...units.map(u => u.code), ...units.flatMap(u => u.functions.map(f => f.code))].filter(Boolean).join('\n\n') + '\n';
+  },
+  python: (units) => `${pythonHeader(unionUses(units))}\n${units.map(u => u.code).join('\n\n\n')}\n`,
+};
+
+function unionUses(units) {
+  return [...new Set(units.flatMap(u => u.uses))];
+}
+
+// -------------------- 프로젝트(다중 파일) 조립 --------------------
+
+/** 클래스 코드에서 참조하는 다른 모델 클래스 이름 */
+function referencedNames(unit, ordered) {
+  const text = [unit.code, ...(unit.functions || []).map(f => f.code)].join('\n');
+  return ordered.map(x => x.cls.name).filter(n => n !== unit.name && new RegExp(`\\b${n}\\b`).test(text));
+}
+
+/**
+ * 헤더/모듈에서 직접 포함해야 하는 모델 클래스
+ * - 먼저 정의돼야 하는 클래스 중 정렬상 앞에 있는 것 (순환은 렌더링 때 포인터로 끊겨 있음) + 참조하는 열거형
+ */
+function completeDeps(unit, info, ordered, byValue) {
+  const pos = (n) => ordered.findIndex(x => x.cls.name === n);
+  const enums = referencedNames(unit, ordered).filter(n => info.get(n).cls.stereotype === 'enumeration');
+  return [...new Set([...definitionDeps(info.get(unit.name), info, byValue), ...enums])]
+    .filter(n => pos(n) < pos(unit.name));
+}
+
+const snake = (s) => s.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9_]/g, '_').toLowerCase();
+
+const BUILD_FILES = {
+  java: (name) => ({
+    path: 'pom.xml',
+    content: `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/xsd/maven-4.0.0.xsd">
+  <modelVersion>4.0.0</modelVersion>
+  <groupId>com.example</groupId>
+  <artifactId>${name}</artifactId>
+  <version>0.1.0</version>
+  <packaging>jar</packaging>
+
+  <properties>
+    <maven.compiler.release>17</maven.compiler.release>
+    <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+  </properties>
+</project>
+`,
+  }),
+  csharp: (name) => ({
+    path: `${name}.csproj`,
+    content: `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <TargetFramework>net8.0</TargetFramework>
+    <OutputType>Library</OutputType>
+    <Nullable>disable</Nullable>
+  </PropertyGroup>
+
+</Project>
+`,
+  }),
+  cpp: (name) => ({
+    path: 'CMakeLists.txt',
+    content: `cmake_minimum_required(VERSION 3.16)
+project(${name} LANGUAGES CXX)
+
+set(CMAKE_CXX_STANDARD 17)
+set(CMAKE_CXX_STANDARD_REQUIRED ON)
+
+add_executable(${name} src/main.cpp)
+target_include_directories(${name} PRIVATE include)
+`,
+  }),
+  c: (name, sources) => ({
+    path: 'CMakeLists.txt',
+    content: `cmake_minimum_required(VERSION 3.16)
+project(${name} LANGUAGES C)
+
+set(CMAKE_C_STANDARD 11)
+
+add_library(${name} STATIC
+${sources.map(s => `  ${s}`).join('\n')}
+)
+target_include_directories(${name} PUBLIC include)
+`,
+  }),
+  python: (name, pkg) => ({
+    path: 'pyproject.toml',
+    content: `[build-system]
+requires = ["setuptools>=68"]
+build-backend = "setuptools.build_meta"
+
+[project]
+name = "${name}"
+version = "0.1.0"
+requires-python = ">=3.10"
+
+[tool.setuptools]
+packages = ["${pkg}"]
+`,
+  }),
+};
+
+/** 언어별: 클래스 단위들 → 파일 목록 (클래스당 1개 + 빌드 파일) */
+const PROJECT_FILES = {
+  java: (units, ctx) => [
+    ...units.map(u => {
+      const imports = [...u.uses].sort().map(x => `import ${x};`).join('\n');
+      // 파일당 public 타입 1개
+      return { path: `src/main/java/${u.name}.java`, content: `${imports ? `${imports}\n\n` : ''}public ${u.code}\n` };
+    }),
+    BUILD_FILES.java(ctx.name),
+  ],
+  csharp: (units, ctx) => [
+    ...units.map(u => ({ path: `${u.name}.cs`, content: `${u.uses.map(x => `using ${x};`).join('\n')}\n\n${u.code}\n` })),
+    BUILD_FILES.csharp(ctx.name),
+  ],
+  cpp: (units, ctx) => [
+    ...units.map(u => {
+      const deps = ctx.deps(u);
+      const forward = ctx.refs(u).filter(n => !deps.includes(n) && ctx.isForwardable(n)).map(n => `class ${n};`);
+      const head = [
+        '#pragma once',
+        [...u.uses].sort().map(x => `#include <${x}>`).join('\n'),
+        deps.map(d => `#include "${d}.hpp"`).join('\n'),
+        forward.join('\n'),
+      ].filter(Boolean).join('\n\n');
+      return { path: `include/${u.name}.hpp`, content: `${head}\n\n${u.code}\n` };
+    }),
+    { path: 'src/main.cpp', content: `${units.map(u => `#include "${u.name}.hpp"`).join('\n')}\n\nint main()\n{\n    return 0;\n}\n` },
+    BUILD_FILES.cpp(ctx.name),
+  ],
+  c: (units, ctx) => {
+    const files = [], sources = [];
+    for (const u of units) {
+      const guard = `${snake(u.name).toUpperCase()}_H`;
+      const deps = ctx.deps(u);
+      const forward = ctx.refs(u).filter(n => !deps.includes(n) && ctx.isForwardable(n)).map(n => `typedef struct ${n} ${n};`);
+      const protos = u.functions.map(f => f.proto).filter(Boolean);
+      const head = [
+        [...u.uses].sort().map(x => `#include <${x}>`).join('\n'),
+        deps.map(d => `#include "${d}.h"`).join('\n'),
+        [...forward, u.typedef].filter(Boolean).join('\n'),
+        u.code,
+        protos.join('\n'),
+      ].filter(Boolean).join('\n\n');
+      files.push({ path: `include/${u.name}.h`, content: `#ifndef ${guard}\n#define ${guard}\n\n${head}\n\n#endif /* ${guard} */\n` });
+      if (u.functions.length) {
+        const src = `src/${u.name}.c`;
+        sources.push(src);
+        files.push({ path: src, content: `#include "${u.name}.h"\n\n${u.functions.map(f => f.code).join('\n\n')}\n` });
+      }
+    }
+    // 함수가 하나도 없으면 정적 라이브러리에 넣을 소스가 없으므로 빈 번역 단위 추가
+    if (!sources.length) {
+      sources.push('src/empty.c');
+      files.push({ path: 'src/empty.c', content: `${units.map(u => `#include "${u.name}.h"`).join('\n')}\n` });
+    }
+    files.push(BUILD_FILES.c(ctx.name, sources));
+    return files;
+  },
+  python: (units, ctx) => {
+    const pkg = snake(ctx.name);
+    const mod = (n) => snake(n);
+    const files = units.map(u => {
+      // 상속/기본값 생성(합성 멤버의 Tail() 등)에 쓰는 클래스는 실행 시 import, 나머지는 타입 힌트용(TYPE_CHECKING)
+      const runtime = [...new Set([...ctx.deps(u), ...ctx.refs(u)])]
+        .filter(n => new RegExp(`(?:\\(|, )${n}\\b|\\b${n}\\(\\)`).test(u.code));
+      const hints = ctx.refs(u).filter(n => !runtime.includes(n));
+      const uses = [...u.uses, ...(hints.length ? ['from typing import TYPE_CHECKING'] : [])];
+      const local = runtime.map(n => `from .${mod(n)} import ${n}`).join('\n');
+      const checking = hints.length ? `if TYPE_CHECKING:\n${hints.map(n => `    from .${mod(n)} import ${n}`).join('\n')}\n\n` : '';
+      const header = pythonHeader(uses).replace(/\n\n$/, '\n');
+      return { path: `${pkg}/${mod(u.name)}.py`, content: `${header}${local ? `${local}\n` : ''}\n${checking}\n${u.code}\n`.replace(/\n{4,}/g, '\n\n\n') };
+    });
+    const init = units.map(u => `from .${mod(u.name)} import ${u.name}`).join('\n');
+    files.push({ path: `${pkg}/__init__.py`, content: `${init}\n\n__all__ = [${units.map(u => `'${u.name}'`).join(', ')}]\n` });
+    files.push(BUILD_FILES.python(ctx.name, pkg));
+    return files;
+  },
+};
+
+// -------------------- 공개 API --------------------
+
+const RENDERERS = { java: renderJava, csharp: renderCSharp, cpp: renderCpp, c: renderC, python: renderPython };
+
+function render(model, language) {
+  const lang = templateLangKey(language);
+  if (!model.classes.length) throw new Error('classDiagram에 클래스가 없습니다.');
+  const info = prepare(model);
+  const byValue = lang === 'cpp' || lang === 'c';
+  const ordered = orderClasses(model, info, byValue);
+  const units = RENDERERS[lang](ordered);
+  const methods = ordered.reduce((n, x) => n + x.cls.methods.length + x.overrides.length, 0);
+  return { lang, info, byValue, ordered, units, stats: { classes: ordered.length, methods } };
+}
+
+/**
+ * 클래스 모델 → 코드 골격 (한 파일)
+ * @param {ClassModel} model
+ * @param {string} language - 'C' | 'C++' | 'C#' | 'Java' | 'Python'
+ * @returns {{ code: string, stats: { classes: number, methods: number } }}
+ */
+export function generateSkeleton(model, language) {
+  const { lang, ordered, units, stats } = render(model, language);
+  return { code: SINGLE_FILE[lang](units, ordered), stats };
+}
+
+/**
+ * 클래스 모델 → 프로젝트 파일 목록 (클래스당 1파일 + 빌드 파일)
+ *  - Java: src/main/java/<Class>.java + pom.xml
+ *  - C#  : <Class>.cs + <name>.csproj
+ *  - C++ : include/<Class>.hpp + src/main.cpp + CMakeLists.txt
+ *  - C   : include/<Class>.h + src/<Class>.c + CMakeLists.txt
+ *  - Python: <name>/<class>.py + <name>/__init__.py + pyproject.toml
+ * @param {ClassModel} model
+ * @param {string} language
+ * @param {{ name?: string }} [options] - 프로젝트 이름 (빌드 파일/패키지명)
+ * @returns {{ files: import('./code-files.mjs').CodeFile[], stats: { classes: number, methods: number } }}
+ */
+export function generateProject(model, language, { name = 'app' } = {}) {
+  const { lang, info, byValue, ordered, units, stats } = render(model, language);
+  const safe = String(name).replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^[^A-Za-z]+/, '') || 'app';
+  const ctx = {
+    name: safe,
+    deps: (u) => completeDeps(u, info, ordered, byValue),
+    refs: (u) => referencedNames(u, ordered),
+    isForwardable: (n) => info.get(n).cls.stereotype !== 'enumeration' && !info.get(n).cls.generics,
+  };
+  return { files: PROJECT_FILES[lang](units, ctx), stats };
+}
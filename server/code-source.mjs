@@ -0,0 +1,164 @@
+// server/code-source.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/code-source.mjs
+ * --------------------------------------------
+ * 역할
+ *  - code2mm 입력 소스 모으기: 업로드 파일 목록 / ZIP / 서버 로컬 디렉터리
+ *  - 해당 언어 소스 파일만 남김 (빌드 산출물·의존성 디렉터리, 바이너리 제외)
+ *  - 큰 입력을 LLM 프롬프트 크기에 맞는 묶음(chunk)으로 나누기
+ *
+ * 환경변수
+ *  - CODE_SOURCE_ROOTS    : 로컬 경로 입력을 허용할 루트 디렉터리 목록 (path.delimiter 구분, 예: /srv/repos:/home/me/src)
+ *                           비어 있으면 로컬 경로 입력은 사용할 수 없음
+ *  - CODE_SOURCE_MAX_FILES: 소스 파일 최대 개수 (기본값 2000)
+ *  - CODE_SOURCE_MAX_BYTES: 소스 전체 최대 크기 (기본값 20MB)
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { isSourcePath, normalizeFilePath } from './code-files.mjs';
+import { readZip } from './zip.mjs';
+
+/**
+ * @typedef {import('./code-files.mjs').CodeFile} CodeFile
+ * @typedef {{ files: CodeFile[], skipped: number }} SourceSet
+ */
+
+const MAX_FILES = Number.parseInt(process.env.CODE_SOURCE_MAX_FILES ?? '2000', 10) || 2000;
+const MAX_BYTES = Number.parseInt(process.env.CODE_SOURCE_MAX_BYTES ?? String(20 * 1024 * 1024), 10) || 20 * 1024 * 1024;
+
+/** 분석에서 제외할 디렉터리 (VCS, 의존성, 빌드 산출물, IDE) */
+const IGNORED_DIRS = new Set([
+  '.git', '.svn', '.hg', '.idea', '.vscode', '.vs', 'node_modules', '__pycache__', '.venv', 'venv', '.tox',
+  'build', 'dist', 'out', 'target', 'bin', 'obj', 'cmake-build-debug', 'cmake-build-release', '__MACOSX',
+]);
+
+function isIgnoredPath(filePath) {
+  return filePath.split('/').some(part => IGNORED_DIRS.has(part));
+}
+
+/**
+ * 항목 목록 → 해당 언어 소스 파일 (경로 정규화, 경로순 정렬)
+ * - 제외 디렉터리/다른 확장자/바이너리(NUL 포함)는 skipped로 셈
+ * - 개수/크기 제한을 넘으면 예외
+ * @param {string} language
+ * @param {{ path: string, content: string | Buffer }[]} entries
+ * @returns {SourceSet}
+ */
+export function collectSourceFiles(language, entries) {
+  const files = [];
+  const seen = new Set();
+  let skipped = 0, bytes = 0;
+  for (const e of entries) {
+    const filePath = normalizeFilePath(e.path);
+    if (seen.has(filePath)) continue;
+    seen.add(filePath);
+    if (isIgnoredPath(filePath) || !isSourcePath(language, filePath)) { skipped++; continue; }
+    const content = Buffer.isBuffer(e.content) ? e.content.toString('utf8') : String(e.content ?? '');
+    if (content.includes('\u0000')) { skipped++; continue; }
+    bytes += Buffer.byteLength(content);
+    if (files.length >= MAX_FILES) throw new Error(`소스 파일이 너무 많습니다. (최대 ${MAX_FILES}개, CODE_SOURCE_MAX_FILES)`);
+    if (bytes > MAX_BYTES) throw new Error(`소스 전체 크기가 제한(${MAX_BYTES}바이트, CODE_SOURCE_MAX_BYTES)을 넘습니다.`);
+    files.push({ path: filePath, content: content.replace(/\r\n?/g, '\n') });
+  }
+  if (!files.length) throw new Error(`${language} 소스 파일을 찾지 못했습니다.`);
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return { files, skipped };
+}
+
+/**
+ * ZIP → 소스 파일
+ * @param {string} language
+ * @param {Buffer} buf
+ * @returns {SourceSet}
+ */
+export function readZipSource(language, buf) {
+  // 압축 해제 크기 상한: 소스 외 파일도 섞여 있으므로 소스 제한의 4배까지 허용
+  return collectSourceFiles(language, readZip(buf, { maxBytes: MAX_BYTES * 4 }));
+}
+
+/** CODE_SOURCE_ROOTS → 실제 경로 목록 (없는 디렉터리는 무시) */
+async function allowedRoots() {
+  const roots = String(process.env.CODE_SOURCE_ROOTS || '').split(path.delimiter).map(s => s.trim()).filter(Boolean);
+  const out = [];
+  for (const r of roots) {
+    try { out.push(await fs.realpath(path.resolve(r))); } catch { /* 없는 루트는 건너뜀 */ }
+  }
+  return out;
+}
+
+/**
+ * 서버 로컬 디렉터리 → 소스 파일
+ * - CODE_SOURCE_ROOTS 안의 경로만 허용 (심볼릭 링크는 따라가지 않음)
+ * - 파일 경로는 dirPath 기준 상대 경로
+ * @param {string} language
+ * @param {string} dirPath - 절대 경로 또는 첫 번째 루트 기준 상대 경로
+ * @returns {Promise<SourceSet>}
+ */
+export async function readLocalSource(language, dirPath) {
+  const roots = await allowedRoots();
+  if (!roots.length) throw new Error('로컬 경로 입력이 꺼져 있습니다. (서버 환경변수 CODE_SOURCE_ROOTS 설정 필요)');
+  let dir;
+  try {
+    dir = await fs.realpath(path.resolve(roots[0], String(dirPath || '')));
+  } catch {
+    throw new Error(`경로를 찾을 수 없습니다: ${dirPath}`);
+  }
+  if (!roots.some(r => dir === r || dir.startsWith(r + path.sep))) {
+    throw new Error(`허용된 경로(CODE_SOURCE_ROOTS) 밖입니다: ${dirPath}`);
+  }
+  if (!(await fs.stat(dir)).isDirectory()) throw new Error(`디렉터리가 아닙니다: ${dirPath}`);
+
+  const entries = [];
+  let bytes = 0;
+  const walk = async (abs, rel) => {
+    for (const d of await fs.readdir(abs, { withFileTypes: true })) {
+      const childRel = rel ? `${rel}/${d.name}` : d.name;
+      if (d.isDirectory()) {
+        if (!IGNORED_DIRS.has(d.name)) await walk(path.join(abs, d.name), childRel);
+      } else if (d.isFile() && isSourcePath(language, childRel)) {
+        const file = path.join(abs, d.name);
+        bytes += (await fs.stat(file)).size;
+        if (bytes > MAX_BYTES) throw new Error(`소스 전체 크기가 제한(${MAX_BYTES}바이트, CODE_SOURCE_MAX_BYTES)을 넘습니다.`);
+        entries.push({ path: childRel, content: await fs.readFile(file) });
+      }
+    }
+  };
+  await walk(dir, '');
+  return collectSourceFiles(language, entries);
+}
+
+/**
+ * 파일 목록 → 프롬프트 크기 이하의 묶음
+ * - 파일 순서 유지, 한 파일이 maxChars보다 크면 줄 단위로 나눠 'path (part i/n)'으로 표기
+ * @param {CodeFile[]} files
+ * @param {number} maxChars
+ * @returns {CodeFile[][]}
+ */
+export function chunkFiles(files, maxChars) {
+  const pieces = [];
+  for (const f of files) {
+    if (f.content.length <= maxChars) { pieces.push(f); continue; }
+    const parts = [];
+    let buf = '';
+    for (const line of f.content.split('\n')) {
+      if (buf && buf.length + line.length + 1 > maxChars) { parts.push(buf); buf = ''; }
+      buf += `${line}\n`;
+    }
+    if (buf) parts.push(buf);
+    parts.forEach((content, i) => pieces.push({ path: `${f.path} (part ${i + 1}/${parts.length})`, content }));
+  }
+
+  const chunks = [];
+  let current = [], size = 0;
+  for (const p of pieces) {
+    if (current.length && size + p.content.length > maxChars) { chunks.push(current); current = []; size = 0; }
+    current.push(p);
+    size += p.content.length;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
@@ -0,0 +1,114 @@
+// server/consistency.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/consistency.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 설계(classDiagram)와 구현(소스코드 정적 추출 결과)의 클래스 모델 비교
+ *  - 한쪽에만 있는 클래스/메서드/관계를 보고 (POST /api/verify/consistency)
+ *
+ * 비교 기준
+ *  - 클래스: 이름 일치
+ *  - 메서드: 양쪽에 있는 클래스끼리 이름 일치 (오버로드는 하나로 봄)
+ *    · 생성자/소멸자/파이썬 __dunder__ 는 제외 (다이어그램에서 흔히 생략)
+ *    · C 함수명의 '<클래스>_' 접두어는 떼고 비교 (Sensor_read ↔ read)
+ *  - 관계: 양쪽에 있는 클래스 사이만
+ *    · 상속/구현: 방향 포함 (자식 → 부모)
+ *    · 그 외(합성/집합/연관/의존/링크): 두 클래스 사이에 참조가 있는지만 (방향/종류 무시)
+ *      코드 추출은 필드 타입으로 합성/연관을 고르므로 설계의 표기와 다를 수 있음
+ * ============================================
+ */
+
+/**
+ * @typedef {import('./class-model.mjs').ClassModel} ClassModel
+ * @typedef {{ class: string, name: string }} MethodRef
+ * @typedef {{ from: string, to: string, kind: string }} RelationRef
+ * @typedef {{ matched: number, diagramOnly: string[], codeOnly: string[] }} ClassDiff
+ * @typedef {{ matched: number, diagramOnly: MethodRef[], codeOnly: MethodRef[] }} MethodDiff
+ * @typedef {{ matched: number, diagramOnly: RelationRef[], codeOnly: RelationRef[] }} RelationDiff
+ * @typedef {{ consistent: boolean, classes: ClassDiff, methods: MethodDiff, relations: RelationDiff }} ConsistencyReport
+ */
+
+const INHERIT_KINDS = new Set(['inheritance', 'realization']);
+
+/** 비교에서 빼는 메서드 (생성자/소멸자/특수 메서드) */
+function isSpecialMethod(cls, name) {
+  return name === cls || name === `~${cls}` || name === 'constructor' || /^__\w+__$/.test(name);
+}
+
+/** 비교용 메서드 이름 (C 접두어 제거) */
+function methodKey(cls, name) {
+  const prefix = `${cls}_`.toLowerCase();
+  return name.toLowerCase().startsWith(prefix) && name.length > prefix.length ? name.slice(prefix.length) : name;
+}
+
+/** 클래스별 메서드: 비교 키 → 원래 이름 */
+function methodMap(info) {
+  const map = new Map();
+  for (const m of info.methods) {
+    if (isSpecialMethod(info.name, m.name)) continue;
+    const key = methodKey(info.name, m.name);
+    if (!map.has(key)) map.set(key, m.name);
+  }
+  return map;
+}
+
+/** 관계 비교 키 (상속은 방향 포함, 그 외는 정렬한 두 이름) */
+function relationKey(r) {
+  if (INHERIT_KINDS.has(r.kind)) return `${r.from}->${r.to}:inherit`;
+  return `${[r.from, r.to].sort().join('--')}:ref`;
+}
+
+/** 두 Map(key → 값)의 한쪽에만 있는 값 */
+function difference(a, b) {
+  return [...a].filter(([k]) => !b.has(k)).map(([, v]) => v);
+}
+
+/**
+ * 설계/구현 클래스 모델 비교
+ * @param {ClassModel} diagram - 다이어그램 (parseClassDiagram)
+ * @param {ClassModel} code    - 코드 추출 결과 (extractClassDiagram → parseClassDiagram)
+ * @returns {ConsistencyReport}
+ */
+export function compareClassModels(diagram, code) {
+  const dClasses = new Map(diagram.classes.map(c => [c.name, c]));
+  const cClasses = new Map(code.classes.map(c => [c.name, c]));
+  const shared = [...dClasses.keys()].filter(n => cClasses.has(n));
+  const sharedSet = new Set(shared);
+
+  const classes = {
+    matched: shared.length,
+    diagramOnly: [...dClasses.keys()].filter(n => !cClasses.has(n)),
+    codeOnly: [...cClasses.keys()].filter(n => !dClasses.has(n)),
+  };
+
+  const methods = { matched: 0, diagramOnly: [], codeOnly: [] };
+  for (const name of shared) {
+    const dm = methodMap(dClasses.get(name));
+    const cm = methodMap(cClasses.get(name));
+    methods.matched += [...dm.keys()].filter(k => cm.has(k)).length;
+    methods.diagramOnly.push(...difference(dm, cm).map(m => ({ class: name, name: m })));
+    methods.codeOnly.push(...difference(cm, dm).map(m => ({ class: name, name: m })));
+  }
+
+  const relMap = (model) => {
+    const map = new Map();
+    for (const r of model.relations) {
+      if (r.from === r.to || !sharedSet.has(r.from) || !sharedSet.has(r.to)) continue;
+      const key = relationKey(r);
+      if (!map.has(key)) map.set(key, { from: r.from, to: r.to, kind: r.kind });
+    }
+    return map;
+  };
+  const dRel = relMap(diagram);
+  const cRel = relMap(code);
+  const relations = {
+    matched: [...dRel.keys()].filter(k => cRel.has(k)).length,
+    diagramOnly: difference(dRel, cRel),
+    codeOnly: difference(cRel, dRel),
+  };
+
+  const consistent = [classes, methods, relations].every(d => !d.diagramOnly.length && !d.codeOnly.length);
+  return { consistent, classes, methods, relations };
+}
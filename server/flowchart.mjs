@@ -0,0 +1,248 @@
+// server/flowchart.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/flowchart.mjs
+ * --------------------------------------------
+ * 역할
+ *  - Mermaid flowchart 텍스트 → 노드/연결/서브그래프 (usecase/activity 변환 공통)
+ *  - 유스케이스 모델 → flowchart LR 텍스트 (PlantUML/XMI 가져오기 공통)
+ *  - 변환기들이 함께 쓰는 id/라벨 유틸
+ *
+ * 유스케이스 표기 (flowchart LR)
+ *  - 액터     : id["«actor» 이름"]:::actor
+ *  - 유스케이스: id(이름):::usecase  (둥근 모양 노드도 유스케이스로 봄)
+ *  - 시스템 경계: subgraph
+ *  - include/extend: 점선 연결 + 라벨 «include» / «extend»
+ * ============================================
+ */
+
+/**
+ * @typedef {{ id: string, label: string, shape: string, cls: string, group: string }} FlowNode
+ * @typedef {{ from: string, to: string, label: string, line: 'solid'|'dotted'|'thick', arrow: boolean, both: boolean }} FlowEdge
+ * @typedef {{ id: string, title: string, parent: string }} FlowGroup
+ * @typedef {{ direction: string, nodes: Map<string, FlowNode>, edges: FlowEdge[], groups: FlowGroup[] }} Flowchart
+ * @typedef {'actor'|'usecase'|'rect'} UsecaseNodeType
+ * @typedef {{ id: string, label: string, type: UsecaseNodeType, group: string }} UsecaseNode
+ * @typedef {{ from: string, to: string, label: string, dotted: boolean, arrow: boolean }} UsecaseEdge
+ * @typedef {{ nodes: UsecaseNode[], edges: UsecaseEdge[], groups: FlowGroup[] }} UsecaseModel
+ */
+
+// -------------------- 공통 --------------------
+
+const toLines = (text) => String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+/** 겹치지 않는 id 발급 (base, base_2, base_3 ...) */
+export function idAllocator() {
+  const used = new Set();
+  return (base) => {
+    let id = base, n = 2;
+    while (used.has(id)) id = `${base}_${n++}`;
+    used.add(id);
+    return id;
+  };
+}
+
+/** Mermaid flowchart 예약어 (id로 쓰면 파싱 오류) */
+const FLOWCHART_RESERVED = new Set(['end', 'start', 'graph', 'flowchart', 'subgraph', 'class', 'classdef', 'click', 'style', 'linkstyle', 'direction', 'call', 'href']);
+
+/** 임의 텍스트 → 식별자 (ASCII 영숫자/_ 만, 비거나 숫자로 시작하면 fallback) */
+export function toId(text, fallback) {
+  const id = String(text || '').replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!id || /^\d/.test(id)) return fallback;
+  return FLOWCHART_RESERVED.has(id.toLowerCase()) ? `${id}_` : id;
+}
+
+/** Mermaid 노드 라벨: 문법 문자가 있으면 "..."로 감쌈 */
+export function mmLabel(text) {
+  const t = String(text).replace(/"/g, '#quot;');
+  return /[()[\]{}<>|;:&#@]/.test(t) ? `"${t}"` : t;
+}
+
+// -------------------- flowchart 파싱 --------------------
+
+/** 노드 모양: [여는 괄호, 닫는 괄호, 모양] (긴 것부터) */
+const NODE_SHAPES = [
+  ['(((', ')))', 'circle'], ['((', '))', 'circle'], ['([', '])', 'stadium'], ['[[', ']]', 'subroutine'], ['[(', ')]', 'cylinder'],
+  ['{{', '}}', 'hexagon'], ['[/', '/]', 'parallelogram'], ['[\\', '\\]', 'parallelogram'], ['[', ']', 'rect'], ['(', ')', 'round'],
+  ['{', '}', 'rhombus'], ['>', ']', 'flag'],
+];
+
+/** 문장 앞의 노드 참조: id + (모양 라벨) + (:::클래스) */
+function parseNodeRef(text) {
+  const m = text.match(/^([\p{L}\p{N}_]+)/u);
+  if (!m) return null;
+  let rest = text.slice(m[0].length);
+  const node = { id: m[1], label: '', shape: '', cls: '' };
+  for (const [open, close, shape] of NODE_SHAPES) {
+    if (!rest.startsWith(open)) continue;
+    let body = rest.slice(open.length);
+    let end;
+    if (body.startsWith('"')) {
+      const q = body.indexOf('"', 1);
+      end = q < 0 ? -1 : body.indexOf(close, q);
+    } else {
+      end = body.indexOf(close);
+    }
+    if (end < 0) return null;
+    node.label = body.slice(0, end).trim().replace(/^"([\s\S]*)"$/, '$1').replace(/#quot;/g, '"');
+    node.shape = shape;
+    rest = body.slice(end + close.length);
+    break;
+  }
+  const cls = rest.match(/^:::([\w-]+)/);
+  if (cls) { node.cls = cls[1]; rest = rest.slice(cls[0].length); }
+  return { node, rest };
+}
+
+const LINK_TEXT_RE = /^(<?)(--|-\.|==)\s+(.+?)\s+(-{2,}|\.+-|={2,})([>ox]?)(?=\s|[\p{L}\p{N}_])/u;
+const LINK_RE = /^(<?)(-{2,}|-?\.+-|={2,}|~~~)([>ox]?)(?:\s*\|([^|]*)\|)?/;
+
+/** 문장 앞의 연결선 (--> / -.-> / ==> / -- 라벨 --> / -->|라벨|) */
+function parseLink(text) {
+  const t = text.match(LINK_TEXT_RE);
+  const m = t || text.match(LINK_RE);
+  if (!m) return null;
+  const body = t ? `${t[2]}${t[4]}` : m[2];
+  const head = t ? t[5] : m[3];
+  return {
+    link: {
+      line: body.includes('.') ? 'dotted' : body.includes('=') ? 'thick' : 'solid',
+      arrow: !!head,
+      both: m[1] === '<',
+      label: (t ? t[3] : m[4] || '').trim().replace(/^"|"$/g, ''),
+    },
+    rest: text.slice(m[0].length),
+  };
+}
+
+/**
+ * Mermaid flowchart → 노드/연결/서브그래프
+ * - 노드의 소속 subgraph는 처음 나온 위치 기준
+ * @param {string} mermaid
+ * @param {(msg: string) => void} warn - 해석하지 못한 줄 알림
+ * @returns {Flowchart}
+ */
+export function parseFlowchart(mermaid, warn) {
+  const lines = toLines(mermaid);
+  const first = lines.findIndex(l => l.trim() && !l.trim().startsWith('%%'));
+  const header = (lines[first] || '').trim().match(/^(?:flowchart|graph)(?:\s+(TB|TD|BT|RL|LR))?\b/i);
+  if (!header) throw new Error('flowchart 가 아닙니다. (usecase/activity 다이어그램은 flowchart 여야 변환할 수 있습니다)');
+
+  /** @type {Flowchart} */
+  const fc = { direction: (header[1] || 'TD').toUpperCase(), nodes: new Map(), edges: [], groups: [] };
+  const stack = [];
+  const touch = (ref) => {
+    let n = fc.nodes.get(ref.id);
+    if (!n) {
+      n = { id: ref.id, label: ref.id, shape: 'rect', cls: '', group: stack[stack.length - 1] || '' };
+      fc.nodes.set(ref.id, n);
+    }
+    if (ref.shape) { n.label = ref.label; n.shape = ref.shape; }
+    if (ref.cls) n.cls = ref.cls;
+  };
+
+  for (let i = first + 1; i < lines.length; i++) {
+    const line = lines[i].replace(/%%.*$/, '').trim().replace(/;$/, '');
+    if (!line) continue;
+    if (/^(?:classDef|style|linkStyle|click|direction)\b/.test(line)) continue;
+    const cls = line.match(/^class\s+([\p{L}\p{N}_,\s]+?)\s+([\w-]+)$/u);
+    if (cls) {
+      for (const id of cls[1].split(',').map(s => s.trim()).filter(Boolean)) {
+        touch({ id, shape: '', cls: cls[2] });
+      }
+      continue;
+    }
+    const sub = line.match(/^subgraph\s+(.+)$/);
+    if (sub) {
+      const withTitle = sub[1].match(/^([\p{L}\p{N}_-]+)\s*\[\s*"?(.*?)"?\s*\]$/u);
+      const title = withTitle ? withTitle[2] : sub[1].replace(/^"|"$/g, '');
+      const id = withTitle ? withTitle[1] : toId(title, `group${fc.groups.length + 1}`);
+      fc.groups.push({ id, title, parent: stack[stack.length - 1] || '' });
+      stack.push(id);
+      continue;
+    }
+    if (line === 'end') { stack.pop(); continue; }
+
+    // 노드 & 노드 --> 노드 ... 연쇄
+    const groups = [];
+    const links = [];
+    let rest = line;
+    let ok = true;
+    while (ok) {
+      const refs = [];
+      for (;;) {
+        const r = parseNodeRef(rest);
+        if (!r) { ok = false; break; }
+        refs.push(r.node);
+        rest = r.rest.trim();
+        if (!rest.startsWith('&')) break;
+        rest = rest.slice(1).trim();
+      }
+      if (!ok) break;
+      groups.push(refs);
+      if (!rest) break;
+      const l = parseLink(rest);
+      if (!l) { ok = false; break; }
+      links.push(l.link);
+      rest = l.rest.trim();
+    }
+    if (!ok || groups.length !== links.length + 1) {
+      warn(`해석하지 못한 줄은 건너뜀: ${line}`);
+      continue;
+    }
+    groups.flat().forEach(touch);
+    links.forEach((link, k) => {
+      for (const a of groups[k]) for (const b of groups[k + 1]) fc.edges.push({ from: a.id, to: b.id, ...link });
+    });
+  }
+  return fc;
+}
+
+// -------------------- 유스케이스 --------------------
+
+/** 스테레오타입 접두어 «x» / <<x>> */
+const STEREO_PREFIX_RE = /^\s*(?:«([^»]+)»|<<([^>]+)>>)\s*/;
+
+/**
+ * usecase flowchart 노드 → 종류 + 표시 이름 (스테레오타입 접두어 제거)
+ * @param {FlowNode} n
+ * @returns {{ type: UsecaseNodeType, name: string }}
+ */
+export function usecaseNodeType(n) {
+  const m = n.label.match(STEREO_PREFIX_RE);
+  const stereo = (m?.[1] || m?.[2] || '').trim().toLowerCase();
+  const name = n.label.replace(STEREO_PREFIX_RE, '').trim() || n.id;
+  if (stereo === 'actor' || n.cls === 'actor') return { type: 'actor', name };
+  if (['round', 'stadium', 'circle'].includes(n.shape) || n.cls === 'usecase') return { type: 'usecase', name };
+  return { type: 'rect', name: n.label };
+}
+
+/**
+ * 유스케이스 모델 → flowchart LR 줄
+ * @param {UsecaseModel} model
+ * @returns {string[]}
+ */
+export function renderUsecaseFlowchart({ nodes, edges, groups }) {
+  const out = ['flowchart LR'];
+  const nodeLine = (n) => n.type === 'actor' ? `${n.id}[${mmLabel(`«actor» ${n.label}`)}]:::actor`
+    : n.type === 'usecase' ? `${n.id}(${mmLabel(n.label)}):::usecase`
+    : `${n.id}[${mmLabel(n.label)}]`;
+  const emitGroup = (groupId, indent) => {
+    for (const n of nodes.filter(x => x.group === groupId)) out.push(`${indent}${nodeLine(n)}`);
+    for (const g of groups.filter(x => x.parent === groupId)) {
+      out.push(`${indent}subgraph ${g.id} [${mmLabel(g.title)}]`);
+      emitGroup(g.id, `${indent}  `);
+      out.push(`${indent}end`);
+    }
+  };
+  emitGroup('', '');
+  for (const e of edges) {
+    const arrow = e.dotted ? (e.arrow ? '-.->' : '-.-') : (e.arrow ? '-->' : '---');
+    const label = e.label ? `|${e.label.replace(/\|/g, '/')}|` : '';
+    out.push(`${e.from} ${arrow}${label} ${e.to}`);
+  }
+  out.push('classDef actor fill:#eef,stroke:#99f,stroke-width:1px,color:#003;');
+  out.push('classDef usecase fill:#efe,stroke:#6c6,stroke-width:1px,color:#030;');
+  return out;
+}
@@ -0,0 +1,137 @@
+// server/llm.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/llm.mjs
+ * --------------------------------------------
+ * 역할
+ *  - LLM 호출 추상화 (변환/자동 수정 프롬프트 → 출력 텍스트)
+ *  - LLM_PROVIDER 환경변수로 공급자 선택
+ *
+ * 공급자
+ *  - openai : OpenAI Responses API (OPENAI_API_KEY, MODEL_ID)
+ *  - local  : OpenAI 호환 Chat Completions 엔드포인트 (Ollama / llama.cpp server 등)
+ *             LLM_BASE_URL(기본 http://localhost:11434/v1), LLM_MODEL(기본 llama3.1), LLM_API_KEY(선택)
+ *  - mock   : 네트워크 없이 고정 출력 반환 (fixtures/llm/<task>/<kind>.txt → <task>/default.txt)
+ *             LLM_FIXTURES_DIR로 디렉터리 변경 가능. 같은 입력이면 항상 같은 출력 (CI용)
+ *
+ * 비고
+ *  - task: 'req2mm' | 'code2mm' | 'mm2code' | 'repair' | 'fill' | 'summarize'
+ *  - kind: 다이어그램 종류 (mm2code는 대상 언어)
+ *  - openai/local 클라이언트는 첫 호출 때 생성 (mock은 API Key 없이 기동 가능)
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @typedef {{ task: string, kind?: string }} LlmContext
+ * @typedef {Object} LlmProvider
+ * @property {string} name
+ * @property {string} model
+ * @property {(prompt: string, ctx?: LlmContext) => Promise<string>} complete  출력 텍스트(트림)
+ */
+
+export const LLM_PROVIDERS = ['openai', 'local', 'mock'];
+
+/** 공통 시스템 지시: "결과만 출력" 강제 */
+const SYSTEM_PROMPT = '너는 변환 엔진이다. 결과만 출력하고 설명은 금지.';
+
+/** openai 패키지 지연 로드 + 클라이언트 1회 생성 */
+function lazyClient(options) {
+  let client = null;
+  return async () => {
+    if (!client) {
+      const { default: OpenAI } = await import('openai');
+      client = new OpenAI(options);
+    }
+    return client;
+  };
+}
+
+/** OpenAI Responses API */
+function createOpenAIProvider() {
+  const model = process.env.MODEL_ID || 'gpt-4o-mini';
+  const getClient = lazyClient({ apiKey: process.env.OPENAI_API_KEY });
+  return {
+    name: 'openai',
+    model,
+    async complete(prompt) {
+      const client = await getClient();
+      const res = await client.responses.create({
+        model,
+        input: [
+          { role: 'developer', content: [{ type: 'input_text', text: SYSTEM_PROMPT }] },
+          { role: 'user', content: [{ type: 'input_text', text: prompt }] }
+        ]
+      });
+      return (res.output_text?.trim() || '');
+    },
+  };
+}
+
+/** OpenAI 호환 로컬 엔드포인트 (Chat Completions) */
+function createLocalProvider() {
+  const model = process.env.LLM_MODEL || 'llama3.1';
+  const baseURL = process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+  // 로컬 서버는 대부분 키를 검사하지 않지만 SDK는 값이 필요
+  const getClient = lazyClient({ apiKey: process.env.LLM_API_KEY || 'local', baseURL });
+  return {
+    name: 'local',
+    model,
+    async complete(prompt) {
+      const client = await getClient();
+      const res = await client.chat.completions.create({
+        model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: prompt }
+        ]
+      });
+      return (res.choices?.[0]?.message?.content?.trim() || '');
+    },
+  };
+}
+
+/** 파일명으로 쓸 수 있게 정리 (C++ → cpp, C# → csharp, 대소문자 무시) */
+const fixtureKey = (s) => String(s || '').toLowerCase()
+  .replace(/\+/g, 'p').replace(/#/g, 'sharp').replace(/[^a-z0-9_-]/g, '_');
+
+/** 고정 출력(fixture) 공급자 */
+function createMockProvider() {
+  const dir = path.resolve(process.env.LLM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'llm'));
+  return {
+    name: 'mock',
+    model: 'fixtures',
+    async complete(prompt, { task, kind } = {}) {
+      const taskDir = path.join(dir, fixtureKey(task));
+      const candidates = [...(kind ? [`${fixtureKey(kind)}.txt`] : []), 'default.txt'].map(f => path.join(taskDir, f));
+      for (const file of candidates) {
+        try {
+          return (await fs.readFile(file, 'utf8')).trim();
+        } catch (e) {
+          if (e.code !== 'ENOENT') throw e;
+        }
+      }
+      throw new Error(`mock LLM fixture가 없습니다: ${candidates.map(f => path.relative(process.cwd(), f)).join(' | ')}`);
+    },
+  };
+}
+
+/**
+ * 공급자 생성
+ * @param {string} [name] - 'openai' | 'local' | 'mock' (기본 LLM_PROVIDER 또는 'openai')
+ * @returns {LlmProvider}
+ */
+export function createLlm(name = process.env.LLM_PROVIDER || 'openai') {
+  const provider = String(name).toLowerCase();
+  if (provider === 'openai') return createOpenAIProvider();
+  if (provider === 'local') return createLocalProvider();
+  if (provider === 'mock') return createMockProvider();
+  throw new Error(`알 수 없는 LLM_PROVIDER: ${name} (${LLM_PROVIDERS.join(' | ')})`);
+}
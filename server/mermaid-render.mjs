@@ -0,0 +1,246 @@
+// server/mermaid-render.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/mermaid-render.mjs
+ * --------------------------------------------
+ * 역할
+ *  - Mermaid → SVG (브라우저 없이 서버에서, 네트워크 없이)
+ *  - SVG → PNG (선택 패키지 @resvg/resvg-js 가 있을 때만)
+ *
+ * 동작 개요
+ *  - 검증용 jsdom 창의 mermaid(server/mermaid-validate.mjs withMermaid)를 함께 사용
+ *  - jsdom 에는 레이아웃 엔진이 없어 getBBox / getComputedTextLength 를 근사값으로 채움
+ *    · 글자 폭: 글자 종류별 평균 폭(em) × 글꼴 크기, 한글/한자 등은 1em
+ *    · 도형: rect/circle/ellipse/line/polygon/path 좌표, 그룹은 자식 상자의 합 (translate 반영)
+ *  - 라벨은 SVG <text> 로 그림 (htmlLabels: false) → foreignObject 가 없어 다른 도구/PNG 변환에서도 깨지지 않음
+ *  - 결과 SVG 는 viewBox 크기를 width/height 로 고정 (문서에 넣을 때 100% 로 늘어나지 않게)
+ *
+ * 환경변수
+ *  - RENDER_THEME : mermaid 테마 기본값 (default | neutral | dark | forest, 기본값 default)
+ *
+ * 비고
+ *  - 글자 폭이 근사값이라 브라우저 렌더링과 줄바꿈/여백이 조금 다를 수 있음 (UI 의 내보내기 버튼은 브라우저에서 그림)
+ *  - PNG 는 npm i @resvg/resvg-js 후 사용 가능. 없으면 501 PNG_UNAVAILABLE
+ * ============================================
+ */
+
+import { withMermaid } from './mermaid-validate.mjs';
+
+/**
+ * @typedef {'svg'|'png'} RenderFormat
+ * @typedef {{ theme?: string }} RenderOptions
+ * @typedef {{ scale?: number, background?: string }} PngOptions
+ */
+
+/** 렌더링 형식 */
+export const RENDER_FORMATS = ['svg', 'png'];
+/** mermaid 테마 */
+export const RENDER_THEMES = ['default', 'neutral', 'dark', 'forest'];
+
+/** 렌더링/변환을 할 수 없음 (선택 패키지 없음 등) */
+export class RenderUnavailableError extends Error {
+  constructor(message, code = 'RENDER_UNAVAILABLE') {
+    super(message);
+    this.name = 'RenderUnavailableError';
+    this.status = code === 'PNG_UNAVAILABLE' ? 501 : 503;
+    this.code = code;
+  }
+}
+
+// -------------------- 글자/도형 크기 근사 (jsdom 용) --------------------
+
+/** 글자 1개 폭 (em, 산세리프 평균) */
+function charWidth(ch) {
+  const c = ch.codePointAt(0);
+  if (c >= 0x1100 && (c <= 0x115f || (c >= 0x2e80 && c <= 0xa4cf) || (c >= 0xac00 && c <= 0xd7a3) || (c >= 0xf900 && c <= 0xfaff) || (c >= 0xff00 && c <= 0xff60))) return 1;
+  if (/[ilI.,:;'|!`]/.test(ch)) return 0.28;
+  if (ch === ' ') return 0.28;
+  if (/[fjrt()[\]{}\-"]/.test(ch)) return 0.36;
+  if (/[mwMW@%]/.test(ch)) return 0.85;
+  if (/[A-Z]/.test(ch)) return 0.67;
+  return 0.55;
+}
+
+const textWidth = (text, fontSize) => [...String(text || '')].reduce((sum, ch) => sum + charWidth(ch), 0) * fontSize;
+
+/** 글꼴 크기(px): 가장 가까운 font-size 속성/인라인 스타일, 없으면 16 */
+function fontSizeOf(el) {
+  for (let e = el; e && e.getAttribute; e = e.parentNode) {
+    const v = e.getAttribute('font-size') || e.style?.fontSize;
+    const px = Number.parseFloat(v);
+    if (px) return /em$/.test(String(v)) ? px * 16 : px;
+  }
+  return 16;
+}
+
+const num = (el, name) => Number.parseFloat(el.getAttribute(name)) || 0;
+
+/** transform="translate(x, y)" → [x, y] (그 외 변환은 무시) */
+function translateOf(el) {
+  const m = String(el.getAttribute?.('transform') || '').match(/translate\(\s*(-?[\d.e-]+)[\s,]*(-?[\d.e-]+)?\s*\)/);
+  return m ? [Number(m[1]) || 0, Number(m[2]) || 0] : [0, 0];
+}
+
+/** 점 목록 → 상자 */
+function pointsBox(points) {
+  if (!points.length) return null;
+  const xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/** path d → 지나는 점 (제어점 포함, 상대 좌표 반영) */
+function pathPoints(d) {
+  const points = [];
+  let cx = 0, cy = 0, sx = 0, sy = 0;
+  const re = /([MLHVCSQTAZ])([^MLHVCSQTAZ]*)/gi;
+  for (let m; (m = re.exec(String(d || '')));) {
+    const cmd = m[1], rel = cmd === cmd.toLowerCase();
+    const args = (m[2].match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+    const up = cmd.toUpperCase();
+    if (up === 'Z') { cx = sx; cy = sy; continue; }
+    const step = { M: 2, L: 2, T: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, A: 7 }[up];
+    for (let i = 0; i + step <= args.length; i += step) {
+      const a = args.slice(i, i + step);
+      if (up === 'H') { cx = rel ? cx + a[0] : a[0]; } else if (up === 'V') { cy = rel ? cy + a[0] : a[0]; } else if (up === 'A') {
+        cx = rel ? cx + a[5] : a[5]; cy = rel ? cy + a[6] : a[6];
+      } else {
+        for (let k = 0; k < a.length - 2; k += 2) points.push(rel ? [cx + a[k], cy + a[k + 1]] : [a[k], a[k + 1]]);
+        const [x, y] = a.slice(-2);
+        cx = rel ? cx + x : x; cy = rel ? cy + y : y;
+      }
+      points.push([cx, cy]);
+      if (up === 'M' && i === 0) { sx = cx; sy = cy; }
+    }
+  }
+  return points;
+}
+
+/** <text> 상자: 줄(x/dy 가 있는 tspan)마다 폭 계산, text-anchor 반영 */
+function textBox(el) {
+  const size = fontSizeOf(el);
+  const rows = [...el.children].filter(c => c.tagName === 'tspan' && (c.hasAttribute('dy') || c.hasAttribute('x')));
+  const lines = rows.length ? rows.map(r => r.textContent) : [el.textContent];
+  const width = Math.max(0, ...lines.map(l => textWidth(l, size)));
+  const height = lines.length * size * 1.2;
+  const anchor = el.getAttribute('text-anchor') || el.style?.textAnchor || '';
+  const x = num(el, 'x') - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+  return { x, y: num(el, 'y') - size * 0.9, width, height };
+}
+
+/** 요소의 사용자 좌표계 상자 (자기 transform 제외, 자식 transform 포함) */
+function bbox(el) {
+  switch (el.tagName) {
+    case 'text': case 'tspan': return textBox(el);
+    case 'rect': return { x: num(el, 'x'), y: num(el, 'y'), width: num(el, 'width'), height: num(el, 'height') };
+    case 'circle': { const r = num(el, 'r'); return { x: num(el, 'cx') - r, y: num(el, 'cy') - r, width: 2 * r, height: 2 * r }; }
+    case 'ellipse': {
+      const rx = num(el, 'rx'), ry = num(el, 'ry');
+      return { x: num(el, 'cx') - rx, y: num(el, 'cy') - ry, width: 2 * rx, height: 2 * ry };
+    }
+    case 'line': return pointsBox([[num(el, 'x1'), num(el, 'y1')], [num(el, 'x2'), num(el, 'y2')]]);
+    case 'polygon': case 'polyline': {
+      const n = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+      const pts = [];
+      for (let i = 0; i + 1 < n.length; i += 2) pts.push([n[i], n[i + 1]]);
+      return pointsBox(pts) || { x: 0, y: 0, width: 0, height: 0 };
+    }
+    case 'path': return pointsBox(pathPoints(el.getAttribute('d'))) || { x: 0, y: 0, width: 0, height: 0 };
+    default: {
+      const boxes = [...el.children].filter(c => c.tagName !== 'style' && c.tagName !== 'defs' && c.tagName !== 'marker').map(c => {
+        const b = bbox(c);
+        const [tx, ty] = translateOf(c);
+        return b && (b.width || b.height) ? { x: b.x + tx, y: b.y + ty, width: b.width, height: b.height } : null;
+      }).filter(Boolean);
+      if (!boxes.length) return { x: 0, y: 0, width: 0, height: 0 };
+      return pointsBox(boxes.flatMap(b => [[b.x, b.y], [b.x + b.width, b.y + b.height]]));
+    }
+  }
+}
+
+/** jsdom 창에 SVG 크기 함수 채우기 (1회) */
+function installSvgMetrics(window) {
+  if (window.__svgMetrics) return;
+  window.__svgMetrics = true;
+  const proto = window.SVGElement.prototype;
+  proto.getBBox = function getBBox() { return bbox(this); };
+  proto.getComputedTextLength = function getComputedTextLength() { return textWidth(this.textContent, fontSizeOf(this)); };
+}
+
+// -------------------- 렌더링 --------------------
+
+/** 렌더링 결과 SVG → 독립 파일 (width/height 고정, max-width 스타일 제거) */
+function standaloneSvg(svg) {
+  const n = String.raw`(-?[\d.]+(?:e[-+]?\d+)?)`;
+  const vb = svg.match(new RegExp(String.raw`viewBox="\s*${n}[\s,]+${n}[\s,]+${n}[\s,]+${n}\s*"`));
+  let out = svg.replace(/^<svg([^>]*?)\sstyle="max-width:[^"]*"/, '<svg$1');
+  if (vb) {
+    out = out.replace(/^<svg([^>]*?)\swidth="[^"]*"/, '<svg$1').replace(/^<svg([^>]*?)\sheight="[^"]*"/, '<svg$1')
+      .replace(/^<svg/, `<svg width="${Math.ceil(Number(vb[3]))}" height="${Math.ceil(Number(vb[4]))}"`);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${out}\n`;
+}
+
+let seq = 0;
+
+/**
+ * Mermaid → SVG 텍스트
+ * - 문법 오류는 mermaid 예외 메시지 그대로 (호출 측에서 400)
+ * @param {string} code
+ * @param {RenderOptions} [opts]
+ * @returns {Promise<string>}
+ */
+export function renderMermaidSvg(code, { theme } = {}) {
+  const t = String(theme || process.env.RENDER_THEME || 'default').toLowerCase();
+  if (!RENDER_THEMES.includes(t)) throw new Error(`theme는 ${RENDER_THEMES.join(' | ')} 중 하나여야 합니다: ${theme}`);
+  return withMermaid(async (mermaid, window, reason) => {
+    if (!mermaid) throw new RenderUnavailableError(reason || 'mermaid 렌더러를 불러오지 못했습니다.');
+    installSvgMetrics(window);
+    mermaid.initialize({
+      startOnLoad: false, securityLevel: 'strict', theme: t,
+      htmlLabels: false, flowchart: { htmlLabels: false }, class: { htmlLabels: false }, state: { htmlLabels: false },
+    });
+    try {
+      const { svg } = await mermaid.render(`render-${++seq}`, String(code || ''));
+      return standaloneSvg(svg);
+    } finally {
+      // 실패 시 mermaid 가 남기는 임시 요소 정리
+      window.document.querySelectorAll(`[id^="drender-"], [id^="render-"]`).forEach(n => n.remove());
+      mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+    }
+  });
+}
+
+let resvg = null;   // Promise<Resvg 클래스 | null>
+
+/**
+ * SVG → PNG (@resvg/resvg-js)
+ * @param {string} svg
+ * @param {PngOptions} [opts] - scale: 배율 (기본 2), background: 배경색 (기본 white)
+ * @returns {Promise<Buffer>}
+ */
+export async function svgToPng(svg, { scale = 2, background = 'white' } = {}) {
+  resvg ??= import('@resvg/resvg-js').then(m => m.Resvg).catch(() => null);
+  const Resvg = await resvg;
+  if (!Resvg) {
+    throw new RenderUnavailableError('서버 PNG 변환 패키지가 없습니다 (npm i @resvg/resvg-js). SVG로 내보내거나 화면의 PNG 버튼을 사용하세요.', 'PNG_UNAVAILABLE');
+  }
+  const zoom = Math.min(Math.max(Number(scale) || 2, 0.5), 8);
+  const png = new Resvg(svg, { fitTo: { mode: 'zoom', value: zoom }, background, font: { loadSystemFonts: true } }).render().asPng();
+  return Buffer.from(png);
+}
+
+/**
+ * Mermaid → 이미지
+ * @param {string} code
+ * @param {RenderFormat} format
+ * @param {RenderOptions & PngOptions} [opts]
+ * @returns {Promise<{ body: string|Buffer, contentType: string }>}
+ */
+export async function renderDiagram(code, format, opts = {}) {
+  if (!RENDER_FORMATS.includes(format)) throw new Error(`format은 ${RENDER_FORMATS.join(' | ')} 중 하나여야 합니다: ${format}`);
+  const svg = await renderMermaidSvg(code, opts);
+  if (format === 'svg') return { body: svg, contentType: 'image/svg+xml; charset=utf-8' };
+  return { body: await svgToPng(svg, opts), contentType: 'image/png' };
+}
@@ -0,0 +1,62 @@
+// server/mermaid-repair.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/mermaid-repair.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 문법 오류가 있는 Mermaid의 제한 횟수 자동 수정 루프
+ *  - 시도마다 결과를 기록 (빈 출력/여전히 오류/성공)
+ *
+ * 동작 개요
+ *  - 검증 실패면 repair(원문, 오류)로 수정본을 받아 다시 검증, 최대 max회
+ *  - 빈 출력은 “고치지 못함” → 원문/오류를 유지하고 다음 시도
+ *  - 수정본이 여전히 오류면 그 수정본과 새 오류로 다음 시도
+ *  - 끝내 못 고치면 원문과 원래 오류를 반환 (시도별 오류는 tries 에 남음)
+ *  - 검증 생략(valid: null)이나 성공이면 수정하지 않음
+ *
+ * 비고
+ *  - 프롬프트/LLM 호출/정규화는 호출 측(server.mjs generateMermaid)이 repair 콜백으로 넘김
+ * ============================================
+ */
+
+/**
+ * @typedef {import('./mermaid-validate.mjs').MermaidValidation} MermaidValidation
+ * @typedef {import('./mermaid-validate.mjs').MermaidError} MermaidError
+ * @typedef {{ attempt: number, result: 'empty'|'invalid'|'valid', errors?: MermaidError[] }} RepairTry
+ * @typedef {{ attempts: number, max: number, valid: boolean|null, tries: RepairTry[] }} RepairResult
+ */
+
+/**
+ * 자동 수정 루프
+ * @param {string} original - 생성(정규화) 결과
+ * @param {MermaidValidation} originalValidation - original 검증 결과
+ * @param {Object} opts
+ * @param {number} opts.max - 최대 시도 횟수
+ * @param {(mermaid: string, errors: MermaidError[]) => Promise<string>} opts.repair - 수정본(정규화까지) 반환
+ * @param {(mermaid: string) => Promise<MermaidValidation>} opts.validate
+ * @returns {Promise<{ mermaid: string, validation: MermaidValidation, repair: RepairResult }>}
+ *  - 끝내 못 고치면 원문과 원래 오류
+ */
+export async function repairMermaid(original, originalValidation, { max, repair, validate }) {
+  let mermaid = original;
+  let validation = originalValidation;
+  const tries = [];
+  while (validation.valid === false && tries.length < max) {
+    const attempt = tries.length + 1;
+    const fixed = String(await repair(mermaid, validation.errors) ?? '');
+    if (!fixed.trim()) {
+      tries.push({ attempt, result: 'empty' });
+      continue;
+    }
+    mermaid = fixed;
+    validation = await validate(mermaid);
+    tries.push(validation.valid === false
+      ? { attempt, result: 'invalid', errors: validation.errors }
+      : { attempt, result: 'valid' });
+  }
+  const summary = { attempts: tries.length, max, valid: validation.valid, tries };
+  return validation.valid === false
+    ? { mermaid: original, validation: originalValidation, repair: summary }
+    : { mermaid, validation, repair: summary };
+}
@@ -0,0 +1,181 @@
+// server/mermaid-validate.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/mermaid-validate.mjs
+ * --------------------------------------------
+ * 역할
+ *  - Mermaid 문법 검증 (실제 mermaid 파서를 Node에서 헤드리스로 실행)
+ *  - 오류를 { line, column, message, expected } 구조로 반환
+ *  - 같은 mermaid 인스턴스를 렌더링(server/mermaid-render.mjs)과 공유 (withMermaid)
+ *
+ * 동작 개요
+ *  - jsdom 창(window) 안에서 mermaid 브라우저 번들(mermaid.min.js)을 실행
+ *    → Node 전역(window/document 등)을 건드리지 않음 (OpenAI SDK의 브라우저 감지 회피)
+ *  - 첫 사용 시 1회 로드, 이후 재사용. mermaid 내부 상태가 전역이라 검증/렌더링은 큐로 직렬화
+ *
+ * 환경변수
+ *  - MERMAID_VALIDATE : 'off'면 검증 생략 (valid: null, skipped)
+ *
+ * 비고
+ *  - mermaid / jsdom 패키지가 없으면 경고 1회 후 검증 생략 (저장은 막지 않음)
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import vm from 'vm';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * @typedef {{ line: number, column: number|null, message: string, expected?: string[] }} MermaidError
+ * @typedef {{ valid: boolean|null, diagramType?: string, errors: MermaidError[], skipped?: string }} MermaidValidation
+ */
+
+/** 저장 거부 (HTTP 422) */
+export class MermaidSyntaxError extends Error {
+  constructor(errors) {
+    const first = errors[0];
+    super(`Mermaid 문법 오류${first ? ` (${first.line}행${first.column ? ` ${first.column}열` : ''}): ${first.message}` : ''}`);
+    this.name = 'MermaidSyntaxError';
+    this.status = 422;
+    this.code = 'INVALID_MERMAID';
+    this.errors = errors;
+  }
+}
+
+let loading = null;       // Promise<{ mermaid, window } | null>
+let skipReason = '';      // 로드 실패 사유 (있으면 검증 생략)
+let queue = Promise.resolve();
+
+/** jsdom 창에 mermaid 번들 로드 */
+async function loadMermaid() {
+  const { JSDOM } = await import('jsdom');
+  const src = await fs.readFile(require.resolve('mermaid/dist/mermaid.min.js'), 'utf8');
+  const dom = new JSDOM('<!doctype html><html><body></body></html>', { runScripts: 'outside-only', pretendToBeVisual: true });
+  // langium 기반 파서(pie 등)가 사용
+  dom.window.structuredClone = structuredClone;
+  // eval이 아닌 Script로 실행해야 번들의 최상위 var가 window 전역이 됨
+  new vm.Script(src, { filename: 'mermaid.min.js' }).runInContext(dom.getInternalVMContext());
+  const mermaid = dom.window.mermaid;
+  mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+  return { mermaid, window: dom.window };
+}
+
+function getMermaid() {
+  if (!loading) {
+    loading = loadMermaid().catch(e => {
+      skipReason = `mermaid 파서를 불러오지 못했습니다 (npm i mermaid jsdom): ${e.message}`;
+      console.warn(`[mermaid-validate] ${skipReason}`);
+      return null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * mermaid 인스턴스로 작업 실행 (큐로 직렬화)
+ * - 불러오지 못했으면 fn(null, null, 사유)
+ * @template T
+ * @param {(mermaid: any, window: any, skipReason: string) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function withMermaid(fn) {
+  const run = queue.then(async () => {
+    const loaded = await getMermaid();
+    return fn(loaded?.mermaid ?? null, loaded?.window ?? null, skipReason);
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * 파서 기준 행 번호 → 원문 행 번호
+ * - mermaid.parse는 파싱 전에 frontmatter(---...---)와 '%%' 주석 행을 지우고 앞 공백을 잘라냄
+ *   (mermaid의 preprocess와 같은 정규식) → 그만큼 행 번호가 당겨지므로 원문 기준으로 되돌림
+ */
+function toSourceLine(text, parsedLine) {
+  const src = text.replace(/\r\n?/g, '\n');
+  const removed = [];
+  const fm = src.match(/^-{3}\s*[\n\r](.*?)[\n\r]-{3}\s*[\n\r]+/s);
+  const from = fm ? fm[0].length : 0;
+  if (fm) removed.push([0, from]);
+  const re = /^\s*%%(?!{)[^\n]+\n?/gm;
+  re.lastIndex = from;
+  for (let m; (m = re.exec(src));) {
+    if (m.index < from) continue;
+    removed.push([m.index, m.index + m[0].length]);
+    if (!m[0].length) re.lastIndex++;
+  }
+  let line = 1, kept = 1, started = false, r = 0;
+  for (let i = 0; i < src.length; i++) {
+    while (r < removed.length && i >= removed[r][1]) r++;
+    const skip = r < removed.length && i >= removed[r][0];
+    if (!skip) {
+      if (!started && /\s/.test(src[i])) { /* trimStart */ } else {
+        started = true;
+        if (kept === parsedLine) return line;
+        if (src[i] === '\n') kept++;
+      }
+    }
+    if (src[i] === '\n') line++;
+  }
+  return line;
+}
+
+/**
+ * 파서 예외 → 구조화 오류
+ * - jison 계열(flowchart/class/sequence 등): e.hash.loc (first_line 1-base, first_column 0-base)
+ * - langium 계열(pie 등): 메시지의 "line N, column M"
+ * - 종류 인식 실패 등 위치가 없으면 1행
+ * - 행 번호는 원문(text) 기준으로 보정
+ */
+function toError(e, text) {
+  const message = String(e?.message || e);
+  const loc = e?.hash?.loc;
+  if (loc) {
+    return {
+      line: toSourceLine(text, loc.first_line),
+      column: loc.first_column + 1,
+      message,
+      ...(Array.isArray(e.hash.expected) ? { expected: e.hash.expected.map(x => String(x).replace(/^'|'$/g, '')) } : {}),
+    };
+  }
+  const m = message.match(/line (\d+)(?:, column (\d+))?/i);
+  return { line: m ? toSourceLine(text, Number(m[1])) : 1, column: m?.[2] ? Number(m[2]) : null, message };
+}
+
+/**
+ * Mermaid 문법 검증
+ * @param {string} code
+ * @returns {Promise<MermaidValidation>}
+ */
+export function validateMermaid(code) {
+  const text = String(code || '');
+  if (!text.trim()) {
+    return Promise.resolve({ valid: false, errors: [{ line: 1, column: null, message: 'Mermaid 코드가 비어 있습니다.' }] });
+  }
+  if (String(process.env.MERMAID_VALIDATE || '').toLowerCase() === 'off') {
+    return Promise.resolve({ valid: null, errors: [], skipped: 'MERMAID_VALIDATE=off' });
+  }
+  return withMermaid(async (mermaid, _window, reason) => {
+    if (!mermaid) return { valid: null, errors: [], skipped: reason };
+    try {
+      const r = await mermaid.parse(text);
+      return { valid: true, diagramType: r?.diagramType, errors: [] };
+    } catch (e) {
+      return { valid: false, errors: [toError(e, text)] };
+    }
+  });
+}
+
+/**
+ * 저장 전 검증: 오류면 MermaidSyntaxError (force면 통과)
+ * @returns {Promise<MermaidValidation>}
+ */
+export async function assertValidMermaid(code, { force = false } = {}) {
+  const v = await validateMermaid(code);
+  if (v.valid === false && !force) throw new MermaidSyntaxError(v.errors);
+  return v;
+}
@@ -0,0 +1,91 @@
+// server/migrate.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/migrate.mjs
+ * --------------------------------------------
+ * 역할
+ *  - JSON 파일 저장소 ↔ SQLite 저장소 간 전체 이전 (레코드 + 이력)
+ *
+ * 사용법
+ *  - node server/migrate.mjs import [--from outputs/db.json] [--to outputs/db.sqlite]
+ *      db.json → SQLite (대상 SQLite 내용은 전부 교체)
+ *  - node server/migrate.mjs export [--from outputs/db.sqlite] [--to outputs/db.json]
+ *      SQLite → db.json (대상 파일은 전부 교체)
+ *
+ * 비고
+ *  - 서버를 멈춘 상태에서 실행 권장 (서버의 쓰기 큐와 별개 프로세스)
+ *  - 기본 경로는 서버와 같음 (SQLITE_PATH 환경변수 반영)
+ * ============================================
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { COLLECTIONS } from './storage.mjs';
+import { createJsonStore } from './storage-json.mjs';
+import { createSqliteStore } from './storage-sqlite.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..', 'outputs');
+const JSON_PATH = path.join(DATA_DIR, 'db.json');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'db.sqlite');
+
+/** --key value 형태 인자 파싱 */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    const m = rest[i].match(/^--(\w+)$/);
+    if (!m || rest[i + 1] === undefined) throw new Error(`잘못된 인자: ${rest[i]}`);
+    opts[m[1]] = rest[++i];
+  }
+  return { command, opts };
+}
+
+/** 컬렉션별 레코드/이력 건수 */
+function summarize(db) {
+  return COLLECTIONS
+    .map(c => `${c} ${Object.keys(db[c]).length}건(이력 ${Object.keys(db.revisions[c]).length}건)`)
+    .join(', ');
+}
+
+/** 원본이 없으면 빈 저장소를 만들어 옮기는 사고 방지 */
+async function assertExists(file) {
+  try { await fs.access(file); }
+  catch { throw new Error(`원본 파일이 없습니다: ${file}`); }
+}
+
+async function copyStore(from, to) {
+  const db = await from.read();
+  await to.replaceAll(db);
+  await Promise.all([from.close(), to.close()]);
+  return db;
+}
+
+async function main() {
+  const { command, opts } = parseArgs(process.argv.slice(2));
+  if (command === 'import') {
+    const from = path.resolve(opts.from || JSON_PATH);
+    const to = path.resolve(opts.to || SQLITE_PATH);
+    await assertExists(from);
+    const db = await copyStore(createJsonStore(from), await createSqliteStore(to));
+    console.log(`[migrate] ${from} → ${to}: ${summarize(db)}`);
+    return;
+  }
+  if (command === 'export') {
+    const from = path.resolve(opts.from || SQLITE_PATH);
+    const to = path.resolve(opts.to || JSON_PATH);
+    await assertExists(from);
+    const db = await copyStore(await createSqliteStore(from), createJsonStore(to));
+    console.log(`[migrate] ${from} → ${to}: ${summarize(db)}`);
+    return;
+  }
+  throw new Error('사용법: node server/migrate.mjs import|export [--from 경로] [--to 경로]');
+}
+
+main().catch(e => {
+  console.error(`[migrate] ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,948 @@
+// server/plantuml.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/plantuml.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 저장된 Mermaid ↔ PlantUML 텍스트 변환 (usecase / sequence / class / activity)
+ *  - LLM 없이 규칙 기반으로 변환. 옮길 수 없는 표기는 건너뛰고 warnings에 기록
+ *  - .puml 파일 → @startuml ~ @enduml 블록 나누기, 다이어그램 종류 추정
+ *
+ * 종류별 매핑
+ *  - usecase : flowchart LR («actor» 노드, (유스케이스) 노드, subgraph 경계) ↔ actor / usecase / rectangle { }
+ *  - sequence: sequenceDiagram ↔ 참여자, 메시지(화살표 종류/활성화), alt·opt·loop·par·critical·break, note
+ *  - class   : classDiagram ↔ class/interface/enum + 멤버 + 관계 (관계 화살표 표기는 양쪽이 같음)
+ *  - activity: flowchart TD ↔ 활동 다이어그램
+ *      · PlantUML → Mermaid: 새 문법(start, :활동;, if/while/repeat/fork/switch, stop)과 옛 문법((*) --> "A") 모두
+ *      · Mermaid → PlantUML: 옛 문법 (임의의 그래프를 그대로 표현 가능). 분기 노드는 라벨 끝 '?'로 표시
+ *
+ * 비고
+ *  - 내보낸 PlantUML 첫 줄 뒤에 "' kind: <종류>" 주석을 넣어 다시 가져올 때 종류 추정 없이 복원
+ *  - 꾸밈 요소(skinparam, 색, 방향 힌트 -up->, 스테레오타입 아이콘 등)는 버림
+ * ============================================
+ */
+
+import { formatRelation, parseClassDiagram, parseMember, parseRelation, renderClassModel } from './class-model.mjs';
+import { idAllocator, mmLabel, parseFlowchart, renderUsecaseFlowchart, toId, usecaseNodeType } from './flowchart.mjs';
+
+/**
+ * @typedef {'usecase'|'sequence'|'class'|'activity'} PumlKind
+ * @typedef {{ name: string, text: string }} PumlBlock
+ * @typedef {{ kind: PumlKind, mermaid: string, warnings: string[] }} PumlToMermaidResult
+ * @typedef {{ plantuml: string, warnings: string[] }} MermaidToPumlResult
+ */
+
+/** PlantUML 변환을 지원하는 다이어그램 종류 */
+export const PLANTUML_KINDS = ['usecase', 'sequence', 'class', 'activity'];
+
+// -------------------- 공통 --------------------
+const toLines = (text) => String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+/** 경고 모음 (같은 문구는 한 번만) */
+function createWarnings() {
+  const set = new Set();
+  const warn = (msg) => set.add(msg);
+  warn.list = () => [...set];
+  return warn;
+}
+
+/** PlantUML 문자열 리터럴 ("는 '로) */
+const pq = (text) => `"${String(text).replace(/"/g, "'").replace(/<br\s*\/?>/gi, '\\n')}"`;
+
+/** PlantUML 줄바꿈(\n) → Mermaid <br/> */
+const brFromPuml = (text) => String(text).replace(/\\n/g, '<br/>');
+/** Mermaid <br/> → PlantUML 줄바꿈(\n) */
+const brToPuml = (text) => String(text).replace(/<br\s*\/?>/gi, '\\n');
+
+/** 스테레오타입 표기 «x» ↔ <<x>> */
+const toGuillemets = (text) => String(text).replace(/<<\s*([^>]+?)\s*>>/g, '«$1»');
+const fromGuillemets = (text) => String(text).replace(/«\s*([^»]+?)\s*»/g, '<<$1>>');
+
+// -------------------- PlantUML 텍스트 전처리 --------------------
+
+/**
+ * .puml 텍스트 → @startuml ~ @enduml 블록 목록
+ * - '@startuml 이름' / '@startuml(id=이름)' 의 이름을 name으로
+ * - 블록이 없으면 전체를 이름 없는 블록 1개로
+ * @param {string} text
+ * @returns {PumlBlock[]}
+ */
+export function splitPlantUml(text) {
+  const src = String(text || '').replace(/\r\n?/g, '\n');
+  const blocks = [];
+  const re = /^[ \t]*@startuml\b([^\n]*)\n([\s\S]*?)^[ \t]*@enduml\b/gm;
+  let m;
+  while ((m = re.exec(src))) {
+    const arg = m[1].trim();
+    const name = (arg.match(/^\(\s*id\s*=\s*([^)]+)\)/)?.[1] || arg).replace(/^"|"$/g, '').trim();
+    blocks.push({ name, text: m[2] });
+  }
+  if (!blocks.length && src.trim()) blocks.push({ name: '', text: src.replace(/^\s*@startuml[^\n]*\n?|@enduml\s*$/g, '') });
+  return blocks;
+}
+
+/**
+ * PlantUML 본문 → 의미 있는 줄 (trim)
+ * - 주석(' 한 줄, /' ... '/ 여러 줄), @startuml/@enduml, 전처리기(!), skinparam/legend/title 블록 제거
+ * - 꾸밈 지시어(skinparam, hide, title 등)는 조용히 버림
+ */
+function pumlLines(text, warn) {
+  const out = [];
+  let block = null;                                                       // 건너뛰는 여러 줄 블록의 끝 표시
+  let comment = false;
+  for (const raw of toLines(text)) {
+    let line = raw.trim();
+    if (comment) {
+      const end = line.indexOf("'/");
+      if (end < 0) continue;
+      comment = false;
+      line = line.slice(end + 2).trim();
+    }
+    line = line.replace(/\/'.*?'\//g, '').trim();
+    if (line.includes("/'")) { comment = true; line = line.slice(0, line.indexOf("/'")).trim(); }
+    if (!line || line.startsWith("'") || /^@(?:start|end)uml\b/.test(line)) continue;
+    if (block) {
+      if (block.test(line)) block = null;
+      continue;
+    }
+    if (/^skinparam\b.*\{$/i.test(line) || /^style\b.*\{$/i.test(line)) { block = /^\}$/; continue; }
+    if (/^(?:title|header|footer|caption)$/i.test(line) || /^legend\b/i.test(line)) { block = /^end\s*(?:title|header|footer|caption|legend)$/i; continue; }
+    if (/^!include/i.test(line)) { warn(`!include 는 따라가지 않음: ${line}`); continue; }
+    if (/^!/.test(line)) continue;
+    if (/^(?:skinparam|hide|show|title|header|footer|caption|scale|left to right direction|top to bottom direction|allowmixing|set\s|mainframe|newpage|autoactivate|<style>)/i.test(line)) continue;
+    out.push(line);
+  }
+  return out;
+}
+
+/** PlantUML 본문 첫머리의 "' kind: <종류>" 표시 */
+function kindMarker(text) {
+  const k = String(text || '').match(/^\s*'\s*kind\s*:\s*(\w+)/m)?.[1]?.toLowerCase();
+  return PLANTUML_KINDS.includes(k) ? k : null;
+}
+
+/**
+ * PlantUML 본문 → 다이어그램 종류 추정
+ * - "' kind:" 표시가 있으면 그대로
+ * - 활동 문법(start/stop/:활동;/if (...) then/(*)) → activity
+ * - usecase 키워드, (유스케이스), :액터: 표기 → usecase
+ * - class/interface/enum 선언이나 클래스 관계 화살표 → class
+ * - 그 외 → sequence
+ * @param {string} text
+ * @returns {PumlKind}
+ */
+export function detectPlantUmlKind(text) {
+  const marked = kindMarker(text);
+  if (marked) return marked;
+  const lines = pumlLines(text, () => {});
+  if (lines.some(l => /^(?:start|stop|fork|repeat|endif|endwhile|end fork|detach|kill)$/.test(l)
+    || /^:[\s\S]*[;|<>/\]}]$/.test(l) || /^:[^:]*$/.test(l) || /^(?:if|while)\s*\(.*\)/.test(l) || /\(\*(?:top)?\)/.test(l))) {
+    return 'activity';
+  }
+  if (lines.some(l => /^usecase\b/.test(l) || /(?:^|\s)\([^()*]+\)(?:\s|$)/.test(l) || /^:[^:]+:/.test(l) || /^rectangle\b/.test(l))) return 'usecase';
+  if (lines.some(l => /^(?:abstract\s+class|abstract|class|interface|enum)\s/.test(l) || /<\|--|--\|>|<\|\.\.|\.\.\|>|\*--|--\*|o--|--o/.test(l))) return 'class';
+  return 'sequence';
+}
+
+/** Mermaid id → PlantUML 별칭 (ASCII 식별자, 겹치지 않게) */
+function pumlAliases(ids) {
+  const alloc = idAllocator();
+  const map = new Map();
+  let n = 0;
+  for (const id of ids) map.set(id, alloc(toId(id, `n${++n}`)));
+  return map;
+}
+
+// -------------------- usecase --------------------
+
+/** flowchart(usecase) → PlantUML 유스케이스 */
+function mermaidUsecaseToPuml(mermaid, warn) {
+  const fc = parseFlowchart(mermaid, warn);
+  const alias = pumlAliases(fc.nodes.keys());
+  const out = [];
+  if (fc.direction === 'LR' || fc.direction === 'RL') out.push('left to right direction');
+
+  const nodeLine = (n) => {
+    const { type, name } = usecaseNodeType(n);
+    return `${type === 'rect' ? 'rectangle' : type} ${pq(name)} as ${alias.get(n.id)}`;
+  };
+  const emitGroup = (groupId, indent) => {
+    for (const n of fc.nodes.values()) if (n.group === groupId) out.push(`${indent}${nodeLine(n)}`);
+    for (const g of fc.groups.filter(x => x.parent === groupId)) {
+      out.push(`${indent}rectangle ${pq(g.title || g.id)} as ${toId(g.id, 'group')} {`);
+      emitGroup(g.id, `${indent}  `);
+      out.push(`${indent}}`);
+    }
+  };
+  emitGroup('', '');
+
+  for (const e of fc.edges) {
+    const body = e.line === 'dotted' ? '..' : '--';
+    const arrow = `${e.both ? '<' : ''}${body}${e.arrow ? '>' : ''}`;
+    const label = e.label ? ` : ${fromGuillemets(e.label)}` : '';
+    out.push(`${alias.get(e.from)} ${arrow} ${alias.get(e.to)}${label}`);
+  }
+  return out;
+}
+
+/** usecase 참조: :액터: / (유스케이스) / "라벨" / 별칭 */
+const UC_REF = String.raw`(:[^:]+:|\([^()]+\)|"[^"]+"|[\p{L}\p{N}_]+)`;
+const UC_ARROW = String.raw`(<\|?)?([-.]+(?:\[[^\]]*\])?(?:(?:up|down|left|right|u|d|l|r)[-.]+)?)(\|?>)?`;
+const UC_RELATION_RE = new RegExp(String.raw`^${UC_REF}(?:\s*<<[^>]*>>)?\s*${UC_ARROW}\s*${UC_REF}(?:\s*<<[^>]*>>)?\s*(?::\s*(.*))?$`, 'u');
+const UC_DECL_RE = new RegExp(String.raw`^(actor|usecase)\s+${UC_REF}(?:\s+as\s+${UC_REF})?`, 'u');
+const UC_CONTAINER_RE = /^(rectangle|package|frame|node|cloud|folder|database|component)\s+(?:"([^"]+)"|([\p{L}\p{N}_.]+))(?:\s+as\s+([\p{L}\p{N}_]+))?(?:\s*<<[^>]*>>)?(?:\s*#\S+)?\s*(\{)?$/u;
+
+/** PlantUML 유스케이스 → flowchart LR */
+function pumlUsecaseToMermaid(lines, warn) {
+  const alloc = idAllocator();
+  /** @type {Map<string, { id: string, label: string, type: 'actor'|'usecase'|'rect', group: string }>} */
+  const byKey = new Map();
+  const nodes = [];
+  const groups = [];
+  const stack = [];
+  const edges = [];
+
+  // 참조 문자열 → { key, label, type? }
+  const readRef = (ref) => {
+    if (ref.startsWith(':')) return { key: ref.slice(1, -1).trim(), label: ref.slice(1, -1).trim(), type: 'actor' };
+    if (ref.startsWith('(')) return { key: ref.slice(1, -1).trim(), label: ref.slice(1, -1).trim(), type: 'usecase' };
+    if (ref.startsWith('"')) return { key: ref.slice(1, -1), label: ref.slice(1, -1), type: '' };
+    return { key: ref, label: ref, type: '', bare: true };
+  };
+  const node = (key, label, type) => {
+    let n = byKey.get(key);
+    if (!n) {
+      n = { id: alloc(toId(key, type === 'actor' ? 'actor' : 'uc')), label, type: type || 'actor', group: stack[stack.length - 1] || '' };
+      byKey.set(key, n);
+      nodes.push(n);
+    }
+    return n;
+  };
+  const declare = (type, first, second) => {
+    const a = readRef(first);
+    const b = second ? readRef(second) : null;
+    // actor "라벨" as 별칭 / actor 별칭 as "라벨" / actor 이름
+    const [label, key] = !b ? [a.label, a.key] : a.bare ? [b.label, a.key] : [a.label, b.key];
+    const n = node(key, label, type);
+    n.label = label;
+    n.type = type;
+    if (a.key !== key) byKey.set(a.key, n);                             // (라벨) 로도 참조 가능
+    return n;
+  };
+
+  for (const line of lines) {
+    if (line === '}') { stack.pop(); continue; }
+    const container = line.match(UC_CONTAINER_RE);
+    if (container) {
+      const title = container[2] || container[3];
+      if (container[5]) {
+        const id = alloc(toId(container[4] || title, `group${groups.length + 1}`));
+        groups.push({ id, title, parent: stack[stack.length - 1] || '' });
+        stack.push(id);
+      } else {
+        declare('rect', `"${title}"`, container[4] || null);
+      }
+      continue;
+    }
+    const decl = line.match(UC_DECL_RE);
+    if (decl) { declare(decl[1], decl[2], decl[3]); continue; }
+
+    const rel = line.match(UC_RELATION_RE);
+    if (rel) {
+      const [, left, headL = '', body, headR = '', right, label = ''] = rel;
+      const refA = readRef(left), refB = readRef(right);
+      const a = node(refA.key, refA.label, refA.type);
+      const b = node(refB.key, refB.label, refB.type);
+      const dotted = body.replace(/\[[^\]]*\]/g, '').includes('.');
+      const text = toGuillemets(label.trim().replace(/^(include|extend)$/i, '<<$1>>'));
+      if (headL === '<|' || headR === '|>') {
+        warn('일반화(<|--)는 일반 연결선으로 옮김');
+        const [child, parent] = headL === '<|' ? [b, a] : [a, b];
+        edges.push({ from: child.id, to: parent.id, dotted, arrow: true, label: text });
+      } else if (headL && !headR) {
+        edges.push({ from: b.id, to: a.id, dotted, arrow: true, label: text });
+      } else {
+        edges.push({ from: a.id, to: b.id, dotted, arrow: !!headR, label: text });
+      }
+      continue;
+    }
+    // 단독 (유스케이스) / :액터: 선언
+    const lone = line.match(new RegExp(String.raw`^${UC_REF}(?:\s+as\s+${UC_REF})?$`, 'u'));
+    if (lone && /^[(:]/.test(lone[1])) { declare(lone[1].startsWith(':') ? 'actor' : 'usecase', lone[1], lone[2]); continue; }
+    if (/^note\b/.test(line)) { warn('note 는 옮기지 않음'); continue; }
+    warn(`해석하지 못한 줄은 건너뜀: ${line}`);
+  }
+
+  return renderUsecaseFlowchart({ nodes, edges, groups });
+}
+
+// -------------------- sequence --------------------
+
+/** Mermaid 메시지 화살표 → PlantUML */
+const MM_TO_PUML_ARROW = { '->>': '->', '-->>': '-->', '->': '->', '-->': '-->', '-x': '->x', '--x': '-->x', '-)': '->>', '--)': '-->>' };
+const MM_MESSAGE_RE = /^([^\s:]+?)\s*(-->>|->>|--x|-x|--\)|-\)|-->|->)\s*([+-]?)\s*([^\s:]+)\s*(?::\s?(.*))?$/;
+/** 블록 시작 키워드 (Mermaid ↔ PlantUML 이름이 같음, rect만 group) */
+const SEQ_BLOCKS = ['alt', 'opt', 'loop', 'par', 'critical', 'break'];
+
+/** sequenceDiagram → PlantUML 시퀀스 */
+function mermaidSequenceToPuml(mermaid, warn) {
+  const lines = toLines(mermaid);
+  const first = lines.findIndex(l => l.trim() && !l.trim().startsWith('%%'));
+  if (!/^sequenceDiagram\b/.test((lines[first] || '').trim())) throw new Error('sequenceDiagram 이 아닙니다.');
+  const body = [];
+  const stack = [];
+  const out = { push: (...ls) => body.push(...ls.map(l => `${'  '.repeat(stack.length)}${l}`)) };
+  for (let i = first + 1; i < lines.length; i++) {
+    const line = lines[i].replace(/%%.*$/, '').trim().replace(/;$/, '');
+    if (!line) continue;
+
+    const part = line.match(/^(create\s+)?(participant|actor)\s+(\S+?)(?:\s+as\s+(.+))?$/);
+    if (part) {
+      const [, create, type, id, label] = part;
+      out.push(`${create ? 'create ' : ''}${type} ${label ? `${pq(label.trim())} as ${id}` : id}`);
+      continue;
+    }
+    const note = line.match(/^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    if (note) {
+      out.push(`note ${note[1].toLowerCase()} ${note[2].split(',').map(s => s.trim()).join(', ')} : ${brToPuml(note[3])}`);
+      continue;
+    }
+    const block = line.match(/^(alt|opt|loop|par|critical|break|rect|box)\b\s*(.*)$/);
+    if (block) {
+      const [, kw, rest] = block;
+      if (kw === 'rect') out.push('group');
+      else if (kw === 'box') out.push(`box ${pq(rest.replace(/^(?:rgba?\([^)]*\)|transparent)\s*/, '') || ' ')}`);
+      else out.push(`${kw}${rest ? ` ${rest}` : ''}`);
+      stack.push(kw);
+      continue;
+    }
+    const branch = line.match(/^(else|and|option)\b\s*(.*)$/);
+    if (branch) {
+      const kw = stack.pop();
+      out.push(`else${branch[2] ? ` ${branch[2]}` : ''}`);
+      stack.push(kw);
+      continue;
+    }
+    if (line === 'end') {
+      const kw = stack.pop();
+      out.push(kw === 'box' ? 'end box' : 'end');
+      continue;
+    }
+    if (/^(?:autonumber|activate|deactivate|destroy)\b/.test(line)) { out.push(line); continue; }
+    const title = line.match(/^title\s*:?\s*(.*)$/);
+    if (title) { out.push(`title ${title[1]}`); continue; }
+
+    const msg = line.match(MM_MESSAGE_RE);
+    if (msg) {
+      const [, from, arrow, act, to, text = ''] = msg;
+      const suffix = act === '+' ? ' ++' : act === '-' ? ' --' : '';
+      out.push(`${from} ${MM_TO_PUML_ARROW[arrow]} ${to}${suffix}${text.trim() ? ` : ${brToPuml(text.trim())}` : ''}`);
+      continue;
+    }
+    warn(`해석하지 못한 줄은 건너뜀: ${line}`);
+  }
+  return body;
+}
+
+const SEQ_PARTICIPANT_TYPES = ['participant', 'actor', 'boundary', 'control', 'entity', 'database', 'collections', 'queue'];
+const SEQ_REF = String.raw`("[^"]+"|[\p{L}\p{N}_.]+)`;
+const PUML_MESSAGE_RE = new RegExp(
+  String.raw`^${SEQ_REF}\s*(<<?|\\\\|//)?(-+)(?:\[[^\]]*\])?(-*)(>>?|\\\\|//)?(?:(x|o)(?=\s))?\s*${SEQ_REF}\s*(\+\+|--|\*\*|!!)?\s*(?::\s?(.*))?$`, 'u');
+
+/** PlantUML 시퀀스 → sequenceDiagram */
+function pumlSequenceToMermaid(lines, warn) {
+  const body = ['sequenceDiagram'];
+  const alias = new Map();                                                // PlantUML 이름/라벨 → Mermaid id
+  const order = [];
+  const alloc = idAllocator();
+  const stack = [];
+  const out = { push: (...ls) => body.push(...ls.map(l => `${'  '.repeat(stack.length)}${l}`)) };
+
+  const participant = (ref, label = '', type = 'participant', create = false) => {
+    const name = ref.replace(/^"|"$/g, '');
+    let id = alias.get(name);
+    if (!id) {
+      id = alloc(toId(name, `p${order.length + 1}`));
+      alias.set(name, id);
+      order.push(id);
+      const shown = label || (id !== name ? name : '');
+      out.push(`${create ? 'create ' : ''}${type} ${id}${shown ? ` as ${shown}` : ''}`);
+    }
+    return id;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const decl = line.match(new RegExp(String.raw`^(create\s+)?(${SEQ_PARTICIPANT_TYPES.join('|')})\s+${SEQ_REF}(?:\s+as\s+${SEQ_REF})?`, 'u'));
+    if (decl) {
+      const [, create, type, a, b] = decl;
+      if (!['participant', 'actor'].includes(type)) warn(`${type} 참여자는 participant 로 옮김`);
+      const quotedFirst = a.startsWith('"');
+      const [label, name] = !b ? ['', a] : quotedFirst ? [a, b] : [b, a];
+      const id = participant(name, label.replace(/^"|"$/g, ''), type === 'actor' ? 'actor' : 'participant', !!create);
+      if (label) alias.set(label.replace(/^"|"$/g, ''), id);
+      continue;
+    }
+    if (/^create\s+\S+$/.test(line)) { participant(line.split(/\s+/)[1], '', 'participant', true); continue; }
+
+    const note = line.match(/^[hr]?note\s+(left of|right of|over|left|right|across)\s*([^:]*?)\s*(?::\s*(.*))?$/i);
+    if (note) {
+      let [, pos, targets, text] = note;
+      if (text === undefined) {                                           // 여러 줄 note ... end note
+        const body = [];
+        while (++i < lines.length && !/^end\s*[hr]?note$/i.test(lines[i])) body.push(lines[i]);
+        text = body.join('<br/>');
+      }
+      pos = pos.toLowerCase();
+      if (pos === 'across') { pos = 'over'; targets = order.length ? `${order[0]},${order[order.length - 1]}` : ''; }
+      if (pos === 'left' || pos === 'right' || !targets.trim()) { warn('대상이 없는 note 는 옮기지 않음'); continue; }
+      const ids = targets.replace(/#\S+/, '').split(',').map(s => participant(s.trim()));
+      out.push(`Note ${pos} ${ids.join(',')}: ${brFromPuml(text)}`);
+      continue;
+    }
+    const divider = line.match(/^==\s*(.*?)\s*==$/);
+    if (divider) {
+      if (order.length) out.push(`Note over ${order[0]}${order.length > 1 ? `,${order[order.length - 1]}` : ''}: ${divider[1]}`);
+      continue;
+    }
+    const block = line.match(/^(alt|opt|loop|par|critical|break|group|box)\b\s*(.*)$/);
+    if (block) {
+      const [, kw, rest] = block;
+      if (kw === 'group') {
+        if (rest) warn('group 라벨은 옮기지 않음 (Mermaid rect)');
+        out.push('rect rgb(240, 240, 240)');
+      } else if (kw === 'box') {
+        out.push(`box ${rest.replace(/#\S+/, '').replace(/"/g, '').trim()}`);
+      } else {
+        out.push(`${kw}${rest ? ` ${rest}` : ''}`);
+      }
+      stack.push(kw);
+      continue;
+    }
+    const branch = line.match(/^else\b\s*(.*)$/);
+    if (branch) {
+      const kw = stack.pop();
+      out.push(`${kw === 'par' ? 'and' : 'else'}${branch[1] ? ` ${branch[1]}` : ''}`);
+      stack.push(kw);
+      continue;
+    }
+    if (/^end(?:\s+box)?$/.test(line)) { stack.pop(); out.push('end'); continue; }
+    const act = line.match(/^(activate|deactivate|destroy)\s+(\S+)/);
+    if (act) { out.push(`${act[1]} ${participant(act[2])}`); continue; }
+    if (/^autonumber\b/.test(line)) { out.push('autonumber'); continue; }
+    if (/^ref\s+over\b/.test(line)) {
+      warn('ref over 는 옮기지 않음');
+      if (!line.includes(':')) while (++i < lines.length && !/^end\s*ref$/i.test(lines[i]));
+      continue;
+    }
+    if (/^(?:\.\.\.|\|\|\|?|\|\|\d+\|\|)/.test(line)) { warn('지연(...)/간격(|||) 표기는 옮기지 않음'); continue; }
+    if (/^return\b/.test(line)) { warn('return 은 옮기지 않음 (응답 메시지로 직접 작성 필요)'); continue; }
+
+    const msg = line.match(PUML_MESSAGE_RE);
+    if (msg && (msg[2] || msg[6] || msg[7])) {
+      const [, left, headL = '', dashA, dashB, headR = '', cross, right, mod = '', text = ''] = msg;
+      if (headL && headR) warn('양방향 메시지(<->)는 한 방향으로 옮김');
+      const [from, to] = headL && !headR ? [right, left] : [left, right];
+      const dotted = dashA.length + dashB.length >= 2;
+      const async = /^(?:>>|\\\\|\/\/)$/.test(headR || headL);
+      const body = dotted ? '--' : '-';
+      const arrow = cross === 'x' ? `${body}x` : async ? `${body})` : `${body}>>`;
+      const a = participant(from), b = participant(to);
+      const actMark = mod === '++' ? '+' : mod === '--' ? '-' : '';
+      if (mod === '**') warn('생성 표시(**)는 옮기지 않음');
+      out.push(`${a}${arrow}${actMark}${b}: ${brFromPuml(text.trim())}`);
+      if (mod === '!!') out.push(`destroy ${b}`);
+      continue;
+    }
+    if (/^\[|\]$/.test(line)) { warn('외부에서 오는/나가는 메시지([-> / ->])는 옮기지 않음'); continue; }
+    warn(`해석하지 못한 줄은 건너뜀: ${line}`);
+  }
+  return body;
+}
+
+// -------------------- class --------------------
+
+/** classDiagram → PlantUML 클래스 */
+function mermaidClassToPuml(mermaid, warn) {
+  if (/^\s*namespace\b/m.test(mermaid)) warn('namespace 는 옮기지 않음');
+  const model = parseClassDiagram(mermaid);
+  const out = [];
+  for (const c of model.classes) {
+    const generics = c.generics ? `<${c.generics}>` : '';
+    const head = { interface: 'interface', abstract: 'abstract class', enumeration: 'enum' }[c.stereotype] || 'class';
+    const stereo = c.stereotype && head === 'class' ? ` <<${c.stereotype}>>` : '';
+    const body = [
+      ...c.values,
+      ...c.fields.map(f => `${f.isStatic ? '{static} ' : ''}${f.visibility}${f.name}${f.type ? ` : ${f.type}` : ''}`),
+      ...c.methods.map(m => `${m.isStatic ? '{static} ' : ''}${m.isAbstract ? '{abstract} ' : ''}${m.visibility}${m.name}(${
+        m.params.map(p => (p.type ? `${p.name} : ${p.type}` : p.name)).join(', ')})${m.returns ? ` : ${m.returns}` : ''}`),
+    ];
+    if (!body.length) { out.push(`${head} ${c.name}${generics}${stereo}`); continue; }
+    out.push(`${head} ${c.name}${generics}${stereo} {`, ...body.map(b => `  ${b}`), '}');
+  }
+  out.push(...model.relations.map(formatRelation));
+  return out;
+}
+
+const CLASS_NAME = String.raw`("[^"]+"|[\p{L}\p{N}_$]+(?:\.[\p{L}\p{N}_$]+)*)`;
+const CLASS_DECL_RE = new RegExp(
+  String.raw`^(abstract\s+class|abstract|class|interface|enum|annotation|entity|exception|struct|record|protocol|dataclass|metaclass|stereotype)\s+${CLASS_NAME}(?:\s+as\s+${CLASS_NAME})?\s*(<[^<>]*(?:<[^<>]*>[^<>]*)*>)?(.*?)\s*(\{)?\s*(\})?$`, 'u');
+const CLASS_RELATION_RE = new RegExp(
+  String.raw`^${CLASS_NAME}\s*(?:"([^"]*)"\s*)?(<\||<|\*|o|\+|#|x|\})?([-.]+(?:\[[^\]]*\])?(?:(?:up|down|left|right|u|d|l|r)[-.]+)?)(\|>|>|\*|o|\+|#|x|\{)?\s*(?:"([^"]*)"\s*)?${CLASS_NAME}\s*(?::\s*(.*))?$`, 'u');
+
+/** PlantUML 클래스 멤버 1줄 → parseMember 결과 */
+function parsePumlMember(text) {
+  let t = text.trim();
+  let isStatic = false, isAbstract = false;
+  t = t.replace(/\{(static|classifier|abstract|field|method)\}\s*/g, (_, m) => {
+    if (m === 'static' || m === 'classifier') isStatic = true;
+    if (m === 'abstract') isAbstract = true;
+    return '';
+  });
+  // '+int getX(a : int)' (반환형이 앞) → '+getX(a : int) : int'
+  const typed = t.match(/^([+\-#~]?)\s*([^\s(]+(?:\s+[^\s(]+)*)\s+([\p{L}_][\w]*)\s*\((.*)\)\s*$/u);
+  if (typed) t = `${typed[1]}${typed[3]}(${typed[4]}) : ${typed[2]}`;
+  const parsed = parseMember(t);
+  if (parsed?.method) Object.assign(parsed.method, isStatic ? { isStatic } : {}, isAbstract ? { isAbstract } : {});
+  if (parsed?.field && isStatic) parsed.field.isStatic = true;
+  return parsed;
+}
+
+/** PlantUML 클래스 → classDiagram */
+function pumlClassToMermaid(lines, warn) {
+  /** @type {Map<string, import('./code-extract.mjs').ClassInfo>} */
+  const classes = new Map();
+  const relations = [];
+  const alias = new Map();
+  const nameOf = (raw) => {
+    const t = raw.replace(/^"|"$/g, '');
+    if (alias.has(t)) return alias.get(t);
+    const last = t.split('.').pop();
+    if (last !== t) warn('패키지 경로(a.b.C)는 클래스 이름만 남김');
+    const name = /^[A-Za-z_]\w*$/.test(last) ? last : toId(last, `Class${alias.size + 1}`);
+    alias.set(t, name);
+    return name;
+  };
+  const get = (name) => {
+    if (!classes.has(name)) classes.set(name, { name, generics: '', stereotype: '', fields: [], methods: [], values: [], bases: [] });
+    return classes.get(name);
+  };
+  const addMember = (cls, text) => {
+    const t = text.trim().replace(/;$/, '');
+    if (!t || /^(?:--|\.\.|==|__)/.test(t)) return;
+    if (cls.stereotype === 'enumeration' && /^[A-Za-z_]\w*\s*(?:\(.*\))?\s*,?$/.test(t)) { cls.values.push(t.match(/^\w+/)[0]); return; }
+    const parsed = parsePumlMember(t);
+    if (parsed?.method) cls.methods.push(parsed.method);
+    else if (parsed?.field) cls.fields.push(parsed.field);
+    else warn(`해석하지 못한 멤버는 건너뜀: ${t}`);
+  };
+  const addRelation = (from, to, kind) => relations.push({ from, to, kind, label: '', fromCard: '', toCard: '' });
+
+  const stack = [];
+  let current = null;
+  for (const line of lines) {
+    if (current) {
+      if (line === '}') { current = null; continue; }
+      addMember(current, line);
+      continue;
+    }
+    if (line === '}') { stack.pop(); continue; }
+    if (/^(?:package|namespace|together|rectangle|folder|frame|node|cloud)\b.*\{$/.test(line)) {
+      if (!/^together\b/.test(line)) warn('package/namespace 묶음은 옮기지 않음 (클래스만 옮김)');
+      stack.push(line);
+      continue;
+    }
+    if (/^(?:note|legend)\b/.test(line)) {
+      warn('note 는 옮기지 않음');
+      continue;
+    }
+
+    const decl = line.match(CLASS_DECL_RE);
+    if (decl) {
+      const [, type, a, b, generics, tail, open, close] = decl;
+      const [label, key] = b ? (a.startsWith('"') ? [a, b] : [b, a]) : [a, a];
+      const name = nameOf(key);
+      if (label !== key) alias.set(label.replace(/^"|"$/g, ''), name);
+      const cls = get(name);
+      if (generics) cls.generics = generics.slice(1, -1).trim();
+      const t = type.replace(/\s+/g, ' ');
+      const stereo = tail.match(/<<\s*([^>]+?)\s*>>/)?.[1];
+      cls.stereotype = t === 'interface' ? 'interface' : t.startsWith('abstract') ? 'abstract' : t === 'enum' ? 'enumeration' : stereo ? stereo.toLowerCase() : cls.stereotype;
+      const ext = tail.match(/\bextends\s+([^{]+?)(?=\s+implements\b|$)/)?.[1];
+      const impl = tail.match(/\bimplements\s+([^{]+?)$/)?.[1];
+      for (const base of (ext || '').split(',').map(s => s.trim()).filter(Boolean)) addRelation(name, nameOf(base), t === 'interface' ? 'realization' : 'inheritance');
+      for (const base of (impl || '').split(',').map(s => s.trim()).filter(Boolean)) addRelation(name, nameOf(base), 'realization');
+      if (open && !close) current = cls;
+      continue;
+    }
+
+    const rel = line.match(CLASS_RELATION_RE);
+    if (rel) {
+      const [, a, cardA = '', headL = '', body, headR = '', cardB = '', b, label = ''] = rel;
+      const plainBody = body.replace(/\[[^\]]*\]/g, '').replace(/up|down|left|right|[udlr]/g, '');
+      const unsupported = (h) => ['+', '#', 'x', '}', '{'].includes(h);
+      if (unsupported(headL) || unsupported(headR)) warn('+, #, x, } 끝 모양 관계는 일반 연결로 옮김');
+      const left = unsupported(headL) ? '' : headL;
+      const right = unsupported(headR) ? '' : headR;
+      const mmLine = `${nameOf(a)}${cardA ? ` "${cardA}"` : ''} ${left}${plainBody.includes('.') ? '..' : '--'}${right}${cardB ? ` "${cardB}"` : ''} ${nameOf(b)}${
+        label.trim() ? ` : ${label.trim().replace(/^<\s+|\s+>$|^>\s+|\s+<$/g, '')}` : ''}`;
+      const parsed = parseRelation(mmLine);
+      if (parsed) {
+        get(parsed.from); get(parsed.to);
+        relations.push(parsed);
+        continue;
+      }
+    }
+    const member = line.match(new RegExp(String.raw`^${CLASS_NAME}\s*:\s*(.+)$`, 'u'));
+    if (member) { addMember(get(nameOf(member[1])), member[2]); continue; }
+    warn(`해석하지 못한 줄은 건너뜀: ${line}`);
+  }
+  return renderClassModel({ classes: [...classes.values()], relations });
+}
+
+// -------------------- activity --------------------
+
+/** 시작/종료 원 판별 (라벨/id 우선, 모르면 들어오는/나가는 연결로) */
+function terminalKind(n, fc) {
+  if (n.shape !== 'circle' && n.cls !== 'startend') return '';
+  const text = `${n.id} ${n.label}`;
+  if (/^(?:start|begin|시작)|\b(?:start|begin)\b|시작/i.test(text)) return 'start';
+  if (/^(?:end|stop|finish|종료|끝)|\b(?:end|stop|finish)\b|종료/i.test(text)) return 'end';
+  if (!fc.edges.some(e => e.to === n.id)) return 'start';
+  if (!fc.edges.some(e => e.from === n.id)) return 'end';
+  return '';
+}
+
+/** flowchart(activity) → PlantUML 활동 (옛 문법) */
+function mermaidActivityToPuml(mermaid, warn) {
+  const fc = parseFlowchart(mermaid, warn);
+  if (fc.groups.length) warn('subgraph(구획)는 옮기지 않음');
+  const alias = pumlAliases(fc.nodes.keys());
+  const declared = new Set();
+  const ref = (id) => {
+    const n = fc.nodes.get(id);
+    const term = terminalKind(n, fc);
+    if (term) return '(*)';
+    if (n.cls === 'bar' || /^\|+$|^\s*$/.test(n.label)) return `===${alias.get(id)}===`;
+    if (declared.has(id)) return alias.get(id);
+    declared.add(id);
+    let label = n.label.replace(/^"|"$/g, '');
+    if (n.shape === 'rhombus' && !/[?？]$/.test(label)) label += '?';
+    return `${pq(label)} as ${alias.get(id)}`;
+  };
+  const out = fc.edges.map(e => {
+    if (e.line === 'dotted') warn('점선 연결은 실선으로 옮김');
+    return `${ref(e.from)} -->${e.label ? `[${e.label.replace(/\]/g, ')')}]` : ''} ${ref(e.to)}`;
+  });
+  for (const n of fc.nodes.values()) {
+    if (!fc.edges.some(e => e.from === n.id || e.to === n.id)) warn(`연결이 없는 노드는 옮기지 않음: ${n.id}`);
+  }
+  return out;
+}
+
+/** 활동 그래프 (PlantUML → Mermaid 조립용) */
+function activityGraph() {
+  const alloc = idAllocator();
+  const nodes = [];
+  const edges = [];
+  const counter = {};
+  const g = {
+    node(type, label, prefer = '') {
+      const base = { step: 'step', decision: 'q', bar: 'bar' }[type];
+      counter[base] = (counter[base] || 0) + 1;
+      const id = alloc(toId(prefer, `${base}${counter[base]}`));
+      nodes.push({ id, type, label });
+      return id;
+    },
+    start() {
+      if (!nodes.some(n => n.id === 'startNode')) nodes.unshift({ id: 'startNode', type: 'start', label: 'Start' });
+      return 'startNode';
+    },
+    end() {
+      if (!nodes.some(n => n.id === 'endNode')) nodes.push({ id: 'endNode', type: 'end', label: 'End' });
+      return 'endNode';
+    },
+    edge(from, to, label = '') { edges.push({ from, to, label }); },
+    toMermaid() {
+      const end = nodes.filter(n => n.type === 'end');
+      const ordered = [...nodes.filter(n => n.type !== 'end'), ...end];
+      const shape = {
+        start: (n) => `${n.id}((${n.label})):::startend`,
+        end: (n) => `${n.id}((${n.label})):::startend`,
+        step: (n) => `${n.id}[${mmLabel(n.label)}]:::step`,
+        decision: (n) => `${n.id}{${mmLabel(n.label)}}:::decision`,
+        bar: (n) => `${n.id}["||"]:::bar`,
+      };
+      return [
+        'flowchart TD',
+        ...ordered.map(n => shape[n.type](n)),
+        ...edges.map(e => `${e.from} -->${e.label ? `|${mmLabel(e.label).replace(/\|/g, '/')}|` : ''} ${e.to}`),
+        'classDef startend fill:#fff,stroke:#888,stroke-width:1px,color:#111;',
+        'classDef bar stroke:#333,stroke-width:4px;',
+        'classDef step fill:#eef,stroke:#99f,color:#001;',
+        'classDef decision fill:#ffd,stroke:#cc4,color:#221;',
+      ];
+    },
+  };
+  return g;
+}
+
+const isDecisionLabel = (label) => /[?？]\s*$/.test(label);
+
+/** PlantUML 옛 활동 문법 ((*) --> "A" -->[라벨] "B") → flowchart */
+function pumlLegacyActivityToMermaid(lines, warn) {
+  const g = activityGraph();
+  const byKey = new Map();
+  // 여러 줄 문자열 합치기 (따옴표 짝이 맞을 때까지)
+  const merged = [];
+  for (const line of lines) {
+    const prev = merged[merged.length - 1];
+    if (prev !== undefined && (prev.match(/"/g) || []).length % 2 === 1) merged[merged.length - 1] = `${prev}\\n${line}`;
+    else merged.push(line);
+  }
+  const ref = (text, side) => {
+    const t = text.trim().replace(/\s*<<[^>]*>>$/, '');
+    if (/^\(\*(?:top)?\)$/.test(t)) return side === 'from' ? g.start() : g.end();
+    const bar = t.match(/^={3,}\s*(.+?)\s*={3,}$/);
+    if (bar) {
+      const key = `===${bar[1]}`;
+      if (!byKey.has(key)) byKey.set(key, g.node('bar', '', bar[1]));
+      return byKey.get(key);
+    }
+    const decl = t.match(/^"([\s\S]*)"\s+as\s+([\p{L}\p{N}_]+)$/u);
+    const quoted = t.match(/^"([\s\S]*)"$/);
+    const label = decl ? decl[1] : quoted ? quoted[1] : t;
+    const key = decl ? decl[2] : label;
+    if (!byKey.has(key)) {
+      const id = g.node(isDecisionLabel(label) ? 'decision' : 'step', brFromPuml(label), decl?.[2]);
+      byKey.set(key, id);
+      if (decl) byKey.set(label, id);
+    }
+    return byKey.get(key);
+  };
+
+  let last = null;
+  for (const line of merged) {
+    if (/^(?:partition\b.*\{|\})$/.test(line)) { warn('partition 은 옮기지 않음'); continue; }
+    if (/^(?:if|else|endif)\b/.test(line)) { warn(`옛 문법 if/else 는 옮기지 않음: ${line}`); continue; }
+    if (/^note\b/.test(line)) { warn('note 는 옮기지 않음'); continue; }
+    const m = line.match(/^(.*?)\s*-+(?:(?:up|down|left|right|u|d|l|r)-*)?(?:\[[^\]]*\])?-*>\s*(?:\[([^\]]*)\])?\s*(.+)$/);
+    if (!m) { warn(`해석하지 못한 줄은 건너뜀: ${line}`); continue; }
+    const [, left, label = '', right] = m;
+    const from = left.trim() ? ref(left, 'from') : last;
+    const to = ref(right, 'to');
+    if (from) g.edge(from, to, label.trim());
+    last = to;
+  }
+  return g.toMermaid();
+}
+
+/** PlantUML 새 활동 문법 (start, :활동;, if/while/repeat/fork/switch, stop) → flowchart */
+function pumlActivityToMermaid(lines, warn) {
+  if (lines.some(l => /\(\*(?:top)?\)/.test(l))) return pumlLegacyActivityToMermaid(lines, warn);
+
+  // 여러 줄 활동 ':...;' 합치기
+  const merged = [];
+  let buf = null;
+  for (const line of lines) {
+    if (buf !== null) {
+      buf += `<br/>${line}`;
+      if (/[;|<>/\]}]$/.test(line)) { merged.push(buf); buf = null; }
+      continue;
+    }
+    if (line.startsWith(':') && !/[;|<>/\]}]$/.test(line)) { buf = line; continue; }
+    merged.push(line);
+  }
+  if (buf !== null) merged.push(`${buf};`);
+
+  const g = activityGraph();
+  let tails = [];                                                         // 다음 노드로 이어질 끝점 [{ id, label }]
+  const stack = [];
+  const connect = (to) => { for (const t of tails) g.edge(t.id, to, t.label); };
+  const place = (id) => {
+    connect(id);
+    tails = [{ id, label: '' }];
+    for (const f of stack) if (f.type === 'repeat' && !f.first) f.first = id;
+  };
+  const top = (type, line) => {
+    const f = stack[stack.length - 1];
+    if (f?.type !== type) throw new Error(`PlantUML 활동 블록 짝이 맞지 않습니다: '${line}' 앞에 ${type} 가 없음`);
+    return f;
+  };
+  const paren = (s) => (s || '').trim().replace(/^\(|\)$/g, '').trim();
+
+  for (let i = 0; i < merged.length; i++) {
+    const line = merged[i];
+    let m;
+    if (line === 'start') { place(g.start()); continue; }
+    if (line === 'stop' || line === 'end') { connect(g.end()); tails = []; continue; }
+    if (line === 'kill' || line === 'detach') { tails = []; continue; }
+    if ((m = line.match(/^:([\s\S]*?)\s*[;|<>/\]}]$/))) { place(g.node('step', brFromPuml(m[1]))); continue; }
+
+    if ((m = line.match(/^if\s*\((.*?)\)\s*(?:is\s*\((.*?)\)\s*)?then\s*(\(.*\))?$/))) {
+      const q = g.node('decision', `${m[1]}${m[2] ? ` ${m[2]}` : ''}`);
+      place(q);
+      stack.push({ type: 'if', q, done: [], hasElse: false });
+      tails = [{ id: q, label: paren(m[3]) }];
+      continue;
+    }
+    if ((m = line.match(/^else\s*if\s*\((.*?)\)\s*(?:is\s*\((.*?)\)\s*)?then\s*(\(.*\))?$|^elseif\s*\((.*?)\)\s*(?:is\s*\((.*?)\)\s*)?then\s*(\(.*\))?$/))) {
+      const f = top('if', line);
+      f.done.push(...tails);
+      const q = g.node('decision', `${m[1] ?? m[4]}${(m[2] ?? m[5]) ? ` ${m[2] ?? m[5]}` : ''}`);
+      g.edge(f.q, q, '');
+      f.q = q;
+      tails = [{ id: q, label: paren(m[3] ?? m[6]) }];
+      continue;
+    }
+    if ((m = line.match(/^else\b\s*(\(.*\))?$/))) {
+      const f = top('if', line);
+      f.done.push(...tails);
+      f.hasElse = true;
+      tails = [{ id: f.q, label: paren(m[1]) }];
+      continue;
+    }
+    if (line === 'endif' || line === 'end if') {
+      const f = top('if', line);
+      stack.pop();
+      tails = [...f.done, ...tails, ...(f.hasElse ? [] : [{ id: f.q, label: '' }])];
+      continue;
+    }
+    if ((m = line.match(/^switch\s*\((.*)\)$/))) {
+      const q = g.node('decision', m[1]);
+      place(q);
+      stack.push({ type: 'switch', q, done: [] });
+      tails = [];
+      continue;
+    }
+    if ((m = line.match(/^case\s*\((.*)\)$/))) {
+      const f = top('switch', line);
+      f.done.push(...tails);
+      tails = [{ id: f.q, label: m[1] }];
+      continue;
+    }
+    if (line === 'endswitch') {
+      const f = top('switch', line);
+      stack.pop();
+      tails = [...f.done, ...tails];
+      continue;
+    }
+    if ((m = line.match(/^while\s*\((.*?)\)\s*(?:is\s*(\(.*\)))?$/))) {
+      const q = g.node('decision', m[1]);
+      place(q);
+      stack.push({ type: 'while', q });
+      tails = [{ id: q, label: paren(m[2]) }];
+      continue;
+    }
+    if ((m = line.match(/^end\s*while\b\s*(\(.*\))?$/))) {
+      const f = top('while', line);
+      stack.pop();
+      connect(f.q);
+      tails = [{ id: f.q, label: paren(m[1]) }];
+      continue;
+    }
+    if ((m = line.match(/^repeat(?:\s*:([\s\S]*?)\s*;)?$/))) {
+      stack.push({ type: 'repeat', first: null });
+      if (m[1]) place(g.node('step', brFromPuml(m[1])));
+      continue;
+    }
+    if ((m = line.match(/^repeat\s*while\s*\((.*?)\)\s*(?:is\s*(\(.*?\)))?\s*(?:not\s*(\(.*\)))?$/))) {
+      const f = top('repeat', line);
+      stack.pop();
+      const q = g.node('decision', m[1]);
+      connect(q);
+      for (const outer of stack) if (outer.type === 'repeat' && !outer.first) outer.first = q;
+      g.edge(q, f.first || q, paren(m[2]));
+      tails = [{ id: q, label: paren(m[3]) }];
+      continue;
+    }
+    if (line === 'fork' || line === 'split') {
+      const bar = g.node('bar', '');
+      place(bar);
+      stack.push({ type: 'fork', bar, done: [] });
+      continue;
+    }
+    if (line === 'fork again' || line === 'split again') {
+      const f = top('fork', line);
+      f.done.push(...tails);
+      tails = [{ id: f.bar, label: '' }];
+      continue;
+    }
+    if (/^end\s*(?:fork|merge|split)\b/.test(line)) {
+      const f = top('fork', line);
+      stack.pop();
+      const all = [...f.done, ...tails];
+      const join = g.node('bar', '');
+      for (const t of all) g.edge(t.id, join, t.label);
+      tails = [{ id: join, label: '' }];
+      continue;
+    }
+    if (/^\|[^|]+\|/.test(line)) { warn('스윔레인(|레인|)은 옮기지 않음'); continue; }
+    if (/^(?:partition|group|package|rectangle|card)\b.*\{?$|^\}$|^end\s*group$/.test(line)) { warn('partition/group 묶음은 옮기지 않음'); continue; }
+    if (/^(?:floating\s+)?note\b/.test(line)) {
+      warn('note 는 옮기지 않음');
+      if (!line.includes(':')) while (i + 1 < merged.length && !/^end\s*note$/.test(merged[++i]));
+      continue;
+    }
+    if (/^(?:backward|break)\b/.test(line)) { warn(`${line.split(/\s|:/)[0]} 는 옮기지 않음`); continue; }
+    if (/^\(\w+\)$/.test(line) || /^-+>/.test(line)) continue;               // 커넥터/화살표 꾸밈
+    warn(`해석하지 못한 줄은 건너뜀: ${line}`);
+  }
+  if (stack.length) warn(`닫히지 않은 블록이 있음: ${stack.map(f => f.type).join(', ')}`);
+  return g.toMermaid();
+}
+
+// -------------------- 진입점 --------------------
+
+/**
+ * 저장된 Mermaid → PlantUML
+ * @param {PumlKind} kind
+ * @param {string} mermaid
+ * @param {{ name?: string }} [options] - name: '@startuml 이름' (다이어그램 ID)
+ * @returns {MermaidToPumlResult}
+ */
+export function mermaidToPlantUml(kind, mermaid, { name = '' } = {}) {
+  const k = String(kind || '').toLowerCase();
+  if (!PLANTUML_KINDS.includes(k)) throw new Error(`PlantUML 변환은 ${PLANTUML_KINDS.join(' | ')} 만 지원합니다: ${kind}`);
+  const warn = createWarnings();
+  const body = {
+    usecase: mermaidUsecaseToPuml,
+    sequence: mermaidSequenceToPuml,
+    class: mermaidClassToPuml,
+    activity: mermaidActivityToPuml,
+  }[k](String(mermaid || ''), warn);
+  const safeName = String(name || '').replace(/[^\w.-]+/g, '_');
+  const warnings = warn.list();
+  const plantuml = [
+    `@startuml${safeName ? ` ${safeName}` : ''}`,
+    `' kind: ${k}`,
+    ...warnings.map(w => `' 경고: ${w}`),
+    ...body,
+    '@enduml',
+    '',
+  ].join('\n');
+  return { plantuml, warnings };
+}
+
+/**
+ * PlantUML 본문(@startuml 블록 1개) → Mermaid
+ * @param {string} text
+ * @param {PumlKind} [kind] - 생략하면 detectPlantUmlKind
+ * @returns {PumlToMermaidResult}
+ */
+export function plantUmlToMermaid(text, kind) {
+  const k = kind ? String(kind).toLowerCase() : detectPlantUmlKind(text);
+  if (!PLANTUML_KINDS.includes(k)) throw new Error(`PlantUML 변환은 ${PLANTUML_KINDS.join(' | ')} 만 지원합니다: ${kind}`);
+  const warn = createWarnings();
+  const lines = pumlLines(text, warn);
+  if (!lines.length) throw new Error('PlantUML 내용이 비어 있습니다.');
+  const out = {
+    usecase: pumlUsecaseToMermaid,
+    sequence: pumlSequenceToMermaid,
+    class: pumlClassToMermaid,
+    activity: pumlActivityToMermaid,
+  }[k](lines, warn);
+  return { kind: k, mermaid: `${out.join('\n')}\n`, warnings: warn.list() };
+}
@@ -0,0 +1,227 @@
+// server/projects.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/projects.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 프로젝트(작업 공간) 목록 관리: 생성 / 이름 변경 / 복제 / 보관
+ *  - 프로젝트 ID → 저장소(Store) (프로젝트마다 요구사항/코드/다이어그램/이력이 따로)
+ *
+ * 저장 위치
+ *  - 목록: outputs/projects.json  { projects: [{ id, name, createdAt, updatedAt, archived, archivedAt? }] }
+ *  - 기본 프로젝트('default'): 기존 경로 그대로 (outputs/db.json 또는 SQLITE_PATH) → 이전 데이터 그대로 사용
+ *  - 그 외 프로젝트: outputs/projects/<id>/db.json | db.sqlite (백엔드는 STORAGE_BACKEND 공통)
+ *
+ * 비고
+ *  - 보관(archived)된 프로젝트는 읽기 전용 (쓰기 시 409 PROJECT_ARCHIVED), 목록에서는 기본적으로 숨김
+ *  - 기본 프로젝트는 보관할 수 없음 (요청에 프로젝트가 없을 때 쓰는 곳)
+ *  - 프로젝트 삭제는 지원하지 않음 (보관 후 outputs/projects/<id> 를 직접 정리)
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createStore, createQueue } from './storage.mjs';
+
+export const DEFAULT_PROJECT_ID = 'default';
+const DEFAULT_PROJECT_NAME = '기본 프로젝트';
+
+/** 프로젝트 ID 규칙 (폴더 이름으로도 쓰므로 영문/숫자/-/_ 만) */
+const PROJECT_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+/**
+ * @typedef {{ id: string, name: string, createdAt: string, updatedAt: string, archived: boolean, archivedAt?: string, clonedFrom?: string }} Project
+ */
+
+/** 프로젝트 오류 (status/code 는 sendError 가 그대로 응답) */
+export class ProjectError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ProjectError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const notFound = (id) => new ProjectError(`프로젝트가 없습니다: ${id}`, 404, 'PROJECT_NOT_FOUND');
+const archivedError = (id) => new ProjectError(`보관된 프로젝트는 읽기 전용입니다: ${id} (보관을 해제한 뒤 수정하세요)`, 409, 'PROJECT_ARCHIVED');
+
+/** 보관된 프로젝트용: 쓰기 연산만 막은 저장소 */
+function readOnlyStore(store, id) {
+  const reject = async () => { throw archivedError(id); };
+  return { ...store, transact: reject, put: reject, restore: reject, replaceAll: reject };
+}
+
+/** 이름 → ID 후보 (영문/숫자만 남김, 없으면 'project') */
+function slugify(name) {
+  return String(name || '').toLowerCase().normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'project';
+}
+
+/**
+ * 프로젝트 목록/저장소 관리자 생성
+ * @param {{ dataDir: string, backend?: string, jsonPath: string, sqlitePath: string }} opts
+ *  - jsonPath/sqlitePath: 기본 프로젝트의 저장 경로
+ */
+export function createProjects({ dataDir, backend = 'json', jsonPath, sqlitePath }) {
+  const listPath = path.join(dataDir, 'projects.json');
+  const enqueue = createQueue();
+  const stores = new Map();   // id → Promise<Store>
+
+  async function readList() {
+    let list = [];
+    try {
+      list = JSON.parse(await fs.readFile(listPath, 'utf8')).projects || [];
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    // 기본 프로젝트는 항상 맨 앞 (목록 파일이 없던 기존 설치 포함)
+    if (!list.some(p => p.id === DEFAULT_PROJECT_ID)) {
+      list.unshift({ id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME, createdAt: null, updatedAt: null, archived: false });
+    }
+    return list;
+  }
+
+  async function writeList(list) {
+    await fs.mkdir(dataDir, { recursive: true });
+    const tmp = `${listPath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tmp, JSON.stringify({ projects: list }, null, 2), 'utf8');
+      await fs.rename(tmp, listPath);
+    } catch (e) {
+      await fs.rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  /** 목록 읽기 → fn(list) → 변경 시 기록 (직렬화) */
+  const update = (fn) => enqueue(async () => {
+    const list = await readList();
+    const result = await fn(list);
+    await writeList(list);
+    return result;
+  });
+
+  const find = (list, id) => {
+    const p = list.find(x => x.id === id);
+    if (!p) throw notFound(id);
+    return p;
+  };
+
+  function assertName(name) {
+    const n = String(name ?? '').trim();
+    if (!n) throw new Error('name이 비어 있습니다.');
+    if (n.length > 100) throw new Error('name은 100자 이하여야 합니다.');
+    return n;
+  }
+
+  /** 요청 ID 검사 (생략 시 이름에서 만들고 겹치면 '-2', '-3' …) */
+  function newId(list, id, name) {
+    if (id !== undefined && id !== null && id !== '') {
+      const v = String(id).trim().toLowerCase();
+      if (!PROJECT_ID_RE.test(v)) throw new Error(`프로젝트 ID는 영문 소문자/숫자/-/_ 40자 이하여야 합니다: ${id}`);
+      if (list.some(p => p.id === v)) throw new ProjectError(`이미 있는 프로젝트 ID입니다: ${v}`, 409, 'PROJECT_EXISTS');
+      return v;
+    }
+    const base = slugify(name);
+    let v = base;
+    for (let n = 2; list.some(p => p.id === v); n++) v = `${base}-${n}`;
+    return v;
+  }
+
+  function openStore(id) {
+    if (!stores.has(id)) {
+      const dir = path.join(dataDir, 'projects', id);
+      const opened = createStore(id === DEFAULT_PROJECT_ID
+        ? { backend, jsonPath, sqlitePath }
+        : { backend, jsonPath: path.join(dir, 'db.json'), sqlitePath: path.join(dir, 'db.sqlite') });
+      // 열기 실패(예: SQLite 모듈 없음)는 캐시하지 않음
+      opened.catch(() => stores.delete(id));
+      stores.set(id, opened);
+    }
+    return stores.get(id);
+  }
+
+  return {
+    /**
+     * 프로젝트 목록
+     * @param {{ archived?: boolean }} [opts] - true면 보관된 프로젝트 포함
+     * @returns {Promise<Project[]>}
+     */
+    async list({ archived = false } = {}) {
+      return (await readList()).filter(p => archived || !p.archived);
+    },
+
+    /** @returns {Promise<Project>} 없으면 404 PROJECT_NOT_FOUND */
+    async get(id) {
+      return find(await readList(), String(id));
+    },
+
+    /**
+     * 프로젝트 ID → 저장소 (보관된 프로젝트는 읽기 전용)
+     * @returns {Promise<{ project: Project, store: import('./storage.mjs').Store }>}
+     */
+    async open(id) {
+      const project = find(await readList(), String(id || DEFAULT_PROJECT_ID));
+      const store = await openStore(project.id);
+      return { project, store: project.archived ? readOnlyStore(store, project.id) : store };
+    },
+
+    /** 새 프로젝트 (빈 저장소) */
+    create({ id, name } = {}) {
+      return update((list) => {
+        const n = assertName(name);
+        const now = new Date().toISOString();
+        const project = { id: newId(list, id, n), name: n, createdAt: now, updatedAt: now, archived: false };
+        list.push(project);
+        return project;
+      });
+    },
+
+    rename(id, name) {
+      return update((list) => {
+        const project = find(list, id);
+        project.name = assertName(name);
+        project.updatedAt = new Date().toISOString();
+        return project;
+      });
+    },
+
+    /**
+     * 프로젝트 복제 (레코드 + 이력 전체)
+     * - 원본이 보관 상태여도 복제 가능 (새 프로젝트는 보관 해제 상태)
+     */
+    clone(id, { id: targetId, name } = {}) {
+      return update(async (list) => {
+        const src = find(list, id);
+        const n = name === undefined || name === '' ? `${src.name} (사본)` : assertName(name);
+        const now = new Date().toISOString();
+        const project = { id: newId(list, targetId, n), name: n, createdAt: now, updatedAt: now, archived: false, clonedFrom: src.id };
+        const snapshot = await (await openStore(src.id)).read();
+        await (await openStore(project.id)).replaceAll(snapshot);
+        list.push(project);
+        return project;
+      });
+    },
+
+    /** 보관 / 보관 해제 */
+    archive(id, archived = true) {
+      return update((list) => {
+        const project = find(list, id);
+        if (project.id === DEFAULT_PROJECT_ID && archived) throw new ProjectError('기본 프로젝트는 보관할 수 없습니다.', 400, 'PROJECT_DEFAULT');
+        project.archived = !!archived;
+        if (archived) project.archivedAt = new Date().toISOString();
+        else delete project.archivedAt;
+        project.updatedAt = new Date().toISOString();
+        return project;
+      });
+    },
+
+    async close() {
+      const opened = await Promise.allSettled(stores.values());
+      await Promise.all(opened.filter(r => r.status === 'fulfilled').map(r => r.value.close()));
+    },
+  };
+}
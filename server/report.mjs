@@ -0,0 +1,291 @@
+// server/report.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/report.mjs
+ * --------------------------------------------
+ * 역할
+ *  - DB(요구사항/다이어그램/코드) → 소프트웨어 설계 문서(SDD) Markdown / HTML
+ *
+ * 문서 구성 (기본 템플릿)
+ *  - 1. 개요: 항목 수, 추적성 요약
+ *  - 2 ~ 5. 요구사항 단계별 장 (SYS / SW / SW_DES / SW_TEST)
+ *    · 요구사항마다 내용, 상위/하위, 누락, 연결된 다이어그램(그림) + 코드 발췌
+ *  - 6. 추적성 표
+ *  - 부록: 요구사항에 연결되지 않은 다이어그램/코드
+ *
+ * 템플릿
+ *  - server/template.mjs 문법 (Mustache 부분 문법), 형식별 파일 sdd.md / sdd.html
+ *  - 찾는 순서: 요청 본문 templates.{md|html} → REPORT_TEMPLATE_DIR → templates/report (기본)
+ *  - 문서 값(view) 구조는 buildSddView 의 typedef 참고
+ *
+ * 환경변수
+ *  - REPORT_TEMPLATE_DIR : 회사 양식 템플릿 디렉터리 (sdd.md / sdd.html, 없는 파일은 기본 템플릿 사용)
+ *
+ * 비고
+ *  - 다이어그램 그림은 서버 렌더링(server/mermaid-render.mjs) SVG
+ *    · HTML: SVG를 문서 안에 직접 넣음 (파일 하나로 열람/인쇄)
+ *    · Markdown: 단일 파일이면 ```mermaid 코드 블록 (GitHub/GitLab 등에서 그림으로 보임, 렌더링 생략),
+ *      ZIP 이면 images/diagram-<diagramId>.svg 파일을 링크
+ *  - 그리지 못한 다이어그램은 Mermaid 원문으로 넣고 warnings 에 기록
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { REQ_LEVELS, REQ_LEVEL_TITLES, GAP_LABELS, buildTraceMatrix } from './trace.mjs';
+import { defaultSourcePath, splitFiles } from './code-files.mjs';
+import { RENDER_THEMES, renderMermaidSvg } from './mermaid-render.mjs';
+import { parseTemplate, renderTemplate } from './template.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'report');
+
+/** 문서 형식 (zip = sdd.md + sdd.html + images/*.svg) */
+export const REPORT_FORMATS = ['md', 'html', 'zip'];
+/** 템플릿 파일 형식 */
+export const REPORT_TEMPLATE_FORMATS = ['md', 'html'];
+
+/**
+ * @typedef {{ requirements: object[], diagrams: object[], codes: object[] }} ReportData
+ * @typedef {{
+ *   format?: 'md'|'html'|'zip',
+ *   title?: string, version?: string, author?: string,
+ *   types?: string[],            // 넣을 요구사항 단계 (기본 전체)
+ *   images?: boolean,            // 다이어그램 그림 렌더링 (기본 true)
+ *   theme?: string,              // mermaid 테마
+ *   excerptLines?: number,       // 파일당 코드 발췌 줄 수 (기본 30, 0이면 발췌 생략)
+ *   excerptFiles?: number,       // 코드 항목당 발췌할 파일 수 (기본 5)
+ *   templates?: { md?: string, html?: string },
+ * }} SddOptions
+ *
+ * 문서 값 (템플릿에서 쓰는 이름)
+ * @typedef {{ diagramId, anchor, kind, mermaid, svg?, image?, renderError?, repeat, firstNo? }} SddDiagram
+ * @typedef {{ path, lang, fence, excerpt, lines, truncated }} SddCodeFile
+ * @typedef {{ codeId, anchor, language, files: SddCodeFile[], fileCount, moreFiles, repeat, firstNo? }} SddCode
+ *  - repeat: 앞 절에 이미 나온 항목 (firstNo: 처음 나온 절 번호, 부록은 'A') → 기본 템플릿은 링크만 넣음
+ * @typedef {{ no, id, anchor, reqType, typeTitle, title, desc, parent?: { id, anchor }, children: Array<{ id, anchor }>,
+ *             gaps: string[], hasGaps, diagrams: SddDiagram[], codes: SddCode[] }} SddRequirement
+ * @typedef {{
+ *   title, version, author, date, generatedAt,
+ *   counts: { requirements, diagrams, codes },
+ *   summary: Array<{ label, covered, total }>,
+ *   levels: Array<{ no, key, title, count, requirements: SddRequirement[] }>,
+ *   traceNo, trace: Array<{ id, anchor, reqType, title, parent, children, diagrams, codes, gaps, hasGaps }>,
+ *   unlinkedDiagrams: SddDiagram[], unlinkedCodes: SddCode[], hasUnlinked,
+ *   figures: SddDiagram[],       // 문서의 모든 다이어그램 (처음 나온 순서, 그림 목록용)
+ * }} SddView
+ */
+
+// -------------------- 템플릿 --------------------
+
+/**
+ * 기본(또는 REPORT_TEMPLATE_DIR) 템플릿 텍스트
+ * @param {'md'|'html'} format
+ * @returns {Promise<string>}
+ */
+export async function loadReportTemplate(format) {
+  if (!REPORT_TEMPLATE_FORMATS.includes(format)) throw new Error(`템플릿 형식은 ${REPORT_TEMPLATE_FORMATS.join(' | ')} 중 하나여야 합니다: ${format}`);
+  const dirs = [process.env.REPORT_TEMPLATE_DIR, DEFAULT_TEMPLATE_DIR].filter(Boolean).map(d => path.resolve(d));
+  for (const dir of dirs) {
+    try {
+      return await fs.readFile(path.join(dir, `sdd.${format}`), 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+  throw new Error(`설계 문서 템플릿이 없습니다: sdd.${format}`);
+}
+
+// -------------------- 문서 값 --------------------
+
+const anchorOf = (prefix, id) => `${prefix}-${String(id).replace(/[^\w-]+/g, '_')}`;
+const oneLine = (s) => String(s ?? '').replace(/\s*\r?\n\s*/g, ' ').trim();
+const FENCE_LANGS = { 'c++': 'cpp', 'c#': 'csharp' };
+
+/** 내용에 있는 백틱보다 긴 코드 펜스 */
+function fenceFor(text) {
+  const longest = Math.max(0, ...(String(text).match(/`{3,}/g) || []).map(s => s.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/** 코드 항목 → 발췌 */
+function codeView(c, { excerptLines, excerptFiles }) {
+  const files = c.files?.length ? c.files : splitFiles(c.code, defaultSourcePath(c.language));
+  const lang = FENCE_LANGS[String(c.language || '').toLowerCase()] || String(c.language || '').toLowerCase();
+  const shown = excerptLines > 0 ? files.slice(0, excerptFiles) : [];
+  return {
+    codeId: c.codeId,
+    anchor: anchorOf('code', c.codeId),
+    language: c.language || '',
+    files: shown.map(f => {
+      const lines = String(f.content || '').replace(/\s+$/, '').split('\n');
+      const excerpt = lines.slice(0, excerptLines).join('\n');
+      return { path: f.path, lang, fence: fenceFor(excerpt), excerpt, lines: lines.length, truncated: lines.length > excerptLines };
+    }),
+    fileCount: files.length,
+    moreFiles: Math.max(0, files.length - shown.length),
+  };
+}
+
+/**
+ * DB → 문서 값 (그림 제외)
+ * - 다이어그램의 svg/image 는 generateSdd 가 채움
+ * @param {ReportData} data
+ * @param {SddOptions} [opts]
+ * @returns {SddView}
+ */
+export function buildSddView(data, opts = {}) {
+  const {
+    title = '소프트웨어 설계 문서', version = '', author = '',
+    types = REQ_LEVELS, excerptLines = 30, excerptFiles = 5,
+  } = opts;
+  const unknown = types.filter(t => !REQ_LEVELS.includes(t));
+  if (unknown.length) throw new Error(`알 수 없는 요구사항 종류: ${unknown.join(', ')}`);
+  const lineLimit = Math.max(0, Math.floor(Number(excerptLines) || 0));
+  const fileLimit = Math.max(1, Math.floor(Number(excerptFiles) || 1));
+
+  const matrix = buildTraceMatrix(data);
+  const reqById = new Map(data.requirements.map(r => [r.id, r]));
+  const diagramById = new Map(data.diagrams.map(d => [d.diagramId, d]));
+  const codeById = new Map(data.codes.map(c => [c.codeId, c]));
+
+  // 같은 다이어그램/코드가 여러 요구사항에 걸려도 값은 하나 (그림은 한 번만 렌더링)
+  const diagramViews = new Map();
+  const diagramView = (id) => {
+    if (!diagramViews.has(id)) {
+      const d = diagramById.get(id);
+      diagramViews.set(id, { diagramId: id, anchor: anchorOf('diagram', id), kind: d.kind, mermaid: String(d.mermaid || '').trim() });
+    }
+    return diagramViews.get(id);
+  };
+  const codeViews = new Map();
+  const codeViewOf = (id) => {
+    if (!codeViews.has(id)) codeViews.set(id, codeView(codeById.get(id), { excerptLines: lineLimit, excerptFiles: fileLimit }));
+    return codeViews.get(id);
+  };
+  const reqRef = (id) => ({ id, anchor: anchorOf('req', id) });
+  // 두 번째 이후 등장은 처음 나온 절을 가리킴 (repeat, firstNo)
+  // Object.create: 나중에 채우는 svg/image 가 모든 등장에서 보이도록 원본을 프로토타입으로 둠
+  const firstNo = new Map();
+  const occurrence = (key, base, no) => {
+    if (!firstNo.has(key)) { firstNo.set(key, no); return Object.assign(Object.create(base), { repeat: false }); }
+    return Object.assign(Object.create(base), { repeat: true, firstNo: firstNo.get(key) });
+  };
+
+  const included = new Set(types);
+  const rows = matrix.requirements.filter(r => included.has(r.reqType));
+  const levels = REQ_LEVELS.filter(t => included.has(t)).map((key, i) => {
+    const no = i + 2;
+    const requirements = rows.filter(r => r.reqType === key).map((r, j) => {
+      const rno = `${no}.${j + 1}`;
+      return {
+        no: rno,
+        id: r.id,
+        anchor: anchorOf('req', r.id),
+        reqType: r.reqType,
+        typeTitle: REQ_LEVEL_TITLES[r.reqType],
+        title: r.title,
+        desc: String(reqById.get(r.id)?.desc || '').trim(),
+        parent: r.parentId ? reqRef(r.parentId) : null,
+        children: r.children.map(reqRef),
+        gaps: r.gaps.map(g => GAP_LABELS[g] || g),
+        hasGaps: r.gaps.length > 0,
+        diagrams: r.diagrams.filter(id => diagramById.has(id)).map(id => occurrence(`diagram:${id}`, diagramView(id), rno)),
+        codes: r.codes.filter(id => codeById.has(id)).map(id => occurrence(`code:${id}`, codeViewOf(id), rno)),
+      };
+    });
+    return { no, key, title: REQ_LEVEL_TITLES[key], count: requirements.length, requirements };
+  });
+
+  const list = (ids) => (ids.length ? ids.join(', ') : '-');
+  const trace = rows.map(r => ({
+    id: r.id,
+    anchor: anchorOf('req', r.id),
+    reqType: r.reqType,
+    title: oneLine(r.title),
+    parent: r.parentId || '-',
+    children: list(r.children),
+    diagrams: list(r.diagrams),
+    codes: list(r.codes),
+    gaps: r.gaps.length ? r.gaps.map(g => GAP_LABELS[g] || g).join(', ') : 'OK',
+    hasGaps: r.gaps.length > 0,
+  }));
+
+  // 요구사항 장에 한 번도 나오지 않은 다이어그램/코드 (부록)
+  const unlinkedDiagrams = data.diagrams.filter(d => !diagramViews.has(d.diagramId)).map(d => occurrence(`diagram:${d.diagramId}`, diagramView(d.diagramId), 'A'));
+  const unlinkedCodes = data.codes.filter(c => !codeViews.has(c.codeId)).map(c => occurrence(`code:${c.codeId}`, codeViewOf(c.codeId), 'A'));
+
+  const LABEL = { diagram: '다이어그램', code: '코드' };
+  const now = new Date();
+  return {
+    title, version, author,
+    date: now.toISOString().slice(0, 10),
+    generatedAt: now.toISOString(),
+    counts: { requirements: rows.length, diagrams: data.diagrams.length, codes: data.codes.length },
+    summary: Object.entries(matrix.summary)
+      .filter(([k, s]) => s.total && (included.has(k) || LABEL[k]))
+      .map(([k, s]) => ({ label: LABEL[k] || REQ_LEVEL_TITLES[k], covered: s.covered, total: s.total })),
+    levels,
+    traceNo: levels.length + 2,
+    trace,
+    unlinkedDiagrams,
+    unlinkedCodes,
+    hasUnlinked: unlinkedDiagrams.length + unlinkedCodes.length > 0,
+    figures: [...diagramViews.values()],
+  };
+}
+
+// -------------------- 문서 생성 --------------------
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+// Markdown: 표 칸 구분자와 HTML 태그로 읽힐 '<' 만 이스케이프
+const escapeMd = (s) => s.replace(/\|/g, '\\|').replace(/</g, '&lt;');
+
+/**
+ * 설계 문서 생성
+ * @param {ReportData} data
+ * @param {SddOptions} [opts]
+ * @returns {Promise<{ files: Array<{ path: string, content: string }>, warnings: string[] }>}
+ *  - md: [sdd.md], html: [sdd.html], zip: [sdd.md, sdd.html, images/*.svg]
+ */
+export async function generateSdd(data, opts = {}) {
+  const { format = 'html', images = true, theme, templates = {} } = opts;
+  if (!REPORT_FORMATS.includes(format)) throw new Error(`format은 ${REPORT_FORMATS.join(' | ')} 중 하나여야 합니다: ${format}`);
+  if (theme && !RENDER_THEMES.includes(String(theme).toLowerCase())) throw new Error(`theme는 ${RENDER_THEMES.join(' | ')} 중 하나여야 합니다: ${theme}`);
+  const wanted = format === 'zip' ? ['md', 'html'] : [format];
+  // 템플릿 문법 오류는 다이어그램을 그리기 전에 알림
+  const parsed = {};
+  for (const f of wanted) {
+    parsed[f] = parseTemplate(typeof templates[f] === 'string' && templates[f].trim() ? templates[f] : await loadReportTemplate(f));
+  }
+
+  const view = buildSddView(data, opts);
+  const warnings = [];
+  const files = [];
+  if (images && format !== 'md') {
+    for (const d of view.figures) {
+      try {
+        d.svg = (await renderMermaidSvg(d.mermaid, { theme })).replace(/^<\?xml[^>]*>\s*/, '').trim();
+        if (format === 'zip') {
+          d.image = `images/${d.anchor}.svg`;
+          files.push({ path: d.image, content: `<?xml version="1.0" encoding="UTF-8"?>\n${d.svg}\n` });
+        }
+      } catch (e) {
+        // mermaid 파서 오류는 여러 줄 → 첫 줄(위치)과 마지막 줄(기대 토큰)만
+        const lines = String(e.message || e).split('\n').filter(Boolean);
+        d.renderError = lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0] || '';
+        warnings.push(`${d.diagramId}: ${d.renderError}`);
+        if (e.code === 'RENDER_UNAVAILABLE') break;   // 렌더러가 없으면 나머지도 같음
+      }
+    }
+  }
+
+  const out = [];
+  for (const f of wanted) {
+    const content = renderTemplate(parsed[f], view, { escape: f === 'html' ? escapeHtml : escapeMd });
+    out.push({ path: `sdd.${f}`, content });
+  }
+  return { files: [...out, ...files], warnings };
+}
@@ -0,0 +1,244 @@
+// server/req-import.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/req-import.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 요구사항 일괄 가져오기: 파일(CSV / XLSX / ReqIF) → 표 → 열 매핑 → 행별 검증/처리 계획
+ *
+ * 동작 개요
+ *  1) readRequirementTable: 형식별 리더(server/sheet.mjs, server/reqif.mjs)로 표를 만듦
+ *  2) guessMapping: 머리글 이름(한/영 별칭)으로 id/reqType/title/desc/parent 열을 추정
+ *     - reqType 은 열 값의 절반 이상이 종류로 읽힐 때만 자동 선택
+ *     - ReqIF 계층이 있으면 parent 는 '@hierarchy' (계층상 부모의 ID)
+ *  3) planRequirementImport: 행마다 값 추출 → 검증 → action 결정
+ *     - action: create | update | unchanged | skip(모드가 skip 이고 이미 있음) | error
+ *     - 상위 요구사항은 파일 안의 행(오류 아닌 것)을 먼저, 없으면 DB에서 찾아 단계 규칙 검사
+ *     - 상위 행이 오류면 하위 행도 오류 (저장 후 끊긴 연결 방지)
+ *
+ * 비고
+ *  - 저장은 호출 측(server.mjs)에서 한 트랜잭션으로 (계획도 트랜잭션 안에서 다시 계산)
+ * ============================================
+ */
+
+import { REQ_LEVELS, assertValidParent } from './trace.mjs';
+import { parseCsv, readXlsx, toTable } from './sheet.mjs';
+import { readReqIf } from './reqif.mjs';
+
+/** 가져오기 파일 형식 */
+export const IMPORT_FORMATS = ['csv', 'xlsx', 'reqif'];
+/** 매핑 대상 필드 */
+export const IMPORT_FIELDS = ['id', 'reqType', 'title', 'desc', 'parent'];
+/** parent 매핑: ReqIF 계층상 부모 */
+export const HIERARCHY = '@hierarchy';
+/** 이미 있는 ID 처리: upsert(덮어쓰기) | skip(건너뜀) */
+export const IMPORT_MODES = ['upsert', 'skip'];
+
+/**
+ * @typedef {'id'|'reqType'|'title'|'desc'|'parent'} ImportField
+ * @typedef {Partial<Record<ImportField, string>>} ColumnMapping  - 필드 → 열 이름 (parent 는 '@hierarchy' 가능)
+ * @typedef {{ line: number, cells: Record<string, string>, parentIndex?: number }} ImportRow
+ * @typedef {{ format: string, columns: string[], rows: ImportRow[], hierarchy: boolean, sheets?: string[], sheet?: string }} ImportTable
+ * @typedef {'create'|'update'|'unchanged'|'skip'|'error'} ImportAction
+ * @typedef {{ line: number, id: string, reqType: string, title: string, desc: string, parentId: string,
+ *             action: ImportAction, errors: string[], changes?: string[] }} PlannedRow
+ */
+
+// -------------------- 파일 → 표 --------------------
+
+/** 형식 결정: 명시값 → 확장자 (.csv/.tsv/.txt → csv, .xlsx → xlsx, .reqif/.xml → reqif) */
+export function detectImportFormat(fileName, format) {
+  if (format) {
+    const f = String(format).toLowerCase();
+    if (!IMPORT_FORMATS.includes(f)) throw new Error(`format은 ${IMPORT_FORMATS.join(' | ')} 중 하나여야 합니다: ${format}`);
+    return f;
+  }
+  const ext = String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/)?.[1] || '';
+  if (['csv', 'tsv', 'txt'].includes(ext)) return 'csv';
+  if (ext === 'xlsx' || ext === 'xlsm') return 'xlsx';
+  if (ext === 'reqif' || ext === 'xml') return 'reqif';
+  if (ext === 'xls') throw new Error('.xls(옛 Excel 형식)는 지원하지 않습니다. .xlsx 또는 CSV로 저장해 주세요.');
+  if (ext === 'reqifz') throw new Error('.reqifz(압축 ReqIF)는 압축을 풀어 .reqif 파일로 올려 주세요.');
+  throw new Error(`파일 형식을 알 수 없습니다: ${fileName || '(이름 없음)'} (format: ${IMPORT_FORMATS.join(' | ')})`);
+}
+
+/**
+ * 파일 → 표
+ * @param {{ format?: string, fileName?: string, content?: string, contentBase64?: string, sheet?: string, headerRow?: number }} src
+ *  - csv/reqif 는 content(텍스트), xlsx 는 contentBase64
+ * @returns {ImportTable}
+ */
+export function readRequirementTable({ format, fileName, content, contentBase64, sheet, headerRow }) {
+  const f = detectImportFormat(fileName, format);
+  const text = () => {
+    if (typeof content === 'string') return content;
+    if (contentBase64) return Buffer.from(String(contentBase64), 'base64').toString('utf8');
+    throw new Error('content(텍스트) 또는 contentBase64가 필요합니다.');
+  };
+  if (f === 'csv') return { format: f, ...toTable(parseCsv(text()), { headerRow }), hierarchy: false };
+  if (f === 'reqif') {
+    const t = readReqIf(text());
+    return { format: f, columns: t.columns, rows: t.rows, hierarchy: t.hierarchy };
+  }
+  if (!contentBase64) throw new Error('XLSX 파일은 contentBase64로 보내야 합니다.');
+  const x = readXlsx(Buffer.from(String(contentBase64), 'base64'), { sheet });
+  return { format: f, sheets: x.sheets, sheet: x.sheet, ...toTable(x.rows, { headerRow }), hierarchy: false };
+}
+
+// -------------------- 열 매핑 --------------------
+
+/** 머리글 비교용 정규화 (대소문자/공백/구분 기호 무시) */
+const headerKey = (s) => String(s || '').toLowerCase().replace(/[\s_\-.:()/[\]]+/g, '');
+
+/** 필드별 머리글 별칭 (앞쪽이 우선) */
+const FIELD_ALIASES = {
+  id: ['id', 'reqid', 'requirementid', '요구사항id', '요구사항번호', '식별자', '번호', 'no', 'key', 'reqifforeignid', 'foreignid', 'identifier'],
+  reqType: ['reqtype', 'type', 'requirementtype', 'level', '종류', '유형', '구분', '단계', '요구사항종류', '요구사항유형'],
+  title: ['title', 'name', 'summary', 'heading', '제목', '요구사항명', '이름', '명칭', 'reqifname', 'reqifchaptername', 'longname'],
+  desc: ['desc', 'description', 'text', 'detail', 'details', 'body', '내용', '설명', '상세', '요구사항내용', 'reqiftext'],
+  parent: ['parent', 'parentid', 'parentreq', '상위', '상위id', '상위요구사항', '상위요구사항id'],
+};
+
+/** 종류 값 별칭 → REQ_LEVELS */
+const REQ_TYPE_ALIASES = {
+  sys: 'SYS', system: 'SYS', 체계: 'SYS', 시스템: 'SYS', 체계요구사항: 'SYS', 시스템요구사항: 'SYS',
+  sw: 'SW', software: 'SW', sw요구사항: 'SW', 소프트웨어: 'SW', 소프트웨어요구사항: 'SW',
+  swdes: 'SW_DES', swdesign: 'SW_DES', design: 'SW_DES', sw설계: 'SW_DES', 설계: 'SW_DES', sw설계요구사항: 'SW_DES', 소프트웨어설계: 'SW_DES',
+  swtest: 'SW_TEST', test: 'SW_TEST', swtest요구사항: 'SW_TEST', 시험: 'SW_TEST', 테스트: 'SW_TEST', sw시험: 'SW_TEST', sw테스트: 'SW_TEST',
+};
+
+/**
+ * 종류 값 → REQ_LEVELS 값 (모르면 '')
+ * @param {string} value - 'SYS', 'SW-DES', 'sw design', '체계', 'SW 설계' 등
+ */
+export function normalizeReqType(value) {
+  const v = String(value || '').trim();
+  if (REQ_LEVELS.includes(v.toUpperCase())) return v.toUpperCase();
+  return REQ_TYPE_ALIASES[headerKey(v)] || '';
+}
+
+/**
+ * 머리글로 열 매핑 추정
+ * @param {ImportTable} table
+ * @returns {ColumnMapping}
+ */
+export function guessMapping(table) {
+  const byKey = new Map(table.columns.map(c => [headerKey(c), c]));
+  const used = new Set();
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const candidates = FIELD_ALIASES[field].map(a => byKey.get(a)).filter(c => c && !used.has(c));
+    const pick = field === 'reqType'
+      // 값이 종류로 읽히는 열만 (ReqIF TYPE 열처럼 이름만 같은 열 제외)
+      ? candidates.find(c => {
+          const values = table.rows.map(r => r.cells[c].trim()).filter(Boolean);
+          return values.length && values.filter(normalizeReqType).length * 2 >= values.length;
+        })
+      : candidates[0];
+    if (pick) { mapping[field] = pick; used.add(pick); }
+  }
+  if (!mapping.parent && table.hierarchy) mapping.parent = HIERARCHY;
+  return mapping;
+}
+
+/** 매핑 검사: 없는 열 이름은 오류, id 는 필수 */
+function assertMapping(mapping, table) {
+  for (const [field, col] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) throw new Error(`알 수 없는 매핑 필드: ${field} (${IMPORT_FIELDS.join(', ')})`);
+    if (!col) continue;
+    if (field === 'parent' && col === HIERARCHY) {
+      if (!table.hierarchy) throw new Error(`'${HIERARCHY}'(계층) 매핑은 계층이 있는 ReqIF 파일에서만 쓸 수 있습니다.`);
+      continue;
+    }
+    if (!table.columns.includes(col)) throw new Error(`${field} 매핑 열이 표에 없습니다: ${col}`);
+  }
+  if (!mapping.id) throw new Error('id 열 매핑이 필요합니다.');
+}
+
+// -------------------- 처리 계획 --------------------
+
+const FIELD_NAMES = { reqType: '종류', title: '제목', desc: '내용', parentId: '상위' };
+
+/**
+ * 행별 검증 + action 결정
+ * @param {ImportTable} table
+ * @param {{ mapping?: ColumnMapping, defaultReqType?: string, mode?: 'upsert'|'skip' }} opts
+ * @param {(id: string) => object|null} getExisting - DB의 요구사항 조회
+ * @returns {{ mapping: ColumnMapping, rows: PlannedRow[], counts: Record<ImportAction, number> }}
+ */
+export function planRequirementImport(table, { mapping, defaultReqType = '', mode = 'upsert' } = {}, getExisting) {
+  if (!IMPORT_MODES.includes(mode)) throw new Error(`mode는 ${IMPORT_MODES.join(' | ')} 중 하나여야 합니다: ${mode}`);
+  const defaultType = defaultReqType ? normalizeReqType(defaultReqType) : '';
+  if (defaultReqType && !defaultType) throw new Error(`defaultReqType은 ${REQ_LEVELS.join(' | ')} 중 하나여야 합니다: ${defaultReqType}`);
+  const map = mapping && Object.keys(mapping).length ? mapping : guessMapping(table);
+  assertMapping(map, table);
+
+  const cell = (r, field) => (map[field] && map[field] !== HIERARCHY ? String(r.cells[map[field]] ?? '') : '');
+  const ids = table.rows.map(r => cell(r, 'id').trim());
+
+  /** @type {PlannedRow[]} */
+  const rows = table.rows.map((r, i) => {
+    const rawType = cell(r, 'reqType').trim();
+    const reqType = rawType ? normalizeReqType(rawType) : defaultType;
+    const parentId = map.parent === HIERARCHY
+      ? (r.parentIndex !== undefined ? ids[r.parentIndex] : '')
+      : cell(r, 'parent').trim();
+    const errors = [];
+    if (!ids[i]) errors.push('ID가 비어 있습니다.');
+    if (!reqType) errors.push(rawType ? `알 수 없는 종류입니다: ${rawType} (${REQ_LEVELS.join(' | ')})` : '종류가 비어 있습니다 (기본 종류를 지정하거나 종류 열을 매핑하세요).');
+    return {
+      line: r.line, id: ids[i], reqType, title: cell(r, 'title').trim(), desc: cell(r, 'desc').replace(/\r\n?/g, '\n').trim(),
+      parentId, action: 'create', errors,
+    };
+  });
+
+  // 파일 안 중복 ID (두 번째부터 오류)
+  const firstLine = new Map();
+  for (const row of rows) {
+    if (!row.id) continue;
+    if (firstLine.has(row.id)) row.errors.push(`ID가 ${firstLine.get(row.id)}행과 중복됩니다.`);
+    else firstLine.set(row.id, row.line);
+  }
+  const rowById = new Map(rows.filter(r => r.id && firstLine.get(r.id) === r.line).map(r => [r.id, r]));
+
+  // 상위 검사 (상위 행 오류가 하위로 번지도록 바뀌지 않을 때까지 반복)
+  const parentChecked = new Set();
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const row of rows) {
+      if (row.errors.length || !row.parentId) continue;
+      const parentRow = rowById.get(row.parentId);
+      if (parentRow?.errors.length) {
+        row.errors.push(`상위 요구사항 행(${parentRow.line}행)에 오류가 있습니다.`);
+        changed = true;
+        continue;
+      }
+      if (parentChecked.has(row)) continue;
+      parentChecked.add(row);
+      const existingParent = getExisting(row.parentId);
+      // skip 모드에서 이미 있는 상위는 DB 값이 그대로 남음
+      const parent = parentRow && !(mode === 'skip' && existingParent) ? parentRow : existingParent;
+      try {
+        assertValidParent(row, parent);
+      } catch (e) {
+        row.errors.push(e.message);
+        changed = true;
+      }
+    }
+  }
+
+  for (const row of rows) {
+    if (row.errors.length) { row.action = 'error'; continue; }
+    const existing = getExisting(row.id);
+    if (!existing) continue;
+    if (mode === 'skip') { row.action = 'skip'; continue; }
+    const changes = Object.keys(FIELD_NAMES).filter(k => String(existing[k] || '') !== row[k]);
+    row.action = changes.length ? 'update' : 'unchanged';
+    if (changes.length) row.changes = changes.map(k => FIELD_NAMES[k]);
+  }
+
+  const counts = { create: 0, update: 0, unchanged: 0, skip: 0, error: 0 };
+  for (const row of rows) counts[row.action]++;
+  return { mapping: map, rows, counts };
+}
@@ -0,0 +1,143 @@
+// server/reqif.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/reqif.mjs
+ * --------------------------------------------
+ * 역할
+ *  - ReqIF(OMG Requirements Interchange Format 1.x) → 표 (요구사항 일괄 가져오기용)
+ *
+ * 동작 개요
+ *  - SPEC-OBJECT 하나가 한 행
+ *  - 열: IDENTIFIER, LONG-NAME, TYPE(SPEC-OBJECT-TYPE 이름) + 속성 정의 이름(LONG-NAME)별 열
+ *    · 여러 타입이 같은 이름의 속성(예: ReqIF.Text)을 정의하면 한 열로 합침
+ *  - 값: STRING/INTEGER/REAL/BOOLEAN/DATE 는 THE-VALUE, XHTML 은 텍스트만(문단/줄바꿈 유지),
+ *        ENUMERATION 은 선택 값 이름을 ', ' 로 이어 붙임
+ *  - 행 순서/계층: SPECIFICATION 의 SPEC-HIERARCHY 순서 (parentIndex = 계층상 부모 행)
+ *    계층에 없는 SPEC-OBJECT 는 뒤에 붙임
+ *
+ * 비고
+ *  - DOORS / Polarion / Jama / ReqIF Studio 등에서 내보낸 파일 기준
+ *  - SPEC-RELATION, 첨부 객체(xhtml:object), 도구 확장(TOOL-EXTENSIONS)은 읽지 않음
+ * ============================================
+ */
+
+import { parseXml, localName } from './xml.mjs';
+
+/**
+ * @typedef {{ line: number, cells: Record<string, string>, parentIndex?: number }} ReqIfRow
+ *  - line: 행 순번(1부터), parentIndex: 계층상 부모 행의 rows 인덱스
+ * @typedef {{ columns: string[], rows: ReqIfRow[], hierarchy: boolean, specification: string }} ReqIfTable
+ */
+
+const kids = (el, name) => (el?.children || []).filter(c => localName(c.name) === name);
+const kid = (el, name) => kids(el, name)[0] || null;
+
+/** 이름이 일치하는 모든 자손 요소 */
+function descendants(el, name, out = []) {
+  for (const c of el.children) {
+    if (localName(c.name) === name) out.push(c);
+    descendants(c, name, out);
+  }
+  return out;
+}
+
+/** 참조 요소(DEFINITION > ATTRIBUTE-DEFINITION-STRING-REF 등)의 대상 IDENTIFIER */
+const refOf = (el) => (el?.children[0]?.text || '').trim();
+
+const BLOCK_TAGS = new Set(['p', 'div', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'ul', 'ol', 'table']);
+
+/** XHTML 조각 → 텍스트 (블록/줄바꿈은 줄 단위로) */
+function xhtmlText(el) {
+  const out = [];
+  const walk = (node) => {
+    if (typeof node === 'string') { out.push(node.replace(/\s+/g, ' ')); return; }
+    const tag = localName(node.name).toLowerCase();
+    if (tag === 'br') { out.push('\n'); return; }
+    if (tag === 'li') out.push('\n- ');
+    else if (BLOCK_TAGS.has(tag)) out.push('\n');
+    (node.nodes || []).forEach(walk);
+    if (tag === 'td' || tag === 'th') out.push('\t');
+    if (BLOCK_TAGS.has(tag)) out.push('\n');
+  };
+  (el.nodes || []).forEach(walk);
+  return out.join('')
+    .split('\n').map(l => l.trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * ReqIF XML → 표
+ * @param {string} text
+ * @returns {ReqIfTable}
+ */
+export function readReqIf(text) {
+  const root = parseXml(text);
+  if (localName(root.name) !== 'REQ-IF') throw new Error(`ReqIF 파일이 아닙니다 (루트 요소: ${root.name}).`);
+  const content = descendants(root, 'REQ-IF-CONTENT')[0];
+  if (!content) throw new Error('ReqIF 파일에 REQ-IF-CONTENT가 없습니다.');
+
+  // 열거형 값 / 속성 정의 / 객체 타입 이름
+  const enumNames = new Map();
+  for (const v of descendants(kid(content, 'DATATYPES') || { children: [] }, 'ENUM-VALUE')) {
+    const key = descendants(v, 'EMBEDDED-VALUE')[0]?.attrs['OTHER-CONTENT'] ?? descendants(v, 'EMBEDDED-VALUE')[0]?.attrs.KEY;
+    enumNames.set(v.attrs.IDENTIFIER, v.attrs['LONG-NAME'] || key || v.attrs.IDENTIFIER);
+  }
+  const attrNames = new Map();
+  const typeNames = new Map();
+  for (const t of kids(kid(content, 'SPEC-TYPES'), 'SPEC-OBJECT-TYPE')) {
+    typeNames.set(t.attrs.IDENTIFIER, t.attrs['LONG-NAME'] || t.attrs.IDENTIFIER);
+    for (const def of kid(t, 'SPEC-ATTRIBUTES')?.children || []) {
+      attrNames.set(def.attrs.IDENTIFIER, def.attrs['LONG-NAME'] || def.attrs.IDENTIFIER);
+    }
+  }
+
+  // SPEC-OBJECT → 셀
+  const columns = ['IDENTIFIER', 'LONG-NAME', 'TYPE'];
+  const objects = new Map();
+  for (const o of kids(kid(content, 'SPEC-OBJECTS'), 'SPEC-OBJECT')) {
+    const cells = {
+      IDENTIFIER: o.attrs.IDENTIFIER || '',
+      'LONG-NAME': o.attrs['LONG-NAME'] || '',
+      TYPE: typeNames.get(refOf(kid(o, 'TYPE'))) || '',
+    };
+    for (const v of kid(o, 'VALUES')?.children || []) {
+      const name = attrNames.get(refOf(kid(v, 'DEFINITION')));
+      if (!name) continue;
+      const kind = localName(v.name).replace(/^ATTRIBUTE-VALUE-/, '');
+      let value;
+      if (kind === 'XHTML') value = xhtmlText(kid(v, 'THE-VALUE') || { nodes: [] });
+      else if (kind === 'ENUMERATION') value = kids(kid(v, 'VALUES'), 'ENUM-VALUE-REF').map(r => enumNames.get(r.text.trim()) || r.text.trim()).join(', ');
+      else value = v.attrs['THE-VALUE'] ?? '';
+      if (!columns.includes(name)) columns.push(name);
+      cells[name] = value;
+    }
+    objects.set(cells.IDENTIFIER, cells);
+  }
+  if (!objects.size) throw new Error('ReqIF 파일에 SPEC-OBJECT가 없습니다.');
+
+  // 계층 순서대로 행 배치
+  const rows = [];
+  const placed = new Map();   // IDENTIFIER → rows 인덱스
+  const specs = kids(kid(content, 'SPECIFICATIONS'), 'SPECIFICATION');
+  const walk = (hierarchy, parentIndex) => {
+    for (const h of kids(kid(hierarchy, 'CHILDREN'), 'SPEC-HIERARCHY')) {
+      const id = refOf(kid(h, 'OBJECT'));
+      let index = placed.get(id);
+      if (index === undefined && objects.has(id)) {
+        index = rows.length;
+        placed.set(id, index);
+        rows.push({ line: index + 1, cells: objects.get(id), ...(parentIndex !== undefined ? { parentIndex } : {}) });
+      }
+      walk(h, index ?? parentIndex);
+    }
+  };
+  for (const spec of specs) walk(spec, undefined);
+  const hierarchy = rows.some(r => r.parentIndex !== undefined);
+  for (const [id, cells] of objects) {
+    if (!placed.has(id)) rows.push({ line: rows.length + 1, cells });
+  }
+  for (const r of rows) for (const c of columns) r.cells[c] ??= '';
+  return { columns, rows, hierarchy, specification: specs.map(s => s.attrs['LONG-NAME']).filter(Boolean).join(', ') };
+}
@@ -0,0 +1,163 @@
+// server/review.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/review.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 요구사항/다이어그램 검토 상태: draft(초안) → in_review(검토 중) → approved(승인) → obsolete(폐기)
+ *  - 검토 동작(제출/승인/반려/의견/폐기/다시 열기)의 상태 전이 + 역할 검사
+ *  - 내용 저장 시 검토 정보 이어 받기 (승인 후 내용이 바뀌면 초안으로)
+ *  - 코드 생성(mm2code) 승인 게이트: 승인된 다이어그램의 저장 내용만 허용
+ *
+ * 레코드 필드
+ *  - status: 'draft' | 'in_review' | 'approved' | 'obsolete' (없으면 draft)
+ *  - review: { history: [{ at, by, action, from, to, comment?, version }], approval: { by, at, version, comment? } | null }
+ *    · history.version / approval.version: 동작 시점(직전)의 레코드 버전 = 검토한 내용의 버전
+ *
+ * 비고
+ *  - 검토 동작도 일반 저장처럼 새 리비전을 남김 (source: 'review')
+ *  - 프로젝트 복제(admin)는 검토 정보를 그대로 옮김. 번들 가져오기는 approver 이상일 때만 그대로 옮기고,
+ *    그 외에는 carryReview 를 거침 (server/bundle.mjs)
+ * ============================================
+ */
+
+import { assertRole } from './auth.mjs';
+
+/** 검토 상태 (순서는 생명 주기 순) */
+export const REVIEW_STATUSES = ['draft', 'in_review', 'approved', 'obsolete'];
+
+/** 검토 대상 컬렉션 */
+export const REVIEW_COLLECTIONS = ['requirements', 'diagrams'];
+
+/**
+ * 검토 동작
+ * - from: 허용 상태, to: 다음 상태 (null이면 그대로), role: 필요한 역할, comment: 의견 필수 여부
+ */
+export const REVIEW_ACTIONS = {
+  submit:   { from: ['draft'], to: 'in_review', role: 'editor' },
+  approve:  { from: ['in_review'], to: 'approved', role: 'approver' },
+  reject:   { from: ['in_review'], to: 'draft', role: 'approver', comment: true },
+  comment:  { from: REVIEW_STATUSES, to: null, role: 'editor', comment: true },
+  obsolete: { from: ['draft', 'in_review', 'approved'], to: 'obsolete', role: 'approver' },
+  reopen:   { from: ['approved', 'obsolete'], to: 'draft', role: 'approver' },
+};
+
+/**
+ * @typedef {'draft'|'in_review'|'approved'|'obsolete'} ReviewStatus
+ * @typedef {{ at: string, by: string, action: string, from: ReviewStatus, to: ReviewStatus, comment?: string, version: number }} ReviewEvent
+ * @typedef {{ history: ReviewEvent[], approval: { by: string, at: string, version: number, comment?: string } | null }} Review
+ */
+
+/** 검토 오류 (status/code 는 sendError 가 그대로 응답) */
+export class ReviewError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** 레코드의 검토 상태 (필드가 없던 기존 레코드는 draft) */
+export const statusOf = (item) => (REVIEW_STATUSES.includes(item?.status) ? item.status : 'draft');
+
+const emptyReview = () => ({ history: [], approval: null });
+
+/**
+ * 목록 필터 쿼리 ('approved,in_review') → 상태 목록 (빈 값이면 [])
+ * - 모르는 상태는 400
+ */
+export function parseStatusFilter(q) {
+  const list = String(q || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  for (const s of list) {
+    if (!REVIEW_STATUSES.includes(s)) throw new Error(`status는 ${REVIEW_STATUSES.join(' | ')} 중 하나여야 합니다: ${s}`);
+  }
+  return list;
+}
+
+/** 저장소/검토 관리 필드를 뺀 키 정렬 JSON (내용 비교용) */
+function contentKey(item) {
+  const sort = (v) => {
+    if (Array.isArray(v)) return v.map(sort);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.keys(v).sort().map(k => [k, sort(v[k])]));
+    return v;
+  };
+  const { version, updatedAt, updatedBy, status, review, ...rest } = item || {};
+  return JSON.stringify(sort(rest));
+}
+
+/**
+ * 내용 저장 전: 현재 레코드의 검토 정보를 이어 받은 저장 데이터
+ * - 새 레코드(삭제된 레코드 복원 포함)는 입력의 검토 정보와 상관없이 draft (가져온 이력/번들로 승인 상태를 만들 수 없게)
+ * - 승인된 레코드의 내용이 바뀌면 draft로 되돌리고 기록 (승인은 검토한 내용에만 유효)
+ * @param {object|null} current - 저장 직전 레코드
+ * @param {object} data         - 저장할 데이터
+ * @param {{ by?: string }} [opts]
+ */
+export function carryReview(current, data, { by } = {}) {
+  const { status, review, ...content } = data || {};
+  const base = current || {};
+  let nextStatus = statusOf(base);
+  let nextReview = base.review || emptyReview();
+  if (current && nextStatus === 'approved' && contentKey(current) !== contentKey(content)) {
+    nextReview = {
+      ...nextReview,
+      history: [...(nextReview.history || []), {
+        at: new Date().toISOString(),
+        by: String(by || '').trim() || 'anonymous',
+        action: 'invalidate',
+        from: 'approved',
+        to: 'draft',
+        comment: '승인 후 내용이 바뀌어 초안으로 되돌림',
+        version: current.version ?? 0,
+      }],
+    };
+    nextStatus = 'draft';
+  }
+  return { ...content, status: nextStatus, review: nextReview };
+}
+
+/**
+ * 검토 동작 적용 → 저장할 데이터
+ * - 허용되지 않는 상태 전이는 409 INVALID_TRANSITION, 역할 부족은 403 FORBIDDEN
+ * @param {object} current - 현재 레코드
+ * @param {{ action: string, comment?: string, user: { username: string, role: string } }} input
+ */
+export function applyReviewAction(current, { action, comment, user }) {
+  const rule = REVIEW_ACTIONS[action];
+  if (!rule) throw new Error(`action은 ${Object.keys(REVIEW_ACTIONS).join(' | ')} 중 하나여야 합니다: ${action}`);
+  assertRole(user, rule.role);
+  const from = statusOf(current);
+  if (!rule.from.includes(from)) {
+    throw new ReviewError(`'${from}' 상태에서는 '${action}' 할 수 없습니다 (가능한 상태: ${rule.from.join(', ')}).`, 409, 'INVALID_TRANSITION');
+  }
+  const text = String(comment ?? '').trim();
+  if (rule.comment && !text) throw new Error(`'${action}'에는 의견(comment)이 필요합니다.`);
+  if (text.length > 4000) throw new Error('의견은 4000자 이하여야 합니다.');
+
+  const to = rule.to || from;
+  const at = new Date().toISOString();
+  const version = current.version ?? 0;
+  const prev = current.review || emptyReview();
+  const event = { at, by: user.username, action, from, to, ...(text ? { comment: text } : {}), version };
+  let approval = prev.approval || null;
+  if (action === 'approve') approval = { by: user.username, at, version, ...(text ? { comment: text } : {}) };
+  else if (to === 'draft') approval = null;
+  return { ...current, status: to, review: { history: [...(prev.history || []), event], approval } };
+}
+
+/**
+ * 코드 생성(mm2code) 전: 승인된 다이어그램 확인 → 생성에 쓸 Mermaid (저장된 승인 내용)
+ * - diagramId 없음 / 승인 전 / 보낸 Mermaid가 승인된 내용과 다르면 409 DIAGRAM_NOT_APPROVED
+ * @param {object|null} diagram - diagramId로 읽은 레코드 (없는 레코드는 호출 측이 404)
+ * @param {{ diagramId?: string, mermaid?: string, normalize?: (s: string) => string }} input
+ *  - normalize: 비교 전 정리 (코드블록 울타리 제거 등, 기본은 앞뒤 공백 제거)
+ */
+export function assertApprovedDiagram(diagram, { diagramId, mermaid, normalize = (s) => String(s ?? '').trim() }) {
+  const notApproved = (msg) => new ReviewError(msg, 409, 'DIAGRAM_NOT_APPROVED');
+  if (!diagramId || !diagram) throw notApproved('승인된 다이어그램만 코드로 만들 수 있습니다. 저장된 다이어그램(diagramId)을 고르세요.');
+  if (statusOf(diagram) !== 'approved') throw notApproved(`승인되지 않은 다이어그램입니다: ${diagramId} (상태: ${statusOf(diagram)})`);
+  if (mermaid && normalize(mermaid) !== normalize(diagram.mermaid)) throw notApproved(`승인된 내용과 다른 Mermaid입니다: ${diagramId}`);
+  return diagram.mermaid;
+}
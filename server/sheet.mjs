@@ -0,0 +1,205 @@
+// server/sheet.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/sheet.mjs
+ * --------------------------------------------
+ * 역할
+ *  - CSV 텍스트 → 행 목록 (RFC 4180 따옴표 규칙, 구분자 자동 감지)
+ *  - XLSX(Office Open XML 통합 문서) → 시트별 행 목록 (외부 패키지 없이 ZIP + XML 해석)
+ *  - 행 목록 → 머리글/데이터 표 (요구사항 일괄 가져오기용)
+ *
+ * 비고
+ *  - XLSX: 공유 문자열/인라인 문자열/수식 결과/불리언/숫자 셀을 문자열로 읽음
+ *    (날짜 서식, 병합 셀, 수식 재계산은 지원하지 않음 — 저장된 값 그대로)
+ *  - 행 번호(line)는 원본 기준 1부터 (오류 위치 표시용)
+ * ============================================
+ */
+
+import { readZip } from './zip.mjs';
+import { parseXml, localName } from './xml.mjs';
+
+/**
+ * @typedef {{ line: number, cells: string[] }} SheetRow        - 원본 행 번호 + 셀 값
+ * @typedef {{ line: number, cells: Record<string, string> }} TableRow
+ * @typedef {{ columns: string[], rows: TableRow[] }} Table
+ */
+
+/** XLSX 압축 해제 크기 제한 (zip bomb 방지) */
+const XLSX_MAX_BYTES = 200 * 1024 * 1024;
+
+// -------------------- CSV --------------------
+
+/** 첫 줄(따옴표 밖)에서 가장 많이 나온 구분자 (',' ';' '\t') */
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === '\n') break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  const [best, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return n ? best : ',';
+}
+
+/**
+ * CSV → 행 목록
+ * - 따옴표 안의 구분자/줄바꿈/"" 지원, BOM 제거
+ * @param {string} text
+ * @param {{ delimiter?: string }} [opts] - 생략 시 자동 감지
+ * @returns {SheetRow[]}
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  const src = String(text ?? '').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  const sep = delimiter || detectDelimiter(src);
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endCell = () => { cells.push(cell); cell = ''; };
+  const endRow = () => { endCell(); rows.push({ line: rowLine, cells }); cells = []; rowLine = line; };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === '\n') line++; cell += ch; }
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === sep) endCell();
+    else if (ch === '\n') { line++; endRow(); }
+    else cell += ch;
+  }
+  if (quoted) throw new Error(`CSV 따옴표가 닫히지 않았습니다 (${rowLine}번째 줄).`);
+  if (cell !== '' || cells.length) endRow();
+  return rows;
+}
+
+// -------------------- XLSX --------------------
+
+/** 'AB12' → 열 번호 (0부터) */
+function columnIndex(ref) {
+  const letters = String(ref || '').match(/^[A-Z]+/i)?.[0].toUpperCase() || '';
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+/** 요소 안의 <t> 텍스트를 이어 붙임 (윗주 <rPh> 제외) */
+function runText(el) {
+  if (localName(el.name) === 'rPh') return '';
+  if (localName(el.name) === 't') return el.text;
+  return el.children.map(runText).join('');
+}
+
+const child = (el, name) => el?.children.find(c => localName(c.name) === name) || null;
+const childrenOf = (el, name) => (el?.children || []).filter(c => localName(c.name) === name);
+
+/** 관계 대상 경로 ('worksheets/sheet1.xml' | '/xl/worksheets/sheet1.xml') → ZIP 경로 */
+function resolveTarget(target) {
+  const t = String(target || '');
+  if (t.startsWith('/')) return t.slice(1);
+  const parts = ['xl'];
+  for (const seg of t.split('/')) {
+    if (seg === '..') parts.pop();
+    else if (seg && seg !== '.') parts.push(seg);
+  }
+  return parts.join('/');
+}
+
+/**
+ * XLSX → 시트 목록 + 선택 시트의 행
+ * @param {Buffer} buf
+ * @param {{ sheet?: string }} [opts] - 시트 이름 (생략 시 첫 시트)
+ * @returns {{ sheets: string[], sheet: string, rows: SheetRow[] }}
+ */
+export function readXlsx(buf, { sheet } = {}) {
+  let entries;
+  try {
+    entries = readZip(buf, { maxBytes: XLSX_MAX_BYTES });
+  } catch (e) {
+    throw new Error(`XLSX 파일을 읽지 못했습니다: ${e.message}`);
+  }
+  const files = new Map(entries.map(e => [e.path.replace(/^\//, ''), e.content]));
+  const xml = (p) => (files.has(p) ? parseXml(files.get(p).toString('utf8')) : null);
+
+  const workbook = xml('xl/workbook.xml');
+  if (!workbook) throw new Error('XLSX 파일이 아닙니다 (xl/workbook.xml 없음). .xls(옛 형식)는 .xlsx 또는 CSV로 저장해 주세요.');
+  const rels = new Map(childrenOf(xml('xl/_rels/workbook.xml.rels'), 'Relationship').map(r => [r.attrs.Id, resolveTarget(r.attrs.Target)]));
+  const sheets = childrenOf(child(workbook, 'sheets'), 'sheet').map(s => ({
+    name: s.attrs.name,
+    path: rels.get(s.attrs['r:id'] ?? Object.entries(s.attrs).find(([k]) => localName(k) === 'id')?.[1]),
+  }));
+  if (!sheets.length) throw new Error('XLSX 파일에 시트가 없습니다.');
+  const picked = sheet ? sheets.find(s => s.name === sheet) : sheets[0];
+  if (!picked) throw new Error(`시트가 없습니다: ${sheet} (있는 시트: ${sheets.map(s => s.name).join(', ')})`);
+  const ws = picked.path && xml(picked.path);
+  if (!ws) throw new Error(`시트 데이터를 찾지 못했습니다: ${picked.name}`);
+
+  const shared = childrenOf(xml('xl/sharedStrings.xml'), 'si').map(runText);
+  const rows = [];
+  let nextLine = 1;
+  for (const row of childrenOf(child(ws, 'sheetData'), 'row')) {
+    const line = Number(row.attrs.r) || nextLine;
+    nextLine = line + 1;
+    const cells = [];
+    let nextCol = 0;
+    for (const c of childrenOf(row, 'c')) {
+      const col = c.attrs.r ? columnIndex(c.attrs.r) : nextCol;
+      nextCol = col + 1;
+      const v = child(c, 'v')?.text ?? '';
+      let value;
+      switch (c.attrs.t) {
+        case 's': value = shared[Number(v)] ?? ''; break;
+        case 'inlineStr': value = runText(child(c, 'is') || { name: 'is', children: [] }); break;
+        case 'b': value = v === '1' ? 'TRUE' : 'FALSE'; break;
+        default: value = v;
+      }
+      while (cells.length < col) cells.push('');
+      cells[col] = value;
+    }
+    rows.push({ line, cells });
+  }
+  return { sheets: sheets.map(s => s.name), sheet: picked.name, rows };
+}
+
+// -------------------- 표 --------------------
+
+/** 열 번호 → 'A', 'B', …, 'AA' */
+export function columnLetter(i) {
+  let s = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+/**
+ * 행 목록 → 머리글/데이터 표
+ * - headerRow(원본 행 번호)를 생략하면 첫 번째 비어 있지 않은 행이 머리글
+ * - 빈 머리글은 '열 A' 처럼, 같은 머리글은 뒤에 ' (2)' 를 붙여 구분
+ * - 모든 셀이 빈 데이터 행은 건너뜀
+ * @param {SheetRow[]} rows
+ * @param {{ headerRow?: number }} [opts]
+ * @returns {Table}
+ */
+export function toTable(rows, { headerRow } = {}) {
+  const nonEmpty = (r) => r.cells.some(c => String(c).trim());
+  const hi = headerRow ? rows.findIndex(r => r.line === Number(headerRow)) : rows.findIndex(nonEmpty);
+  if (hi < 0) throw new Error(headerRow ? `머리글 행이 없습니다: ${headerRow}` : '데이터가 없습니다.');
+  const width = Math.max(...rows.slice(hi).map(r => r.cells.length));
+  const seen = new Map();
+  const columns = Array.from({ length: width }, (_, i) => {
+    const base = String(rows[hi].cells[i] ?? '').trim() || `열 ${columnLetter(i)}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n > 1 ? `${base} (${n})` : base;
+  });
+  return {
+    columns,
+    rows: rows.slice(hi + 1).filter(nonEmpty).map(r => ({
+      line: r.line,
+      cells: Object.fromEntries(columns.map((c, i) => [c, String(r.cells[i] ?? '')])),
+    })),
+  };
+}
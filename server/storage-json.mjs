@@ -0,0 +1,101 @@
+// server/storage-json.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/storage-json.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 단일 JSON 파일(outputs/db.json) 저장소 어댑터 (기본 백엔드)
+ *
+ * 동작 개요
+ *  - 읽기: 파일을 그대로 읽음 (rename 기반 기록이라 항상 완결된 스냅샷)
+ *  - 쓰기: 큐에서 최신 파일을 읽고 → 트랜잭션이 변경 → 기록
+ *  - 임시파일은 쓰기마다 고유 이름(pid+난수)으로 만들어 서로 덮어쓰지 않음
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { normalizeDb, createTx, createQueue, finishStore } from './storage.mjs';
+
+/**
+ * 메모리 상의 DB 객체 위에서 동작하는 트랜잭션 기본 연산
+ * @returns {import('./storage.mjs').TxBackend}
+ */
+function objectBackend(db) {
+  return {
+    getRecord: (c, id) => db[c][id],
+    listRecords: (c) => Object.values(db[c]),
+    setRecord: (c, id, item) => { db[c][id] = item; },
+    deleteRecord: (c, id) => { delete db[c][id]; },
+    listRevisions: (c, id) => db.revisions[c][id] || [],
+    addRevision: (c, id, rev) => { (db.revisions[c][id] ||= []).push(rev); },
+  };
+}
+
+/**
+ * JSON 파일 저장소 생성
+ * @param {string} filePath - db.json 경로
+ * @returns {import('./storage.mjs').Store}
+ */
+export function createJsonStore(filePath) {
+  const dir = path.dirname(filePath);
+  const enqueue = createQueue();
+
+  async function readDb() {
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      return normalizeDb(JSON.parse(await fs.readFile(filePath, 'utf8')));
+    } catch (e) {
+      if (e.code === 'ENOENT') return normalizeDb();
+      throw e;
+    }
+  }
+
+  async function writeDb(db) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tmp, JSON.stringify(db, null, 2), 'utf8');
+      await fs.rename(tmp, filePath);
+    } catch (e) {
+      await fs.rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  return finishStore({
+    backend: 'json',
+    read: readDb,
+
+    /**
+     * 직렬화된 read-modify-write
+     * - fn(tx)가 예외 없이 끝나고 변경이 있으면 기록
+     * - fn의 반환값을 그대로 반환
+     */
+    transact(fn) {
+      return enqueue(async () => {
+        const db = await readDb();
+        const tx = createTx(objectBackend(db));
+        const result = await fn(tx);
+        if (tx.dirty) await writeDb(db);
+        return result;
+      });
+    },
+
+    async list(collection) {
+      return Object.values((await readDb())[collection]);
+    },
+    async get(collection, id) {
+      return (await readDb())[collection][id] || null;
+    },
+    async listRevisions(collection, id) {
+      return (await readDb()).revisions[collection][id] || [];
+    },
+    replaceAll(snapshot) {
+      return enqueue(() => writeDb(normalizeDb(snapshot)));
+    },
+    async close() {},
+  });
+}
@@ -0,0 +1,168 @@
+// server/storage-sqlite.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/storage-sqlite.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 내장 SQLite(better-sqlite3) 저장소 어댑터
+ *  - STORAGE_BACKEND=sqlite 일 때 사용 (경로: SQLITE_PATH)
+ *
+ * 스키마
+ *  - records  (collection, id, version, updated_at, data)        PK(collection, id)
+ *  - revisions(collection, id, rev, at, author, source, deleted, item) PK(collection, id, rev)
+ *  - data/item 컬럼은 레코드 JSON 원문 (JSON 어댑터와 동일한 구조)
+ *
+ * 비고
+ *  - better-sqlite3는 동기 API → 트랜잭션은 BEGIN IMMEDIATE ~ COMMIT으로 감싸고
+ *    프로세스 내부 큐로 직렬화 (fn이 비동기여도 중간에 다른 쓰기가 끼어들지 않음)
+ *  - 패키지는 이 백엔드를 선택했을 때만 로드
+ * ============================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { COLLECTIONS, normalizeDb, createTx, createQueue, finishStore } from './storage.mjs';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS records (
+  collection TEXT NOT NULL,
+  id         TEXT NOT NULL,
+  version    INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT,
+  data       TEXT NOT NULL,
+  PRIMARY KEY (collection, id)
+);
+CREATE TABLE IF NOT EXISTS revisions (
+  collection TEXT NOT NULL,
+  id         TEXT NOT NULL,
+  rev        INTEGER NOT NULL,
+  at         TEXT NOT NULL,
+  author     TEXT,
+  source     TEXT,
+  deleted    INTEGER NOT NULL DEFAULT 0,
+  item       TEXT NOT NULL,
+  PRIMARY KEY (collection, id, rev)
+);
+`;
+
+/** revisions 행 → 이력 엔트리 (JSON 어댑터와 같은 모양) */
+function rowToRevision(r) {
+  return {
+    rev: r.rev,
+    at: r.at,
+    author: r.author,
+    source: r.source,
+    ...(r.deleted ? { deleted: true } : {}),
+    item: JSON.parse(r.item),
+  };
+}
+
+/**
+ * SQLite 저장소 생성
+ * @param {string} filePath - .sqlite 파일 경로
+ * @returns {Promise<import('./storage.mjs').Store>}
+ */
+export async function createSqliteStore(filePath) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    throw new Error(`STORAGE_BACKEND=sqlite 에는 better-sqlite3 패키지가 필요합니다 (npm i better-sqlite3): ${e.message}`);
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const sqlite = new Database(filePath);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.exec(SCHEMA);
+
+  const stmt = {
+    getRecord:     sqlite.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    listRecords:   sqlite.prepare('SELECT data FROM records WHERE collection = ? ORDER BY id'),
+    setRecord:     sqlite.prepare(`INSERT INTO records (collection, id, version, updated_at, data) VALUES (?, ?, ?, ?, ?)
+                                   ON CONFLICT (collection, id) DO UPDATE SET
+                                     version = excluded.version, updated_at = excluded.updated_at, data = excluded.data`),
+    deleteRecord:  sqlite.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    listRevisions: sqlite.prepare('SELECT * FROM revisions WHERE collection = ? AND id = ? ORDER BY rev'),
+    allRecords:    sqlite.prepare('SELECT collection, id, data FROM records'),
+    allRevisions:  sqlite.prepare('SELECT * FROM revisions ORDER BY collection, id, rev'),
+    addRevision:   sqlite.prepare(`INSERT INTO revisions (collection, id, rev, at, author, source, deleted, item)
+                                   VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+  };
+
+  /** @type {import('./storage.mjs').TxBackend} */
+  const backend = {
+    getRecord(c, id) {
+      const row = stmt.getRecord.get(c, id);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    listRecords: (c) => stmt.listRecords.all(c).map(r => JSON.parse(r.data)),
+    setRecord(c, id, item) {
+      stmt.setRecord.run(c, id, item.version ?? 0, item.updatedAt ?? null, JSON.stringify(item));
+    },
+    deleteRecord: (c, id) => { stmt.deleteRecord.run(c, id); },
+    listRevisions: (c, id) => stmt.listRevisions.all(c, id).map(rowToRevision),
+    addRevision(c, id, r) {
+      stmt.addRevision.run(c, id, r.rev, r.at, r.author ?? null, r.source ?? null, r.deleted ? 1 : 0, JSON.stringify(r.item));
+    },
+  };
+
+  const enqueue = createQueue();
+
+  /** 큐 안에서 BEGIN IMMEDIATE ~ COMMIT (예외 시 ROLLBACK) */
+  function inTransaction(fn) {
+    return enqueue(async () => {
+      sqlite.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn();
+        sqlite.exec('COMMIT');
+        return result;
+      } catch (e) {
+        if (sqlite.inTransaction) sqlite.exec('ROLLBACK');
+        throw e;
+      }
+    });
+  }
+
+  /** 전체 스냅샷 (JSON 어댑터의 db.json과 같은 구조) */
+  function snapshot() {
+    const db = normalizeDb();
+    for (const r of stmt.allRecords.all()) {
+      if (db[r.collection]) db[r.collection][r.id] = JSON.parse(r.data);
+    }
+    for (const r of stmt.allRevisions.all()) {
+      if (db.revisions[r.collection]) (db.revisions[r.collection][r.id] ||= []).push(rowToRevision(r));
+    }
+    return db;
+  }
+
+  return finishStore({
+    backend: 'sqlite',
+    async read() { return snapshot(); },
+
+    transact(fn) {
+      return inTransaction(() => fn(createTx(backend)));
+    },
+
+    async list(collection) { return backend.listRecords(collection); },
+    async get(collection, id) { return backend.getRecord(collection, id) || null; },
+    async listRevisions(collection, id) { return backend.listRevisions(collection, id); },
+
+    replaceAll(data) {
+      const db = normalizeDb(data);
+      return inTransaction(() => {
+        sqlite.exec('DELETE FROM records; DELETE FROM revisions;');
+        for (const c of COLLECTIONS) {
+          for (const [id, item] of Object.entries(db[c])) backend.setRecord(c, id, item);
+          for (const [id, list] of Object.entries(db.revisions[c])) {
+            for (const r of list) backend.addRevision(c, id, r);
+          }
+        }
+      });
+    },
+
+    close() {
+      return enqueue(() => { sqlite.close(); });
+    },
+  });
+}
@@ -0,0 +1,253 @@
+// server/storage.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/storage.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 요구사항/코드/다이어그램(+이력) 저장소 인터페이스와 공통 로직
+ *  - 백엔드 선택: STORAGE_BACKEND=json(기본) | sqlite
+ *  - 레코드 단위 갱신 + 낙관적 동시성(version, 불일치 시 409)
+ *
+ * 구성
+ *  - storage.mjs        : 인터페이스/에러/트랜잭션 공통 처리 + createStore()
+ *  - storage-json.mjs   : outputs/db.json 어댑터 (기본)
+ *  - storage-sqlite.mjs : 내장 SQLite(better-sqlite3) 어댑터
+ *
+ * 비고
+ *  - 쓰기는 어댑터마다 프로세스 내부 큐로 직렬화. 같은 저장소를 여러 서버 프로세스가
+ *    동시에 쓰는 구성은 지원하지 않음
+ * ============================================
+ */
+
+/** 레코드 컬렉션 */
+export const COLLECTIONS = ['requirements', 'codes', 'diagrams'];
+
+/** 이력 출처 */
+export const REVISION_SOURCES = ['manual', 'req2mm', 'code2mm', 'mm2code', 'import', 'restore', 'delete', 'cascade', 'review'];
+
+/**
+ * 저장소 인터페이스 (어댑터가 구현)
+ * @typedef {object} Store
+ * @property {() => Promise<object>} read                     전체 스냅샷 { requirements, codes, diagrams, revisions }
+ * @property {(fn: (tx: Tx) => any) => Promise<any>} transact  직렬화된 트랜잭션
+ * @property {(collection: string) => Promise<object[]>} list
+ * @property {(collection: string, id: string) => Promise<object|null>} get
+ * @property {(collection: string, id: string, data: object, opts?: PutOptions) => Promise<{ item: object, rev: number }>} put
+ * @property {(collection: string, id: string) => Promise<object[]>} listRevisions
+ * @property {(collection: string, id: string, rev: number|string) => Promise<object|null>} getRevision
+ * @property {(collection: string, id: string, rev: number|string, opts?: RestoreOptions) => Promise<{ item: object, rev: number }>} restore
+ * @property {(snapshot: object) => Promise<void>} replaceAll 스냅샷으로 전체 교체 (마이그레이션용)
+ * @property {() => Promise<void>} close
+ *
+ * @typedef {{ expectedVersion?: number|string, author?: string, source?: string }} PutOptions
+ * @typedef {{ author?: string, prepare?: (current: object|null, snapshot: object) => object }} RestoreOptions
+ *  - prepare: 되돌릴 스냅샷 → 실제 저장할 데이터 (생략 시 스냅샷 그대로)
+ *
+ * 트랜잭션 핸들
+ * @typedef {object} Tx
+ * @property {(collection: string, id: string) => object|null} get
+ * @property {(collection: string) => object[]} list
+ * @property {(collection: string, id: string, data: object, opts?: PutOptions) => { item: object, rev: number }} put
+ * @property {(collection: string, id: string, opts?: PutOptions) => object} remove
+ * @property {(collection: string, id: string) => object[]} revisions
+ * @property {(collection: string, id: string, revisions: object[]) => void} adoptRevisions
+ * @property {boolean} dirty
+ *
+ * 어댑터가 트랜잭션 안에서 제공하는 동기 기본 연산
+ * @typedef {object} TxBackend
+ * @property {(collection: string, id: string) => object|undefined} getRecord
+ * @property {(collection: string) => object[]} listRecords
+ * @property {(collection: string, id: string, item: object) => void} setRecord
+ * @property {(collection: string, id: string) => void} deleteRecord
+ * @property {(collection: string, id: string) => object[]} listRevisions
+ * @property {(collection: string, id: string, rev: object) => void} addRevision
+ */
+
+/** 낙관적 동시성 충돌 (HTTP 409) */
+export class ConflictError extends Error {
+  constructor(collection, id, expected, current) {
+    super(`버전 충돌: ${collection}/${id} (요청 버전 ${expected}, 현재 버전 ${current?.version ?? 0})`);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.code = 'VERSION_CONFLICT';
+    this.current = current || null;
+  }
+}
+
+/** 레코드 없음 (HTTP 404) */
+export class NotFoundError extends Error {
+  constructor(collection, id) {
+    super(`NOT_FOUND: ${collection}/${id}`);
+    this.name = 'NotFoundError';
+    this.status = 404;
+    this.code = 'NOT_FOUND';
+  }
+}
+
+/** 스냅샷 구조 보장 (빠진 컬렉션은 빈 객체) */
+export function normalizeDb(j = {}) {
+  const revisions = j.revisions || {};
+  const db = { revisions: {} };
+  for (const c of COLLECTIONS) {
+    db[c] = j[c] || {};
+    db.revisions[c] = revisions[c] || {};
+  }
+  return db;
+}
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+/** 스냅샷/복원 시 저장소 관리 필드 제거 */
+function stripMeta(item) {
+  const { version, updatedAt, updatedBy, ...rest } = item || {};
+  return rest;
+}
+
+/**
+ * 요청 버전 검사
+ * - expectedVersion이 undefined/null/''이면 검사하지 않음(무조건 덮어쓰기)
+ * - 버전 필드가 없는 기존 레코드는 0으로 간주
+ */
+function checkVersion(collection, id, current, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') return;
+  const actual = current?.version ?? 0;
+  if (Number(expectedVersion) !== actual) throw new ConflictError(collection, id, expectedVersion, current);
+}
+
+/**
+ * 이력 엔트리 생성
+ * - item은 저장 직후 상태의 스냅샷 (삭제 시에는 삭제 직전 상태 + deleted: true)
+ * - source가 목록에 없으면 'manual'로 간주
+ */
+function makeRevision(prev, item, { author, source, deleted } = {}) {
+  return {
+    rev: (prev[prev.length - 1]?.rev || 0) + 1,
+    at: new Date().toISOString(),
+    author: String(author || '').trim() || 'anonymous',
+    source: REVISION_SOURCES.includes(source) ? source : 'manual',
+    ...(deleted ? { deleted: true } : {}),
+    item: clone(item),
+  };
+}
+
+/**
+ * 트랜잭션 핸들 생성 (어댑터 공통)
+ * - put/remove는 버전 검사 → 버전 증가 → 이력 기록까지 한 번에 처리
+ * @param {TxBackend} b
+ * @returns {Tx}
+ */
+export function createTx(b) {
+  const tx = {
+    dirty: false,
+    get: (collection, id) => b.getRecord(collection, id) || null,
+    list: (collection) => b.listRecords(collection),
+    revisions: (collection, id) => b.listRevisions(collection, id),
+
+    put(collection, id, data, { expectedVersion, author, source } = {}) {
+      const current = b.getRecord(collection, id);
+      checkVersion(collection, id, current, expectedVersion);
+      const history = b.listRevisions(collection, id);
+      // 삭제 후 복원/재생성이어도 버전은 이어서 증가 (이전 버전 번호 재사용 방지)
+      const base = current?.version ?? history.at(-1)?.item?.version ?? 0;
+      const item = {
+        ...stripMeta(data),
+        version: base + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: String(author || '').trim() || 'anonymous',
+      };
+      b.setRecord(collection, id, item);
+      const rev = makeRevision(history, item, { author, source });
+      b.addRevision(collection, id, rev);
+      tx.dirty = true;
+      return { item, rev: rev.rev };
+    },
+
+    /** 레코드 삭제 (이력은 남김) */
+    remove(collection, id, { expectedVersion, author } = {}) {
+      const current = b.getRecord(collection, id);
+      if (!current) throw new NotFoundError(collection, id);
+      checkVersion(collection, id, current, expectedVersion);
+      b.addRevision(collection, id, makeRevision(b.listRevisions(collection, id), current, { author, source: 'delete', deleted: true }));
+      b.deleteRecord(collection, id);
+      tx.dirty = true;
+      return current;
+    },
+
+    /**
+     * 다른 저장소의 이력을 그대로 들여옴 (번들 가져오기용)
+     * - 이 ID의 이력이 하나도 없을 때만 (리비전 번호 충돌 방지)
+     * - 레코드 값은 건드리지 않음 → 이어서 put 하면 마지막 리비전의 버전 다음부터 증가
+     */
+    adoptRevisions(collection, id, revisions) {
+      if (b.listRevisions(collection, id).length) throw new Error(`이력이 이미 있습니다: ${collection}/${id}`);
+      for (const r of revisions) {
+        b.addRevision(collection, id, {
+          rev: r.rev,
+          at: r.at,
+          author: String(r.author || '').trim() || 'anonymous',
+          source: REVISION_SOURCES.includes(r.source) ? r.source : 'manual',
+          ...(r.deleted ? { deleted: true } : {}),
+          item: clone(r.item),
+        });
+      }
+      if (revisions.length) tx.dirty = true;
+    },
+  };
+  return tx;
+}
+
+/** 쓰기 큐 (앞 작업의 성공/실패와 무관하게 순서대로 실행) */
+export function createQueue() {
+  let queue = Promise.resolve();
+  return function enqueue(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * 어댑터 핵심 연산(read/transact/list/get/listRevisions/replaceAll/close)에
+ * 공통 파생 연산(put/getRevision/restore)을 붙여 Store 완성
+ */
+export function finishStore(core) {
+  const store = {
+    ...core,
+    put(collection, id, data, opts) {
+      return store.transact(tx => tx.put(collection, id, data, opts));
+    },
+    async getRevision(collection, id, rev) {
+      const list = await store.listRevisions(collection, id);
+      return list.find(r => r.rev === Number(rev)) || null;
+    },
+    /** 리비전 스냅샷을 현재 값으로 되돌리고 'restore' 리비전 추가 */
+    restore(collection, id, rev, { author, prepare } = {}) {
+      return store.transact(tx => {
+        const r = tx.revisions(collection, id).find(x => x.rev === Number(rev));
+        if (!r) throw new NotFoundError(collection, `${id}@${rev}`);
+        const data = prepare ? prepare(tx.get(collection, id), r.item) : r.item;
+        return tx.put(collection, id, data, { author, source: 'restore' });
+      });
+    },
+  };
+  return store;
+}
+
+/**
+ * 저장소 생성 (백엔드 선택)
+ * @param {{ backend?: 'json'|'sqlite', jsonPath: string, sqlitePath: string }} opts
+ * @returns {Promise<Store>}
+ */
+export async function createStore({ backend = 'json', jsonPath, sqlitePath }) {
+  const b = String(backend || 'json').toLowerCase();
+  if (b === 'json') {
+    const { createJsonStore } = await import('./storage-json.mjs');
+    return createJsonStore(jsonPath);
+  }
+  if (b === 'sqlite') {
+    const { createSqliteStore } = await import('./storage-sqlite.mjs');
+    return createSqliteStore(sqlitePath);
+  }
+  throw new Error(`알 수 없는 STORAGE_BACKEND: ${backend} (json | sqlite)`);
+}
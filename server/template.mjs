@@ -0,0 +1,146 @@
+// server/template.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/template.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 문서 템플릿 렌더링 (Mustache 부분 문법, 외부 패키지 없음)
+ *
+ * 문법
+ *  - {{name}}        : 값 (escape 함수 적용), 점 경로 가능 ({{a.b}}), {{.}} 은 현재 값
+ *  - {{{name}}} / {{& name}} : 값 그대로 (HTML/SVG 조각용)
+ *  - {{#name}}…{{/name}} : 배열이면 항목마다 반복, 객체면 그 값을 기준으로 한 번, 참이면 한 번, 거짓/빈 배열이면 생략
+ *  - {{^name}}…{{/name}} : 거짓/빈 배열일 때만
+ *  - {{! 주석 }}
+ *
+ * 비고
+ *  - 이름은 현재 값 → 바깥 값 순으로 찾음 (반복 안에서도 문서 전체 값 사용 가능)
+ *  - 섹션/주석 태그만 있는 줄은 줄째로 지움 (Markdown 빈 줄이 생기지 않게)
+ *  - partial({{> name}}), 구분자 변경, 함수 값(lambda)은 지원하지 않음
+ * ============================================
+ */
+
+const TAG_RE = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#^/!&>=]?)\s*([^}]*?)\s*\}\}/g;
+
+/** 템플릿 오류 (줄 번호 포함, 400 TEMPLATE_ERROR) */
+export class TemplateError extends Error {
+  constructor(message, line) {
+    super(`템플릿 오류 (${line}번째 줄): ${message}`);
+    this.name = 'TemplateError';
+    this.status = 400;
+    this.code = 'TEMPLATE_ERROR';
+    this.line = line;
+  }
+}
+
+/**
+ * @typedef {{ type: 'text', value: string }
+ *   | { type: 'value', name: string, raw: boolean }
+ *   | { type: 'section', name: string, inverted: boolean, children: TemplateNode[], line: number }} TemplateNode
+ */
+
+/**
+ * 템플릿 텍스트 → 노드 트리
+ * @param {string} src
+ * @returns {TemplateNode[]}
+ */
+export function parseTemplate(src) {
+  const text = String(src ?? '').replace(/\r\n?/g, '\n');
+  const lineAt = (i) => text.slice(0, i).split('\n').length;
+  const root = { children: [] };
+  const stack = [root];
+  const push = (node) => stack[stack.length - 1].children.push(node);
+  let pos = 0;
+  TAG_RE.lastIndex = 0;
+  for (let m; (m = TAG_RE.exec(text));) {
+    const type = m[1] !== undefined ? '&' : m[2];
+    const name = m[1] ?? m[3];
+    let start = m.index;
+    let end = TAG_RE.lastIndex;
+
+    // 섹션/주석 태그만 있는 줄은 줄째로 제거
+    if (type && '#^/!'.includes(type)) {
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const nl = text.indexOf('\n', end);
+      const lineEnd = nl < 0 ? text.length : nl + 1;
+      if (/^[ \t]*$/.test(text.slice(lineStart, start)) && /^[ \t]*\n?$/.test(text.slice(end, lineEnd)) && lineStart >= pos) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+    if (start > pos) push({ type: 'text', value: text.slice(pos, start) });
+    pos = end;
+    TAG_RE.lastIndex = end;
+
+    if (type === '!') continue;
+    if (type === '>' || type === '=') throw new TemplateError(`지원하지 않는 태그입니다: {{${type}${name}}}`, lineAt(m.index));
+    if (!name) throw new TemplateError('태그 이름이 없습니다.', lineAt(m.index));
+    if (type === '#' || type === '^') {
+      const node = { type: 'section', name, inverted: type === '^', children: [], line: lineAt(m.index) };
+      push(node);
+      stack.push(node);
+    } else if (type === '/') {
+      const open = stack.pop();
+      if (stack.length === 0 || open.name !== name) {
+        throw new TemplateError(`{{/${name}}} 가 ${open?.name ? `{{#${open.name}}} 와 맞지 않습니다.` : '여는 태그 없이 나왔습니다.'}`, lineAt(m.index));
+      }
+    } else {
+      push({ type: 'value', name, raw: type === '&' });
+    }
+  }
+  if (pos < text.length) push({ type: 'text', value: text.slice(pos) });
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`{{#${open.name}}} 가 닫히지 않았습니다.`, open.line);
+  }
+  return root.children;
+}
+
+/** 이름 → 값 (안쪽 문맥부터, 점 경로) */
+function lookup(name, contexts) {
+  if (name === '.') return contexts[contexts.length - 1];
+  const [head, ...rest] = name.split('.');
+  let value;
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const ctx = contexts[i];
+    if (ctx !== null && typeof ctx === 'object' && head in ctx) { value = ctx[head]; break; }
+  }
+  for (const key of rest) value = value === null || value === undefined ? undefined : value[key];
+  return value;
+}
+
+const isEmpty = (v) => !v || (Array.isArray(v) && !v.length);
+
+/**
+ * 템플릿 렌더링
+ * @param {string|TemplateNode[]} template - 템플릿 텍스트 또는 parseTemplate 결과
+ * @param {object} view
+ * @param {{ escape?: (s: string) => string }} [opts] - {{name}} 에 적용할 이스케이프 (기본: 그대로)
+ * @returns {string}
+ */
+export function renderTemplate(template, view, { escape = (s) => s } = {}) {
+  const nodes = typeof template === 'string' ? parseTemplate(template) : template;
+  const out = [];
+  const walk = (list, contexts) => {
+    for (const node of list) {
+      if (node.type === 'text') { out.push(node.value); continue; }
+      const value = lookup(node.name, contexts);
+      if (node.type === 'value') {
+        if (value === null || value === undefined) continue;
+        const s = Array.isArray(value) ? value.join(', ') : String(value);
+        out.push(node.raw ? s : escape(s));
+        continue;
+      }
+      if (node.inverted) {
+        if (isEmpty(value)) walk(node.children, contexts);
+      } else if (Array.isArray(value)) {
+        for (const item of value) walk(node.children, [...contexts, item]);
+      } else if (!isEmpty(value)) {
+        walk(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+      }
+    }
+  };
+  walk(nodes, [view]);
+  return out.join('');
+}
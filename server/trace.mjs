@@ -0,0 +1,283 @@
+// server/trace.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/trace.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 요구사항 계층(SYS → SW → SW_DES → SW_TEST) 규칙
+ *  - 요구사항/다이어그램/코드 연결로 추적성 매트릭스 + 누락(gap) 계산
+ *
+ * 연결 필드
+ *  - Requirement.parentId      : 상위 요구사항 (자기보다 앞 단계 종류만 허용)
+ *  - Diagram.links.reqId       : 다이어그램을 만든 요구사항 (req2mm)
+ *  - Diagram.links.swReqId     : 연결된 SW TEST 요구사항 (code2mm/mm2code)
+ *  - Diagram.links.codeId      : 연결된 코드
+ *  - CodeItem.swReqId          : 연결된 SW TEST 요구사항
+ * ============================================
+ */
+
+/** 요구사항 단계 (앞일수록 상위) */
+export const REQ_LEVELS = ['SYS', 'SW', 'SW_DES', 'SW_TEST'];
+
+/**
+ * 누락 코드
+ * - 요구사항: NO_PARENT(SYS 외 상위 없음), PARENT_MISSING(상위 ID 없음), NO_CHILD(하위 요구사항 없음),
+ *             NO_DIAGRAM(SW/SW_DES 다이어그램 없음), NO_CODE(SW_DES/SW_TEST 코드 없음)
+ * - 다이어그램: NO_REQ(요구사항 연결 없음), NO_CODE(코드 연결 없음), BROKEN_LINK(없는 ID 참조)
+ * - 코드: NO_REQ(SW TEST 연결 없음), NO_DIAGRAM(다이어그램 연결 없음), BROKEN_LINK
+ */
+export const GAP_CODES = ['NO_PARENT', 'PARENT_MISSING', 'NO_CHILD', 'NO_DIAGRAM', 'NO_CODE', 'NO_REQ', 'BROKEN_LINK'];
+
+/** 요구사항 단계 이름 (그래프 묶음/설계 문서 장 제목) */
+export const REQ_LEVEL_TITLES = { SYS: '체계 요구사항', SW: 'SW 요구사항', SW_DES: 'SW 설계 요구사항', SW_TEST: 'SW TEST 요구사항' };
+
+/** 누락 코드 → 표시 이름 */
+export const GAP_LABELS = {
+  NO_PARENT: '상위 없음', PARENT_MISSING: '상위 ID 없음', NO_CHILD: '하위 없음',
+  NO_DIAGRAM: '다이어그램 없음', NO_CODE: '코드 없음', NO_REQ: '요구사항 없음', BROKEN_LINK: '끊긴 연결',
+};
+
+const levelOf = (t) => REQ_LEVELS.indexOf(t);
+
+/**
+ * 상위 요구사항 검사 (저장 전)
+ * - parentId가 비어 있으면 통과
+ * - 자기 자신/없는 ID/같거나 하위 단계 종류는 오류
+ * @param {{ id: string, reqType: string, parentId?: string }} reqItem
+ * @param {object|null} parent - parentId로 조회한 요구사항
+ */
+export function assertValidParent(reqItem, parent) {
+  const { id, reqType, parentId } = reqItem;
+  if (!parentId) return;
+  if (parentId === id) throw new Error('상위 요구사항으로 자기 자신을 지정할 수 없습니다.');
+  if (!parent) throw new Error(`상위 요구사항이 없습니다: ${parentId}`);
+  if (levelOf(reqType) < 0) throw new Error(`알 수 없는 요구사항 종류: ${reqType}`);
+  if (levelOf(parent.reqType) < 0 || levelOf(parent.reqType) >= levelOf(reqType)) {
+    throw new Error(`${reqType} 요구사항의 상위는 ${REQ_LEVELS.slice(0, levelOf(reqType)).join('/') || '(없음)'} 이어야 합니다: ${parentId} (${parent.reqType})`);
+  }
+}
+
+/** key → 값 배열 맵 */
+function groupBy(items, keyOf) {
+  const m = new Map();
+  for (const it of items) {
+    const k = keyOf(it);
+    if (!k) continue;
+    if (!m.has(k)) m.set(k, []);
+    m.get(k).push(it);
+  }
+  return m;
+}
+
+const uniq = (arr) => [...new Set(arr)];
+
+/**
+ * 추적성 매트릭스
+ * @param {{ requirements: object[], diagrams: object[], codes: object[] }} data
+ * @returns {{
+ *   requirements: Array<{ id, reqType, title, parentId, children: string[], diagrams: string[], codes: string[], gaps: string[] }>,
+ *   diagrams: Array<{ diagramId, kind, reqId, swReqId, codeId, gaps: string[] }>,
+ *   codes: Array<{ codeId, language, swReqId, diagrams: string[], gaps: string[] }>,
+ *   summary: Record<string, { total: number, covered: number, gaps: Record<string, number> }>
+ * }}
+ */
+export function buildTraceMatrix({ requirements, diagrams, codes }) {
+  const reqById = new Map(requirements.map(r => [r.id, r]));
+  const codeById = new Map(codes.map(c => [c.codeId, c]));
+  const childrenOf = groupBy(requirements, r => r.parentId);
+  const diagramsOfReq = new Map();
+  for (const d of diagrams) {
+    for (const rid of uniq([d.links?.reqId, d.links?.swReqId].filter(Boolean))) {
+      if (!diagramsOfReq.has(rid)) diagramsOfReq.set(rid, []);
+      diagramsOfReq.get(rid).push(d);
+    }
+  }
+  const codesOfReq = groupBy(codes, c => c.swReqId);
+  const diagramsOfCode = groupBy(diagrams, d => d.links?.codeId);
+
+  const reqRows = requirements
+    .slice()
+    .sort((a, b) => levelOf(a.reqType) - levelOf(b.reqType) || String(a.id).localeCompare(String(b.id)))
+    .map(r => {
+      const level = levelOf(r.reqType);
+      const children = (childrenOf.get(r.id) || []).map(c => c.id);
+      const dias = (diagramsOfReq.get(r.id) || []);
+      // 코드: 직접 연결(swReqId) + 이 요구사항의 다이어그램이 가리키는 코드
+      const codeIds = uniq([
+        ...(codesOfReq.get(r.id) || []).map(c => c.codeId),
+        ...dias.map(d => d.links?.codeId).filter(id => id && codeById.has(id)),
+      ]);
+      const gaps = [];
+      if (level > 0 && !r.parentId) gaps.push('NO_PARENT');
+      if (r.parentId && !reqById.has(r.parentId)) gaps.push('PARENT_MISSING');
+      if (level >= 0 && level < REQ_LEVELS.length - 1 && !children.length) gaps.push('NO_CHILD');
+      if ((r.reqType === 'SW' || r.reqType === 'SW_DES') && !dias.length) gaps.push('NO_DIAGRAM');
+      if ((r.reqType === 'SW_DES' || r.reqType === 'SW_TEST') && !codeIds.length) gaps.push('NO_CODE');
+      return {
+        id: r.id,
+        reqType: r.reqType,
+        title: r.title || '',
+        parentId: r.parentId || '',
+        children,
+        diagrams: dias.map(d => d.diagramId),
+        codes: codeIds,
+        gaps,
+      };
+    });
+
+  const diagramRows = diagrams.map(d => {
+    const { reqId = '', swReqId = '', codeId = '' } = d.links || {};
+    const gaps = [];
+    if (!reqId && !swReqId) gaps.push('NO_REQ');
+    if (!codeId) gaps.push('NO_CODE');
+    if ((reqId && !reqById.has(reqId)) || (swReqId && !reqById.has(swReqId)) || (codeId && !codeById.has(codeId))) {
+      gaps.push('BROKEN_LINK');
+    }
+    return { diagramId: d.diagramId, kind: d.kind, reqId, swReqId, codeId, gaps };
+  });
+
+  const codeRows = codes.map(c => {
+    const dias = (diagramsOfCode.get(c.codeId) || []).map(d => d.diagramId);
+    const gaps = [];
+    if (!c.swReqId) gaps.push('NO_REQ');
+    if (!dias.length) gaps.push('NO_DIAGRAM');
+    if (c.swReqId && !reqById.has(c.swReqId)) gaps.push('BROKEN_LINK');
+    return { codeId: c.codeId, language: c.language, swReqId: c.swReqId || '', diagrams: dias, gaps };
+  });
+
+  // 요약: 요구사항 종류별 + diagram/code
+  const summary = {};
+  const tally = (key, rows) => {
+    const s = summary[key] ||= { total: 0, covered: 0, gaps: {} };
+    for (const row of rows) {
+      s.total++;
+      if (!row.gaps.length) s.covered++;
+      for (const g of row.gaps) s.gaps[g] = (s.gaps[g] || 0) + 1;
+    }
+  };
+  for (const t of REQ_LEVELS) tally(t, reqRows.filter(r => r.reqType === t));
+  tally('diagram', diagramRows);
+  tally('code', codeRows);
+
+  return { requirements: reqRows, diagrams: diagramRows, codes: codeRows, summary };
+}
+
+// -------------------- 추적성 그래프 (Mermaid flowchart) --------------------
+
+/** 노드 라벨 이스케이프 (Mermaid 엔티티 코드) */
+function mmLabel(s) {
+  return String(s ?? '')
+    .replace(/\r?\n/g, ' ')
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;')
+    .replace(/\{/g, '#123;')
+    .replace(/\}/g, '#125;');
+}
+
+const GRAPH_GROUPS = [
+  ...REQ_LEVELS.map(key => ({ key, title: REQ_LEVEL_TITLES[key] })),
+  { key: 'diagram', title: '다이어그램' },
+  { key: 'code', title: '소스코드' },
+];
+
+/**
+ * 추적성 그래프
+ * - 노드: 요구사항/다이어그램/코드 (Mermaid id는 R_n/D_n/C_n, 원래 ID는 nodes 맵으로 반환)
+ * - 엣지: parentId(상위 → 하위), links.reqId(요구사항 → 다이어그램), links.swReqId(점선),
+ *         links.codeId(다이어그램 → 코드), CodeItem.swReqId(SW TEST → 코드, 점선)
+ * - 누락(gaps)이 있는 노드는 붉은 테두리
+ * - focus: 'req:ID' | 'diagram:ID' | 'code:ID' 를 주면 그 노드와 연결된 부분만
+ * - onClick: 노드별 `click <id> call <onClick>("<id>")` 줄 추가 (클라이언트 전역 함수명)
+ * @param {{ requirements: object[], diagrams: object[], codes: object[] }} data
+ * @param {{ focus?: string, onClick?: string }} [opts]
+ * @returns {{ mermaid: string, nodes: Record<string, { type: 'req'|'diagram'|'code', id: string, kind?: string, gaps: string[] }> }}
+ */
+export function buildTraceGraph(data, { focus = '', onClick = '' } = {}) {
+  const matrix = buildTraceMatrix(data);
+  const nodes = new Map();   // key('req:ID') → { mid, type, id, group, label, gaps }
+  const add = (type, id, group, sub, gaps, extra = {}) => {
+    const key = `${type}:${id}`;
+    if (!nodes.has(key)) {
+      const prefix = type === 'req' ? 'R' : type === 'diagram' ? 'D' : 'C';
+      const label = sub ? `${mmLabel(id)}<br/>${mmLabel(sub)}` : mmLabel(id);
+      nodes.set(key, { mid: `${prefix}_${nodes.size}`, type, id, group, label, gaps, ...extra });
+    }
+  };
+  for (const r of matrix.requirements) add('req', r.id, r.reqType, r.title, r.gaps);
+  for (const d of matrix.diagrams) add('diagram', d.diagramId, 'diagram', `(${d.kind})`, d.gaps, { kind: d.kind });
+  for (const c of matrix.codes) add('code', c.codeId, 'code', `(${c.language})`, c.gaps);
+
+  // 엣지 (양 끝이 모두 존재하는 것만)
+  const edges = [];
+  const link = (from, to, label, dashed = false) => {
+    if (nodes.has(from) && nodes.has(to)) edges.push({ from, to, label, dashed });
+  };
+  for (const r of matrix.requirements) if (r.parentId) link(`req:${r.parentId}`, `req:${r.id}`, 'parent');
+  for (const d of matrix.diagrams) {
+    if (d.reqId) link(`req:${d.reqId}`, `diagram:${d.diagramId}`, 'reqId');
+    if (d.swReqId && d.swReqId !== d.reqId) link(`req:${d.swReqId}`, `diagram:${d.diagramId}`, 'swReqId', true);
+    if (d.codeId) link(`diagram:${d.diagramId}`, `code:${d.codeId}`, 'codeId');
+  }
+  for (const c of matrix.codes) if (c.swReqId) link(`req:${c.swReqId}`, `code:${c.codeId}`, 'swReqId', true);
+
+  // focus: 연결 요소만 남김 (방향 무시 BFS)
+  let keep = null;
+  if (focus) {
+    if (!nodes.has(focus)) throw new Error(`그래프에 없는 노드입니다: ${focus}`);
+    const adj = new Map();
+    for (const e of edges) {
+      if (!adj.has(e.from)) adj.set(e.from, []);
+      if (!adj.has(e.to)) adj.set(e.to, []);
+      adj.get(e.from).push(e.to);
+      adj.get(e.to).push(e.from);
+    }
+    keep = new Set([focus]);
+    const queue = [focus];
+    while (queue.length) {
+      for (const next of adj.get(queue.shift()) || []) {
+        if (!keep.has(next)) { keep.add(next); queue.push(next); }
+      }
+    }
+  }
+  const visible = [...nodes.entries()].filter(([key]) => !keep || keep.has(key));
+
+  const lines = ['flowchart LR'];
+  for (const g of GRAPH_GROUPS) {
+    const members = visible.filter(([, n]) => n.group === g.key);
+    if (!members.length) continue;
+    lines.push(`  subgraph grp_${g.key}["${g.title}"]`);
+    for (const [, n] of members) {
+      const shape = n.type === 'diagram' ? [`[/"`, `"/]`] : n.type === 'code' ? [`[["`, `"]]`] : [`["`, `"]`];
+      lines.push(`    ${n.mid}${shape[0]}${n.label}${shape[1]}`);
+    }
+    lines.push('  end');
+  }
+  for (const e of edges) {
+    if (keep && !(keep.has(e.from) && keep.has(e.to))) continue;
+    const arrow = e.dashed ? '-.->' : '-->';
+    lines.push(`  ${nodes.get(e.from).mid} ${arrow}|${e.label}| ${nodes.get(e.to).mid}`);
+  }
+  lines.push(
+    '  classDef req fill:#e8efff,stroke:#5b7bd5,color:#111;',
+    '  classDef diagram fill:#eafaf0,stroke:#2f9158,color:#111;',
+    '  classDef code fill:#fff6e5,stroke:#c08a2b,color:#111;',
+    '  classDef gap stroke:#cc4b4b,stroke-width:3px;',
+  );
+  for (const type of ['req', 'diagram', 'code']) {
+    const ids = visible.filter(([, n]) => n.type === type).map(([, n]) => n.mid);
+    if (ids.length) lines.push(`  class ${ids.join(',')} ${type};`);
+  }
+  const gapIds = visible.filter(([, n]) => n.gaps.length).map(([, n]) => n.mid);
+  if (gapIds.length) lines.push(`  class ${gapIds.join(',')} gap;`);
+  if (onClick) {
+    for (const [, n] of visible) lines.push(`  click ${n.mid} call ${onClick}("${n.mid}")`);
+  }
+
+  const nodeMap = {};
+  for (const [, n] of visible) {
+    nodeMap[n.mid] = { type: n.type, id: n.id, ...(n.kind ? { kind: n.kind } : {}), gaps: n.gaps };
+  }
+  return { mermaid: lines.join('\n'), nodes: nodeMap };
+}
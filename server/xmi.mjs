@@ -0,0 +1,560 @@
+// server/xmi.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/xmi.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 저장된 Mermaid(class / usecase) → UML 2.x XMI (Enterprise Architect, Papyrus, MagicDraw 등에서 가져오기)
+ *  - XMI 파일 → Mermaid (다른 UML 도구에서 만든 모델 가져오기)
+ *  - LLM 없이 규칙 기반으로 변환. 옮길 수 없는 표기는 건너뛰고 warnings에 기록
+ *
+ * 매핑 (classDiagram)
+ *  - class / <<interface>> / <<abstract>> / <<enumeration>> → uml:Class / uml:Interface / uml:Class isAbstract / uml:Enumeration
+ *  - 필드 → ownedAttribute(uml:Property), 메서드 → ownedOperation + ownedParameter (반환형은 direction="return")
+ *  - 클래스가 아닌 타입(int, string, List<T> …) → uml:PrimitiveType
+ *  - 제네릭 ~T~ → ownedTemplateSignature (ClassifierTemplateParameter)
+ *  - 상속 → generalization, 구현 → interfaceRealization (대상이 인터페이스가 아니면 uml:Realization)
+ *  - 연관/합성/집합/링크 → uml:Association + ownedEnd 2개
+ *      · 합성/집합: '부분' 쪽 끝에 aggregation="composite" / "shared"
+ *      · 방향 있는 연관(-->): 대상 쪽 끝을 navigableOwnedEnd 로
+ *      · 카디널리티 → lowerValue / upperValue
+ *  - 의존 → uml:Dependency (client → supplier)
+ *
+ * 매핑 (usecase: flowchart LR)
+ *  - «actor» 노드 → uml:Actor, 유스케이스 노드 → uml:UseCase, subgraph → uml:Package
+ *  - «include» / «extend» 연결 → uml:Include(addition) / uml:Extend(extendedCase)
+ *  - 그 외 연결 → uml:Association (화살표면 대상 쪽 끝을 navigableOwnedEnd 로)
+ *
+ * 비고
+ *  - 내보내기는 XMI 2.1 / UML 2.1 네임스페이스 (대부분의 도구가 읽음)
+ *  - 가져오기는 네임스페이스 버전과 접두어를 보지 않고 xmi:type 의 이름만 봄 (XMI 2.1 ~ 2.5.1)
+ *    · 타입 참조: type="id" / <type xmi:idref="id"/> / <type href="...#String"/> 모두 인식
+ *    · 연관 끝: ownedEnd / 클래스의 ownedAttribute(association="…") 모두 인식
+ *    · 도구별 확장(xmi:Extension)은 무시
+ *  - xmi:id 는 이름에서 만들어 같은 다이어그램은 항상 같은 XMI 가 나옴
+ * ============================================
+ */
+
+import { parseClassDiagram, renderClassModel } from './class-model.mjs';
+import { idAllocator, parseFlowchart, renderUsecaseFlowchart, toId, usecaseNodeType } from './flowchart.mjs';
+import { localName, parseXml, serializeXml } from './xml.mjs';
+
+/**
+ * @typedef {'class'|'usecase'} XmiKind
+ * @typedef {import('./xml.mjs').XmlElement} XmlElement
+ * @typedef {{ xmi: string, warnings: string[] }} MermaidToXmiResult
+ * @typedef {{ kind: XmiKind, mermaid: string, warnings: string[] }} XmiToMermaidResult
+ */
+
+/** XMI 변환을 지원하는 다이어그램 종류 */
+export const XMI_KINDS = ['class', 'usecase'];
+
+const XMI_NS = 'http://schema.omg.org/spec/XMI/2.1';
+const UML_NS = 'http://schema.omg.org/spec/UML/2.1';
+
+// -------------------- 공통 --------------------
+
+/** 경고 모음 (같은 문구는 한 번만) */
+function createWarnings() {
+  const set = new Set();
+  const warn = (msg) => set.add(msg);
+  warn.list = () => [...set];
+  return warn;
+}
+
+/** 요소 만들기 (serializeXml 입력) */
+const el = (name, attrs = {}, children = []) => ({ name, attrs, children, text: '' });
+
+const VISIBILITY_NAMES = { '+': 'public', '-': 'private', '#': 'protected', '~': 'package' };
+const VISIBILITY_MARKS = { public: '+', private: '-', protected: '#', package: '~' };
+
+/**
+ * 카디널리티 → { lower, upper } (해석 못 하면 null)
+ * - '1' / '0..1' / '1..*' / '*' / 'n' / 'many' / '2..5'
+ */
+function parseCard(card) {
+  const t = String(card || '').trim().toLowerCase();
+  if (/^(?:\*|n|many)$/.test(t)) return { lower: '0', upper: '*' };
+  const one = t.match(/^(\d+)$/);
+  if (one) return { lower: one[1], upper: one[1] };
+  const range = t.match(/^(\d+)\s*\.\.\s*(\d+|\*|n|many)$/);
+  if (range) return { lower: range[1], upper: /^\d+$/.test(range[2]) ? range[2] : '*' };
+  return null;
+}
+
+/** lower/upper → 카디널리티 표기 ('0..*' 는 '*' 로) */
+function formatCard(lower, upper) {
+  if (lower === '' && upper === '') return '';
+  const lo = lower === '' ? '1' : lower;
+  const up = upper === '' ? lo : upper === '-1' ? '*' : upper;
+  if (lo === up) return lo;
+  return lo === '0' && up === '*' ? '*' : `${lo}..${up}`;
+}
+
+/** 연관 끝 1개 (ownedEnd) */
+function associationEnd(id, typeId, assocId, card, aggregation, warn) {
+  const end = el('ownedEnd', { 'xmi:type': 'uml:Property', 'xmi:id': id, type: typeId, association: assocId, aggregation });
+  if (!card) return end;
+  const c = parseCard(card);
+  if (!c) { warn(`해석하지 못한 카디널리티는 옮기지 않음: ${card}`); return end; }
+  end.children.push(
+    el('lowerValue', { 'xmi:type': 'uml:LiteralInteger', 'xmi:id': `${id}_lower`, value: c.lower }),
+    el('upperValue', { 'xmi:type': 'uml:LiteralUnlimitedNatural', 'xmi:id': `${id}_upper`, value: c.upper }),
+  );
+  return end;
+}
+
+/** 모델 요소 목록 → XMI 문서 텍스트 */
+function xmiDocument(name, elements) {
+  return serializeXml(el('xmi:XMI', { 'xmi:version': '2.1', 'xmlns:xmi': XMI_NS, 'xmlns:uml': UML_NS }, [
+    el('xmi:Documentation', { exporter: 'UML ↔ Code Studio', exporterVersion: '1.0' }),
+    el('uml:Model', { 'xmi:type': 'uml:Model', 'xmi:id': 'model', name: name || 'Model' }, elements),
+  ]));
+}
+
+// -------------------- class: Mermaid → XMI --------------------
+
+/** 'K, V' → ['K', 'V'] (괄호 안의 쉼표는 나누지 않음) */
+function splitGenerics(text) {
+  const out = [];
+  let depth = 0, buf = '';
+  for (const ch of String(text)) {
+    if (ch === '<') depth++;
+    if (ch === '>') depth--;
+    if (ch === ',' && depth === 0) { out.push(buf.trim()); buf = ''; continue; }
+    buf += ch;
+  }
+  if (buf.trim()) out.push(buf.trim());
+  return out;
+}
+
+/** classDiagram → 모델 요소 목록 */
+function classDiagramToXmi(mermaid, warn) {
+  if (/^\s*namespace\b/m.test(mermaid)) warn('namespace 는 옮기지 않음 (클래스는 모델 바로 아래로)');
+  const model = parseClassDiagram(mermaid);
+  const alloc = idAllocator();
+  const classIds = new Map(model.classes.map(c => [c.name, alloc(`class_${c.name}`)]));
+  const stereotypes = new Map(model.classes.map(c => [c.name, c.stereotype]));
+
+  /** @type {Map<string, XmlElement>} 타입 이름 → uml:PrimitiveType */
+  const primitives = new Map();
+  const typeRef = (type) => {
+    const t = String(type || '').trim();
+    if (!t) return undefined;
+    if (classIds.has(t)) return classIds.get(t);
+    if (!primitives.has(t)) {
+      primitives.set(t, el('packagedElement', { 'xmi:type': 'uml:PrimitiveType', 'xmi:id': alloc(`type_${toId(t, 'T')}`), name: t }));
+    }
+    return primitives.get(t).attrs['xmi:id'];
+  };
+
+  /** @type {Map<string, XmlElement>} */
+  const classEls = new Map();
+  for (const c of model.classes) {
+    const id = classIds.get(c.name);
+    const type = { interface: 'uml:Interface', enumeration: 'uml:Enumeration' }[c.stereotype] || 'uml:Class';
+    if (c.stereotype && !['interface', 'enumeration', 'abstract'].includes(c.stereotype)) {
+      warn(`스테레오타입 <<${c.stereotype}>> 는 옮기지 않음`);
+    }
+    const node = el('packagedElement', {
+      'xmi:type': type, 'xmi:id': id, name: c.name, isAbstract: c.stereotype === 'abstract' ? 'true' : undefined,
+    });
+    if (c.generics) {
+      const sig = `${id}_signature`;
+      node.children.push(el('ownedTemplateSignature', { 'xmi:type': 'uml:RedefinableTemplateSignature', 'xmi:id': sig },
+        splitGenerics(c.generics).map((g, i) => el('ownedParameter', { 'xmi:type': 'uml:ClassifierTemplateParameter', 'xmi:id': `${sig}_${i + 1}` }, [
+          el('ownedParameteredElement', { 'xmi:type': 'uml:Class', 'xmi:id': `${sig}_${i + 1}_type`, name: g }),
+        ]))));
+    }
+    for (const f of c.fields) {
+      node.children.push(el('ownedAttribute', {
+        'xmi:type': 'uml:Property', 'xmi:id': alloc(`${id}_${toId(f.name, 'attr')}`), name: f.name,
+        visibility: VISIBILITY_NAMES[f.visibility], isStatic: f.isStatic ? 'true' : undefined, type: typeRef(f.type),
+      }));
+    }
+    for (const m of c.methods) {
+      const opId = alloc(`${id}_${toId(m.name, 'op')}`);
+      const params = m.params.map((p, i) => el('ownedParameter', {
+        'xmi:type': 'uml:Parameter', 'xmi:id': `${opId}_p${i + 1}`, name: p.name, direction: 'in', type: typeRef(p.type),
+      }));
+      if (m.returns) {
+        params.push(el('ownedParameter', { 'xmi:type': 'uml:Parameter', 'xmi:id': `${opId}_return`, name: 'return', direction: 'return', type: typeRef(m.returns) }));
+      }
+      node.children.push(el('ownedOperation', {
+        'xmi:type': 'uml:Operation', 'xmi:id': opId, name: m.name, visibility: VISIBILITY_NAMES[m.visibility],
+        isStatic: m.isStatic ? 'true' : undefined, isAbstract: m.isAbstract ? 'true' : undefined,
+      }, params));
+    }
+    c.values.forEach((v, i) => node.children.push(el('ownedLiteral', { 'xmi:type': 'uml:EnumerationLiteral', 'xmi:id': `${id}_literal${i + 1}`, name: v })));
+    classEls.set(c.name, node);
+  }
+
+  const packaged = [];
+  for (const r of model.relations) {
+    const from = classIds.get(r.from), to = classIds.get(r.to);
+    if ((r.fromCard || r.toCard) && ['inheritance', 'realization', 'dependency'].includes(r.kind)) {
+      warn('카디널리티는 연관/합성/집합/링크 관계만 옮김');
+    }
+    if (r.kind === 'inheritance') {
+      if (r.label) warn('상속 관계의 라벨은 옮기지 않음');
+      classEls.get(r.from).children.push(el('generalization', { 'xmi:type': 'uml:Generalization', 'xmi:id': alloc(`${from}_gen_${r.to}`), general: to }));
+    } else if (r.kind === 'realization') {
+      if (stereotypes.get(r.to) === 'interface' && stereotypes.get(r.from) !== 'interface') {
+        if (r.label) warn('구현 관계의 라벨은 옮기지 않음');
+        classEls.get(r.from).children.push(el('interfaceRealization', {
+          'xmi:type': 'uml:InterfaceRealization', 'xmi:id': alloc(`${from}_realizes_${r.to}`), client: from, supplier: to, contract: to,
+        }));
+      } else {
+        packaged.push(el('packagedElement', { 'xmi:type': 'uml:Realization', 'xmi:id': alloc(`real_${r.from}_${r.to}`), name: r.label, client: from, supplier: to }));
+      }
+    } else if (r.kind === 'dependency') {
+      packaged.push(el('packagedElement', { 'xmi:type': 'uml:Dependency', 'xmi:id': alloc(`dep_${r.from}_${r.to}`), name: r.label, client: from, supplier: to }));
+    } else {
+      const assocId = alloc(`assoc_${r.from}_${r.to}`);
+      const aggregation = { composition: 'composite', aggregation: 'shared' }[r.kind];
+      packaged.push(el('packagedElement', {
+        'xmi:type': 'uml:Association', 'xmi:id': assocId, name: r.label,
+        memberEnd: `${assocId}_src ${assocId}_dst`, navigableOwnedEnd: r.kind === 'association' ? `${assocId}_dst` : undefined,
+      }, [
+        associationEnd(`${assocId}_src`, from, assocId, r.fromCard, undefined, warn),
+        associationEnd(`${assocId}_dst`, to, assocId, r.toCard, aggregation, warn),
+      ]));
+    }
+  }
+  return [...classEls.values(), ...packaged, ...primitives.values()];
+}
+
+// -------------------- usecase: Mermaid → XMI --------------------
+
+const INCLUDE_EXTEND_RE = /^(?:«|<<)?\s*(include|extend)\s*(?:»|>>)?$/i;
+
+/** usecase flowchart → 모델 요소 목록 */
+function usecaseDiagramToXmi(mermaid, warn) {
+  const fc = parseFlowchart(mermaid, warn);
+  const alloc = idAllocator();
+  /** @type {Map<string, { type: string, node: XmlElement, group: string }>} */
+  const items = new Map();
+  let n = 0;
+  for (const node of fc.nodes.values()) {
+    const { type, name } = usecaseNodeType(node);
+    if (type === 'rect') { warn(`액터/유스케이스가 아닌 노드는 옮기지 않음: ${node.id}`); continue; }
+    const id = alloc(toId(node.id, `node${++n}`));
+    items.set(node.id, {
+      type, group: node.group,
+      node: el('packagedElement', { 'xmi:type': type === 'actor' ? 'uml:Actor' : 'uml:UseCase', 'xmi:id': id, name }),
+    });
+  }
+
+  const associations = [];
+  for (const e of fc.edges) {
+    const a = items.get(e.from), b = items.get(e.to);
+    if (!a || !b) continue;
+    const aId = a.node.attrs['xmi:id'], bId = b.node.attrs['xmi:id'];
+    const special = e.label.match(INCLUDE_EXTEND_RE);
+    if (special && a.type === 'usecase' && b.type === 'usecase') {
+      const rel = special[1].toLowerCase();
+      a.node.children.push(rel === 'include'
+        ? el('include', { 'xmi:type': 'uml:Include', 'xmi:id': alloc(`${aId}_include_${bId}`), addition: bId })
+        : el('extend', { 'xmi:type': 'uml:Extend', 'xmi:id': alloc(`${aId}_extend_${bId}`), extendedCase: bId }));
+      continue;
+    }
+    if (e.line === 'dotted') warn('«include»/«extend» 가 아닌 점선 연결은 연관(Association)으로 옮김');
+    const assocId = alloc(`assoc_${aId}_${bId}`);
+    const navigable = [e.both && `${assocId}_src`, e.arrow && `${assocId}_dst`].filter(Boolean).join(' ');
+    associations.push(el('packagedElement', {
+      'xmi:type': 'uml:Association', 'xmi:id': assocId, name: e.label,
+      memberEnd: `${assocId}_src ${assocId}_dst`, navigableOwnedEnd: navigable || undefined,
+    }, [
+      associationEnd(`${assocId}_src`, aId, assocId, '', undefined, warn),
+      associationEnd(`${assocId}_dst`, bId, assocId, '', undefined, warn),
+    ]));
+  }
+
+  // subgraph → 중첩 uml:Package
+  const packageOf = (groupId) => {
+    const items_ = [...items.values()].filter(x => x.group === groupId).map(x => x.node);
+    const subs = fc.groups.filter(g => g.parent === groupId).map(g => el('packagedElement', {
+      'xmi:type': 'uml:Package', 'xmi:id': alloc(toId(g.id, 'group')), name: g.title || g.id,
+    }, packageOf(g.id)));
+    return [...items_, ...subs];
+  };
+  return [...packageOf(''), ...associations];
+}
+
+/**
+ * 저장된 Mermaid → XMI
+ * @param {XmiKind} kind
+ * @param {string} mermaid
+ * @param {{ name?: string }} [opts] - 모델 이름 (보통 diagramId)
+ * @returns {MermaidToXmiResult}
+ */
+export function mermaidToXmi(kind, mermaid, { name = '' } = {}) {
+  const k = String(kind || '').toLowerCase();
+  if (!XMI_KINDS.includes(k)) throw new Error(`XMI 변환은 ${XMI_KINDS.join(' | ')} 만 지원합니다: ${kind}`);
+  const warn = createWarnings();
+  const elements = (k === 'class' ? classDiagramToXmi : usecaseDiagramToXmi)(String(mermaid || ''), warn);
+  return { xmi: xmiDocument(name, elements), warnings: warn.list() };
+}
+
+// -------------------- XMI 문서 색인 --------------------
+
+/**
+ * @typedef {Object} XmiIndex
+ * @property {Map<string, XmlElement>} byId
+ * @property {Map<XmlElement, XmlElement>} parents
+ * @property {XmlElement[]} all              - xmi:id 가 있는 요소 (문서 순서)
+ */
+
+/** xmi:type 을 생략하는 도구가 많은 소유 요소: 태그 이름 → 메타클래스 */
+const TAG_TYPES = { generalization: 'Generalization', interfaceRealization: 'InterfaceRealization', include: 'Include', extend: 'Extend' };
+
+/** 요소의 UML 메타클래스 이름 (xmi:type → 'uml:Class' 같은 태그 → 소유 요소 태그, 접두어 제외) */
+function umlType(e) {
+  if (e.attrs['xmi:type']) return localName(e.attrs['xmi:type']);
+  return e.name.includes(':') ? localName(e.name) : TAG_TYPES[e.name] || '';
+}
+
+/** 문서 → id 색인 (xmi:Extension 아래는 제외) */
+function indexXmi(root) {
+  /** @type {XmiIndex} */
+  const doc = { byId: new Map(), parents: new Map(), all: [] };
+  const visit = (node, parent) => {
+    if (localName(node.name) === 'Extension') return;
+    if (parent) doc.parents.set(node, parent);
+    if (node.attrs['xmi:id']) { doc.byId.set(node.attrs['xmi:id'], node); doc.all.push(node); }
+    for (const c of node.children) visit(c, node);
+  };
+  visit(root, null);
+  if (!doc.all.length) throw new Error('XMI 문서가 아닙니다. (xmi:id 가 있는 요소가 없습니다)');
+  return doc;
+}
+
+/** 참조 목록: 속성(공백 구분 id) + 같은 이름의 자식 요소(xmi:idref) */
+function refs(e, name) {
+  const out = String(e.attrs[name] || '').split(/\s+/).filter(Boolean);
+  for (const c of e.children) if (localName(c.name) === name && c.attrs['xmi:idref']) out.push(c.attrs['xmi:idref']);
+  return out;
+}
+
+/** 자식 요소 (태그 이름 기준, 접두어 무시) */
+const childrenNamed = (e, name) => e.children.filter(c => localName(c.name) === name);
+
+/** 다중성 → 카디널리티 표기 (lowerValue/upperValue 요소 또는 lower/upper 속성) */
+function cardOf(e) {
+  const value = (tag) => {
+    const v = childrenNamed(e, `${tag}Value`)[0];
+    if (v) return v.attrs.value ?? (tag === 'lower' ? '0' : '');
+    return e.attrs[tag] ?? '';
+  };
+  return formatCard(value('lower'), value('upper'));
+}
+
+/**
+ * 연관의 두 끝 (memberEnd 참조 → 없으면 ownedEnd)
+ * - 탐색 가능: navigableOwnedEnd 에 있거나, 클래스가 가진 ownedAttribute 이거나, isNavigable="true"
+ */
+function associationEnds(doc, assoc) {
+  let ends = refs(assoc, 'memberEnd').map(id => doc.byId.get(id)).filter(Boolean);
+  if (ends.length < 2) ends = childrenNamed(assoc, 'ownedEnd');
+  const navigable = new Set(refs(assoc, 'navigableOwnedEnd'));
+  return ends.map(e => ({
+    el: e,
+    type: refs(e, 'type')[0] || '',
+    navigable: navigable.has(e.attrs['xmi:id']) || localName(e.name) === 'ownedAttribute' || e.attrs.isNavigable === 'true',
+    aggregation: e.attrs.aggregation || 'none',
+    card: cardOf(e),
+  }));
+}
+
+// -------------------- class: XMI → Mermaid --------------------
+
+const CLASS_TYPES = new Set(['Class', 'Interface', 'Enumeration', 'DataType']);
+
+/** 임의 이름 → Mermaid 클래스 이름 ([A-Za-z_]\w*) */
+function toClassName(name, fallback) {
+  const id = String(name || '').replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  return !id || /^\d/.test(id) ? fallback : id;
+}
+
+/** 멤버/매개변수 이름 → classDiagram 에서 깨지지 않는 이름 (공백·기호는 '_') */
+const toMemberName = (name) => String(name).trim().replace(/[^\p{L}\p{N}_$]+/gu, '_');
+
+/** XMI 색인 → classDiagram 줄 */
+function xmiClassesToMermaid(doc, warn) {
+  const alloc = idAllocator();
+  const classEls = doc.all.filter(e => CLASS_TYPES.has(umlType(e)) && localName(e.name) !== 'ownedParameteredElement');
+  if (!classEls.length) throw new Error('XMI 에서 클래스를 찾지 못했습니다.');
+  /** @type {Map<string, string>} xmi:id → 클래스 이름 */
+  const names = new Map();
+  classEls.forEach((e, i) => {
+    const name = alloc(toClassName(e.attrs.name, `Class${i + 1}`));
+    if (e.attrs.name && name !== e.attrs.name) warn(`클래스 이름을 Mermaid 식별자로 바꿈: ${e.attrs.name} → ${name}`);
+    names.set(e.attrs['xmi:id'], name);
+  });
+
+  /** 타입 참조 → 타입 이름 */
+  const typeName = (e) => {
+    const ref = refs(e, 'type')[0];
+    if (ref) return names.get(ref) || doc.byId.get(ref)?.attrs.name || ref.replace(/^EA[A-Za-z]*_/, '');
+    const href = childrenNamed(e, 'type')[0]?.attrs.href;
+    return href ? decodeURIComponent(href.split('#').pop()) : '';
+  };
+  const visibility = (e) => VISIBILITY_MARKS[e.attrs.visibility] || '';
+
+  const classes = classEls.map(e => {
+    const type = umlType(e);
+    if (type === 'DataType') warn('uml:DataType 은 클래스로 옮김');
+    const generics = childrenNamed(e, 'ownedTemplateSignature').flatMap(sig => childrenNamed(sig, 'ownedParameter')).map(p => {
+      const owned = childrenNamed(p, 'ownedParameteredElement')[0];
+      return owned?.attrs.name || doc.byId.get(refs(p, 'parameteredElement')[0])?.attrs.name || '';
+    }).filter(Boolean);
+    return {
+      name: names.get(e.attrs['xmi:id']),
+      generics: generics.join(', '),
+      stereotype: type === 'Interface' ? 'interface' : type === 'Enumeration' ? 'enumeration' : e.attrs.isAbstract === 'true' ? 'abstract' : '',
+      values: childrenNamed(e, 'ownedLiteral').map(l => l.attrs.name).filter(Boolean),
+      fields: childrenNamed(e, 'ownedAttribute').filter(a => !a.attrs.association && a.attrs.name).map(a => {
+        const t = typeName(a);
+        const many = /^(?:\*|-1)$/.test(childrenNamed(a, 'upperValue')[0]?.attrs.value ?? a.attrs.upper ?? '');
+        return { name: toMemberName(a.attrs.name), type: t && many ? `${t}[]` : t, visibility: visibility(a), isStatic: a.attrs.isStatic === 'true' };
+      }),
+      methods: childrenNamed(e, 'ownedOperation').filter(o => o.attrs.name).map(o => {
+        const params = childrenNamed(o, 'ownedParameter');
+        const ret = params.find(p => p.attrs.direction === 'return');
+        return {
+          name: toMemberName(o.attrs.name),
+          params: params.filter(p => p !== ret).map((p, i) => ({ name: p.attrs.name ? toMemberName(p.attrs.name) : `arg${i + 1}`, type: typeName(p) })),
+          returns: ret ? typeName(ret) : '',
+          visibility: visibility(o),
+          isStatic: o.attrs.isStatic === 'true',
+          isAbstract: o.attrs.isAbstract === 'true',
+        };
+      }),
+    };
+  });
+
+  const relations = [];
+  const rel = (kind, from, to, label = '', fromCard = '', toCard = '') => {
+    if (!names.has(from) || !names.has(to)) { warn('클래스가 아닌 요소와의 관계는 옮기지 않음'); return; }
+    relations.push({ kind, from: names.get(from), to: names.get(to), label, fromCard, toCard });
+  };
+  for (const e of doc.all) {
+    const type = umlType(e);
+    const owner = doc.parents.get(e);
+    if (type === 'Generalization') rel('inheritance', owner?.attrs['xmi:id'], refs(e, 'general')[0]);
+    else if (type === 'InterfaceRealization' || type === 'Realization') {
+      rel('realization', refs(e, 'client')[0] || owner?.attrs['xmi:id'], refs(e, 'contract')[0] || refs(e, 'supplier')[0], e.attrs.name || '');
+    } else if (type === 'Dependency' || type === 'Usage' || type === 'Abstraction') {
+      rel('dependency', refs(e, 'client')[0], refs(e, 'supplier')[0], e.attrs.name || '');
+    } else if (type === 'Association') {
+      const ends = associationEnds(doc, e);
+      if (ends.length !== 2) { warn('끝이 2개가 아닌 연관은 옮기지 않음'); continue; }
+      const label = e.attrs.name || '';
+      const part = ends.findIndex(x => x.aggregation === 'composite' || x.aggregation === 'shared');
+      if (part >= 0) {
+        const [whole, piece] = [ends[1 - part], ends[part]];
+        rel(piece.aggregation === 'composite' ? 'composition' : 'aggregation', whole.type, piece.type, label, whole.card, piece.card);
+        continue;
+      }
+      const nav = ends.filter(x => x.navigable);
+      if (nav.length === 1) {
+        const [src, dst] = ends[0].navigable ? [ends[1], ends[0]] : ends;
+        rel('association', src.type, dst.type, label, src.card, dst.card);
+      } else {
+        rel('link', ends[0].type, ends[1].type, label, ends[0].card, ends[1].card);
+      }
+    }
+  }
+  return renderClassModel({ classes, relations });
+}
+
+// -------------------- usecase: XMI → Mermaid --------------------
+
+/** 유스케이스를 담는 요소 (subgraph 로 옮김) */
+const CONTAINER_TYPES = new Set(['Package', 'Component', 'Class', 'Subsystem']);
+/** 그대로 노드 id 로 쓸 만한 xmi:id */
+const READABLE_ID_RE = /^[A-Za-z][A-Za-z0-9_]{0,40}$/;
+
+/** XMI 색인 → flowchart LR 줄 */
+function xmiUsecasesToMermaid(doc, warn) {
+  const alloc = idAllocator();
+  const readableId = (e, fallback) => {
+    const xid = e.attrs['xmi:id'];
+    return alloc(READABLE_ID_RE.test(xid) ? toId(xid, fallback) : toId(e.attrs.name, fallback));
+  };
+
+  /** @type {Map<XmlElement, import('./flowchart.mjs').FlowGroup>} */
+  const groupOf = new Map();
+  const groups = [];
+  const ensureGroup = (container) => {
+    if (!container) return '';
+    if (!groupOf.has(container)) {
+      const parent = ensureGroup(containerOf(container));
+      const g = { id: readableId(container, `group${groups.length + 1}`), title: container.attrs.name || '', parent };
+      groupOf.set(container, g);
+      groups.push(g);
+    }
+    return groupOf.get(container).id;
+  };
+  const containerOf = (e) => {
+    for (let p = doc.parents.get(e); p; p = doc.parents.get(p)) {
+      if (CONTAINER_TYPES.has(umlType(p))) return p;
+    }
+    return null;
+  };
+
+  /** @type {Map<string, import('./flowchart.mjs').UsecaseNode>} xmi:id → 노드 */
+  const nodes = new Map();
+  let n = 0;
+  for (const e of doc.all) {
+    const type = umlType(e);
+    if (type !== 'Actor' && type !== 'UseCase') continue;
+    const kind = type === 'Actor' ? 'actor' : 'usecase';
+    const container = doc.byId.get(refs(e, 'subject')[0]) || containerOf(e);
+    nodes.set(e.attrs['xmi:id'], {
+      id: readableId(e, `${kind === 'actor' ? 'actor' : 'uc'}${++n}`),
+      label: e.attrs.name || e.attrs['xmi:id'],
+      type: kind,
+      group: container ? ensureGroup(container) : '',
+    });
+  }
+
+  const edges = [];
+  for (const e of doc.all) {
+    const type = umlType(e);
+    const owner = nodes.get(doc.parents.get(e)?.attrs['xmi:id']);
+    if (type === 'Include' || type === 'Extend') {
+      const target = nodes.get(refs(e, type === 'Include' ? 'addition' : 'extendedCase')[0]);
+      if (owner && target) edges.push({ from: owner.id, to: target.id, label: type === 'Include' ? '«include»' : '«extend»', dotted: true, arrow: true });
+    } else if (type === 'Association') {
+      const ends = associationEnds(doc, e);
+      const [a, b] = ends.map(x => nodes.get(x.type));
+      if (ends.length !== 2 || !a || !b) continue;
+      // 한쪽만 탐색 가능하면 그쪽이 화살표 대상, 아니면 액터 → 유스케이스 순
+      const oneWay = ends[0].navigable !== ends[1].navigable;
+      const reverse = oneWay ? ends[0].navigable : a.type === 'usecase' && b.type === 'actor';
+      const [src, dst] = reverse ? [b, a] : [a, b];
+      edges.push({ from: src.id, to: dst.id, label: e.attrs.name || '', dotted: false, arrow: ends.some(x => x.navigable) });
+    } else if (type === 'Generalization' && owner) {
+      warn('액터/유스케이스 사이의 일반화(Generalization)는 옮기지 않음');
+    }
+  }
+  return renderUsecaseFlowchart({ nodes: [...nodes.values()], edges, groups });
+}
+
+/**
+ * XMI 텍스트 → Mermaid
+ * @param {string} text
+ * @param {XmiKind} [kind] - 생략 시 내용으로 추정 (Actor/UseCase 가 있으면 usecase, 아니면 class)
+ * @returns {XmiToMermaidResult}
+ */
+export function xmiToMermaid(text, kind) {
+  if (kind && !XMI_KINDS.includes(String(kind).toLowerCase())) throw new Error(`XMI 변환은 ${XMI_KINDS.join(' | ')} 만 지원합니다: ${kind}`);
+  const doc = indexXmi(parseXml(text));
+  const k = kind ? String(kind).toLowerCase()
+    : doc.all.some(e => ['Actor', 'UseCase'].includes(umlType(e))) ? 'usecase' : 'class';
+  const warn = createWarnings();
+  const out = (k === 'class' ? xmiClassesToMermaid : xmiUsecasesToMermaid)(doc, warn);
+  return { kind: k, mermaid: `${out.join('\n')}\n`, warnings: warn.list() };
+}
@@ -0,0 +1,173 @@
+// server/xml.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/xml.mjs
+ * --------------------------------------------
+ * 역할
+ *  - XML 텍스트 → 요소 트리 (외부 패키지 없이, XMI 가져오기용)
+ *  - 요소 트리 → 들여쓴 XML 텍스트 (XMI 내보내기용)
+ *
+ * 비고
+ *  - 요소/속성/텍스트/CDATA/주석/처리 명령(<?...?>)/DOCTYPE 지원
+ *  - 엔티티는 기본 5개(&lt; &gt; &amp; &quot; &apos;)와 문자 참조(&#..; &#x..;)만 해석
+ *    (DTD 정의 엔티티는 해석하지 않음 → 외부 엔티티 확장 공격 없음)
+ *  - 네임스페이스는 해석하지 않고 'prefix:name' 그대로 둠 (localName 으로 비교)
+ * ============================================
+ */
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name                    - 태그 이름 (접두어 포함, 예: 'uml:Model')
+ * @property {Record<string, string>} attrs   - 속성 (엔티티 해석 후)
+ * @property {XmlElement[]} children
+ * @property {string} text                    - 직속 텍스트(CDATA 포함)를 이어 붙인 것
+ * @property {Array<XmlElement|string>} nodes - 텍스트와 자식 요소를 문서 순서대로 (XHTML 등 혼합 내용용)
+ */
+
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/** 엔티티/문자 참조 해석 (모르는 엔티티는 그대로 둠) */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? Number.parseInt(ref.slice(2), 16) : Number.parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : all;
+    }
+    return NAMED_ENTITIES[ref] ?? all;
+  });
+}
+
+/** 텍스트/속성 값 이스케이프 */
+export function escapeXml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** 'uml:Class' → 'Class' */
+export const localName = (name) => String(name || '').replace(/^[^:]*:/, '');
+
+const NAME_RE = /[A-Za-z_:À-￿][\w.:·À-￿-]*/y;
+const ATTR_RE = /\s*([A-Za-z_:À-￿][\w.:·À-￿-]*)\s*=\s*("([^"]*)"|'([^']*)')/y;
+
+/**
+ * XML 텍스트 → 루트 요소
+ * @param {string} text
+ * @returns {XmlElement}
+ */
+export function parseXml(text) {
+  const src = String(text || '').replace(/^﻿/, '');
+  let pos = 0;
+  const fail = (msg) => {
+    const line = src.slice(0, pos).split('\n').length;
+    throw new Error(`XML 파싱 오류 (${line}번째 줄): ${msg}`);
+  };
+  const skipTo = (end, what) => {
+    const i = src.indexOf(end, pos);
+    if (i < 0) fail(`${what} 이(가) 닫히지 않았습니다.`);
+    const body = src.slice(pos, i);
+    pos = i + end.length;
+    return body;
+  };
+
+  /** @type {XmlElement[]} */
+  const stack = [];
+  let root = null;
+  while (pos < src.length) {
+    const lt = src.indexOf('<', pos);
+    const chunk = src.slice(pos, lt < 0 ? src.length : lt);
+    if (chunk.trim()) {
+      if (!stack.length) { pos = lt < 0 ? src.length : lt; fail('루트 요소 밖에 텍스트가 있습니다.'); }
+      const t = decodeEntities(chunk);
+      stack[stack.length - 1].text += t;
+      stack[stack.length - 1].nodes.push(t);
+    } else if (chunk && stack.length) {
+      stack[stack.length - 1].nodes.push(chunk);   // 요소 사이 공백 (text 에는 넣지 않음)
+    }
+    if (lt < 0) break;
+    pos = lt;
+
+    if (src.startsWith('<!--', pos)) { pos += 4; skipTo('-->', '주석'); continue; }
+    if (src.startsWith('<?', pos)) { pos += 2; skipTo('?>', '처리 명령'); continue; }
+    if (src.startsWith('<![CDATA[', pos)) {
+      pos += 9;
+      const body = skipTo(']]>', 'CDATA');
+      if (!stack.length) fail('루트 요소 밖에 CDATA가 있습니다.');
+      stack[stack.length - 1].text += body;
+      stack[stack.length - 1].nodes.push(body);
+      continue;
+    }
+    if (src.startsWith('<!', pos)) {
+      // DOCTYPE (내부 서브셋 [...] 포함) 은 건너뜀
+      let depth = 0;
+      for (pos += 2; pos < src.length; pos++) {
+        if (src[pos] === '[') depth++;
+        else if (src[pos] === ']') depth--;
+        else if (src[pos] === '>' && depth <= 0) break;
+      }
+      if (pos >= src.length) fail('<!DOCTYPE 이(가) 닫히지 않았습니다.');
+      pos++;
+      continue;
+    }
+    if (src.startsWith('</', pos)) {
+      pos += 2;
+      NAME_RE.lastIndex = pos;
+      const m = NAME_RE.exec(src);
+      if (!m) fail('닫는 태그 이름이 없습니다.');
+      pos = NAME_RE.lastIndex;
+      const open = stack.pop();
+      if (!open || open.name !== m[0]) fail(`닫는 태그 </${m[0]}> 가 여는 태그 <${open ? open.name : ''}> 와 맞지 않습니다.`);
+      skipTo('>', `</${m[0]}`);
+      if (!stack.length) root = open;
+      continue;
+    }
+
+    pos++;
+    NAME_RE.lastIndex = pos;
+    const m = NAME_RE.exec(src);
+    if (!m) fail('태그 이름이 없습니다.');
+    pos = NAME_RE.lastIndex;
+    /** @type {XmlElement} */
+    const el = { name: m[0], attrs: {}, children: [], text: '', nodes: [] };
+    for (;;) {
+      ATTR_RE.lastIndex = pos;
+      const a = ATTR_RE.exec(src);
+      if (!a) break;
+      el.attrs[a[1]] = decodeEntities(a[3] ?? a[4]);
+      pos = ATTR_RE.lastIndex;
+    }
+    while (/\s/.test(src[pos] || '')) pos++;
+    const selfClosing = src.startsWith('/>', pos);
+    if (!selfClosing && src[pos] !== '>') fail(`<${el.name}> 태그의 속성을 해석하지 못했습니다.`);
+    pos += selfClosing ? 2 : 1;
+
+    if (stack.length) { stack[stack.length - 1].children.push(el); stack[stack.length - 1].nodes.push(el); }
+    else if (root) fail('루트 요소가 둘 이상입니다.');
+    if (selfClosing) { if (!stack.length) root = el; } else stack.push(el);
+  }
+  if (stack.length) fail(`<${stack[stack.length - 1].name}> 이(가) 닫히지 않았습니다.`);
+  if (!root) fail('루트 요소가 없습니다.');
+  return root;
+}
+
+/**
+ * 요소 트리 → XML 텍스트 (XML 선언 포함, 2칸 들여쓰기)
+ * - 속성 값이 undefined/null/'' 이면 생략
+ * @param {XmlElement} root
+ * @returns {string}
+ */
+export function serializeXml(root) {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const write = (el, indent) => {
+    const attrs = Object.entries(el.attrs || {})
+      .filter(([, v]) => v !== undefined && v !== null && v !== '')
+      .map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+    const children = el.children || [];
+    if (!children.length && !el.text) { out.push(`${indent}<${el.name}${attrs}/>`); return; }
+    if (!children.length) { out.push(`${indent}<${el.name}${attrs}>${escapeXml(el.text)}</${el.name}>`); return; }
+    out.push(`${indent}<${el.name}${attrs}>`);
+    for (const c of children) write(c, `${indent}  `);
+    out.push(`${indent}</${el.name}>`);
+  };
+  write(root, '');
+  return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,158 @@
+// server/zip.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: server/zip.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 파일 목록 → ZIP 아카이브(Buffer) (외부 패키지 없이 zlib deflate 사용)
+ *  - ZIP 아카이브 → 파일 목록 (store/deflate 항목만, 소스 업로드용)
+ *
+ * 비고
+ *  - 파일명은 UTF-8 플래그(bit 11)로 기록 → 한글 경로도 그대로 보임
+ *  - ZIP64/암호화 미지원: 파일/아카이브 크기 4GB, 항목 65535개 미만 (코드 내보내기/업로드 용도로 충분)
+ * ============================================
+ */
+
+import zlib from 'zlib';
+
+/** CRC-32 (IEEE 802.3) 테이블 */
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** Date → MS-DOS 날짜/시각 (2초 단위, 1980년 이전은 1980-01-01) */
+function dosDateTime(d) {
+  if (d.getFullYear() < 1980) return { time: 0, date: (1 << 5) | 1 };
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * ZIP 생성
+ * @param {{ path: string, content: string | Buffer }[]} files - 경로는 '/' 구분 상대 경로
+ * @param {{ date?: Date }} [options] - 항목 수정 시각 (기본: 현재)
+ * @returns {Buffer}
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const { time, date: dosDate } = dosDateTime(date);
+  const locals = [], centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = Buffer.from(f.path, 'utf8');
+    const data = Buffer.isBuffer(f.content) ? f.content : Buffer.from(String(f.content ?? ''), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    // 압축 이득이 없으면 저장(store)
+    const useDeflate = deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);                                           // version needed
+    local.writeUInt16LE(0x0800, 6);                                       // UTF-8 파일명
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);                                         // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);                                    // local header 위치
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * ZIP 읽기 (central directory 기준)
+ * - 디렉터리 항목은 건너뜀
+ * - 압축 해제 크기 합이 maxBytes를 넘으면 예외 (zip bomb 방지)
+ * @param {Buffer} buf
+ * @param {{ maxBytes?: number }} [options]
+ * @returns {{ path: string, content: Buffer }[]}
+ */
+export function readZip(buf, { maxBytes = Infinity } = {}) {
+  if (!Buffer.isBuffer(buf) || buf.length < 22) throw new Error('ZIP 파일이 아닙니다.');
+  // end of central directory: 뒤에서부터 서명 검색 (주석 최대 65535바이트)
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) throw new Error('ZIP 파일이 아닙니다. (end of central directory 없음)');
+
+  const count = buf.readUInt16LE(end + 10);
+  let p = buf.readUInt32LE(end + 16);
+  let total = 0;
+  const out = [];
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) throw new Error('ZIP central directory가 손상되었습니다.');
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const crc = buf.readUInt32LE(p + 16);
+    const compSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.subarray(p + 46, p + 46 + nameLen).toString(flags & 0x0800 ? 'utf8' : 'latin1');
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) throw new Error(`암호화된 ZIP 항목은 지원하지 않습니다: ${name}`);
+    total += size;
+    if (total > maxBytes) throw new Error(`ZIP 압축 해제 크기가 제한(${maxBytes}바이트)을 넘습니다.`);
+
+    if (buf.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`ZIP 항목 헤더가 손상되었습니다: ${name}`);
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compSize);
+    let content;
+    if (method === 0) content = Buffer.from(raw);
+    else if (method === 8) content = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`지원하지 않는 ZIP 압축 방식(${method}): ${name}`);
+    if (crc32(content) !== crc) throw new Error(`ZIP CRC 불일치: ${name}`);
+    out.push({ path: name, content });
+  }
+  return out;
+}
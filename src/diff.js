@@ -0,0 +1,225 @@
+/**
+ * ============================================
+ * 역할
+ *  - Mermaid 텍스트 줄 단위 비교(LCS)
+ *  - Mermaid 구조(노드/엣지) 추출 및 추가·삭제 집합 계산
+ *  - 비교 결과를 미리보기에 강조(style/linkStyle, stateDiagram은 classDef)로 주입
+ *
+ * 비고
+ *  - 파서는 "비교용" 경량 추출기로, 완전한 Mermaid 문법 해석이 아님
+ *  - flowchart/classDiagram/sequenceDiagram/stateDiagram/erDiagram 만 구조 비교, 그 외는 줄 비교만
+ * ============================================
+ */
+
+/** 줄 비교 결과 한 줄 */
+/** @typedef {{ type: 'same'|'add'|'del', text: string, aNo?: number, bNo?: number }} DiffOp */
+
+/**
+ * 줄 단위 LCS diff
+ * @param {string} a - 이전 텍스트
+ * @param {string} b - 새 텍스트
+ * @returns {DiffOp[]}
+ */
+export function diffLines(a, b){
+  const A = String(a||'').split(/\r?\n/);
+  const B = String(b||'').split(/\r?\n/);
+  const n = A.length, m = B.length;
+  // dp[i][j] = A[i..], B[j..] 의 LCS 길이
+  const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = A[i] === B[j] ? dp[i+1][j+1] + 1 : Math.max(dp[i+1][j], dp[i][j+1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (A[i] === B[j]) { ops.push({ type:'same', text:A[i], aNo:i+1, bNo:j+1 }); i++; j++; }
+    else if (dp[i+1][j] >= dp[i][j+1]) { ops.push({ type:'del', text:A[i], aNo:i+1 }); i++; }
+    else { ops.push({ type:'add', text:B[j], bNo:j+1 }); j++; }
+  }
+  while (i < n) { ops.push({ type:'del', text:A[i], aNo:i+1 }); i++; }
+  while (j < m) { ops.push({ type:'add', text:B[j], bNo:j+1 }); j++; }
+  return ops;
+}
+
+/**
+ * 나란히 보기용 행 구성: 연속된 삭제/추가 블록을 좌우로 짝지음
+ * @param {DiffOp[]} ops
+ * @returns {Array<{ left: DiffOp|null, right: DiffOp|null }>}
+ */
+export function sideBySideRows(ops){
+  const rows = [];
+  let dels = [], adds = [];
+  const flush = () => {
+    const len = Math.max(dels.length, adds.length);
+    for (let k = 0; k < len; k++) rows.push({ left: dels[k] || null, right: adds[k] || null });
+    dels = []; adds = [];
+  };
+  for (const op of ops) {
+    if (op.type === 'del') dels.push(op);
+    else if (op.type === 'add') adds.push(op);
+    else { flush(); rows.push({ left: op, right: op }); }
+  }
+  flush();
+  return rows;
+}
+
+// ---------------- 구조 추출 ----------------
+
+/** 비교 대상이 아닌 줄(주석/스타일/블록 구문) */
+const SKIP_LINE = /^(%%|classDef\b|class\s+[\w,]+\s+\w+\s*;?$|style\b|linkStyle\b|click\b|subgraph\b|end\b|direction\b)/;
+
+// flowchart 노드 도형: id[..] id(..) id{..} id((..)) id([..]) id[[..]] id[(..)] id{{..}} id>..]
+const FLOW_SHAPE = /([A-Za-z0-9_]+)\s*(\(\(.*?\)\)|\(\[.*?\]\)|\[\[.*?\]\]|\[\(.*?\)\]|\{\{.*?\}\}|\[.*?\]|\(.*?\)|\{.*?\}|>.*?\])/g;
+// flowchart 연결선: -->, ---, -.->, ==>, <-->, --o, --x, 라벨(|..|) 포함
+const FLOW_ARROW = /\s*<?(?:-\.+-?>?|={2,}>?|-{2,}>?)[ox]?(?:\|[^|]*\|)?\s*/;
+// classDiagram 관계
+const CLASS_REL = /^([\w.`~<>]+)\s*(?:"[^"]*"\s*)?(<\|--|--\|>|\*--|--\*|o--|--o|<-->|-->|<--|\.\.\|>|<\|\.\.|\.\.>|<\.\.|--|\.\.)\s*(?:"[^"]*"\s*)?([\w.`~<>]+)/;
+// sequenceDiagram 메시지
+const SEQ_MSG = /^([\w.]+)\s*(-{1,2}>>|-{1,2}>|-{1,2}x|-{1,2}\))\s*[+-]?\s*([\w.]+)\s*:?\s*(.*)$/;
+// stateDiagram 전이 ([*]는 시작/종료)
+const STATE_TRANS = /^([\w.]+|\[\*\])\s*-->\s*([\w.]+|\[\*\])\s*(?::\s*(.*))?$/;
+// erDiagram 관계
+const ER_REL = /^([\w-]+)\s*([|}o][|o](?:--|\.\.)[|o{][|{])\s*([\w-]+)\s*(?::\s*(.*))?$/;
+
+/**
+ * Mermaid 구조 추출
+ * @param {string} code
+ * @returns {{ kind: 'flowchart'|'class'|'sequence'|'state'|'er'|'other', nodes: Set<string>, edges: Array<{ key: string, index: number }> }}
+ */
+export function extractGraph(code){
+  const lines = String(code||'').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const header = lines.find(l => !l.startsWith('%%')) || '';
+  const nodes = new Set();
+  const edges = [];
+
+  if (/^(flowchart|graph)\b/i.test(header)) {
+    for (const raw of lines) {
+      if (raw === header || SKIP_LINE.test(raw)) continue;
+      // 도형/라벨 제거 → id만 남김, :::class 제거
+      const line = raw
+        .replace(/--\s+[^->|]+?\s+(-->|---)/g, '$1')   // A -- text --> B
+        .replace(FLOW_SHAPE, '$1')
+        .replace(/:::[\w-]+/g, '')
+        .replace(/;$/, '');
+      const parts = line.split(FLOW_ARROW).map(p => p.trim()).filter(Boolean);
+      const groups = parts.map(p => p.split(/\s*&\s*/).filter(x => /^[A-Za-z0-9_]+$/.test(x)));
+      groups.forEach(g => g.forEach(id => nodes.add(id)));
+      for (let k = 0; k + 1 < groups.length; k++) {
+        for (const from of groups[k]) for (const to of groups[k+1]) {
+          edges.push({ key: `${from} --> ${to}`, index: edges.length });
+        }
+      }
+    }
+    return { kind: 'flowchart', nodes, edges };
+  }
+
+  if (/^classDiagram\b/.test(header)) {
+    for (const line of lines) {
+      if (line === header || SKIP_LINE.test(line)) continue;
+      const decl = line.match(/^class\s+([\w.`~<>]+)/);
+      if (decl) { nodes.add(decl[1]); continue; }
+      const rel = line.match(CLASS_REL);
+      if (rel) {
+        nodes.add(rel[1]); nodes.add(rel[3]);
+        edges.push({ key: `${rel[1]} ${rel[2]} ${rel[3]}`, index: edges.length });
+        continue;
+      }
+      const member = line.match(/^([\w.`~<>]+)\s*:/);
+      if (member) nodes.add(member[1]);
+    }
+    return { kind: 'class', nodes, edges };
+  }
+
+  if (/^sequenceDiagram\b/.test(header)) {
+    for (const line of lines) {
+      const p = line.match(/^(?:participant|actor)\s+([\w.-]+)/);
+      if (p) { nodes.add(p[1]); continue; }
+      const msg = line.match(SEQ_MSG);
+      if (msg) {
+        nodes.add(msg[1]); nodes.add(msg[3]);
+        edges.push({ key: `${msg[1]} ${msg[2]} ${msg[3]}: ${msg[4].trim()}`, index: edges.length });
+      }
+    }
+    return { kind: 'sequence', nodes, edges };
+  }
+
+  if (/^stateDiagram\b/.test(header)) {
+    for (const line of lines) {
+      if (line === header || SKIP_LINE.test(line)) continue;
+      const decl = line.match(/^state\s+(?:"[^"]*"\s+as\s+)?([\w.]+)/);
+      if (decl) { nodes.add(decl[1]); continue; }
+      const t = line.match(STATE_TRANS);
+      if (t) {
+        for (const id of [t[1], t[2]]) if (id !== '[*]') nodes.add(id);
+        edges.push({ key: `${t[1]} --> ${t[2]}${t[3] ? `: ${t[3].trim()}` : ''}`, index: edges.length });
+        continue;
+      }
+      const desc = line.match(/^([\w.]+)\s*:/);
+      if (desc) nodes.add(desc[1]);
+    }
+    return { kind: 'state', nodes, edges };
+  }
+
+  if (/^erDiagram\b/.test(header)) {
+    for (const line of lines) {
+      if (line === header || SKIP_LINE.test(line)) continue;
+      const entity = line.match(/^([\w-]+)\s*\{/);
+      if (entity) { nodes.add(entity[1]); continue; }
+      const rel = line.match(ER_REL);
+      if (rel) {
+        nodes.add(rel[1]); nodes.add(rel[3]);
+        edges.push({ key: `${rel[1]} ${rel[2]} ${rel[3]}: ${(rel[4] || '').trim()}`, index: edges.length });
+      }
+    }
+    return { kind: 'er', nodes, edges };
+  }
+
+  return { kind: 'other', nodes, edges };
+}
+
+/**
+ * 이전/새 Mermaid 의 구조 차이
+ * @returns {{ before: ReturnType<typeof extractGraph>, after: ReturnType<typeof extractGraph>,
+ *             addedNodes: string[], removedNodes: string[], addedEdges: string[], removedEdges: string[] }}
+ */
+export function diffGraphs(beforeCode, afterCode){
+  const before = extractGraph(beforeCode);
+  const after  = extractGraph(afterCode);
+  const bEdges = new Set(before.edges.map(e => e.key));
+  const aEdges = new Set(after.edges.map(e => e.key));
+  return {
+    before, after,
+    addedNodes:   [...after.nodes].filter(n => !before.nodes.has(n)),
+    removedNodes: [...before.nodes].filter(n => !after.nodes.has(n)),
+    addedEdges:   [...aEdges].filter(k => !bEdges.has(k)),
+    removedEdges: [...bEdges].filter(k => !aEdges.has(k)),
+  };
+}
+
+/**
+ * 강조 스타일 주입 (flowchart: style + linkStyle, classDiagram: style, stateDiagram: classDef + class)
+ * - sequence/er 등 스타일 지정이 불가한 종류는 원문 그대로 반환
+ * @param {string} code
+ * @param {ReturnType<typeof extractGraph>} graph - code 에서 추출한 구조
+ * @param {string[]} nodeIds - 강조할 노드
+ * @param {string[]} edgeKeys - 강조할 엣지 키
+ * @param {string} color - 테두리/선 색
+ */
+export function highlightMermaid(code, graph, nodeIds, edgeKeys, color){
+  if (graph.kind === 'state') {
+    return nodeIds.length
+      ? `${code}\nclassDef diffMark stroke:${color},stroke-width:3px\nclass ${nodeIds.join(',')} diffMark`
+      : code;
+  }
+  if (graph.kind !== 'flowchart' && graph.kind !== 'class') return code;
+  const extra = [];
+  for (const id of nodeIds) extra.push(`style ${id} stroke:${color},stroke-width:3px`);
+  if (graph.kind === 'flowchart') {
+    const keys = new Set(edgeKeys);
+    const idx = graph.edges.filter(e => keys.has(e.key)).map(e => e.index);
+    if (idx.length) extra.push(`linkStyle ${idx.join(',')} stroke:${color},stroke-width:3px`);
+  }
+  return extra.length ? `${code}\n${extra.join('\n')}` : code;
+}
@@ -13,12 +13,13 @@
  *  5) 탭/토글 바인딩 (모드 전환)
  *  6) 변환 핸들러 (요구사항→MM, 코드→MM, MM→코드)
  *  7) 저장 핸들러 (요구사항/다이어그램/코드)
- *  8) 표 목록 로딩 (DB 탭)
+ *  8) 표 목록 로딩 (DB 탭) + 이력/비교 모달
  *  9) 부트스트랩(초기 실행)
  * ============================================
  */
 
 import mermaid from 'mermaid';
+import { diffLines, sideBySideRows, diffGraphs, highlightMermaid } from './diff.js';
 mermaid.initialize({ startOnLoad: false, securityLevel: 'loose', theme: 'default' });
 
 // ---- HMR 재실행 시 중복 리스너 방지용 전역 플래그 ----
@@ -61,6 +62,17 @@ const TYPE_KR = {
   SW_TEST: 'SW TEST 요구사항'
 };
 const typeKR = t => TYPE_KR[t] || t;
+// 로그인 사용자 (저장 이력의 작성자는 서버가 이 사용자로 기록, 여기 값은 문서 작성자 등 표시용)
+let currentUser = null;
+const currentAuthor = () => currentUser?.displayName || currentUser?.username || '';
+const ROLE_KR = { viewer: '조회', editor: '편집', approver: '승인', admin: '관리자' };
+/** 역할이 role 이상인지 (ROLE_KR 키 순서 = 권한 순서, 버튼 표시용 — 실제 검사는 서버) */
+const hasRoleUI = role => Object.keys(ROLE_KR).indexOf(currentUser?.role) >= Object.keys(ROLE_KR).indexOf(role);
+// 요구사항/다이어그램 검토 상태 (server/review.mjs)
+const STATUS_KR = { draft: '초안', in_review: '검토 중', approved: '승인', obsolete: '폐기' };
+const statusOf = item => STATUS_KR[item?.status] ? item.status : 'draft';
+const mkStatusBadgeHTML = item => `<span class="status-badge status-${statusOf(item)}">${STATUS_KR[statusOf(item)]}</span>`;
+const escHTML = s => String(s ?? '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
 
 function stripMermaidFences(s){
   if(!s) return '';
@@ -200,18 +212,45 @@ function setActiveTab(targetId){
   qsa('.panel').forEach(p=>p.classList.toggle('active', p.id===targetId));
 }
 
+// 현재 프로젝트 (헤더 선택값, localStorage 유지) — 모든 /api 요청에 X-Project-Id 헤더로 전달
+const PROJECT_KEY = 'uml-studio.project';
+let currentProject = localStorage.getItem(PROJECT_KEY) || 'default';
+
+// 로그인 토큰 (localStorage 유지) — Authorization: Bearer 로 전달
+const TOKEN_KEY = 'uml-studio.token';
+let authToken = localStorage.getItem(TOKEN_KEY) || '';
+
+/** fetch + 현재 프로젝트/로그인 헤더 (파일 다운로드/업로드 등 api()를 쓰지 않는 요청용) */
+async function apiFetch(path, opts = {}){
+  const res = await fetch(path, { ...opts, headers: {
+    'X-Project-Id': currentProject,
+    ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    ...(opts.headers || {}),
+  } });
+  // 토큰 만료/폐기 → 로그인 화면 (로그인/첫 관리자 만들기 요청 자체의 실패는 제외)
+  if (res.status === 401 && !/^\/api\/auth\/(login|setup)$/.test(path)) showLogin('로그인이 만료되었습니다. 다시 로그인하세요.');
+  return res;
+}
+
   // 진행 중 요청 중복 제거용 캐시
 const __inflight = new Map();
 async function api(path, opts = {}) {
-  const key = `${opts.method||'GET'}::${path}::${opts.body||''}`;
+  const key = `${currentProject}::${opts.method||'GET'}::${path}::${opts.body||''}`;
   if (__inflight.has(key)) return __inflight.get(key);
 
   const p = (async () => {
-    const res = await fetch(path, {
-      headers: { 'Content-Type': 'application/json' },
-      ...opts
+    const res = await apiFetch(path, {
+      ...opts,
+      headers: { 'Content-Type': 'application/json', ...(opts.headers || {}) },
     });
-    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    if (!res.ok) {
+      // 서버 에러 본문({ error, ... })을 함께 전달 (409 참조 경고 등)
+      const data = await res.json().catch(()=>null);
+      const err = new Error(data?.error ? `${res.status} ${data.error}` : `${res.status} ${res.statusText}`);
+      err.status = res.status;
+      err.data = data;
+      throw err;
+    }
     return res.json();
   })();
 
@@ -223,6 +262,86 @@ async function api(path, opts = {}) {
   }
 }
 
+/** 파일 응답(fetch Response) → 브라우저 다운로드 (오류면 서버 error 메시지로 예외) */
+async function downloadResponse(r, fileName){
+  if (!r.ok) {
+    const j = await r.json().catch(()=>({}));
+    throw new Error(j.message || j.error || `HTTP ${r.status}`);
+  }
+  downloadBlob(await r.blob(), fileName);
+}
+
+/** Blob → 브라우저 다운로드 */
+function downloadBlob(blob, fileName){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 저장 요청 (낙관적 동시성)
+ * - payload.expectedVersion이 있으면 서버가 버전을 검사
+ * - 409 VERSION_CONFLICT면 현재 저장본 정보를 보여주고, 확인 시 버전 검사 없이 재요청
+ * - 422 INVALID_MERMAID(다이어그램 문법 오류)면 오류 위치를 보여주고, 확인 시 force로 재요청
+ */
+async function saveWithVersion(path, payload){
+  try {
+    return await api(path, { method:'POST', body: JSON.stringify(payload) });
+  } catch (err) {
+    if (err.status === 422 && err.data?.error === 'INVALID_MERMAID') {
+      if (!confirm(`Mermaid 문법 오류가 있습니다.\n${formatMermaidErrors(err.data.errors, '\n')}\n\n그래도 저장할까요?`)) {
+        throw new Error('저장을 취소했습니다.');
+      }
+      return saveWithVersion(path, { ...payload, force: true });
+    }
+    if (err.status !== 409 || err.data?.error !== 'VERSION_CONFLICT') throw err;
+    const cur = err.data.current || {};
+    const when = cur.updatedAt ? new Date(cur.updatedAt).toLocaleString() : '-';
+    const by = cur.updatedBy ? `, ${cur.updatedBy}` : '';
+    if (!confirm(`다른 곳에서 먼저 수정되었습니다. (현재 버전 ${cur.version ?? '-'}, ${when}${by})\n그래도 덮어쓸까요?`)) {
+      throw new Error('저장을 취소했습니다.');
+    }
+    const { expectedVersion, ...rest } = payload;
+    return api(path, { method:'POST', body: JSON.stringify(rest) });
+  }
+}
+
+/** 서버 Mermaid 검증 오류 → 표시 문자열 (jison 오류는 마지막 줄 'Expecting ...'만) */
+function formatMermaidErrors(errors, sep = ' / '){
+  return (errors||[])
+    .map(e => `${e.line}행${e.column ? ` ${e.column}열` : ''}: ${String(e.message||'').trim().split('\n').pop()}`)
+    .join(sep);
+}
+
+/**
+ * 변환 결과 문법 오류 표시
+ * - 서버 변환 응답의 validation이 실패면, 화면에 넣은 최종 텍스트(%% 주석 헤더 포함)로 다시 검증해 행 번호를 맞춤
+ * - repair: 서버 자동 수정 결과 { attempts, max, valid, tries } (시도 횟수와 빈 응답 횟수를 함께 표시)
+ */
+async function reportMermaidValidation(validation, finalCode, errorEl, repair){
+  if (validation?.valid !== false || !errorEl) return;
+  const v = await api('/api/validate/mermaid', { method:'POST', body: JSON.stringify({ mermaid: finalCode }) });
+  const empty = (repair?.tries || []).filter(t => t.result === 'empty').length;
+  const tried = repair?.attempts ? ` (자동 수정 ${repair.attempts}회 후에도 실패${empty ? `, 빈 응답 ${empty}회` : ''})` : '';
+  if (v.valid === false) errorEl.textContent = `Mermaid 문법 오류${tried} — ${formatMermaidErrors(v.errors)}`;
+}
+
+/** 불러온 레코드 버전 기억 (입력 요소 dataset) → 같은 ID로 저장할 때만 expectedVersion 전달 */
+function rememberVersion(el, id, version){
+  if (!el) return;
+  el.dataset.loadedId = id || '';
+  el.dataset.version = version ?? '';
+}
+function versionFor(el, id){
+  if (!el || !id || el.dataset.loadedId !== id || el.dataset.version === '') return undefined;
+  return Number(el.dataset.version);
+}
+
 function toggleBlocks(radiosName, dbBlock, manualBlock){
   const mode = qs(`input[name="${radiosName}"]:checked`)?.value || 'db';
   dbBlock.classList.toggle('hidden', mode!=='db');
@@ -240,14 +359,20 @@ function fillSelect(sel, items, mkLabel, mkValue){
   }
 }
 
-// Mermaid 렌더
-function renderMermaid(container, code){
-  if(!code || !container) return;
+/** 렌더링 전 정리: 코드 펜스 제거 + activity 유사 flowchart 보정 */
+function prepareMermaid(code){
   let clean = stripMermaidFences(code);
   // flowchart + activity 유사 패턴이면 클라이언트 보정
   if (/^\s*flowchart\b/i.test(clean) && looksLikeActivity(clean)) {
     clean = sanitizeActivityFlowchartClient(clean);
   }
+  return clean;
+}
+
+// Mermaid 렌더
+function renderMermaid(container, code){
+  if(!code || !container) return;
+  const clean = prepareMermaid(code);
   // Validate header (generic). Only toast for main preview containers (id *-view).
   try { validateMermaidHeader(clean, { containerId: container.id }); } catch(e) { /* noop */ }
   container.innerHTML = '';
@@ -305,16 +430,26 @@ function firstLineOfMermaid(code){
   }
   return '';
 }
+const MERMAID_HEADER_RE = /^(flowchart\s+(TD|LR|TB|BT|RL)|sequenceDiagram|classDiagram|stateDiagram(-v2)?|erDiagram)\b/;
 function isValidMermaidHeaderLine(line){
-  return /^(flowchart\s+(TD|LR|TB|BT|RL)|sequenceDiagram|classDiagram)\b/.test(line);
+  return MERMAID_HEADER_RE.test(line);
 }
+/** 다이어그램 종류별 첫 줄 (component/deployment는 flowchart로 표현) */
+const KIND_HEADER_HINT = {
+  usecase: 'flowchart LR', activity: 'flowchart TD', sequence: 'sequenceDiagram', class: 'classDiagram',
+  state: 'stateDiagram-v2', er: 'erDiagram', component: 'flowchart LR', deployment: 'flowchart TB',
+};
 function expectedHeaderRegexForKind(kind){
   const k = String(kind||'').toLowerCase();
   if (k==='usecase')   return /^flowchart\s+LR\b/;
   if (k==='activity')  return /^flowchart\s+TD\b/;
   if (k==='sequence')  return /^sequenceDiagram\b/;
   if (k==='class')     return /^classDiagram\b/;
-  return /^(flowchart\s+(TD|LR|TB|BT|RL)|sequenceDiagram|classDiagram)\b/;
+  if (k==='state')     return /^stateDiagram(-v2)?\b/;
+  if (k==='er')        return /^erDiagram\b/;
+  if (k==='component') return /^flowchart\s+LR\b/;
+  if (k==='deployment') return /^flowchart\s+(TB|TD)\b/;
+  return MERMAID_HEADER_RE;
 }
 /**
  * Validate Mermaid header and optionally enforce by kind.
@@ -332,7 +467,7 @@ function validateMermaidHeader(code, opts={}){
 
   if (!valid) {
     if (isMainPreview) {
-      showToast(`Mermaid 코드 첫 줄에 다이어그램 헤더가 필요해요. 예) flowchart TD | flowchart LR | sequenceDiagram | classDiagram. usecase/activity는 flowchart를 사용하세요.`, 'warn', '헤더 누락');
+      showToast(`Mermaid 코드 첫 줄에 다이어그램 헤더가 필요해요. 예) flowchart TD | flowchart LR | sequenceDiagram | classDiagram | stateDiagram-v2 | erDiagram. usecase/activity/component/deployment는 flowchart를 사용하세요.`, 'warn', '헤더 누락');
     }
     return false;
   }
@@ -341,10 +476,7 @@ function validateMermaidHeader(code, opts={}){
     const exp = expectedHeaderRegexForKind(expectedKind);
     if (!exp.test(line)) {
       if (isMainPreview) {
-        const expStr = expectedKind==='usecase' ? "flowchart LR"
-                    : expectedKind==='activity' ? "flowchart TD"
-                    : expectedKind==='sequence' ? "sequenceDiagram"
-                    : expectedKind==='class' ? "classDiagram" : "유효한 헤더";
+        const expStr = KIND_HEADER_HINT[String(expectedKind).toLowerCase()] || '유효한 헤더';
         showToast(`선택한 다이어그램 종류 '${expectedKind}'와 헤더가 일치하지 않습니다. 첫 줄을 '${expStr}' 로 시작하세요. (현재: '${line || '빈 줄'}')`, 'warn', '헤더 불일치');
       }
       return false;
@@ -412,6 +544,7 @@ async function refreshReqList(){
     qs('#req-id').value = '';
     qs('#req-title').value = '';
     qs('#req-desc').value = '';
+    await refreshReqParentList('');
   }
 }
 
@@ -456,7 +589,8 @@ async function refreshCodeList(){
 async function refreshDiagramList(targetSelect, kind){
   const url = kind ? `/api/list/diagram?kind=${encodeURIComponent(kind)}` : '/api/list/diagram';
   const j = await api(url);
-  fillSelect(targetSelect, j.items, d=>`${d.diagramId} [${d.kind}]`, d=>d.diagramId);
+  // 초안이 아니면 상태 표시 (코드 생성 전 승인 여부 확인용)
+  fillSelect(targetSelect, j.items, d=>`${d.diagramId} [${d.kind}]${statusOf(d) !== 'draft' ? ` · ${STATUS_KR[statusOf(d)]}` : ''}`, d=>d.diagramId);
 
   if (targetSelect.id === 'mm-diagram-select' && j.items?.length){
     targetSelect.value = j.items[0].diagramId;
@@ -482,38 +616,183 @@ async function refreshMmCodeIdList(){
   fillSelect(qs('#mm-code-select'), list, c=>`${c.codeId}`, c=>c.codeId);
 }
 
+// (요구사항 직접 입력) 상위 요구사항 후보: 현재 종류보다 앞 단계만
+const REQ_LEVELS = ['SYS', 'SW', 'SW_DES', 'SW_TEST'];
+async function refreshReqParentList(selected = val(qs('#req-parent'))){
+  const sel = qs('#req-parent');
+  if (!sel) return;
+  const level = REQ_LEVELS.indexOf(val(qs('#req-type-man')));
+  const self = val(qs('#req-id'));
+  const j = level > 0 ? await api('/api/list/req') : { items: [] };
+  const items = j.items.filter(r => REQ_LEVELS.indexOf(r.reqType) >= 0 && REQ_LEVELS.indexOf(r.reqType) < level && r.id !== self);
+  fillSelect(sel, [{ id: '', reqType: '', title: '' }, ...items],
+    r => r.id ? `[${typeKR(r.reqType)}] ${r.id} - ${r.title}` : '(없음)', r => r.id);
+  sel.value = items.some(r => r.id === selected) ? selected : '';
+}
+
 // --------------- 세부 로더 ---------------
 async function loadReqDetailsToManual(id){
   if(!id) return;
   const r = await api(`/api/get/req/${encodeURIComponent(id)}`);
   qs('#req-id').value = r.id;
+  rememberVersion(qs('#req-id'), r.id, r.version);
   qs('#req-type-man').value = r.reqType || 'SYS';
   qs('#req-title').value = r.title || '';
   qs('#req-desc').value  = r.desc || '';
+  await refreshReqParentList(r.parentId || '');
 }
 
 async function loadCodeDetailsToManual(codeId){
   if(!codeId) return;
   const c = await api(`/api/get/code/${encodeURIComponent(codeId)}`);
   qs('#code-id').value = c.codeId;
+  rememberVersion(qs('#code-id'), c.codeId, c.version);
   qs('#code-lang').value = c.language;
   qs('#code-text').value = c.code;
+  syncCodeFileList();
+}
+
+// 소스코드→Mermaid: 여러 파일 입력 ('=== FILE: 경로 ===' 마커 텍스트)
+const CODE_FILE_MARKER_RE = /^\s*={3,}\s*FILE:\s*(.+?)\s*={3,}\s*$/gm;
+/** 업로드 시 읽지 않을 디렉터리 (서버 server/code-source.mjs 와 같은 기준) */
+const CODE_IGNORED_DIRS = new Set(['.git', '.svn', '.hg', '.idea', '.vscode', '.vs', 'node_modules', '__pycache__', '.venv', 'venv', '.tox',
+  'build', 'dist', 'out', 'target', 'bin', 'obj', 'cmake-build-debug', 'cmake-build-release', '__MACOSX']);
+
+/** 입력 칸의 파일 마커 → 파일 목록 표시 (파일 1개면 숨김) */
+function syncCodeFileList(){
+  const ul = qs('#code-files');
+  if (!ul) return;
+  const paths = [...val(qs('#code-text')).matchAll(CODE_FILE_MARKER_RE)].map(m => m[1]);
+  ul.innerHTML = '';
+  ul.classList.toggle('hidden', paths.length < 2);
+  for (const p of paths) {
+    const li = document.createElement('li');
+    li.textContent = p;
+    ul.appendChild(li);
+  }
+}
+
+/** /api/source/import 결과 → 입력 칸 */
+function applyImportedSource(j){
+  qs('#code-text').value = j.code || '';
+  syncCodeFileList();
+  qs('#code2mm-error').textContent = `파일 ${j.files.length}개를 불러왔습니다.`
+    + (j.skipped ? ` (다른 언어/제외 디렉터리 ${j.skipped}개 건너뜀)` : '');
 }
 
 // Mermaid→소스코드: 최근 로드 Mermaid 캐시
 let mmLastLoadedMermaid = '';
 let mmLastLoadedDiagramId = '';
+let mmLastLoadedVersion;
 async function loadDiagramToCache(diagramId){
   if(!diagramId) return '';
   const d = await api(`/api/get/diagram/${encodeURIComponent(diagramId)}`);
   mmLastLoadedDiagramId = diagramId;
+  mmLastLoadedVersion = d.version;
   mmLastLoadedMermaid = String(d.mermaid||'');
   return mmLastLoadedMermaid;
 }
 
+// Mermaid→소스코드: 최근 생성 결과 (파일 트리)
+let mmResultFiles = [];       // [{ path, content }]
+let mmResultName = '';        // ZIP 파일명 (codeId/diagramId)
+
+/** 파일 트리 렌더링: 디렉터리는 라벨, 파일은 버튼 (클릭 시 내용 표시) */
+function renderMmFileTree(activePath){
+  const ul = qs('#mm2code-files');
+  if (!ul) return;
+  ul.innerHTML = '';
+  ul.classList.toggle('hidden', mmResultFiles.length < 2);
+  if (mmResultFiles.length < 2) return;
+
+  const shownDirs = new Set();
+  const sorted = [...mmResultFiles].sort((a, b)=> a.path.localeCompare(b.path));
+  for (const f of sorted) {
+    const parts = f.path.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const dir = parts.slice(0, i).join('/');
+      if (shownDirs.has(dir)) continue;
+      shownDirs.add(dir);
+      const li = document.createElement('li');
+      li.className = 'dir';
+      li.style.paddingLeft = `${(i - 1) * 14}px`;
+      li.textContent = `${parts[i - 1]}/`;
+      ul.appendChild(li);
+    }
+    const li = document.createElement('li');
+    li.style.paddingLeft = `${(parts.length - 1) * 14}px`;
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = parts[parts.length - 1];
+    b.title = f.path;
+    b.dataset.path = f.path;
+    if (f.path === activePath) b.classList.add('active');
+    b.addEventListener('click', ()=> showMmFile(f.path));
+    li.appendChild(b);
+    ul.appendChild(li);
+  }
+}
+
+function showMmFile(filePath){
+  const f = mmResultFiles.find(x => x.path === filePath);
+  if (!f) return;
+  qs('#mm2code-output').textContent = f.content;
+  qsa('#mm2code-files button').forEach(b => b.classList.toggle('active', b.dataset.path === filePath));
+}
+
+/**
+ * mm2code 응답 표시
+ * - 파일 1개: 기존처럼 메타 주석 헤더 + 코드
+ * - 파일 여러 개: 파일 트리 + 선택 파일 내용 (첫 소스 파일 기본 선택)
+ */
+function showMm2codeResult(res, { language, swReqId, diagramId, codeId }){
+  const files = Array.isArray(res.files) && res.files.length ? res.files : [{ path: 'main', content: res.code || '' }];
+  mmResultName = res.codeId || codeId || diagramId || 'code';
+
+  if (files.length === 1) {
+    const commentPrefix = (String(language||'').toLowerCase().includes('python')) ? '#' : '//';
+    const codeHeader = [
+      `${commentPrefix} language: ${language}`,
+      `${commentPrefix} code_id: ${res.codeId || codeId || ''}`,
+      `${commentPrefix} linked_sw_req_id: ${swReqId || ''}`,
+      `${commentPrefix} linked_diagram_id: ${diagramId || ''}`
+    ].join('\n');
+
+    // 생성 코드 맨 위에 모델이 넣어주는 중복 주석 제거(있을 때만)
+    const body = stripCodeFences(files[0].content)
+      .replace(/^(\/\/|#)\s*SW Test 요구사항 ID.*\n?/mi, '');
+
+    mmResultFiles = [{ path: files[0].path, content: `${codeHeader}\n\n${body}` }];
+    renderMmFileTree('');
+    qs('#mm2code-output').textContent = mmResultFiles[0].content;
+  } else {
+    mmResultFiles = files.map(f => ({ path: f.path, content: String(f.content ?? '') }));
+    const first = mmResultFiles.find(f => !/(^|\/)(pom\.xml|CMakeLists\.txt|pyproject\.toml|[^/]+\.csproj|__init__\.py)$/.test(f.path))
+      || mmResultFiles[0];
+    renderMmFileTree(first.path);
+    showMmFile(first.path);
+  }
+
+  qs('#mm-consistency')?.classList.add('hidden');   // 이전 결과 기준 정합성 보고는 숨김
+
+  // hybrid: LLM 출력이 골격을 바꿨으면 골격만 표시됨
+  qs('#mm2code-error').textContent = (res.fill && !res.fill.applied)
+    ? `LLM 본문 채우기를 적용하지 않고 템플릿 골격을 표시합니다: ${res.fill.reason}` : '';
+}
+
 // --------------- DB 뷰(표) ---------------
 function clearTbody(tid){ const tb = qs(`#${tid} tbody`); if(tb) tb.innerHTML=''; return tb; }
 
+/** 행 단위 관리 버튼(검토/이력/삭제) — 검토는 요구사항/다이어그램만 */
+function mkRowActionsHTML(type, id){
+  const data = `data-type="${type}" data-id="${escHTML(id)}"`;
+  const reviewBtn = (type === 'req' || type === 'diagram')
+    ? `<button class="btn ghost btn-row-review" ${data} title="검토 상태/의견/승인 기록">검토</button>` : '';
+  return reviewBtn
+       + `<button class="btn ghost btn-row-hist" ${data} title="저장 이력 보기/복원">이력</button>`
+       + `<button class="btn ghost btn-row-del" ${data} title="DB에서 삭제">삭제</button>`;
+}
+
 /** 요구: 펼치기/접기 버튼의 위치가 동일하게 유지되도록 토글을 위에 배치 */
 function mkCollapsibleHTML(text){
   const esc = String(text||'').replace(/</g,'&lt;').replace(/>/g,'&gt;');
@@ -529,12 +808,16 @@ function mkCollapsibleHTML(text){
 
 
 async function loadDBView(){
+  // 검토 상태 필터 (빈 값이면 전체)
+  const reqStatus = val(qs('#db-req-status'));
+  const diaStatus = val(qs('#db-diagram-status'));
+  const reqQ = reqStatus ? `&status=${encodeURIComponent(reqStatus)}` : '';
   const [sys, sw, swDes, swTest, diags, codes] = await Promise.all([
-    api('/api/list/req?type=SYS'),
-    api('/api/list/req?type=SW'),
-    api('/api/list/req?type=SW_DES'),
-    api('/api/list/req?type=SW_TEST'),
-    api('/api/list/diagram'),
+    api(`/api/list/req?type=SYS${reqQ}`),
+    api(`/api/list/req?type=SW${reqQ}`),
+    api(`/api/list/req?type=SW_DES${reqQ}`),
+    api(`/api/list/req?type=SW_TEST${reqQ}`),
+    api(diaStatus ? `/api/list/diagram?status=${encodeURIComponent(diaStatus)}` : '/api/list/diagram'),
     api('/api/list/code'),
   ]);
 
@@ -548,7 +831,7 @@ async function loadDBView(){
   const tbReq = clearTbody('tbl-req');
   for(const r of reqs){
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${r.id}</td><td>${typeKR(r.reqType)}</td><td>${r.title||''}</td><td>${mkCollapsibleHTML(r.desc||'')}</td>`;
+    tr.innerHTML = `<td>${r.id}${mkStatusBadgeHTML(r)}</td><td>${typeKR(r.reqType)}</td><td>${escHTML(r.parentId||'')}</td><td>${r.title||''}</td><td>${mkCollapsibleHTML(r.desc||'')}</td><td>${mkRowActionsHTML('req', r.id)}</td>`;
     tbReq.appendChild(tr);
   }
 
@@ -556,7 +839,18 @@ async function loadDBView(){
   const tbDia = clearTbody('tbl-diagram');
   for(const d of (diags.items||[])){
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${d.diagramId}</td><td>${d.kind}</td><td>${mkCollapsibleHTML(d.mermaid||'')}</td>`;
+    // class 다이어그램 + 코드 연결(links.codeId)이면 정합성 검사 버튼
+    const verifyBtn = (d.kind === 'class' && d.links?.codeId)
+      ? `<button class="btn ghost btn-row-verify" data-id="${escHTML(d.diagramId)}" data-code="${escHTML(d.links.codeId)}" title="연결된 코드와 클래스/메서드/관계 비교">정합성</button>`
+      : '';
+    const pumlBtn = PLANTUML_KINDS.has(d.kind)
+      ? `<button class="btn ghost btn-row-puml" data-id="${escHTML(d.diagramId)}" title="PlantUML(.puml)로 내보내기">PUML</button>`
+      : '';
+    const xmiBtn = XMI_KINDS.has(d.kind)
+      ? `<button class="btn ghost btn-row-xmi" data-id="${escHTML(d.diagramId)}" title="UML 도구용 XMI(.xmi)로 내보내기">XMI</button>`
+      : '';
+    const imageBtn = `<button class="btn ghost btn-row-image" data-id="${escHTML(d.diagramId)}" title="SVG/PNG/PDF 이미지로 내보내기">이미지</button>`;
+    tr.innerHTML = `<td>${d.diagramId}${mkStatusBadgeHTML(d)}</td><td>${d.kind}</td><td>${mkCollapsibleHTML(d.mermaid||'')}</td><td>${mkRowActionsHTML('diagram', d.diagramId)}${verifyBtn}${pumlBtn}${xmiBtn}${imageBtn}</td>`;
     tbDia.appendChild(tr);
   }
 
@@ -564,15 +858,681 @@ async function loadDBView(){
   const tbCode = clearTbody('tbl-code');
   for(const c of (codes.items||[])){
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${c.codeId}</td><td>${c.language}</td><td>${mkCollapsibleHTML(c.code||'')}</td>`;
+    tr.innerHTML = `<td>${c.codeId}</td><td>${c.language}</td><td>${mkCollapsibleHTML(c.code||'')}</td><td>${mkRowActionsHTML('code', c.codeId)}</td>`;
     tbCode.appendChild(tr);
   }
 
   // 요구: 컬럼 폭 재조정
-  applyColgroup('tbl-req', ['14%', '12%', '24%', '50%']);   // ID / 종류 / 제목 / 내용
-  applyColgroup('tbl-diagram', ['20%', '12%', '68%']);      // 다이어그램ID / 종류 / Mermaid 코드
-  applyColgroup('tbl-code', ['22%', '12%', '66%']);         // 코드ID / 언어 / 소스코드
+  applyColgroup('tbl-req', ['13%', '11%', '13%', '19%', '34%', '10%']);  // ID / 종류 / 상위 / 제목 / 내용 / 관리
+  applyColgroup('tbl-diagram', ['20%', '12%', '54%', '14%']);      // 다이어그램ID / 종류 / Mermaid 코드 / 관리
+  applyColgroup('tbl-code', ['22%', '12%', '52%', '14%']);         // 코드ID / 언어 / 소스코드 / 관리
 
+  await loadTraceMatrix();
+}
+
+// DB 탭: 추적성 매트릭스 (요구사항 행 + 연결 누락 다이어그램/코드 목록)
+const GAP_KR = {
+  NO_PARENT: '상위 없음', PARENT_MISSING: '상위 ID 없음', NO_CHILD: '하위 없음',
+  NO_DIAGRAM: '다이어그램 없음', NO_CODE: '코드 없음', NO_REQ: '요구사항 없음', BROKEN_LINK: '끊긴 연결',
+};
+const mkGapsHTML = gaps => gaps.length
+  ? gaps.map(g=>`<span class="gap-badge">${GAP_KR[g] || g}</span>`).join('')
+  : '<span class="gap-ok">OK</span>';
+const mkIdListHTML = ids => ids.length ? ids.map(escHTML).join('<br>') : '-';
+
+async function loadTraceMatrix(){
+  const tb = clearTbody('tbl-trace');
+  if (!tb) return;
+  const type = val(qs('#trace-type'));
+  const gapsOnly = qs('#trace-gaps-only')?.checked ? '1' : '';
+  const m = await api(`/api/trace/matrix?type=${encodeURIComponent(type)}&gapsOnly=${gapsOnly}`);
+
+  for (const r of m.requirements) {
+    const tr = document.createElement('tr');
+    if (r.gaps.length) tr.className = 'has-gap';
+    tr.innerHTML = `<td>${escHTML(r.id)}<div class="help">${escHTML(r.title)}</div></td><td>${typeKR(r.reqType)}</td>`
+      + `<td>${escHTML(r.parentId || '-')}</td><td>${mkIdListHTML(r.children)}</td>`
+      + `<td>${mkIdListHTML(r.diagrams)}</td><td>${mkIdListHTML(r.codes)}</td><td>${mkGapsHTML(r.gaps)}</td>`;
+    tb.appendChild(tr);
+  }
+  applyColgroup('tbl-trace', ['16%', '10%', '12%', '14%', '16%', '14%', '18%']);
+
+  // 요약: 종류별 누락 없는 항목 수 / 전체
+  const LABEL = { diagram: '다이어그램', code: '코드' };
+  qs('#trace-summary').innerHTML = Object.entries(m.summary)
+    .filter(([, s]) => s.total)
+    .map(([k, s]) => `<span>${LABEL[k] || typeKR(k)} ${s.covered}/${s.total}</span>`)
+    .join('') || '<span>데이터 없음</span>';
+
+  // 요구사항 행으로는 안 보이는 누락: 다이어그램/코드 쪽 연결 문제
+  const orphans = [
+    ...m.diagrams.filter(d => d.gaps.length).map(d => `다이어그램 ${escHTML(d.diagramId)}: ${d.gaps.map(g=>GAP_KR[g]||g).join(', ')}`),
+    ...m.codes.filter(c => c.gaps.length).map(c => `코드 ${escHTML(c.codeId)}: ${c.gaps.map(g=>GAP_KR[g]||g).join(', ')}`),
+  ];
+  qs('#trace-orphans').innerHTML = orphans.join('<br>');
+}
+
+// DB 탭: 설계 문서(SDD) — 선택한 템플릿 파일 (형식별, 없으면 서버 기본 템플릿)
+let __sddTemplates = {};   // { md?: string, html?: string }
+
+/** 템플릿 파일명 → 형식 (.html/.htm → html, 그 외 md) */
+const sddTemplateFormat = name => /\.html?$/i.test(name) ? 'html' : 'md';
+
+async function generateSdd(){
+  const format = val(qs('#sdd-format')) || 'html';
+  const types = Array.from(document.querySelectorAll('.sdd-type:checked')).map(c => c.value);
+  if (!types.length) throw new Error('포함할 요구사항 단계를 하나 이상 고르세요.');
+  const r = await apiFetch('/api/report/sdd', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      format, types,
+      title: val(qs('#sdd-title')) || undefined,
+      version: val(qs('#sdd-version')),
+      author: currentAuthor(),
+      excerptLines: Number(val(qs('#sdd-excerpt')) || 0),
+      templates: __sddTemplates,
+    }),
+  });
+  await downloadResponse(r, format === 'zip' ? 'sdd.zip' : `sdd.${format}`);
+  const warnings = decodeURIComponent(r.headers.get('X-Report-Warnings') || '');
+  if (warnings) alert(`그리지 못한 다이어그램은 Mermaid 원문으로 넣었습니다.\n\n${warnings}`);
+}
+
+// DB 탭: 요구사항 일괄 가져오기 (CSV / XLSX / ReqIF) — 미리보기(dryRun)에서 열 매핑/옵션 조정 후 저장
+let __reqImport = null;   // { src: { fileName, content? | contentBase64? }, sheet?, headerRow?, mapping?, mode, defaultReqType }
+
+const REQ_IMPORT_FIELDS = [['id', 'ID'], ['reqType', '종류'], ['title', '제목'], ['desc', '내용'], ['parent', '상위 ID']];
+const REQ_IMPORT_ACTION_KR = { create: '추가', update: '변경', unchanged: '변경 없음', skip: '건너뜀', error: '오류' };
+const REQ_IMPORT_HIERARCHY = '@hierarchy';
+
+/** 파일 → 요청 본문 (xlsx 는 base64, 그 외 텍스트) */
+async function readReqImportFile(file){
+  if (!/\.xlsx$/i.test(file.name)) return { fileName: file.name, content: await file.text() };
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return { fileName: file.name, contentBase64: btoa(bin) };
+}
+
+function runReqImport(dryRun){
+  const s = __reqImport;
+  return api('/api/import/requirements', { method:'POST', body: JSON.stringify({
+    ...s.src, sheet: s.sheet, headerRow: s.headerRow || undefined, mapping: s.mapping,
+    mode: s.mode, defaultReqType: s.defaultReqType || undefined, dryRun,
+  }) });
+}
+
+function mkReqImportHTML(j){
+  const s = __reqImport;
+  const opt = (value, label, cur) => `<option value="${escHTML(value)}"${value === cur ? ' selected' : ''}>${escHTML(label)}</option>`;
+  const columns = [['', '(사용 안 함)'], ...j.columns.map(c => [c, c]), ...(j.hierarchy ? [[REQ_IMPORT_HIERARCHY, '(ReqIF 계층)']] : [])];
+  const mapping = REQ_IMPORT_FIELDS.map(([f, label]) => `<label>${label}<select class="ri-map" data-field="${f}" ${j.dryRun ? '' : 'disabled'}>`
+    + columns.filter(([c]) => c !== REQ_IMPORT_HIERARCHY || f === 'parent').map(([c, l]) => opt(c, l, j.mapping[f] || '')).join('')
+    + '</select></label>').join('');
+  const options = [
+    j.sheets ? `<label>시트<select id="ri-sheet">${j.sheets.map(n => opt(n, n, j.sheet)).join('')}</select></label>` : '',
+    j.format !== 'reqif' ? `<label>머리글 행<input id="ri-header-row" type="number" min="1" value="${escHTML(s.headerRow || '')}" placeholder="자동 (첫 행)"></label>` : '',
+    `<label>같은 ID<select id="ri-mode">${opt('upsert', '덮어쓰기', s.mode)}${opt('skip', '건너뛰기', s.mode)}</select></label>`,
+    `<label>기본 종류<select id="ri-type">${opt('', '(종류 열 사용)', s.defaultReqType)}${Object.keys(TYPE_KR).map(t => opt(t, typeKR(t), s.defaultReqType)).join('')}</select></label>`,
+  ].join('');
+  const c = j.counts;
+  const rows = j.rows.map(r => {
+    const note = r.errors.length
+      ? r.errors.map(e => `<span class="gap-badge">${escHTML(e)}</span>`).join('')
+      : (r.changes?.length ? `<span class="help">${escHTML(r.changes.join(', '))}</span>` : '');
+    const action = REQ_IMPORT_ACTION_KR[r.action] + (r.rev ? ` (r${r.rev})` : '');
+    return `<tr${r.errors.length ? ' class="has-error"' : ''}><td>${r.line}</td><td>${r.errors.length ? action : `<span class="gap-ok">${action}</span>`}</td>`
+      + `<td>${escHTML(r.id)}</td><td>${escHTML(typeKR(r.reqType))}</td><td>${escHTML(r.title)}</td><td>${escHTML(r.parentId || '-')}</td><td>${note}</td></tr>`;
+  }).join('');
+  const saving = c.create + c.update;
+  return `
+    <div class="diff-summary">
+      <div>${escHTML(s.src.fileName)} · ${j.total}행: 추가 <b>${c.create}</b> · 변경 <b>${c.update}</b> · 변경 없음 ${c.unchanged} · 건너뜀 ${c.skip} · 오류 <b>${c.error}</b></div>
+      ${j.dryRun ? '' : `<div><b>${j.imported}</b>건 저장했습니다.</div>`}
+    </div>
+    ${j.dryRun ? `<div class="req-import-map">${options}</div><div class="section-title" style="margin-top:6px;">열 매핑</div><div class="req-import-map">${mapping}</div>` : ''}
+    <div class="table-wrap" style="margin-top:8px;">
+      <table class="table req-import-table">
+        <colgroup><col style="width:6%"><col style="width:11%"><col style="width:14%"><col style="width:14%"><col style="width:21%"><col style="width:12%"><col style="width:22%"></colgroup>
+        <thead><tr><th scope="col">행</th><th scope="col">결과</th><th scope="col">ID</th><th scope="col">종류</th><th scope="col">제목</th><th scope="col">상위</th><th scope="col">오류 / 변경</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${j.dryRun ? `<div class="row" style="margin-top:8px;">
+      <button class="btn save" id="btn-ri-run" ${saving ? '' : 'disabled'}>가져오기 (${saving}건)</button>
+      <span class="help">오류 행은 건너뛰고 나머지를 저장합니다.</span>
+    </div>` : ''}`;
+}
+
+/** 미리보기/결과를 모달에 표시 (옵션·매핑을 바꾸면 다시 미리보기) */
+async function showReqImport(dryRun){
+  const j = await runReqImport(dryRun);
+  if (dryRun) { __reqImport.mapping = j.mapping; __reqImport.sheet = j.sheet; }
+  const body = openModal(dryRun ? '요구사항 가져오기 미리보기' : '요구사항 가져오기 결과', mkReqImportHTML(j));
+  if (!dryRun) {
+    if (j.imported) await Promise.all([loadDBView(), refreshAllLists()]);
+    return;
+  }
+  const repreview = (patch) => {
+    Object.assign(__reqImport, patch);
+    showReqImport(true).catch(err=>alert(String(err?.message||err)));
+  };
+  body.querySelectorAll('.ri-map').forEach(sel => sel.addEventListener('change', ()=>
+    repreview({ mapping: { ...__reqImport.mapping, [sel.dataset.field]: sel.value || undefined } })));
+  // 시트/머리글 행이 바뀌면 열 목록도 바뀌므로 매핑은 다시 추정
+  body.querySelector('#ri-sheet')?.addEventListener('change', (e)=>repreview({ sheet: e.target.value, mapping: undefined }));
+  body.querySelector('#ri-header-row')?.addEventListener('change', (e)=>repreview({ headerRow: Number(e.target.value) || undefined, mapping: undefined }));
+  body.querySelector('#ri-mode').addEventListener('change', (e)=>repreview({ mode: e.target.value }));
+  body.querySelector('#ri-type').addEventListener('change', (e)=>repreview({ defaultReqType: e.target.value }));
+  const runBtn = body.querySelector('#btn-ri-run');
+  runBtn.addEventListener('click', ()=>withLoading(runBtn, '저장 중…', ()=>showReqImport(false))
+    .catch(err=>alert(String(err?.message||err))));
+}
+
+// DB 탭: DB 번들 가져오기 — 미리보기(dryRun) 후 저장
+const BUNDLE_COLLECTION_KR = { requirements: '요구사항', codes: '소스코드', diagrams: '다이어그램' };
+const BUNDLE_ACTION_KR = { create: '추가', update: '덮어쓰기', unchanged: '변경 없음', skip: '현재 값 유지', rename: '새 ID로 추가' };
+
+function importBundle(file, { policy, dryRun }){
+  const q = new URLSearchParams({ policy, ...(dryRun ? { dryRun: '1' } : {}) });
+  return api(`/api/import/bundle?${q}`, { method: 'POST', headers: { 'Content-Type': 'application/zip' }, body: file });
+}
+
+function mkBundleImportHTML(j){
+  const c = j.counts;
+  const m = j.manifest;
+  // 변경 없음은 건수만 (행이 많아지지 않게)
+  const rows = j.results.filter(r => r.action !== 'unchanged').map(r => {
+    const action = BUNDLE_ACTION_KR[r.action] + (r.rev ? ` (r${r.rev})` : '');
+    const note = [r.newId ? `→ ${escHTML(r.newId)}` : '', r.history ? `이력 ${r.history}건` : ''].filter(Boolean).join(' · ');
+    return `<tr><td>${BUNDLE_COLLECTION_KR[r.collection] || r.collection}</td><td>${escHTML(r.id)}</td>`
+      + `<td>${r.action === 'skip' ? action : `<span class="gap-ok">${action}</span>`}</td><td>${note}</td></tr>`;
+  }).join('');
+  const warnings = j.warnings.map(w => `<div class="help">${escHTML(w)}</div>`).join('');
+  return `
+    <div class="diff-summary">
+      <div>번들: ${escHTML(m.app || '')} · 스키마 v${m.schemaVersion} · ${escHTML((m.exportedAt || '').replace('T', ' ').slice(0, 16))} 내보냄${m.history ? '' : ' (이력 없음)'}</div>
+      <div>추가 <b>${c.create}</b> · 덮어쓰기 <b>${c.update}</b> · 새 ID로 추가 <b>${c.rename}</b> · 현재 값 유지 ${c.skip} · 변경 없음 ${c.unchanged}${j.histories ? ` · 삭제된 항목 이력 ${j.histories}건` : ''}</div>
+      ${j.dryRun ? '' : `<div><b>${j.imported}</b>건 저장했습니다.</div>`}
+    </div>
+    ${rows ? `<div class="table-wrap" style="margin-top:8px;">
+      <table class="table">
+        <colgroup><col style="width:16%"><col style="width:30%"><col style="width:22%"><col style="width:32%"></colgroup>
+        <thead><tr><th scope="col">구분</th><th scope="col">ID</th><th scope="col">결과</th><th scope="col">비고</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>` : ''}
+    ${warnings ? `<div style="margin-top:8px;"><b>대상이 없는 연결</b>${warnings}</div>` : ''}
+    ${j.dryRun ? `<div class="row" style="margin-top:8px;">
+      <button class="btn save" id="btn-bundle-run">가져오기</button>
+      <span class="help">같은 ID 처리: ${escHTML(qs(`#bundle-policy option[value="${j.policy}"]`)?.textContent || j.policy)}</span>
+    </div>` : ''}`;
+}
+
+async function previewBundleImport(file){
+  const policy = val(qs('#bundle-policy')) || 'keep';
+  const j = await importBundle(file, { policy, dryRun: true });
+  const body = openModal('번들 가져오기 미리보기', mkBundleImportHTML(j));
+  const runBtn = body.querySelector('#btn-bundle-run');
+  runBtn.addEventListener('click', ()=>withLoading(runBtn, '저장 중…', async ()=>{
+    const r = await importBundle(file, { policy, dryRun: false });
+    openModal('번들 가져오기 결과', mkBundleImportHTML(r));
+    if (r.imported || r.histories) await Promise.all([loadDBView(), refreshAllLists()]);
+  }).catch(err=>alert(String(err?.message||err))));
+}
+
+// --------------- 추적성 그래프 탭 ---------------
+let __traceNodes = {};   // Mermaid 노드 id → { type, id, kind?, gaps }
+const TRACE_TYPE_KR = { req: '요구사항', diagram: '다이어그램', code: '코드' };
+
+async function loadTraceGraph(){
+  const sel = qs('#trace-focus');
+  const focus = val(sel);
+  const q = focus ? `&focus=${encodeURIComponent(focus)}` : '';
+  const [all, g] = await Promise.all([
+    api('/api/trace/graph'),
+    api(`/api/trace/graph?onClick=umlTraceOpen${q}`),
+  ]);
+
+  // 중심 항목 목록은 항상 전체 기준
+  const items = Object.values(all.nodes).map(n => ({ key: `${n.type}:${n.id}`, label: `[${TRACE_TYPE_KR[n.type]}] ${n.id}` }));
+  fillSelect(sel, [{ key: '', label: '(전체)' }, ...items], it => it.label, it => it.key);
+  sel.value = items.some(it => it.key === focus) ? focus : '';
+
+  __traceNodes = g.nodes;
+  const view = qs('#trace-graph-view');
+  if (!Object.keys(g.nodes).length) { view.textContent = '표시할 항목이 없습니다.'; return; }
+  renderMermaid(view, g.mermaid);
+}
+
+/** 라디오 선택 + change 이벤트 (입력 방식 토글 연동) */
+function checkRadio(name, value){
+  const r = qs(`input[name="${name}"][value="${value}"]`);
+  if (r && !r.checked) { r.checked = true; r.dispatchEvent(new Event('change')); }
+}
+
+/** 그래프 노드 → 알맞은 변환 탭에서 열기 (요구사항: 요구사항→MM, 코드: 코드→MM, 다이어그램: MM→코드) */
+async function openTraceNode(node){
+  if (!node) return;
+  if (node.type === 'req') {
+    setActiveTab('tab-req2mm');
+    checkRadio('reqMode', 'db');
+    qs('#req-type').value = '';
+    await refreshReqList();
+    qs('#req-select').value = node.id;
+    await loadReqDetailsToManual(node.id);
+  } else if (node.type === 'code') {
+    setActiveTab('tab-code2mm');
+    checkRadio('codeMode', 'db');
+    await refreshCodeList();
+    qs('#code-select').value = node.id;
+    await loadCodeDetailsToManual(node.id);
+  } else if (node.type === 'diagram') {
+    setActiveTab('tab-mm2code');
+    checkRadio('mmDiagramMode', 'db');
+    if (node.kind) qs('#mm-diagram-kind').value = node.kind;
+    await refreshDiagramList(qs('#mm-diagram-select'), node.kind || '');
+    qs('#mm-diagram-select').value = node.id;
+    const mer = await loadDiagramToCache(node.id);
+    const ta = qs('#mm-text');
+    if (ta) { ta.value = mer; enforceMmTextScrollbox(); }
+  }
+}
+
+// Mermaid `click ... call umlTraceOpen("R_0")` 대상 (전역 함수여야 함)
+window.umlTraceOpen = (nodeId) => {
+  openTraceNode(__traceNodes[nodeId]).catch(err=>alert(String(err?.message||err)));
+};
+
+// DB 탭: 행 삭제 (참조가 남아 있으면 409 → 확인 후 cascade 재요청)
+const DELETE_PATH = { req: '/api/req/', code: '/api/code/', diagram: '/api/diagram/' };
+async function deleteDbRow(type, id){
+  if (!confirm(`'${id}' 항목을 삭제할까요?`)) return false;
+  const url = DELETE_PATH[type] + encodeURIComponent(id);
+  try {
+    await api(url, { method: 'DELETE' });
+  } catch (err) {
+    if (err.status !== 409 || err.data?.error !== 'REFERENCED') throw err;
+    const refs = (err.data.refs || []).map(r=>`- ${r.collection}/${r.id} (${r.field})`).join('\n');
+    if (!confirm(`다음 항목이 '${id}'를 참조하고 있습니다.\n${refs}\n\n참조를 해제하고 삭제할까요?`)) return false;
+    await api(`${url}&cascade=1`, { method: 'DELETE' });
+  }
+  return true;
+}
+
+// --------------- 모달 ---------------
+let __modalOnClose = null;   // 닫힐 때 1회 호출 (비교 모달의 '취소' 처리 등)
+function openModal(title, html, onClose){
+  closeModal();
+  qs('#modal-title').textContent = title;
+  const body = qs('#modal-body');
+  body.innerHTML = html;
+  qs('#modal').classList.remove('hidden');
+  __modalOnClose = onClose || null;
+  return body;
+}
+function closeModal(){
+  qs('#modal')?.classList.add('hidden');
+  const body = qs('#modal-body'); if (body) body.innerHTML = '';
+  const cb = __modalOnClose; __modalOnClose = null;
+  if (cb) cb();
+}
+
+// --------------- 다이어그램 비교(diff) ---------------
+const DIFF_ADD_COLOR = '#2f9158';
+const DIFF_DEL_COLOR = '#cc4b4b';
+
+function mkDiffTableHTML(before, after){
+  const cell = (op, side) => {
+    if (!op) return '<td class="diff-no"></td><td class="diff-empty"></td>';
+    const no = side === 'left' ? op.aNo : op.bNo;
+    const cls = op.type === 'same' ? '' : op.type;
+    return `<td class="diff-no">${no}</td><td class="mono ${cls}">${escHTML(op.text)}</td>`;
+  };
+  const rows = sideBySideRows(diffLines(before, after))
+    .map(r => `<tr>${cell(r.left, 'left')}${cell(r.right, 'right')}</tr>`).join('');
+  return `
+    <div class="table-wrap">
+      <table class="table diff-table">
+        <colgroup><col style="width:4%"><col style="width:46%"><col style="width:4%"><col style="width:46%"></colgroup>
+        <thead><tr><th></th><th scope="col">저장본</th><th></th><th scope="col">새 버전</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+function mkDiffSummaryHTML(g){
+  const list = (arr) => arr.length ? arr.map(x=>`<code>${escHTML(x)}</code>`).join(', ') : '-';
+  return `
+    <div class="diff-summary">
+      <div><span class="diff-badge add">추가</span> 노드: ${list(g.addedNodes)} / 연결: ${list(g.addedEdges)}</div>
+      <div><span class="diff-badge del">삭제</span> 노드: ${list(g.removedNodes)} / 연결: ${list(g.removedEdges)}</div>
+    </div>`;
+}
+
+/**
+ * 저장본(before)과 새 Mermaid(after) 비교 모달
+ * - 줄 단위 나란히 보기 + 두 버전 렌더링(추가: 초록, 삭제: 빨강 강조)
+ * - confirm 모드면 '덮어쓰기 저장'/'취소' 버튼을 띄우고 선택 결과를 반환
+ * @returns {Promise<boolean>} 덮어쓰기 진행 여부 (보기 전용이면 항상 false)
+ */
+function showDiagramDiff(diagramId, before, after, { confirm: asConfirm = false } = {}){
+  return new Promise(resolve=>{
+    const g = diffGraphs(before, after);
+    const body = openModal(`다이어그램 비교: ${diagramId}`, `
+      ${mkDiffSummaryHTML(g)}
+      <div class="grid" style="margin:10px 0;">
+        <div><div class="section-title">저장본</div><div id="diff-before-view" class="diagram-mini"></div></div>
+        <div><div class="section-title">새 버전</div><div id="diff-after-view" class="diagram-mini"></div></div>
+      </div>
+      ${mkDiffTableHTML(before, after)}
+      ${asConfirm ? `
+      <div class="row" style="margin-top:10px;">
+        <button class="btn save" id="btn-diff-apply">덮어쓰기 저장</button>
+        <button class="btn ghost" id="btn-diff-cancel">취소</button>
+      </div>` : ''}
+    `, ()=>resolve(false));
+    renderMermaid(qs('#diff-before-view', body), highlightMermaid(before, g.before, g.removedNodes, g.removedEdges, DIFF_DEL_COLOR));
+    renderMermaid(qs('#diff-after-view', body),  highlightMermaid(after,  g.after,  g.addedNodes,   g.addedEdges,   DIFF_ADD_COLOR));
+    qs('#btn-diff-apply', body)?.addEventListener('click', ()=>{ __modalOnClose = null; closeModal(); resolve(true); });
+    qs('#btn-diff-cancel', body)?.addEventListener('click', closeModal);
+  });
+}
+
+/**
+ * 저장본이 있고 내용이 다르면 비교 모달로 덮어쓰기 확인 (없거나 같으면 바로 진행)
+ * @returns {Promise<number|null>} 확인한 저장본 버전(없으면 0) — 저장 시 expectedVersion으로 사용, 취소 시 null
+ */
+async function confirmDiagramOverwrite(diagramId, mermaidCode){
+  const current = await fetchStoredDiagram(diagramId);
+  if (!current) return 0;
+  const version = current.version ?? 0;
+  const before = stripMermaidFences(current.mermaid || '');
+  if (before.trim() === stripMermaidFences(mermaidCode).trim()) return version;
+  return await showDiagramDiff(diagramId, before, mermaidCode, { confirm: true }) ? version : null;
+}
+
+/** 저장본 조회 (없으면 null) */
+async function fetchStoredDiagram(diagramId){
+  try {
+    return await api(`/api/get/diagram/${encodeURIComponent(diagramId)}`);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/** '저장본과 비교' 버튼: 결과창 Mermaid와 저장본 비교 (보기 전용) */
+async function showStoredDiff(diagramId, mermaidCode){
+  if (!diagramId) throw new Error('다이어그램 ID를 지정하세요.');
+  if (!mermaidCode) throw new Error('Mermaid 코드가 없습니다.');
+  const current = await fetchStoredDiagram(diagramId);
+  if (!current) throw new Error(`저장된 다이어그램이 없습니다: ${diagramId}`);
+  await showDiagramDiff(diagramId, stripMermaidFences(current.mermaid || ''), mermaidCode);
+}
+
+// --------------- 다이어그램 ↔ 코드 정합성 ---------------
+const CONSISTENCY_ROWS = [
+  ['classes',   '클래스', x => x],
+  ['methods',   '메서드', m => `${m.class}.${m.name}()`],
+  ['relations', '관계',   x => `${x.from} → ${x.to} (${x.kind})`],
+];
+
+/** /api/verify/consistency 응답 → 요약 + 항목별 표 */
+function mkConsistencyHTML(j){
+  const r = j.report;
+  const list = (arr, fmt) => arr.length ? arr.map(x=>`<code>${escHTML(fmt(x))}</code>`).join(', ') : '-';
+  const rows = CONSISTENCY_ROWS.map(([k, label, fmt]) =>
+    `<tr><td>${label}</td><td>${r[k].matched}</td><td>${list(r[k].diagramOnly, fmt)}</td><td>${list(r[k].codeOnly, fmt)}</td></tr>`).join('');
+  const unlinked = j.diagramId && j.codeId && !j.linked ? ' <span class="help">(다이어그램 links.codeId와 다른 코드)</span>' : '';
+  return `
+    <div class="diff-summary">
+      <div>${r.consistent ? '<span class="gap-ok">일치</span>' : '<span class="gap-badge">불일치</span>'}
+        다이어그램 <code>${escHTML(j.diagramId || '(입력)')}</code> ↔ 코드 <code>${escHTML(j.codeId || '(생성 결과)')}</code>${unlinked}</div>
+    </div>
+    <div class="table-wrap" style="margin-top:8px;">
+      <table class="table">
+        <colgroup><col style="width:12%"><col style="width:8%"><col style="width:40%"><col style="width:40%"></colgroup>
+        <thead><tr><th scope="col">항목</th><th scope="col">일치</th><th scope="col">다이어그램에만</th><th scope="col">코드에만</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+async function verifyConsistency(payload){
+  return api('/api/verify/consistency', { method:'POST', body: JSON.stringify(payload) });
+}
+
+// --------------- 다이어그램 이미지 내보내기 (SVG / PNG / PDF) ---------------
+const EXPORT_FORMATS = new Set(['svg', 'png', 'pdf']);
+/** 라벨을 SVG <text>로 그리게 하는 지시문 (foreignObject가 있으면 PNG 변환 시 캔버스가 막히고 다른 도구에서 깨짐) */
+const EXPORT_INIT = '%%{init: {"htmlLabels": false, "flowchart": {"htmlLabels": false}}}%%';
+
+/** Mermaid → 독립 SVG { text, width, height } (미리보기와 별도로 다시 그림) */
+async function renderExportSvg(code){
+  const clean = prepareMermaid(code);
+  if (!clean.trim()) throw new Error('내보낼 Mermaid 코드가 없습니다.');
+  // frontmatter(---)가 있으면 그 뒤에 지시문
+  const src = clean.replace(/^(---\n[\s\S]*?\n---\n)?/, (fm)=>`${fm}${EXPORT_INIT}\n`);
+  const { svg } = await mermaid.render(`export-svg-${Date.now()}`, src);
+  const el = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+  const [, , w, h] = (el.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const width = Math.ceil(w) || 800, height = Math.ceil(h) || 600;
+  el.setAttribute('width', width);
+  el.setAttribute('height', height);
+  el.style.removeProperty('max-width');
+  return { text: `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(el)}`, width, height };
+}
+
+/** SVG → PNG Blob (흰 배경, 기본 2배) */
+async function svgToPngBlob({ text, width, height }, scale = 2){
+  const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return await new Promise((resolve, reject)=>canvas.toBlob(b => b ? resolve(b) : reject(new Error('PNG 변환에 실패했습니다.')), 'image/png'));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** SVG → 인쇄 창 (브라우저의 “PDF로 저장”) */
+function printSvg({ text }, title){
+  const w = window.open('', '_blank');
+  if (!w) throw new Error('팝업이 차단되어 인쇄 창을 열 수 없습니다.');
+  w.document.write(`<!doctype html><html><head><meta charset="utf-8"><title>${escHTML(title)}</title>`
+    + '<style>@page{margin:12mm}body{margin:0}svg{max-width:100%;height:auto}</style></head>'
+    + `<body>${text.replace(/^<\?xml[^>]*>\s*/, '')}</body></html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+}
+
+/**
+ * 다이어그램 이미지 내보내기 (브라우저에서 그림)
+ * @param {string} code
+ * @param {string} name   - 파일명 (확장자 제외)
+ * @param {'svg'|'png'|'pdf'} format
+ */
+async function exportDiagramImage(code, name, format){
+  if (!EXPORT_FORMATS.has(format)) throw new Error(`지원하지 않는 형식: ${format}`);
+  const svg = await renderExportSvg(code);
+  const base = String(name || 'diagram').replace(/[^\w.-]+/g, '_');
+  if (format === 'svg') downloadBlob(new Blob([svg.text], { type: 'image/svg+xml' }), `${base}.svg`);
+  else if (format === 'png') downloadBlob(await svgToPngBlob(svg), `${base}.png`);
+  else printSvg(svg, base);
+}
+
+/** 내보내기 버튼 묶음 (data-*는 버튼 처리기에서 코드 출처로 사용) */
+function mkExportButtonsHTML(data){
+  const attrs = Object.entries(data).map(([k, v])=>` data-${k}="${escHTML(v)}"`).join('');
+  return ['svg', 'png', 'pdf'].map(f =>
+    `<button class="btn ghost btn-export-image" data-format="${f}"${attrs} title="${f.toUpperCase()}로 내보내기">${f.toUpperCase()}</button>`).join('');
+}
+
+// --------------- PlantUML / XMI 가져오기·내보내기 ---------------
+/** PlantUML 변환을 지원하는 다이어그램 종류 (server/plantuml.mjs PLANTUML_KINDS) */
+const PLANTUML_KINDS = new Set(['usecase', 'sequence', 'class', 'activity']);
+/** XMI 변환을 지원하는 다이어그램 종류 (server/xmi.mjs XMI_KINDS) */
+const XMI_KINDS = new Set(['class', 'usecase']);
+const IMPORT_ERROR_KR = { EXISTS: '같은 ID가 이미 있음 (덮어쓰기 선택 시 저장)', INVALID_MERMAID: '변환 결과가 Mermaid 문법 오류' };
+
+/** /api/import/puml·xmi 응답 → 블록(파일)별 결과 표 */
+function mkImportHTML(j){
+  const rows = j.results.map(r => {
+    const note = r.ok
+      ? (r.warnings.length ? r.warnings.map(w=>`<div class="help">${escHTML(w)}</div>`).join('') : '-')
+      : `<span class="gap-badge">${escHTML(IMPORT_ERROR_KR[r.error] || r.error)}</span>`
+        + (r.errors||[]).map(e=>`<div class="help">${e.line}행: ${escHTML(e.message)}</div>`).join('');
+    return `<tr><td>${escHTML(r.path)}</td><td>${escHTML(r.diagramId)}</td><td>${escHTML(r.kind||'-')}</td>`
+      + `<td>${r.ok ? `<span class="gap-ok">저장 (r${r.rev})</span>` : '실패'}</td><td>${note}</td></tr>`;
+  }).join('');
+  return `
+    <div class="diff-summary"><div>${j.results.length}개 중 <b>${j.imported}</b>개 저장</div></div>
+    <div class="table-wrap" style="margin-top:8px;">
+      <table class="table">
+        <colgroup><col style="width:20%"><col style="width:18%"><col style="width:10%"><col style="width:12%"><col style="width:40%"></colgroup>
+        <thead><tr><th scope="col">파일</th><th scope="col">다이어그램 ID</th><th scope="col">종류</th><th scope="col">결과</th><th scope="col">경고 / 오류</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+// --------------- 이력 보기/복원 ---------------
+const SOURCE_KR = {
+  manual: '직접 수정', req2mm: '요구사항→MM', code2mm: '코드→MM', mm2code: 'MM→코드', import: '가져오기',
+  restore: '복원', delete: '삭제', cascade: '참조 해제', review: '검토'
+};
+
+async function showHistory(type, id){
+  const j = await api(`/api/history/${type}/${encodeURIComponent(id)}`);
+  const rows = (j.items||[]).slice().reverse().map(r=>`
+    <tr>
+      <td>#${r.rev}${r.deleted ? ' (삭제됨)' : ''}</td>
+      <td>${escHTML(new Date(r.at).toLocaleString())}</td>
+      <td>${escHTML(r.author)}</td>
+      <td>${escHTML(SOURCE_KR[r.source] || r.source)}</td>
+      <td>
+        <button class="btn ghost btn-hist-view" data-rev="${r.rev}">보기</button>
+        <button class="btn ghost btn-hist-restore" data-rev="${r.rev}">복원</button>
+      </td>
+    </tr>`).join('');
+  const body = openModal(`이력: ${id}`, `
+    <div class="table-wrap">
+      <table class="table" id="tbl-history">
+        <thead><tr><th scope="col">리비전</th><th scope="col">시각</th><th scope="col">작성자</th><th scope="col">출처</th><th scope="col">관리</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="5">이력이 없습니다.</td></tr>'}</tbody>
+      </table>
+    </div>
+    <div id="hist-detail" style="margin-top:10px;"></div>
+  `);
+  body.dataset.type = type;
+  body.dataset.id = id;
+}
+
+async function showRevisionDetail(type, id, rev){
+  const r = await api(`/api/history/${type}/${encodeURIComponent(id)}/${rev}`);
+  const box = qs('#hist-detail');
+  if (!box) return;
+  const text = type === 'diagram' ? r.item.mermaid : type === 'code' ? r.item.code : JSON.stringify(r.item, null, 2);
+  box.innerHTML = `
+    <div class="section-title">리비전 #${r.rev}</div>
+    <div class="mono">${escHTML(text)}</div>
+    ${type === 'diagram' ? '<div id="hist-preview" class="diagram-mini"></div>' : ''}
+  `;
+  if (type === 'diagram') renderMermaid(qs('#hist-preview'), r.item.mermaid);
+}
+
+async function restoreRevision(type, id, rev){
+  if (!confirm(`'${id}'를 리비전 #${rev} 상태로 복원할까요?`)) return false;
+  await api(`/api/history/${type}/${encodeURIComponent(id)}/${rev}/restore`, { method: 'POST' });
+  return true;
+}
+
+// --------------- 검토/승인 ---------------
+// 동작별 허용 상태/필요 역할 (server/review.mjs 의 REVIEW_ACTIONS 와 같게 유지)
+const REVIEW_ACTIONS = [
+  { action: 'submit',   label: '검토 요청',     from: ['draft'],                          role: 'editor' },
+  { action: 'approve',  label: '승인',          from: ['in_review'],                      role: 'approver' },
+  { action: 'reject',   label: '반려',          from: ['in_review'],                      role: 'approver', comment: true },
+  { action: 'comment',  label: '의견 남기기',   from: Object.keys(STATUS_KR),             role: 'editor',   comment: true },
+  { action: 'obsolete', label: '폐기',          from: ['draft', 'in_review', 'approved'], role: 'approver' },
+  { action: 'reopen',   label: '다시 열기',     from: ['approved', 'obsolete'],           role: 'approver' },
+];
+const REVIEW_ACTION_KR = {
+  submit: '검토 요청', approve: '승인', reject: '반려', comment: '의견', obsolete: '폐기', reopen: '다시 열기',
+  invalidate: '내용 변경 (승인 해제)'
+};
+
+function mkReviewHTML(item){
+  const review = item.review || {};
+  const a = review.approval;
+  const approval = a
+    ? `승인: <b>${escHTML(a.by)}</b> · ${escHTML(new Date(a.at).toLocaleString())} · 버전 ${a.version}${a.comment ? ` · ${escHTML(a.comment)}` : ''}`
+    : '승인 기록 없음';
+  const rows = (review.history || []).slice().reverse().map(h=>`
+    <tr>
+      <td>${escHTML(new Date(h.at).toLocaleString())}</td>
+      <td>${escHTML(h.by)}</td>
+      <td>${escHTML(REVIEW_ACTION_KR[h.action] || h.action)}</td>
+      <td>${escHTML(STATUS_KR[h.from] || h.from)} → ${escHTML(STATUS_KR[h.to] || h.to)}</td>
+      <td>${h.version}</td>
+      <td>${escHTML(h.comment || '')}</td>
+    </tr>`).join('');
+  // 현재 상태/역할로 할 수 있는 동작만 버튼으로
+  const buttons = REVIEW_ACTIONS
+    .filter(r => r.from.includes(statusOf(item)) && hasRoleUI(r.role))
+    .map(r => `<button class="btn ${r.action === 'approve' ? 'save' : 'ghost'} btn-review-act" data-action="${r.action}"${r.comment ? ' data-comment="1"' : ''}>${r.label}</button>`)
+    .join('');
+  return `
+    <div class="diff-summary">
+      <div>상태 ${mkStatusBadgeHTML(item)} · 현재 버전 ${item.version ?? '-'}${item.updatedBy ? ` (${escHTML(item.updatedBy)})` : ''}</div>
+      <div>${approval}</div>
+    </div>
+    <div class="table-wrap" style="margin-top:8px;">
+      <table class="table" id="tbl-review">
+        <colgroup><col style="width:18%"><col style="width:12%"><col style="width:16%"><col style="width:18%"><col style="width:8%"><col style="width:28%"></colgroup>
+        <thead><tr><th scope="col">시각</th><th scope="col">검토자</th><th scope="col">동작</th><th scope="col">상태</th><th scope="col">버전</th><th scope="col">의견</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="6">검토 기록이 없습니다.</td></tr>'}</tbody>
+      </table>
+    </div>
+    ${buttons ? `
+    <div class="field" style="margin-top:8px;">
+      <label for="review-comment">의견 (반려/의견 남기기는 필수)</label>
+      <textarea id="review-comment" rows="3" maxlength="4000"></textarea>
+    </div>
+    <div class="row" style="margin-top:8px;">${buttons}</div>
+    <div id="review-error" class="error" role="status" aria-live="polite"></div>` : '<div class="help" style="margin-top:8px;">이 상태에서 할 수 있는 검토 동작이 없습니다.</div>'}`;
+}
+
+/** 검토 모달 (연 시점의 버전을 기억 → 동작 시 expectedVersion: 그 사이 내용이 바뀌었으면 409) */
+async function showReview(type, id){
+  const item = await api(`/api/get/${type}/${encodeURIComponent(id)}`);
+  const body = openModal(`검토: ${id}`, mkReviewHTML(item));
+  body.dataset.type = type;
+  body.dataset.id = id;
+  body.dataset.version = item.version ?? '';
+}
+
+async function runReviewAction(btn){
+  const { type, id, version } = qs('#modal-body').dataset;
+  const comment = val(qs('#review-comment'));
+  if (btn.dataset.comment && !comment) throw new Error('의견을 입력하세요.');
+  await api(`/api/review/${type}/${encodeURIComponent(id)}`, {
+    method: 'POST',
+    body: JSON.stringify({ action: btn.dataset.action, comment, expectedVersion: version ? Number(version) : undefined }),
+  });
+  await Promise.all([loadDBView(), refreshAllLists()]);
+  await showReview(type, id);
 }
 
 function applyColgroup(tableId, widths){
@@ -687,6 +1647,7 @@ function initTabs(){
       flashClick(btn);
       setActiveTab(btn.dataset.target);
       if (btn.dataset.target === 'tab-db') loadDBView().catch(()=>{});
+      if (btn.dataset.target === 'tab-trace') loadTraceGraph().catch(()=>{});
     });
   });
   setActiveTab('tab-req2mm');
@@ -782,11 +1743,210 @@ function bindEvents(){
     if (b) flashClick(b);
   });
 
+  // DB 탭: 행 삭제 버튼 (위임)
+  document.addEventListener('click', (e)=>{
+    const b = e.target.closest('.btn-row-del');
+    if (!b) return;
+    withLoading(b, '삭제 중…', async ()=>{
+      const deleted = await deleteDbRow(b.dataset.type, b.dataset.id);
+      if (!deleted) return;
+      await Promise.all([loadDBView(), refreshAllLists()]);
+    }).catch(err=>alert(String(err?.message||err)));
+  });
+
+  // DB 탭: 이력 모달 (열기/보기/복원)
+  document.addEventListener('click', (e)=>{
+    const open = e.target.closest('.btn-row-hist');
+    if (open) {
+      withLoading(open, '불러오는 중…', ()=>showHistory(open.dataset.type, open.dataset.id))
+        .catch(err=>alert(String(err?.message||err)));
+      return;
+    }
+    const body = qs('#modal-body');
+    const view = e.target.closest('.btn-hist-view');
+    if (view) {
+      showRevisionDetail(body.dataset.type, body.dataset.id, view.dataset.rev)
+        .catch(err=>alert(String(err?.message||err)));
+      return;
+    }
+    const restore = e.target.closest('.btn-hist-restore');
+    if (restore) {
+      const { type, id } = body.dataset;
+      withLoading(restore, '복원 중…', async ()=>{
+        if (!await restoreRevision(type, id, restore.dataset.rev)) return;
+        await Promise.all([loadDBView(), refreshAllLists()]);
+        await showHistory(type, id);
+      }).catch(err=>alert(String(err?.message||err)));
+    }
+  });
+  qs('#modal-close')?.addEventListener('click', closeModal);
+
+  // DB 탭: 검토 모달 (열기/동작)
+  document.addEventListener('click', (e)=>{
+    const open = e.target.closest('.btn-row-review');
+    if (open) {
+      withLoading(open, '불러오는 중…', ()=>showReview(open.dataset.type, open.dataset.id))
+        .catch(err=>alert(String(err?.message||err)));
+      return;
+    }
+    const act = e.target.closest('.btn-review-act');
+    if (act) {
+      withLoading(act, '처리 중…', ()=>runReviewAction(act)).catch(err=>{
+        const box = qs('#review-error');
+        if (box) box.textContent = String(err?.message||err);
+        else alert(String(err?.message||err));
+      });
+    }
+  });
+
+  // DB 탭: 다이어그램 ↔ 연결 코드 정합성 (모달)
+  document.addEventListener('click', (e)=>{
+    const b = e.target.closest('.btn-row-verify');
+    if (!b) return;
+    withLoading(b, '검사 중…', async ()=>{
+      const j = await verifyConsistency({ diagramId: b.dataset.id, codeId: b.dataset.code });
+      openModal(`정합성 검사: ${j.diagramId} ↔ ${j.codeId}`, mkConsistencyHTML(j));
+    }).catch(err=>alert(String(err?.message||err)));
+  });
+  qs('#modal')?.addEventListener('click', (e)=>{ if (e.target.id === 'modal') closeModal(); });
+
+  // DB 탭: 다이어그램 → PlantUML 다운로드
+  document.addEventListener('click', (e)=>{
+    const b = e.target.closest('.btn-row-puml');
+    if (!b) return;
+    withLoading(b, '변환 중…', async ()=>{
+      const r = await apiFetch(`/api/export/diagram/${encodeURIComponent(b.dataset.id)}/puml`);
+      await downloadResponse(r, `${b.dataset.id}.puml`);
+    }).catch(err=>alert(String(err?.message||err)));
+  });
+
+  // DB 탭: 다이어그램 → 이미지 (미리보기 모달에서 형식 선택)
+  document.addEventListener('click', (e)=>{
+    const b = e.target.closest('.btn-row-image');
+    if (!b) return;
+    withLoading(b, '그리는 중…', async ()=>{
+      const d = await api(`/api/get/diagram/${encodeURIComponent(b.dataset.id)}`);
+      const svg = await renderExportSvg(d.mermaid);
+      openModal(`이미지 내보내기: ${d.diagramId}`, `
+        <div class="row">${mkExportButtonsHTML({ id: d.diagramId })}</div>
+        <div class="diagram-box" style="margin-top:8px;">${svg.text.replace(/^<\?xml[^>]*>\s*/, '')}</div>`);
+    }).catch(err=>alert(String(err?.message||err)));
+  });
+
+  // 미리보기(#req2mm-view, #code2mm-view) / 이미지 모달: SVG·PNG·PDF 내보내기
+  document.addEventListener('click', (e)=>{
+    const b = e.target.closest('.btn-export-image');
+    if (!b) return;
+    withLoading(b, '내보내는 중…', async ()=>{
+      const { format, source, nameFrom, id } = b.dataset;
+      if (id) {
+        const d = await api(`/api/get/diagram/${encodeURIComponent(id)}`);
+        return exportDiagramImage(d.mermaid, d.diagramId, format);
+      }
+      await exportDiagramImage(qs(`#${source}`)?.value || '', val(qs(`#${nameFrom}`)) || 'diagram', format);
+    }).catch(err=>alert(String(err?.message||err)));
+  });
+
+  // DB 탭: 다이어그램 → XMI 다운로드
+  document.addEventListener('click', (e)=>{
+    const b = e.target.closest('.btn-row-xmi');
+    if (!b) return;
+    withLoading(b, '변환 중…', async ()=>{
+      const r = await apiFetch(`/api/export/diagram/${encodeURIComponent(b.dataset.id)}/xmi`);
+      await downloadResponse(r, `${b.dataset.id}.xmi`);
+    }).catch(err=>alert(String(err?.message||err)));
+  });
+
+  // DB 탭: .puml / .xmi 파일 → 다이어그램 저장 (결과는 모달)
+  const bindImport = (format, title) => {
+    const btn = qs(`#btn-${format}-import`);
+    btn?.addEventListener('click', (e)=>{ e.preventDefault(); qs(`#${format}-file`).click(); });
+    qs(`#${format}-file`)?.addEventListener('change', (e)=>{
+      const input = e.currentTarget;
+      const picked = Array.from(input.files || []);
+      if (!picked.length) return;
+      withLoading(btn, '가져오는 중…', async ()=>{
+        const files = await Promise.all(picked.map(async f => ({ path: f.name, content: await f.text() })));
+        const j = await api(`/api/import/${format}`, { method:'POST', body: JSON.stringify({
+          files, overwrite: !!qs('#import-overwrite')?.checked
+        }) });
+        openModal(`${title} 가져오기 결과`, mkImportHTML(j));
+        if (j.imported) await Promise.all([loadDBView(), refreshAllLists()]);
+      }).catch(err=>alert(String(err?.message||err)))
+        .finally(()=>{ input.value = ''; });
+    });
+  };
+  bindImport('puml', 'PlantUML');
+  bindImport('xmi', 'XMI');
+
+  // DB 탭: 요구사항 일괄 가져오기 (파일 선택 → 미리보기 모달)
+  const reqImportBtn = qs('#btn-req-import');
+  reqImportBtn?.addEventListener('click', (e)=>{ e.preventDefault(); qs('#req-import-file').click(); });
+  qs('#req-import-file')?.addEventListener('change', (e)=>{
+    const input = e.currentTarget;
+    const file = input.files?.[0];
+    if (!file) return;
+    withLoading(reqImportBtn, '읽는 중…', async ()=>{
+      __reqImport = { src: await readReqImportFile(file), mode: 'upsert', defaultReqType: '' };
+      await showReqImport(true);
+    }).catch(err=>alert(String(err?.message||err)))
+      .finally(()=>{ input.value = ''; });
+  });
+
+  // DB 탭: DB 번들 내보내기 / 가져오기 (파일 선택 → 미리보기 모달)
+  const bundleExportBtn = qs('#btn-bundle-export');
+  bundleExportBtn?.addEventListener('click', ()=>withLoading(bundleExportBtn, '내보내는 중…', async ()=>{
+    const history = qs('#bundle-history')?.checked ? '' : '?history=0';
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    await downloadResponse(await apiFetch(`/api/export/bundle${history}`), `uml-studio-bundle-${date}.zip`);
+  }).catch(err=>alert(String(err?.message||err))));
+  const bundleImportBtn = qs('#btn-bundle-import');
+  bundleImportBtn?.addEventListener('click', (e)=>{ e.preventDefault(); qs('#bundle-file').click(); });
+  qs('#bundle-file')?.addEventListener('change', (e)=>{
+    const input = e.currentTarget;
+    const file = input.files?.[0];
+    if (!file) return;
+    withLoading(bundleImportBtn, '읽는 중…', ()=>previewBundleImport(file))
+      .catch(err=>alert(String(err?.message||err)))
+      .finally(()=>{ input.value = ''; });
+  });
+
+  // DB 탭: 설계 문서(SDD) 생성 / 템플릿 선택·초기화·기본 템플릿 받기
+  const sddBtn = qs('#btn-sdd');
+  sddBtn?.addEventListener('click', ()=>withLoading(sddBtn, '문서 생성 중…', generateSdd)
+    .catch(err=>alert(String(err?.message||err))));
+  const showSddTemplates = () => {
+    const names = Object.keys(__sddTemplates);
+    qs('#sdd-template-name').textContent = names.length ? `사용자 템플릿: ${names.map(f=>f.toUpperCase()).join(', ')}` : '기본 템플릿';
+    qs('#btn-sdd-template-clear').classList.toggle('hidden', !names.length);
+  };
+  qs('#btn-sdd-template')?.addEventListener('click', (e)=>{ e.preventDefault(); qs('#sdd-template-file').click(); });
+  qs('#sdd-template-file')?.addEventListener('change', async (e)=>{
+    const input = e.currentTarget;
+    for (const f of Array.from(input.files || [])) __sddTemplates[sddTemplateFormat(f.name)] = await f.text();
+    input.value = '';
+    showSddTemplates();
+  });
+  qs('#btn-sdd-template-clear')?.addEventListener('click', ()=>{ __sddTemplates = {}; showSddTemplates(); });
+  document.querySelectorAll('.btn-sdd-template-get').forEach(b => b.addEventListener('click', ()=>
+    withLoading(b, '받는 중…', async ()=>{
+      await downloadResponse(await apiFetch(`/api/report/template/${b.dataset.format}`), `sdd.${b.dataset.format}`);
+    }).catch(err=>alert(String(err?.message||err)))));
+
+  // 로그인 / 내 계정 / 사용자 관리
+  qs('#btn-account')?.addEventListener('click', ()=>currentUser ? openAccountModal() : showLogin());
+  qs('#btn-users')?.addEventListener('click', ()=>openUsersModal().catch(err=>alert(String(err?.message||err))));
+
   const refreshBtn = qs('#btn-refresh-all');
-  if (refreshBtn) refreshBtn.addEventListener('click', ()=>withLoading(refreshBtn, '불러오는 중…', async ()=>{
-    await refreshAllLists();
-    if (qs('.tab-btn.active')?.dataset.target === 'tab-db') await loadDBView();
-  }));
+  if (refreshBtn) refreshBtn.addEventListener('click', ()=>withLoading(refreshBtn, '불러오는 중…', refreshCurrentView));
+
+  // 프로젝트 전환 / 관리
+  qs('#project-select')?.addEventListener('change', (e)=>{
+    const sel = e.currentTarget;
+    withLoading(refreshBtn, '불러오는 중…', ()=>switchProject(sel.value))
+      .catch(err=>alert(String(err?.message||err)));
+  });
+  qs('#btn-projects')?.addEventListener('click', ()=>openProjectsModal().catch(err=>alert(String(err?.message||err))));
 
   // 요구사항: 유형 변경/선택 변경
   qs('#req-type').addEventListener('change', refreshReqList);
@@ -795,6 +1955,23 @@ function bindEvents(){
     if (id) await loadReqDetailsToManual(id);
   });
 
+  // 요구사항(직접 입력): 종류를 바꾸면 상위 후보도 바뀜
+  qs('#req-type-man').addEventListener('change', ()=>refreshReqParentList().catch(()=>{}));
+
+  // DB 탭: 추적성 매트릭스 필터
+  qs('#trace-type')?.addEventListener('change', ()=>loadTraceMatrix().catch(err=>alert(String(err?.message||err))));
+  qs('#trace-gaps-only')?.addEventListener('change', ()=>loadTraceMatrix().catch(err=>alert(String(err?.message||err))));
+
+  // DB 탭: 요구사항/다이어그램 검토 상태 필터
+  ['#db-req-status', '#db-diagram-status'].forEach(sel=>
+    qs(sel)?.addEventListener('change', ()=>loadDBView().catch(err=>alert(String(err?.message||err)))));
+
+  // 추적성 그래프: 중심 항목 변경/다시 그리기
+  qs('#trace-focus')?.addEventListener('change', ()=>loadTraceGraph().catch(err=>alert(String(err?.message||err))));
+  const traceBtn = qs('#btn-trace-graph');
+  if (traceBtn) traceBtn.addEventListener('click', ()=>withLoading(traceBtn, '그리는 중…', loadTraceGraph)
+    .catch(err=>alert(String(err?.message||err))));
+
   // 요구사항 저장
   qs('#btn-save-req').addEventListener('click', (e)=>{
     e.preventDefault(); e.stopPropagation(); e.stopImmediatePropagation();
@@ -805,8 +1982,13 @@ function bindEvents(){
       const reqType = val(qs('#req-type-man'));
       const title = val(qs('#req-title'));
       const desc  = val(qs('#req-desc'));
+      const parentId = val(qs('#req-parent'));
       if(!id || !reqType || !title || !desc) throw new Error('요구사항 ID/종류/제목/내용을 모두 입력하세요.');
-      const j = await api('/api/save/req', { method:'POST', body: JSON.stringify({ id, reqType, title, desc })});
+      const j = await saveWithVersion('/api/save/req', {
+        id, reqType, title, desc, parentId, source: 'manual',
+        expectedVersion: versionFor(qs('#req-id'), id)
+      });
+      rememberVersion(qs('#req-id'), j.item.id, j.item.version);
       alert(`요구사항 저장 완료: ${j.item.id}`);
       const reqMode = qs('input[name="reqMode"]:checked')?.value || 'db';
       // 목록 갱신 (드롭다운 반영)
@@ -819,13 +2001,14 @@ function bindEvents(){
         qs('#req-type-man').value = j.item.reqType || '';
         qs('#req-title').value = j.item.title || '';
         qs('#req-desc').value = j.item.desc || '';
+        await refreshReqParentList(j.item.parentId || '');
       }
       // SW TEST 요구사항이면 다른 탭의 연결 드롭다운도 갱신
       if ((j.item.reqType||'') === 'SW_TEST') {
         try { await refreshSwTestList(qs('#st-join-select'), 'SW_TEST'); } catch(e){}
         try { await refreshSwTestList(qs('#mm-swtest-select'), 'SW_TEST'); } catch(e){}
       }
-    });
+    }).catch(err=>alert(String(err?.message||err)));
   });
 
   // 요구사항→Mermaid 실행
@@ -873,6 +2056,7 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       validateMermaidHeader(m, { expectedKind: diagramKind, containerId: 'req2mm-view', context: 'req2mm' });
       qs('#req2mm-output').value = m;
       renderMermaid(qs('#req2mm-view'), m);
+      await reportMermaidValidation(res.validation, m, qs('#req2mm-error'), res.repair);
     }).catch(err=>{
       qs('#req2mm-error').textContent = String(err?.message||err);
     });
@@ -894,21 +2078,91 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
             // links 정보 구성: reqId
       const reqMode = qs('input[name="reqMode"]:checked')?.value || 'db';
       const reqId = (reqMode === 'db') ? val(qs('#req-select')) : val(qs('#req-id'));
-      await api('/api/save/diagram', {
-        method:'POST',
-        body: JSON.stringify({ diagramId, kind: diagramKind, mermaid: mermaidCode, links: { reqId } })
+      // 기존 저장본과 다르면 비교 후 덮어쓰기 확인 (확인한 버전 기준으로 저장)
+      const expectedVersion = await confirmDiagramOverwrite(diagramId, mermaidCode);
+      if (expectedVersion === null) return;
+      await saveWithVersion('/api/save/diagram', {
+        diagramId, kind: diagramKind, mermaid: mermaidCode, links: { reqId },
+        source: 'req2mm', expectedVersion
       });
       alert(`다이어그램 저장 완료: ${diagramId}`);
       await refreshDiagramList(qs('#req-diagram-select'), diagramKind);
     }).catch(err=>alert(String(err?.message||err)));
   });
 
+  // 요구사항→Mermaid / 코드→Mermaid: 저장본과 비교 (보기 전용)
+  qs('#btn-diff-req-diagram')?.addEventListener('click', (e)=>{
+    const dmode = qs('input[name="reqDiagramMode"]:checked').value;
+    const diagramId = dmode==='db' ? val(qs('#req-diagram-select')) : val(qs('#req-diagram-id'));
+    withLoading(e.currentTarget, '비교 중…', ()=>showStoredDiff(diagramId, stripMermaidFences(val(qs('#req2mm-output')))))
+      .catch(err=>alert(String(err?.message||err)));
+  });
+  qs('#btn-diff-code-diagram')?.addEventListener('click', (e)=>{
+    const dmode = qs('input[name="codeDiagramMode"]:checked').value;
+    const diagramId = dmode==='db' ? val(qs('#code-diagram-select')) : val(qs('#code-diagram-id'));
+    withLoading(e.currentTarget, '비교 중…', ()=>showStoredDiff(diagramId, stripMermaidFences(val(qs('#code2mm-output')))))
+      .catch(err=>alert(String(err?.message||err)));
+  });
+
   // 코드: 선택 시 자동 로드
   qs('#code-select').addEventListener('change', async ()=>{
     const codeId = val(qs('#code-select'));
     if (codeId) await loadCodeDetailsToManual(codeId);
   });
 
+  // 여러 파일 가져오기 (ZIP / 폴더 / 서버 경로) → 직접 입력 칸
+  qs('#code-text').addEventListener('input', syncCodeFileList);
+  qs('#btn-code-zip').addEventListener('click', (e)=>{ e.preventDefault(); qs('#code-zip-file').click(); });
+  qs('#btn-code-folder').addEventListener('click', (e)=>{ e.preventDefault(); qs('#code-folder-file').click(); });
+
+  qs('#code-zip-file').addEventListener('change', (e)=>{
+    const input = e.currentTarget;
+    const file = input.files?.[0];
+    if (!file) return;
+    withLoading(qs('#btn-code-zip'), '불러오는 중…', async ()=>{
+      const language = val(qs('#code-lang'));
+      const r = await apiFetch(`/api/source/import?language=${encodeURIComponent(language)}`, {
+        method:'POST', headers:{ 'Content-Type':'application/zip' }, body: file
+      });
+      const j = await r.json().catch(()=>({}));
+      if (!r.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      applyImportedSource(j);
+    }).catch(err=>{
+      qs('#code2mm-error').textContent = String(err?.message||err);
+    }).finally(()=>{ input.value = ''; });
+  });
+
+  qs('#code-folder-file').addEventListener('change', (e)=>{
+    const input = e.currentTarget;
+    const picked = Array.from(input.files || []);
+    if (!picked.length) return;
+    withLoading(qs('#btn-code-folder'), '불러오는 중…', async ()=>{
+      // 의존성/빌드 디렉터리와 1MB 넘는 파일은 읽지 않음 (언어 필터는 서버에서)
+      const wanted = picked.filter(f => f.size <= 1024 * 1024
+        && !String(f.webkitRelativePath || f.name).split('/').some(part => CODE_IGNORED_DIRS.has(part)));
+      const files = await Promise.all(wanted.map(async f => ({ path: f.webkitRelativePath || f.name, content: await f.text() })));
+      if (!files.length) throw new Error('불러올 파일이 없습니다.');
+      const j = await api('/api/source/import', { method:'POST', body: JSON.stringify({ language: val(qs('#code-lang')), files }) });
+      applyImportedSource({ ...j, skipped: j.skipped + (picked.length - wanted.length) });
+    }).catch(err=>{
+      qs('#code2mm-error').textContent = String(err?.message||err);
+    }).finally(()=>{ input.value = ''; });
+  });
+
+  qs('#btn-code-local').addEventListener('click', (e)=>{
+    e.preventDefault(); e.stopPropagation(); e.stopImmediatePropagation();
+    const btn = e.currentTarget;
+    if (btn.disabled || btn.classList.contains('busy')) return;
+    withLoading(btn, '불러오는 중…', async ()=>{
+      const localPath = val(qs('#code-local-path'));
+      if (!localPath) throw new Error('서버 경로를 입력하세요.');
+      const j = await api('/api/source/import', { method:'POST', body: JSON.stringify({ language: val(qs('#code-lang')), localPath }) });
+      applyImportedSource(j);
+    }).catch(err=>{
+      qs('#code2mm-error').textContent = String(err?.message||err);
+    });
+  });
+
   // 코드 저장
   qs('#btn-save-code').addEventListener('click', (e)=>{
     e.preventDefault(); e.stopPropagation(); e.stopImmediatePropagation();
@@ -921,13 +2175,11 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       const swReqId = val(qs('#st-join-select')) || '';
       if(!codeId || !language || !code) throw new Error('소스코드 ID/언어/코드를 모두 입력하세요.');
 
-      const payload = { codeId, language, code };
+      const payload = { codeId, language, code, source: 'manual', expectedVersion: versionFor(qs('#code-id'), codeId) };
       if (swReqId) payload.swReqId = swReqId;
 
-      const j = await api('/api/save/code', {
-        method:'POST',
-        body: JSON.stringify(payload)
-      });
+      const j = await saveWithVersion('/api/save/code', payload);
+      rememberVersion(qs('#code-id'), j.item.codeId, j.item.version);
       alert(`소스코드 저장 완료: ${j.item.codeId}`);
       const codeMode = qs('input[name="codeMode"]:checked')?.value || 'db';
       await refreshCodeList();
@@ -936,8 +2188,9 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
         qs('#code-id').value = j.item.codeId;
         qs('#code-lang').value = j.item.language || '';
         qs('#code-text').value = j.item.code || '';
+        syncCodeFileList();
       }
-    });
+    }).catch(err=>alert(String(err?.message||err)));
   });
 
   // Mermaid→코드 결과 저장 (코드)
@@ -949,11 +2202,14 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       const codeIdMode = qs('input[name="mmCodeIdMode"]:checked').value;
       const chosenCodeId = (codeIdMode==='db') ? val(qs('#mm-code-select')) : val(qs('#mm-code-id'));
       const language = val(qs('#mm-lang'));
-      const code = qs('#mm2code-output').textContent || '';
+      const multi = mmResultFiles.length > 1;
+      const code = multi ? '' : (qs('#mm2code-output').textContent || '');
       const swReqId = val(qs('#mm-swtest-select')) || '';
 
-      if(!language || !code) throw new Error('언어/코드를 모두 입력하세요.');
-      const payload = { codeId: chosenCodeId || `CODE-${Date.now()}`, language, code };
+      if(!language || (!code && !multi)) throw new Error('언어/코드를 모두 입력하세요.');
+      const payload = { codeId: chosenCodeId || `CODE-${Date.now()}`, language, source: 'mm2code' };
+      // 다중 파일 결과는 파일 트리 그대로 저장 (서버가 code를 마커 텍스트로 합침)
+      if (multi) payload.files = mmResultFiles; else payload.code = code;
       if (swReqId) payload.swReqId = swReqId;
 
       const j = await api('/api/save/code', { method:'POST', body: JSON.stringify(payload) });
@@ -963,6 +2219,53 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
     }).catch(err=>alert(String(err?.message||err)));
   });
 
+  // Mermaid→코드 결과 ZIP 다운로드
+  qs('#btn-mm-zip').addEventListener('click', (e)=>{
+    e.preventDefault(); e.stopPropagation(); e.stopImmediatePropagation();
+    const btn = e.currentTarget;
+    if (btn.disabled || btn.classList.contains('busy')) return;
+    withLoading(btn, '압축 중…', async ()=>{
+      if (!mmResultFiles.length) throw new Error('먼저 코드를 생성하세요.');
+      const r = await apiFetch('/api/export/zip', {
+        method:'POST',
+        headers:{ 'Content-Type':'application/json' },
+        body: JSON.stringify({ name: mmResultName, files: mmResultFiles })
+      });
+      await downloadResponse(r, `${mmResultName}.zip`);
+    }).catch(err=>{
+      qs('#mm2code-error').textContent = String(err?.message||err);
+    });
+  });
+
+  // Mermaid→코드: 다이어그램 ↔ 코드 정합성 (생성 결과 우선, 없으면 선택한 코드 ID)
+  qs('#btn-mm-verify').addEventListener('click', (e)=>{
+    e.preventDefault(); e.stopPropagation(); e.stopImmediatePropagation();
+    const btn = e.currentTarget;
+    if (btn.disabled || btn.classList.contains('busy')) return;
+    const out = qs('#mm-consistency');
+    withLoading(btn, '검사 중…', async ()=>{
+      if (val(qs('#mm-diagram-kind')) !== 'class') throw new Error('정합성 검사는 class 다이어그램만 지원합니다.');
+      const dmode = qs('input[name="mmDiagramMode"]:checked')?.value || 'db';
+      const payload = (dmode === 'db')
+        ? { diagramId: val(qs('#mm-diagram-select')) }
+        : { diagramId: val(qs('#mm-diagram-id')), mermaid: stripMermaidFences(val(qs('#mm-text'))) };
+      if (!payload.diagramId && !payload.mermaid) throw new Error('다이어그램을 선택하거나 Mermaid를 입력하세요.');
+
+      if (mmResultFiles.length) {
+        Object.assign(payload, { language: val(qs('#mm-lang')), files: mmResultFiles });
+      } else {
+        const codeIdMode = qs('input[name="mmCodeIdMode"]:checked')?.value || 'db';
+        const codeId = (codeIdMode === 'db') ? val(qs('#mm-code-select')) : val(qs('#mm-code-id'));
+        if (codeId) payload.codeId = codeId;
+      }
+      const j = await verifyConsistency(payload);
+      out.innerHTML = mkConsistencyHTML(j);
+      out.classList.remove('hidden');
+    }).catch(err=>{
+      qs('#mm2code-error').textContent = String(err?.message||err);
+    });
+  });
+
   // 코드→Mermaid 실행
   qs('#btn-code2mm').addEventListener('click', async (e) => {
     e.preventDefault(); e.stopPropagation(); e.stopImmediatePropagation();
@@ -995,9 +2298,10 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       const swReqId = val(qs('#st-join-select'));
       if (!swReqId) throw new Error('SW TEST 요구사항을 선택하세요.');
 
+      const genMode = val(qs('#code2mm-mode')) || 'llm';
       const res = await api('/api/convert/code2mm', {
         method: 'POST',
-        body: JSON.stringify({ codeId, language, code, diagramKind, diagramId, swReqId })
+        body: JSON.stringify({ codeId, language, code, diagramKind, diagramId, swReqId, mode: genMode })
       });
 
       // 모델이 본문 상단에 넣을 수 있는 중복 주석 제거(%% 또는 // 모두 대응)
@@ -1014,6 +2318,7 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       validateMermaidHeader(m, { expectedKind: diagramKind, containerId: 'code2mm-view', context: 'code2mm' });
       qs('#code2mm-output').value = m;
       renderMermaid(qs('#code2mm-view'), m);
+      await reportMermaidValidation(res.validation, m, qs('#code2mm-error'), res.repair);
     }).catch(err => {
       qs('#code2mm-error').textContent = String(err?.message || err);
     });
@@ -1038,9 +2343,12 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       const codeMode = qs('input[name="codeMode"]:checked')?.value || 'db';
       const codeId = (codeMode === 'db') ? val(qs('#code-select')) : val(qs('#code-id'));
       const swReqId = val(qs('#st-join-select')) || '';
-      await api('/api/save/diagram', {
-        method: 'POST',
-        body: JSON.stringify({ diagramId, kind: diagramKind, mermaid: mermaidCode, links: { codeId, swReqId } })
+      // 기존 저장본과 다르면 비교 후 덮어쓰기 확인 (확인한 버전 기준으로 저장)
+      const expectedVersion = await confirmDiagramOverwrite(diagramId, mermaidCode);
+      if (expectedVersion === null) return;
+      await saveWithVersion('/api/save/diagram', {
+        diagramId, kind: diagramKind, mermaid: mermaidCode, links: { codeId, swReqId },
+        source: 'code2mm', expectedVersion
       });
       alert(`다이어그램 저장 완료: ${diagramId}`);
       await refreshDiagramList(qs('#code-diagram-select'), diagramKind);
@@ -1066,10 +2374,14 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       const codeMode = qs('input[name="codeMode"]:checked')?.value || 'db';
       const codeId = (codeMode === 'db') ? val(qs('#code-select')) : val(qs('#code-id'));
       const swReqId = val(qs('#st-join-select')) || '';
-      await api('/api/save/diagram', {
-        method: 'POST',
-        body: JSON.stringify({ diagramId, kind: diagramKind, mermaid: mermaidCode, links: { codeId, swReqId } })
+      const j = await saveWithVersion('/api/save/diagram', {
+        diagramId, kind: diagramKind, mermaid: mermaidCode, links: { codeId, swReqId },
+        source: 'manual',
+        expectedVersion: diagramId === mmLastLoadedDiagramId ? mmLastLoadedVersion : undefined
       });
+      mmLastLoadedDiagramId = diagramId;
+      mmLastLoadedVersion = j.item.version;
+      mmLastLoadedMermaid = j.item.mermaid;
 
       alert(`Mermaid 코드 저장 완료: ${diagramId}`);
       const kindVal = val(qs('#mm-diagram-kind'));
@@ -1083,6 +2395,26 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
   // 다이어그램 kind 변경 시 목록 갱신
   qs('#req-diagram-kind').addEventListener('change', ()=>refreshDiagramList(qs('#req-diagram-select'), val(qs('#req-diagram-kind'))));
   qs('#code-diagram-kind').addEventListener('change', ()=>refreshDiagramList(qs('#code-diagram-select'), val(qs('#code-diagram-kind'))));
+  // 정적 분석은 classDiagram만 → 종류를 class로 고정
+  qs('#code2mm-mode').addEventListener('change', ()=>{
+    const kindSel = qs('#code-diagram-kind');
+    const isStatic = val(qs('#code2mm-mode')) === 'static';
+    if (isStatic && kindSel.value !== 'class') {
+      kindSel.value = 'class';
+      kindSel.dispatchEvent(new Event('change'));
+    }
+    kindSel.disabled = isStatic;
+  });
+  // 템플릿 생성도 classDiagram만 → 종류를 class로 고정
+  qs('#mm2code-mode').addEventListener('change', ()=>{
+    const kindSel = qs('#mm-diagram-kind');
+    const isTemplate = val(qs('#mm2code-mode')) !== 'llm';
+    if (isTemplate && kindSel.value !== 'class') {
+      kindSel.value = 'class';
+      kindSel.dispatchEvent(new Event('change'));
+    }
+    kindSel.disabled = isTemplate;
+  });
 
   // Mermaid→코드: kind 변경 시 목록 갱신
   const mmKindSel = qs('#mm-diagram-kind');
@@ -1135,26 +2467,13 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
       // manual이면 입력 텍스트 사용, db면 서버에서 DB 가져오도록 비움
       const mermaid = (dmode==='manual') ? stripMermaidFences(val(qs('#mm-text'))) : '';
 
+      const genMode = val(qs('#mm2code-mode')) || 'llm';
       const res = await api('/api/convert/mm2code', {
         method:'POST',
-        body: JSON.stringify({ diagramId, diagramKind, mermaid, language, codeId: chosenCodeId, swReqId })
+        body: JSON.stringify({ diagramId, diagramKind, mermaid, language, codeId: chosenCodeId, swReqId, mode: genMode, requireApproved: !!qs('#mm-require-approved')?.checked })
       });
 
-      const headerCodeId = res.codeId || chosenCodeId || '';
-      const commentPrefix = (String(language||'').toLowerCase().includes('python')) ? '#' : '//';
-      const codeHeader = [
-        `${commentPrefix} language: ${language}`,
-        `${commentPrefix} code_id: ${headerCodeId}`,
-        `${commentPrefix} linked_sw_req_id: ${swReqId || ''}`,
-        `${commentPrefix} linked_diagram_id: ${diagramId || ''}`
-      ].join('\n');
-
-      // 생성 코드 맨 위에 모델이 넣어주는 중복 주석 제거(있을 때만)
-      const body = stripCodeFences(res.code || '')
-        .replace(/^(\/\/|#)\s*SW Test 요구사항 ID.*\n?/mi, '');
-
-      const finalCode = `${codeHeader}\n\n${body}`;
-      qs('#mm2code-output').textContent = finalCode;
+      showMm2codeResult(res, { language, swReqId, diagramId, codeId: chosenCodeId });
 
       if(res.codeId && codeIdMode==='manual') qs('#mm-code-id').value = res.codeId;
     }).catch(err=>{
@@ -1165,6 +2484,308 @@ ${m}`; // ← 헤더/본문 사이 공백 1줄
 }
 
 // --------------- 전체 목록 일괄 로드 ---------------
+/** 전체 목록 + 현재 탭(DB/추적성 그래프) 다시 불러오기 */
+async function refreshCurrentView(){
+  await refreshAllLists();
+  if (qs('.tab-btn.active')?.dataset.target === 'tab-db') await loadDBView();
+  if (qs('.tab-btn.active')?.dataset.target === 'tab-trace') await loadTraceGraph();
+}
+
+// --------------- 로그인 / 사용자 ---------------
+let __appReady = false;     // 첫 목록 로딩까지 끝났는지 (이후 재로그인 시 화면 다시 불러옴)
+let __loginWaiters = [];    // 로그인 완료를 기다리는 Promise resolve 목록
+let __setupMode = false;    // 사용자가 없어 첫 관리자를 만드는 중
+
+/** 헤더 계정 버튼/관리자 전용 버튼 갱신 */
+function applyUserUI(){
+  const btn = qs('#btn-account');
+  if (btn) btn.textContent = currentUser ? `${currentUser.displayName} · ${ROLE_KR[currentUser.role] || currentUser.role}` : '로그인';
+  qsa('.admin-only').forEach(el => el.classList.toggle('hidden', currentUser?.role !== 'admin'));
+}
+
+/**
+ * 로그인 화면 표시 (토큰 폐기) → 로그인되면 resolve
+ * - 여러 요청이 동시에 401을 받아도 화면은 하나
+ */
+function showLogin(message){
+  authToken = '';
+  localStorage.removeItem(TOKEN_KEY);
+  currentUser = null;
+  applyUserUI();
+  closeModal();
+  const box = qs('#login');
+  if (box.classList.contains('hidden')) {
+    box.classList.remove('hidden');
+    qs('#login-error').textContent = '';
+    qs('#login-help').textContent = '';
+    qs('#login-password').value = '';
+    api('/api/auth/status').then(j => {
+      __setupMode = j.setupRequired;
+      qs('#login-title').textContent = __setupMode ? '첫 관리자 만들기' : '로그인';
+      qs('#btn-login').textContent = __setupMode ? '만들고 시작' : '로그인';
+      qs('#login-display-row').classList.toggle('hidden', !__setupMode);
+      if (__setupMode) qs('#login-help').textContent = '아직 사용자가 없습니다. 관리자 계정을 만들면 이 계정으로 로그인됩니다.';
+    }).catch(err => { qs('#login-error').textContent = String(err?.message || err); });
+    qs('#login-username').focus();
+  }
+  if (message !== undefined) qs('#login-help').textContent = message;
+  return new Promise(resolve => __loginWaiters.push(resolve));
+}
+
+/** 로그인 폼 제출 (첫 관리자 만들기 포함) */
+async function submitLogin(){
+  const btn = qs('#btn-login');
+  qs('#login-error').textContent = '';
+  try {
+    await withLoading(btn, '확인 중…', async ()=>{
+      const username = val(qs('#login-username'));
+      const password = qs('#login-password').value;
+      const j = __setupMode
+        ? await api('/api/auth/setup', { method:'POST', body: JSON.stringify({ username, password, displayName: val(qs('#login-display')) || undefined }) })
+        : await api('/api/auth/login', { method:'POST', body: JSON.stringify({ username, password }) });
+      authToken = j.token;
+      localStorage.setItem(TOKEN_KEY, authToken);
+      currentUser = j.user;
+    });
+  } catch (err) {
+    qs('#login-error').textContent = err?.data?.message || String(err?.message || err);
+    return;
+  }
+  qs('#login').classList.add('hidden');
+  qs('#login-password').value = '';
+  applyUserUI();
+  const waiters = __loginWaiters;
+  __loginWaiters = [];
+  waiters.forEach(resolve => resolve());
+  // 사용 중에 만료되어 다시 로그인한 경우: 사용자가 바뀌었을 수 있으니 전체 다시 불러오기
+  if (__appReady) {
+    await loadProjects();
+    await refreshCurrentView();
+  }
+}
+
+/** 시작 시: 저장된 토큰 확인, 없거나 만료면 로그인될 때까지 대기 */
+async function ensureLogin(){
+  if (authToken) {
+    try {
+      currentUser = (await api('/api/auth/me')).user;
+      applyUserUI();
+      return;
+    } catch (err) {
+      if (err.status !== 401) throw err;
+    }
+  }
+  await showLogin();
+}
+
+/** 내 계정: 비밀번호 변경 / 로그아웃 */
+function openAccountModal(){
+  const u = currentUser;
+  const body = openModal('내 계정', `
+    <div class="help">${escHTML(u.displayName)} (${escHTML(u.username)}) · 역할: ${escHTML(ROLE_KR[u.role] || u.role)}</div>
+    <div class="row formline" style="margin-top:8px;">
+      <input id="account-current" type="password" placeholder="현재 비밀번호" autocomplete="current-password" />
+      <input id="account-new" type="password" placeholder="새 비밀번호 (8자 이상)" autocomplete="new-password" />
+      <input id="account-confirm" type="password" placeholder="새 비밀번호 확인" autocomplete="new-password" />
+      <button class="btn" id="btn-account-password">비밀번호 변경</button>
+    </div>
+    <div class="help">비밀번호를 바꾸면 다른 기기/브라우저의 로그인은 해제됩니다.</div>
+    <div class="row" style="margin-top:10px;"><button class="btn ghost" id="btn-logout">로그아웃</button></div>`);
+  const pwBtn = body.querySelector('#btn-account-password');
+  pwBtn.addEventListener('click', ()=>withLoading(pwBtn, '변경 중…', async ()=>{
+    const newPassword = body.querySelector('#account-new').value;
+    if (newPassword !== body.querySelector('#account-confirm').value) throw new Error('새 비밀번호 확인이 일치하지 않습니다.');
+    await api('/api/auth/password', { method:'POST', body: JSON.stringify({ currentPassword: body.querySelector('#account-current').value, newPassword }) });
+    closeModal();
+    alert('비밀번호를 변경했습니다.');
+  }).catch(err=>alert(String(err?.data?.message || err?.message || err))));
+  const outBtn = body.querySelector('#btn-logout');
+  outBtn.addEventListener('click', ()=>withLoading(outBtn, '로그아웃 중…', async ()=>{
+    await api('/api/auth/logout', { method:'POST' });
+    showLogin('로그아웃했습니다.');
+  }).catch(err=>alert(String(err?.message||err))));
+}
+
+function mkUsersHTML(users, roles){
+  const when = iso => iso ? new Date(iso).toLocaleString() : '-';
+  const roleOptions = (cur) => roles.map(r => `<option value="${r}"${r === cur ? ' selected' : ''}>${escHTML(ROLE_KR[r] || r)} (${r})</option>`).join('');
+  const rows = users.map(u => {
+    const name = escHTML(u.username);
+    return `<tr><td>${name}${u.username === currentUser?.username ? ' <span class="gap-ok">나</span>' : ''}</td><td>${escHTML(u.displayName)}</td>`
+      + `<td><select class="user-role" data-username="${name}">${roleOptions(u.role)}</select></td>`
+      + `<td>${u.disabled ? '비활성' : '사용'}</td><td>${when(u.lastLoginAt)}</td>`
+      + `<td><button class="btn ghost btn-user-password" data-username="${name}">비밀번호 재설정</button>`
+      + `<button class="btn ghost btn-user-disable" data-username="${name}" data-disabled="${!u.disabled}">${u.disabled ? '활성화' : '비활성화'}</button></td></tr>`;
+  }).join('');
+  return `
+    <div class="row formline">
+      <input id="user-new-username" type="text" placeholder="사용자 이름 (영문 소문자/숫자)" autocomplete="off" />
+      <input id="user-new-display" type="text" placeholder="표시 이름 (선택)" />
+      <input id="user-new-password" type="password" placeholder="비밀번호 (8자 이상)" autocomplete="new-password" />
+      <select id="user-new-role">${roleOptions('editor')}</select>
+      <button class="btn" id="btn-user-create">추가</button>
+    </div>
+    <div class="table-wrap" style="margin-top:8px;">
+      <table class="table">
+        <colgroup><col style="width:14%"><col style="width:16%"><col style="width:18%"><col style="width:8%"><col style="width:16%"><col style="width:28%"></colgroup>
+        <thead><tr><th scope="col">사용자</th><th scope="col">표시 이름</th><th scope="col">역할</th><th scope="col">상태</th><th scope="col">마지막 로그인</th><th scope="col">관리</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <div class="help" style="margin-top:6px;">조회: 보기/내보내기 · 편집: 저장/삭제/변환/가져오기 · 승인: 편집 + 검토 승인 · 관리자: 전부 + 사용자/프로젝트 관리. 비밀번호 재설정/비활성화 시 그 사용자의 로그인은 해제됩니다.</div>`;
+}
+
+/** 사용자 관리 모달 (admin) — 변경할 때마다 목록 다시 그림 */
+async function openUsersModal(){
+  const j = await api('/api/auth/users');
+  const body = openModal('사용자 관리', mkUsersHTML(j.items, j.roles));
+  const update = (username, patch) => api(`/api/auth/users/${encodeURIComponent(username)}`, { method:'POST', body: JSON.stringify(patch) });
+  const act = (btn, label, fn) => withLoading(btn, label, async ()=>{
+    const changed = await fn();
+    // 내 계정을 바꿨으면 역할 다시 확인 (관리자가 아니게 되면 닫음)
+    if (changed === currentUser?.username) {
+      currentUser = (await api('/api/auth/me')).user;
+      applyUserUI();
+      if (currentUser.role !== 'admin') return closeModal();
+    }
+    await openUsersModal();
+  }).catch(async err=>{
+    alert(String(err?.data?.message || err?.message || err));
+    if (err?.status !== 401) await openUsersModal().catch(()=>{});
+  });
+
+  const createBtn = body.querySelector('#btn-user-create');
+  createBtn.addEventListener('click', ()=>act(createBtn, '추가 중…', async ()=>{
+    await api('/api/auth/users', { method:'POST', body: JSON.stringify({
+      username: val(body.querySelector('#user-new-username')),
+      displayName: val(body.querySelector('#user-new-display')) || undefined,
+      password: body.querySelector('#user-new-password').value,
+      role: val(body.querySelector('#user-new-role')),
+    }) });
+    return null;
+  }));
+  body.querySelectorAll('.user-role').forEach(sel => sel.addEventListener('change', ()=>act(null, '변경 중…', async ()=>{
+    await update(sel.dataset.username, { role: sel.value });
+    return sel.dataset.username;
+  })));
+  body.querySelectorAll('.btn-user-password').forEach(b => b.addEventListener('click', ()=>act(b, '변경 중…', async ()=>{
+    const password = prompt(`'${b.dataset.username}'의 새 비밀번호 (8자 이상)`);
+    if (!password) return null;
+    await update(b.dataset.username, { password });
+    return b.dataset.username;
+  })));
+  body.querySelectorAll('.btn-user-disable').forEach(b => b.addEventListener('click', ()=>act(b, '처리 중…', async ()=>{
+    const disabled = b.dataset.disabled === 'true';
+    if (disabled && !confirm(`'${b.dataset.username}' 사용자를 비활성화할까요? 로그인이 해제되고 다시 로그인할 수 없습니다.`)) return null;
+    await update(b.dataset.username, { disabled });
+    return b.dataset.username;
+  })));
+}
+
+// --------------- 프로젝트 ---------------
+let __projects = [];   // 보관된 프로젝트 포함 전체 목록
+
+/** 헤더 프로젝트 선택 채우기 (보관된 프로젝트는 지금 선택된 경우에만 표시) */
+async function loadProjects(){
+  const j = await api('/api/projects?archived=1');
+  __projects = j.items;
+  if (!__projects.some(p => p.id === currentProject)) {
+    currentProject = j.defaultId;
+    localStorage.setItem(PROJECT_KEY, currentProject);
+  }
+  const sel = qs('#project-select');
+  if (!sel) return;
+  fillSelect(sel, __projects.filter(p => !p.archived || p.id === currentProject),
+    p => p.archived ? `${p.name} (보관됨 · 읽기 전용)` : p.name, p => p.id);
+  sel.value = currentProject;
+}
+
+/** 프로젝트 전환: 다른 프로젝트의 불러온 버전이 저장에 섞이지 않게 비우고 전체 다시 불러오기 */
+async function switchProject(id){
+  currentProject = id;
+  localStorage.setItem(PROJECT_KEY, id);
+  rememberVersion(qs('#req-id'), '', '');
+  rememberVersion(qs('#code-id'), '', '');
+  mmLastLoadedMermaid = '';
+  mmLastLoadedDiagramId = '';
+  mmLastLoadedVersion = undefined;
+  await loadProjects();
+  await refreshCurrentView();
+}
+
+function mkProjectsHTML(){
+  const when = iso => iso ? new Date(iso).toLocaleString() : '-';
+  const rows = __projects.map(p => {
+    const id = escHTML(p.id);
+    const actions = [
+      p.id !== currentProject ? `<button class="btn ghost btn-project-open" data-id="${id}">열기</button>` : '<span class="gap-ok">사용 중</span> ',
+      `<button class="btn ghost btn-project-rename" data-id="${id}">이름 변경</button>`,
+      `<button class="btn ghost btn-project-clone" data-id="${id}" title="요구사항/코드/다이어그램과 이력을 그대로 복사">복제</button>`,
+      p.archived
+        ? `<button class="btn ghost btn-project-archive" data-id="${id}" data-archived="false">보관 해제</button>`
+        : (p.id === 'default' ? '' : `<button class="btn ghost btn-project-archive" data-id="${id}" data-archived="true" title="목록에서 숨기고 읽기 전용으로">보관</button>`),
+    ].join('');
+    return `<tr><td>${escHTML(p.name)}${p.clonedFrom ? `<div class="help">${escHTML(p.clonedFrom)}에서 복제</div>` : ''}</td><td>${id}</td>`
+      + `<td>${when(p.createdAt)}</td><td>${p.archived ? `보관됨<div class="help">${when(p.archivedAt)}</div>` : '사용'}</td><td>${actions}</td></tr>`;
+  }).join('');
+  return `
+    <div class="row formline">
+      <input id="project-new-name" type="text" placeholder="새 프로젝트 이름" style="flex:1;" />
+      <input id="project-new-id" type="text" placeholder="ID (선택, 영문/숫자/-/_)" style="width:220px;" />
+      <button class="btn" id="btn-project-create">만들기</button>
+    </div>
+    <div class="table-wrap" style="margin-top:8px;">
+      <table class="table">
+        <colgroup><col style="width:24%"><col style="width:16%"><col style="width:18%"><col style="width:14%"><col style="width:28%"></colgroup>
+        <thead><tr><th scope="col">이름</th><th scope="col">ID</th><th scope="col">만든 시각</th><th scope="col">상태</th><th scope="col">관리</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <div class="help" style="margin-top:6px;">프로젝트마다 요구사항/코드/다이어그램과 이력이 따로 저장됩니다. 보관한 프로젝트는 목록에서 숨겨지고 읽기 전용이 됩니다.</div>`;
+}
+
+/** 프로젝트 관리 모달 (만들기/이름 변경/복제/보관 후 목록 다시 그림) */
+async function openProjectsModal(){
+  await loadProjects();
+  const body = openModal('프로젝트 관리', mkProjectsHTML());
+  const act = (btn, label, fn) => withLoading(btn, label, async ()=>{
+    const next = await fn();
+    if (next) await switchProject(next);
+    else await loadProjects();
+    await openProjectsModal();
+  }).catch(err=>alert(String(err?.message||err)));
+
+  const createBtn = body.querySelector('#btn-project-create');
+  createBtn.addEventListener('click', ()=>act(createBtn, '만드는 중…', async ()=>{
+    const name = val(body.querySelector('#project-new-name'));
+    if (!name) throw new Error('프로젝트 이름을 입력하세요.');
+    const j = await api('/api/projects', { method:'POST', body: JSON.stringify({ name, id: val(body.querySelector('#project-new-id')) || undefined }) });
+    return j.project.id;
+  }));
+  body.querySelectorAll('.btn-project-open').forEach(b => b.addEventListener('click', ()=>act(b, '여는 중…', async ()=>b.dataset.id)));
+  body.querySelectorAll('.btn-project-rename').forEach(b => b.addEventListener('click', ()=>act(b, '변경 중…', async ()=>{
+    const p = __projects.find(x => x.id === b.dataset.id);
+    const name = prompt('새 프로젝트 이름', p?.name || '');
+    if (!name?.trim()) return null;
+    await api(`/api/projects/${encodeURIComponent(b.dataset.id)}/rename`, { method:'POST', body: JSON.stringify({ name }) });
+    return null;
+  })));
+  body.querySelectorAll('.btn-project-clone').forEach(b => b.addEventListener('click', ()=>act(b, '복제 중…', async ()=>{
+    const p = __projects.find(x => x.id === b.dataset.id);
+    const name = prompt('복제본 이름', `${p?.name || b.dataset.id} (사본)`);
+    if (!name?.trim()) return null;
+    const j = await api(`/api/projects/${encodeURIComponent(b.dataset.id)}/clone`, { method:'POST', body: JSON.stringify({ name }) });
+    return j.project.id;
+  })));
+  body.querySelectorAll('.btn-project-archive').forEach(b => b.addEventListener('click', ()=>act(b, '처리 중…', async ()=>{
+    const archived = b.dataset.archived === 'true';
+    if (archived && !confirm(`'${b.dataset.id}' 프로젝트를 보관할까요? 목록에서 숨겨지고 읽기 전용이 됩니다.`)) return null;
+    await api(`/api/projects/${encodeURIComponent(b.dataset.id)}/archive`, { method:'POST', body: JSON.stringify({ archived }) });
+    // 지금 쓰던 프로젝트를 보관하면 기본 프로젝트로
+    return archived && b.dataset.id === currentProject ? 'default' : null;
+  })));
+}
+
 async function refreshAllLists(){
   await Promise.all([
     refreshReqList(),
@@ -1182,10 +2803,15 @@ async function refreshAllLists(){
 document.addEventListener('DOMContentLoaded', async ()=>{
   injectDynamicStyles();
   injectToastStyles();
+  // 로그인 먼저 (아래 초기화가 목록 API를 부름)
+  qs('#login-form')?.addEventListener('submit', (e)=>{ e.preventDefault(); submitLogin(); });
+  await ensureLogin();
   initTabs();
   initToggles();
   bindEvents();
+  await loadProjects();
   await refreshAllLists();
+  __appReady = true;
 
   // UI 보정 (간격/정렬)
   tightenDiagramStacks();      // 특정 토글-입력 구간 간격 0으로
@@ -1252,26 +2878,13 @@ document.addEventListener('DOMContentLoaded', async ()=>{
         // manual이면 입력 텍스트 사용, db면 서버에서 DB 가져오도록 비움
         const mermaid = (dmode==='manual') ? stripMermaidFences(val(qs('#mm-text'))) : '';
 
+        const genMode = val(qs('#mm2code-mode')) || 'llm';
         const res = await api('/api/convert/mm2code', {
           method:'POST',
-          body: JSON.stringify({ diagramId, diagramKind, mermaid, language, codeId: chosenCodeId, swReqId })
+          body: JSON.stringify({ diagramId, diagramKind, mermaid, language, codeId: chosenCodeId, swReqId, mode: genMode, requireApproved: !!qs('#mm-require-approved')?.checked })
         });
 
-        const headerCodeId = res.codeId || chosenCodeId || '';
-        const commentPrefix = (String(language||'').toLowerCase().includes('python')) ? '#' : '//';
-        const codeHeader = [
-          `${commentPrefix} language: ${language}`,
-          `${commentPrefix} code_id: ${headerCodeId}`,
-          `${commentPrefix} linked_sw_req_id: ${swReqId || ''}`,
-          `${commentPrefix} linked_diagram_id: ${diagramId || ''}`
-        ].join('\n');
-
-        // 생성 코드 맨 위에 모델이 넣어주는 중복 주석 제거(있을 때만)
-        const body = stripCodeFences(res.code || '')
-          .replace(/^(\/\/|#)\s*SW Test 요구사항 ID.*\n?/mi, '');
-
-        const finalCode = `${codeHeader}\n\n${body}`;
-        qs('#mm2code-output').textContent = finalCode;
+        showMm2codeResult(res, { language, swReqId, diagramId, codeId: chosenCodeId });
 
         if(res.codeId && codeIdMode==='manual') qs('#mm-code-id').value = res.codeId;
       }).catch(err=>{
@@ -0,0 +1,126 @@
+// test/bundle-review.test.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: test/bundle-review.test.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 번들 가져오기가 검토/승인 절차를 건너뛰지 못하는지 확인
+ *    · editor 가 승인 상태를 위조한 번들로 approved 레코드를 만들거나 유지할 수 없음
+ *    · approver 이상(keepReview)만 번들의 검토 정보를 그대로 옮김
+ *
+ * 실행
+ *  - node --test test/
+ * ============================================
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStore } from '../server/storage.mjs';
+import { createZip } from '../server/zip.mjs';
+import { applyBundleImport, createBundle, planBundleImport, readBundle } from '../server/bundle.mjs';
+import { applyReviewAction, carryReview } from '../server/review.mjs';
+import { hasRole } from '../server/auth.mjs';
+
+const EDITOR = { username: 'ed', role: 'editor' };
+const APPROVER = { username: 'boss', role: 'approver' };
+
+/** 승인 상태를 위조한 다이어그램 레코드 */
+const forged = (diagramId, mermaid) => ({
+  diagramId, kind: 'class', mermaid, links: {},
+  status: 'approved',
+  review: { history: [], approval: { by: 'boss', at: '2026-01-01T00:00:00.000Z', version: 1 } },
+  version: 1, updatedAt: '2026-01-01T00:00:00.000Z', updatedBy: 'boss',
+});
+
+/** 스냅샷 → 번들 ZIP → 읽은 번들 (실제 업로드와 같은 경로) */
+function bundleOf(snapshot) {
+  const empty = { requirements: {}, codes: {}, diagrams: {} };
+  const full = { ...empty, ...snapshot, revisions: { ...empty, ...(snapshot.revisions || {}) } };
+  return readBundle(createZip(createBundle(full).files));
+}
+
+/** /api/import/bundle 과 같은 방식으로 가져오기 */
+function importBundle(store, bundle, { policy = 'keep', user }) {
+  return store.transact(tx => {
+    const plan = planBundleImport(bundle, { policy }, {
+      get: (c, id) => tx.get(c, id),
+      hasRevisions: (c, id) => tx.revisions(c, id).length > 0,
+    });
+    applyBundleImport(tx, plan, { author: user.username, keepReview: hasRole(user, 'approver') });
+    return plan;
+  });
+}
+
+async function withStore(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'uml-bundle-review-'));
+  const store = await createStore({ backend: 'json', jsonPath: path.join(dir, 'db.json') });
+  try {
+    await fn(store);
+  } finally {
+    await store.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/** 제출 → 승인까지 마친 다이어그램 */
+async function saveApproved(store, diagramId, mermaid) {
+  await store.put('diagrams', diagramId, { diagramId, kind: 'class', mermaid, links: {}, status: 'draft', review: { history: [], approval: null } }, { author: 'ed' });
+  for (const [action, user] of [['submit', EDITOR], ['approve', APPROVER]]) {
+    await store.transact(tx => tx.put('diagrams', diagramId,
+      applyReviewAction(tx.get('diagrams', diagramId), { action, user }), { author: user.username, source: 'review' }));
+  }
+  return store.get('diagrams', diagramId);
+}
+
+test('editor 가 가져온 새 레코드는 번들의 승인 상태와 상관없이 draft', async () => {
+  await withStore(async (store) => {
+    await importBundle(store, bundleOf({ diagrams: { EVIL: forged('EVIL', 'classDiagram\nclass Evil') } }), { user: EDITOR });
+    const d = await store.get('diagrams', 'EVIL');
+    assert.equal(d.status, 'draft');
+    assert.equal(d.review.approval, null);
+    assert.deepEqual(d.review.history, []);
+    assert.equal(d.updatedBy, 'ed');
+  });
+});
+
+test('editor 가 overwrite 로 승인된 레코드의 내용을 바꾸면 승인이 풀림', async () => {
+  await withStore(async (store) => {
+    await saveApproved(store, 'D1', 'classDiagram\nclass A');
+    await importBundle(store, bundleOf({ diagrams: { D1: forged('D1', 'classDiagram\nclass Changed') } }), { policy: 'overwrite', user: EDITOR });
+    const d = await store.get('diagrams', 'D1');
+    assert.equal(d.mermaid, 'classDiagram\nclass Changed');
+    assert.equal(d.status, 'draft');
+    assert.equal(d.review.history.at(-1).action, 'invalidate');
+  });
+});
+
+test('editor 가 overwrite 로 draft 레코드를 approved 로 바꿀 수 없음', async () => {
+  await withStore(async (store) => {
+    await store.put('diagrams', 'D2', { diagramId: 'D2', kind: 'class', mermaid: 'classDiagram\nclass B', links: {} }, { author: 'ed' });
+    await importBundle(store, bundleOf({ diagrams: { D2: forged('D2', 'classDiagram\nclass B') } }), { policy: 'overwrite', user: EDITOR });
+    assert.equal((await store.get('diagrams', 'D2')).status, 'draft');
+  });
+});
+
+test('가져온 삭제 레코드 이력을 복원해도 draft', async () => {
+  await withStore(async (store) => {
+    const revisions = { diagrams: { GONE: [{ rev: 1, at: '2026-01-01T00:00:00.000Z', author: 'boss', source: 'review', item: forged('GONE', 'classDiagram\nclass G') }] } };
+    await importBundle(store, bundleOf({ revisions }), { user: EDITOR });
+    const { item } = await store.restore('diagrams', 'GONE', 1, { author: 'ed', prepare: (current, snapshot) => carryReview(current, snapshot, { by: 'ed' }) });
+    assert.equal(item.status, 'draft');
+    assert.equal(item.review.approval, null);
+  });
+});
+
+test('approver 는 번들의 검토 정보를 그대로 옮김', async () => {
+  await withStore(async (store) => {
+    await importBundle(store, bundleOf({ diagrams: { OK: forged('OK', 'classDiagram\nclass Ok') } }), { user: APPROVER });
+    const d = await store.get('diagrams', 'OK');
+    assert.equal(d.status, 'approved');
+    assert.equal(d.review.approval.by, 'boss');
+  });
+});
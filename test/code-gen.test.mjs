@@ -0,0 +1,108 @@
+// test/code-gen.test.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: test/code-gen.test.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 템플릿 골격(server/code-gen.mjs) Python 프로젝트가 실제로 import/생성되는지 확인
+ *    · 합성 멤버(Tail())처럼 본문에서 만드는 클래스는 TYPE_CHECKING 이 아니라 실행 시 import
+ *
+ * 실행
+ *  - node --test test/   (python3 가 없으면 건너뜀)
+ * ============================================
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseClassDiagram } from '../server/class-model.mjs';
+import { generateProject } from '../server/code-gen.mjs';
+
+const DIAGRAM = `classDiagram
+class Shape {
+  <<interface>>
+  +area() float
+}
+class Animal {
+  <<abstract>>
+  +speak() str
+}
+class Color {
+  <<enumeration>>
+  RED
+  GREEN
+}
+class Dog {
+  -name: str
+  -color: Color
+  +speak() str
+}
+class Tail {
+  +wag() None
+}
+class Tip
+class Owner {
+  +adopt(dog: Dog) None
+}
+class Square {
+  -side: float
+  +area() float
+}
+Animal <|-- Dog
+Shape <|.. Square
+Dog *-- Tail
+Tail *-- Tip
+Owner o-- "*" Dog
+Owner ..> Square`;
+
+/** 패키지를 import 하고 추상 클래스/열거형을 뺀 모든 클래스를 인자 없이 생성 */
+const PY_CHECK = `
+import enum, importlib, inspect, sys
+sys.path.insert(0, sys.argv[1])
+pkg = importlib.import_module(sys.argv[2])
+made = []
+for name in pkg.__all__:
+    cls = getattr(pkg, name)
+    if inspect.isabstract(cls) or issubclass(cls, enum.Enum):
+        continue
+    cls()
+    made.append(name)
+print(','.join(made))
+`;
+
+function hasPython() {
+  try {
+    execFileSync('python3', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('Python 프로젝트: 합성 대상은 실행 시 import (TYPE_CHECKING 아님)', () => {
+  const { files } = generateProject(parseClassDiagram(DIAGRAM), 'Python', { name: 'zoo' });
+  const dog = files.find(f => f.path === 'zoo/dog.py').content;
+  assert.match(dog, /^from \.tail import Tail$/m);
+  assert.doesNotMatch(dog, /if TYPE_CHECKING:[\s\S]*from \.tail import Tail/);
+  const tail = files.find(f => f.path === 'zoo/tail.py').content;
+  assert.match(tail, /^from \.tip import Tip$/m);
+});
+
+test('Python 프로젝트: 패키지 import 후 모든 클래스 생성', { skip: !hasPython() && 'python3 없음' }, async () => {
+  const { files } = generateProject(parseClassDiagram(DIAGRAM), 'Python', { name: 'zoo' });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'uml-code-gen-'));
+  try {
+    for (const f of files) {
+      await fs.mkdir(path.dirname(path.join(dir, f.path)), { recursive: true });
+      await fs.writeFile(path.join(dir, f.path), f.content, 'utf8');
+    }
+    const out = execFileSync('python3', ['-c', PY_CHECK, dir, 'zoo'], { encoding: 'utf8', env: { ...process.env, PYTHONDONTWRITEBYTECODE: '1' } }).trim();
+    assert.deepEqual(out.split(',').sort(), ['Animal', 'Dog', 'Owner', 'Square', 'Tail', 'Tip']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,126 @@
+// test/mermaid-repair.test.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: test/mermaid-repair.test.mjs
+ * --------------------------------------------
+ * 역할
+ *  - Mermaid 자동 수정 루프(server/mermaid-repair.mjs)가 시도마다 결과를 남기는지 확인
+ *    · 빈 출력/여전히 오류인 시도도 repair.tries 에 기록
+ *  - mock 공급자의 repair fixture(fixtures/llm/repair/<kind>.txt) + 실제 검증기로 두 결과 확인
+ *    · 깨진 Mermaid → 수정본으로 다시 검증해 통과 / 한도까지 못 고치면 원문과 오류 반환
+ *    · mermaid/jsdom 이 없어 검증이 생략되면 건너뜀
+ *
+ * 실행
+ *  - node --test test/
+ * ============================================
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { repairMermaid } from '../server/mermaid-repair.mjs';
+import { validateMermaid } from '../server/mermaid-validate.mjs';
+import { createLlm } from '../server/llm.mjs';
+
+const BROKEN = 'classDiagram\nclass A {';
+const ERR = [{ line: 2, column: 9, message: 'Parse error' }];
+
+const KINDS = ['usecase', 'sequence', 'class', 'activity', 'state', 'er', 'component', 'deployment'];
+const NO_VALIDATOR = (await validateMermaid('classDiagram\nclass A')).valid === null && 'Mermaid 검증기 없음';
+
+/** fixture 디렉터리를 바꿔 mock 공급자 생성 */
+function mockLlm(dir) {
+  const prev = process.env.LLM_FIXTURES_DIR;
+  if (dir) process.env.LLM_FIXTURES_DIR = dir;
+  else delete process.env.LLM_FIXTURES_DIR;
+  try {
+    return createLlm('mock');
+  } finally {
+    if (prev === undefined) delete process.env.LLM_FIXTURES_DIR;
+    else process.env.LLM_FIXTURES_DIR = prev;
+  }
+}
+
+/** repair 작업으로 LLM 호출 (mock 은 프롬프트 대신 task/kind 로 fixture 선택) */
+const llmRepair = (llm, kind) => (mermaid, errors) => llm.complete(`${kind}\n${JSON.stringify(errors)}\n${mermaid}`, { task: 'repair', kind });
+
+/** 'ok' 로 시작하면 통과하는 가짜 검증 */
+const validate = async (m) => (m.startsWith('ok') ? { valid: true, errors: [] } : { valid: false, errors: [{ line: 1, column: null, message: `bad: ${m}` }] });
+
+/** 정해진 출력을 차례로 돌려주는 가짜 수정 (받은 인자 기록) */
+function replies(...outputs) {
+  const calls = [];
+  const repair = async (mermaid, errors) => {
+    calls.push({ mermaid, errors });
+    return outputs[calls.length - 1];
+  };
+  return { repair, calls };
+}
+
+test('빈 출력/오류 시도도 기록하고 성공하면 멈춤', async () => {
+  const { repair, calls } = replies('', 'still broken', 'ok fixed', 'unused');
+  const out = await repairMermaid(BROKEN, { valid: false, errors: ERR }, { max: 5, repair, validate });
+  assert.equal(out.mermaid, 'ok fixed');
+  assert.equal(out.validation.valid, true);
+  assert.deepEqual(out.repair, {
+    attempts: 3, max: 5, valid: true,
+    tries: [
+      { attempt: 1, result: 'empty' },
+      { attempt: 2, result: 'invalid', errors: [{ line: 1, column: null, message: 'bad: still broken' }] },
+      { attempt: 3, result: 'valid' },
+    ],
+  });
+  // 빈 출력 뒤에는 같은 원문/오류로, 오류 수정본 뒤에는 그 수정본/새 오류로 다시 요청
+  assert.deepEqual(calls.map(c => c.mermaid), [BROKEN, BROKEN, 'still broken']);
+  assert.equal(calls[1].errors, ERR);
+});
+
+test('빈 출력만 받으면 원문과 원래 오류를 그대로 반환', async () => {
+  const { repair } = replies('', '  \n');
+  const out = await repairMermaid(BROKEN, { valid: false, errors: ERR }, { max: 2, repair, validate });
+  assert.equal(out.mermaid, BROKEN);
+  assert.deepEqual(out.validation.errors, ERR);
+  assert.deepEqual(out.repair, { attempts: 2, max: 2, valid: false, tries: [{ attempt: 1, result: 'empty' }, { attempt: 2, result: 'empty' }] });
+});
+
+test('검증 통과/생략이면 수정하지 않음', async () => {
+  const { repair, calls } = replies('x');
+  for (const validation of [{ valid: true, errors: [] }, { valid: null, errors: [], skipped: 'off' }]) {
+    const out = await repairMermaid('ok', validation, { max: 2, repair, validate });
+    assert.deepEqual(out.repair, { attempts: 0, max: 2, valid: validation.valid, tries: [] });
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('repair fixture: 깨진 Mermaid 를 종류별로 고쳐 다시 검증', { skip: NO_VALIDATOR }, async () => {
+  const llm = mockLlm();
+  const original = await validateMermaid(BROKEN);
+  assert.equal(original.valid, false);
+  for (const kind of KINDS) {
+    const out = await repairMermaid(BROKEN, original, { max: 2, repair: llmRepair(llm, kind), validate: validateMermaid });
+    assert.equal(out.validation.valid, true, `${kind}: ${JSON.stringify(out.validation.errors)}`);
+    assert.notEqual(out.mermaid, BROKEN);
+    assert.deepEqual(out.repair, { attempts: 1, max: 2, valid: true, tries: [{ attempt: 1, result: 'valid' }] });
+  }
+});
+
+test('repair fixture: 한도까지 못 고치면 원문과 원래 오류를 반환', { skip: NO_VALIDATOR }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'uml-repair-'));
+  try {
+    await fs.mkdir(path.join(dir, 'repair'));
+    await fs.writeFile(path.join(dir, 'repair', 'class.txt'), 'classDiagram\nclass B {\n', 'utf8');
+    const original = await validateMermaid(BROKEN);
+    const out = await repairMermaid(BROKEN, original, { max: 2, repair: llmRepair(mockLlm(dir), 'class'), validate: validateMermaid });
+    assert.equal(out.mermaid, BROKEN);
+    assert.equal(out.validation, original);
+    assert.equal(out.repair.valid, false);
+    assert.equal(out.repair.attempts, 2);
+    assert.deepEqual(out.repair.tries.map(t => [t.attempt, t.result]), [[1, 'invalid'], [2, 'invalid']]);
+    assert.ok(out.repair.tries.every(t => t.errors.length > 0));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+// test/review.test.mjs
+/**
+ * ============================================
+ * App: UML ↔ Code Studio
+ * File: test/review.test.mjs
+ * --------------------------------------------
+ * 역할
+ *  - 검토 상태 전이(server/review.mjs) 확인
+ *    · 역할 검사(editor 는 승인 불가), 반려 의견 필수, 허용되지 않는 전이
+ *    · 승인 후 내용이 바뀌면 draft 로 되돌림
+ *    · mm2code 승인 게이트(requireApproved) → 409 DIAGRAM_NOT_APPROVED
+ *
+ * 실행
+ *  - node --test test/
+ * ============================================
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyReviewAction, assertApprovedDiagram, carryReview } from '../server/review.mjs';
+
+const EDITOR = { username: 'ed', role: 'editor' };
+const APPROVER = { username: 'boss', role: 'approver' };
+
+const draft = (mermaid = 'classDiagram\nclass A') => ({ diagramId: 'D1', kind: 'class', mermaid, links: {}, status: 'draft', review: { history: [], approval: null }, version: 1 });
+
+/** 동작을 차례로 적용 (저장할 때마다 버전 +1 흉내) */
+function act(item, ...steps) {
+  return steps.reduce((cur, [action, user, comment]) => ({ ...applyReviewAction(cur, { action, user, comment }), version: cur.version + 1 }), item);
+}
+
+const approved = (mermaid) => act(draft(mermaid), ['submit', EDITOR], ['approve', APPROVER]);
+
+/** 오류의 status/code 확인 */
+const rejects = (status, code) => (e) => e.status === status && e.code === code;
+
+test('editor 는 승인할 수 없음 (403 FORBIDDEN)', () => {
+  const inReview = act(draft(), ['submit', EDITOR]);
+  assert.equal(inReview.status, 'in_review');
+  assert.throws(() => applyReviewAction(inReview, { action: 'approve', user: EDITOR }), rejects(403, 'FORBIDDEN'));
+  const ok = applyReviewAction(inReview, { action: 'approve', user: APPROVER });
+  assert.equal(ok.status, 'approved');
+  assert.deepEqual(ok.review.approval, { by: 'boss', at: ok.review.approval.at, version: 2 });
+});
+
+test('반려에는 의견이 필요하고, 반려하면 draft + 승인 정보 없음', () => {
+  const inReview = act(draft(), ['submit', EDITOR]);
+  for (const comment of [undefined, '', '   ']) {
+    assert.throws(() => applyReviewAction(inReview, { action: 'reject', user: APPROVER, comment }), /의견\(comment\)이 필요합니다/);
+  }
+  const rejected = applyReviewAction(inReview, { action: 'reject', user: APPROVER, comment: ' 관계 누락 ' });
+  assert.equal(rejected.status, 'draft');
+  assert.equal(rejected.review.approval, null);
+  assert.deepEqual(rejected.review.history.at(-1), { at: rejected.review.history.at(-1).at, by: 'boss', action: 'reject', from: 'in_review', to: 'draft', comment: '관계 누락', version: 2 });
+});
+
+test('허용되지 않는 전이는 409 INVALID_TRANSITION', () => {
+  assert.throws(() => applyReviewAction(draft(), { action: 'approve', user: APPROVER }), rejects(409, 'INVALID_TRANSITION'));
+  assert.throws(() => applyReviewAction(approved(), { action: 'submit', user: EDITOR }), rejects(409, 'INVALID_TRANSITION'));
+});
+
+test('승인된 레코드의 내용이 바뀌면 draft 로 되돌리고 기록', () => {
+  const item = approved('classDiagram\nclass A');
+  const { status, review, version, ...content } = item;
+  const changed = carryReview(item, { ...content, mermaid: 'classDiagram\nclass B' }, { by: 'ed' });
+  assert.equal(changed.status, 'draft');
+  assert.equal(changed.mermaid, 'classDiagram\nclass B');
+  assert.deepEqual(changed.review.history.map(e => e.action), ['submit', 'approve', 'invalidate']);
+  assert.equal(changed.review.history.at(-1).by, 'ed');
+  assert.equal(changed.review.history.at(-1).version, item.version);
+  // 내용이 같으면(저장소 관리 필드만 다르면) 승인 유지
+  const same = carryReview(item, { ...content, status: 'draft', version: 99 }, { by: 'ed' });
+  assert.equal(same.status, 'approved');
+  assert.equal(same.review, item.review);
+});
+
+test('mm2code 승인 게이트: 승인된 저장 내용만 허용 (409 DIAGRAM_NOT_APPROVED)', () => {
+  const mermaid = 'classDiagram\nclass A';
+  const item = approved(mermaid);
+  const notApproved = rejects(409, 'DIAGRAM_NOT_APPROVED');
+  assert.throws(() => assertApprovedDiagram(null, { mermaid }), notApproved);
+  assert.throws(() => assertApprovedDiagram(draft(mermaid), { diagramId: 'D1', mermaid }), notApproved);
+  assert.throws(() => assertApprovedDiagram(act(draft(mermaid), ['submit', EDITOR]), { diagramId: 'D1' }), notApproved);
+  assert.throws(() => assertApprovedDiagram(item, { diagramId: 'D1', mermaid: 'classDiagram\nclass Other' }), notApproved);
+  assert.equal(assertApprovedDiagram(item, { diagramId: 'D1' }), mermaid);
+  const fences = (s) => s.replace(/^```(?:mermaid)?\s*|\s*```$/g, '').trim();
+  assert.equal(assertApprovedDiagram(item, { diagramId: 'D1', mermaid: `\`\`\`mermaid\n${mermaid}\n\`\`\``, normalize: fences }), mermaid);
+});